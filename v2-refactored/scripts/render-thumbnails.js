@@ -0,0 +1,112 @@
+/**
+ * VIB34D Thumbnail Renderer (CLI)
+ * Batch-renders every variation of a collection to PNG through HeadlessRenderer.
+ * Runs headless Chromium with SwiftShader software WebGL, so no GPU or display is needed.
+ *
+ * Usage:
+ *   node scripts/render-thumbnails.js [collection.json] [--out dir] [--size 256x256] [--time 0]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+
+const ROOT = path.resolve(__dirname, '..');
+const ORIGIN = 'http://vib34d.headless';
+
+function parseArgs(argv) {
+    const options = {
+        collection: path.join(ROOT, 'collections', 'base-variations.json'),
+        out: path.join(ROOT, 'thumbnails'),
+        width: 256,
+        height: 256,
+        time: 0
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.out = path.resolve(argv[++i]);
+        } else if (arg === '--size') {
+            const [width, height] = argv[++i].split('x').map(Number);
+            options.width = width;
+            options.height = height || width;
+        } else if (arg === '--time') {
+            options.time = parseFloat(argv[++i]);
+        } else {
+            options.collection = path.resolve(arg);
+        }
+    }
+
+    if (!Number.isFinite(options.width) || !Number.isFinite(options.height) || options.width <= 0 || options.height <= 0) {
+        throw new Error('Invalid --size, expected WIDTHxHEIGHT');
+    }
+
+    return options;
+}
+
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const collection = JSON.parse(fs.readFileSync(options.collection, 'utf8'));
+    const variations = collection.variations || [];
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    const browser = await chromium.launch({
+        headless: true,
+        args: ['--use-gl=angle', '--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist']
+    });
+
+    try {
+        const page = await browser.newPage();
+        page.on('pageerror', error => console.error('❌ Page error:', error.message));
+
+        // Serve the repo from a virtual origin so ES modules load without a web server
+        await page.route(`${ORIGIN}/**`, route => {
+            const url = new URL(route.request().url());
+            if (url.pathname === '/') {
+                return route.fulfill({ contentType: 'text/html', body: '<!DOCTYPE html><html><body></body></html>' });
+            }
+            const filePath = path.join(ROOT, decodeURIComponent(url.pathname));
+            if (!filePath.startsWith(ROOT) || !fs.existsSync(filePath)) {
+                return route.fulfill({ status: 404, body: 'Not found' });
+            }
+            return route.fulfill({ path: filePath });
+        });
+
+        await page.goto(`${ORIGIN}/`);
+        await page.evaluate(async () => {
+            const { HeadlessRenderer } = await import('/src/export/HeadlessRenderer.js');
+            window.headlessRenderer = new HeadlessRenderer();
+        });
+
+        let rendered = 0;
+        for (const variation of variations) {
+            const dataURL = await page.evaluate(frameOptions => window.headlessRenderer.renderToDataURL(frameOptions), {
+                system: variation.system || 'faceted',
+                parameters: variation.parameters || {},
+                width: options.width,
+                height: options.height,
+                time: options.time
+            });
+
+            const filename = `${String(variation.id).padStart(2, '0')}-${slugify(variation.name)}.png`;
+            fs.writeFileSync(path.join(options.out, filename), Buffer.from(dataURL.split(',')[1], 'base64'));
+            rendered++;
+            console.log(`✅ ${filename} (${variation.system})`);
+        }
+
+        console.log(`🎨 Rendered ${rendered}/${variations.length} thumbnails to ${options.out}`);
+    } finally {
+        await browser.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Thumbnail render failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,212 @@
+/**
+ * VIB34D Parameter Bindings
+ * Drive a parameter from an expression of other parameters and live inputs, e.g.
+ * `hue = 200 + 60*sin(t*0.3)` or `chaos = audio.bass*0.8`. Bindings run on every shared clock
+ * change - before the engines draw that frame - and are saved with variations and exported
+ * with cards through bindingsCardScript().
+ */
+
+import { clock } from './Clock.js';
+import { compileExpression, expressionCardScript } from './Expression.js';
+import { PARAMETER_SCHEMA } from './ParameterSchema.js';
+
+/**
+ * Inputs an expression can read besides the parameters themselves
+ */
+export const BINDING_INPUTS = {
+    t: 'shared clock time in seconds',
+    audio: 'audio.bass, audio.mid, audio.high, audio.energy (0-1 while audio is on)',
+    mouse: 'mouse.x, mouse.y (0-1, from the top left of the window)'
+};
+
+export class ParameterBindings {
+    /**
+     * @param {Object} [data] - { param: expression source }
+     */
+    constructor(data = {}) {
+        this.load(data);
+    }
+
+    /**
+     * Replace every binding; expressions that no longer compile are dropped with a warning
+     */
+    load(data = {}) {
+        this.compiled = {};
+        Object.entries(data || {}).forEach(([param, source]) => {
+            try {
+                this.set(param, source);
+            } catch (error) {
+                console.warn(`⚠️ Ignoring binding for ${param}:`, error.message);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Bind a parameter, replacing its previous binding
+     * @param {string} param - Schema parameter name
+     * @param {string} source - Expression
+     * @throws {Error} When the parameter is unknown or the expression doesn't compile
+     */
+    set(param, source) {
+        if (!PARAMETER_SCHEMA[param]) {
+            throw new Error(`Unknown parameter "${param}"`);
+        }
+
+        const compiled = compileExpression(source);
+        const unknown = compiled.variables.find(name => !BINDING_INPUTS[name] && !PARAMETER_SCHEMA[name]);
+        if (unknown) {
+            throw new Error(`Unknown input "${unknown}" - use t, audio, mouse or a parameter name`);
+        }
+
+        this.compiled[param] = compiled;
+        return compiled;
+    }
+
+    remove(param) {
+        const bound = param in this.compiled;
+        delete this.compiled[param];
+        return bound;
+    }
+
+    clear() {
+        this.compiled = {};
+    }
+
+    isEmpty() {
+        return Object.keys(this.compiled).length === 0;
+    }
+
+    /**
+     * Evaluate every binding against one snapshot, so bindings never see each other's output
+     * from the same frame. A binding that reads its own parameter gets last frame's value.
+     * @param {Object} inputs - { t, audio, mouse }
+     * @param {Function} readValue - Current value of a parameter
+     * @returns {Object} Parameter name → value; non-finite results are left out
+     */
+    evaluate(inputs, readValue) {
+        const scope = { ...inputs };
+        const values = {};
+
+        Object.entries(this.compiled).forEach(([param, compiled]) => {
+            compiled.variables.forEach(name => {
+                if (!(name in scope)) scope[name] = readValue(name);
+            });
+            const value = compiled.evaluate(scope);
+            if (Number.isFinite(value)) {
+                values[param] = value;
+            }
+        });
+        return values;
+    }
+
+    toJSON() {
+        const expressions = {};
+        Object.entries(this.compiled).forEach(([param, compiled]) => {
+            expressions[param] = compiled.source;
+        });
+        return expressions;
+    }
+}
+
+/**
+ * Runs bindings on every shared clock change and hands the results to `apply`
+ */
+export class BindingDriver {
+    /**
+     * @param {ParameterBindings} bindings
+     * @param {Object} options
+     * @param {Function} options.apply - Called with { param: value } each frame
+     * @param {Function} options.readValue - Current value of a parameter
+     * @param {Function} [options.readInputs] - Live { audio, mouse }; missing inputs read as silent/centered
+     * @param {SharedClock} [options.timeSource]
+     */
+    constructor(bindings, { apply, readValue, readInputs = () => ({}), timeSource = clock }) {
+        this.bindings = bindings;
+        this.apply = apply;
+        this.readValue = readValue;
+        this.readInputs = readInputs;
+        this.clock = timeSource;
+        this.unsubscribe = null;
+    }
+
+    start() {
+        if (!this.unsubscribe) {
+            this.unsubscribe = this.clock.onChange(() => this.update());
+        }
+    }
+
+    stop() {
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+    }
+
+    update() {
+        if (this.bindings.isEmpty()) return;
+
+        const live = this.readInputs();
+        const inputs = {
+            t: this.clock.getTime(),
+            audio: live.audio || { bass: 0, mid: 0, high: 0, energy: 0 },
+            mouse: live.mouse || { x: 0.5, y: 0.5 }
+        };
+        this.apply(this.bindings.evaluate(inputs, this.readValue));
+    }
+}
+
+/**
+ * Run saved bindings inside an exported card, writing into the card's parameter objects every
+ * frame. Parameters are read from the targets; t counts from page load and audio stays silent.
+ * @param {Object|null} data - Saved bindings
+ * @param {Object[]} targets - Parameter objects the card reads each frame
+ * @returns {number} Number of bindings running
+ */
+export function playCardBindings(data, targets) {
+    const bindings = Object.entries(data || {}).map(([param, source]) => {
+        try {
+            return { param, compiled: compileExpression(source) };
+        } catch (error) {
+            console.warn(`Ignoring binding for ${param}:`, error.message);
+            return null;
+        }
+    }).filter(Boolean);
+    if (bindings.length === 0) return 0;
+
+    const mouse = { x: 0.5, y: 0.5 };
+    window.addEventListener('pointermove', event => {
+        mouse.x = event.clientX / window.innerWidth;
+        mouse.y = event.clientY / window.innerHeight;
+    });
+
+    const startTime = performance.now();
+    function frame() {
+        const scope = Object.assign({}, ...targets, {
+            t: (performance.now() - startTime) / 1000,
+            audio: { bass: 0, mid: 0, high: 0, energy: 0 },
+            mouse
+        });
+        bindings.forEach(({ param, compiled }) => {
+            const value = compiled.evaluate(scope);
+            if (!Number.isFinite(value)) return;
+            targets.forEach(target => {
+                if (param in target) target[param] = value;
+            });
+        });
+        requestAnimationFrame(frame);
+    }
+    frame();
+    return bindings.length;
+}
+
+/**
+ * Standalone source for exported cards: the expression compiler plus playCardBindings
+ */
+export function bindingsCardScript() {
+    return `
+${expressionCardScript()}
+${playCardBindings.toString()}
+`;
+}
+
+// The bindings being edited - saved with variations and exported with cards
+export const bindings = new ParameterBindings();
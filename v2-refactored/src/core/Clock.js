@@ -0,0 +1,201 @@
+/**
+ * VIB34D Shared Clock & Seeded Random
+ * One timeline for every render loop (pause, frame step, seek) plus a seedable PRNG,
+ * so identical time + seed always produce identical frames and physics.
+ */
+
+export class SharedClock {
+    constructor() {
+        this.time = 0;               // Seconds on the shared timeline
+        this.frame = 0;              // Number of frames advanced so far
+        this.frameDuration = 1 / 60; // Step size for step() and fixed-step mode
+        this.timeScale = 1.0;
+        this.paused = false;
+        this.fixedStep = false;      // Advance exactly one frameDuration per animation frame
+        this.lastTimestamp = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Advance from a requestAnimationFrame timestamp.
+     * Every render loop calls this; loops sharing the same rAF timestamp advance the clock once.
+     */
+    tick(timestamp = performance.now()) {
+        if (timestamp === this.lastTimestamp) {
+            return this.time;
+        }
+
+        const previous = this.lastTimestamp;
+        this.lastTimestamp = timestamp;
+
+        if (this.paused || previous === null) {
+            return this.time;
+        }
+
+        // Clamp long gaps (background tabs) so animations don't jump
+        const delta = this.fixedStep ? this.frameDuration : Math.min((timestamp - previous) / 1000, 0.1);
+        this.advance(delta * this.timeScale);
+        return this.time;
+    }
+
+    /**
+     * Move the timeline forward by a number of seconds
+     */
+    advance(seconds) {
+        this.time += seconds;
+        this.frame++;
+        this.notify();
+    }
+
+    /**
+     * Current time in seconds
+     */
+    getTime() {
+        return this.time;
+    }
+
+    /**
+     * Current time in milliseconds (the unit the layer shaders expect for u_time)
+     */
+    getTimeMs() {
+        return this.time * 1000;
+    }
+
+    pause() {
+        this.paused = true;
+        this.notify();
+    }
+
+    resume() {
+        this.paused = false;
+        this.lastTimestamp = null; // Don't count the paused gap as elapsed time
+        this.notify();
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.paused;
+    }
+
+    /**
+     * Pause and advance by whole frames
+     */
+    step(frames = 1) {
+        this.paused = true;
+        for (let i = 0; i < frames; i++) {
+            this.advance(this.frameDuration);
+        }
+    }
+
+    /**
+     * Jump to an absolute time in seconds
+     */
+    seek(seconds) {
+        this.time = Math.max(0, seconds);
+        this.frame = Math.round(this.time / this.frameDuration);
+        this.notify();
+    }
+
+    /**
+     * Lock the clock to a fixed frame rate instead of wall-clock deltas
+     */
+    setFixedStep(enabled, fps = 60) {
+        this.fixedStep = enabled;
+        this.frameDuration = 1 / fps;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    reset() {
+        this.time = 0;
+        this.frame = 0;
+        this.lastTimestamp = null;
+        this.notify();
+    }
+
+    /**
+     * Subscribe to time changes - returns an unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+        this.listeners.forEach(callback => callback(this));
+    }
+}
+
+export class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.children = new Map();
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reseed this stream and every forked stream
+     */
+    setSeed(seed) {
+        this.seed = typeof seed === 'number' ? seed >>> 0 : SeededRandom.hash(String(seed));
+        this.state = this.seed;
+        this.children.forEach((child, name) => child.setSeed(this.seed ^ SeededRandom.hash(name)));
+    }
+
+    /**
+     * Restart the sequence from the current seed
+     */
+    reset() {
+        this.setSeed(this.seed);
+    }
+
+    /**
+     * Next float in [0, 1) - mulberry32
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    /**
+     * Get an independent named stream, so physics and noise don't shift each other's sequences
+     */
+    fork(name) {
+        if (!this.children.has(name)) {
+            this.children.set(name, new SeededRandom(this.seed ^ SeededRandom.hash(name)));
+        }
+        return this.children.get(name);
+    }
+
+    /**
+     * FNV-1a string hash
+     */
+    static hash(text) {
+        let h = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+}
+
+// Shared instances used by every engine
+export const clock = new SharedClock();
+export const random = new SeededRandom();
@@ -0,0 +1,58 @@
+/**
+ * VIB34D WebGL Context Recovery
+ * Browsers drop WebGL contexts under GPU pressure (tab backgrounding, driver resets, too many
+ * contexts). A context only comes back if its `webglcontextlost` event is cancelled, and every
+ * program, buffer and texture made on it is gone when it does.
+ *
+ * Per-canvas contexts (SmartCanvasPool fallback mode) are watched here by each engine.
+ * The shared master context is watched by UnifiedCanvasManager, which restores its own
+ * framebuffers and then asks SmartCanvasPool to restore the engines.
+ */
+
+/**
+ * Keep canvases restorable and report each one that comes back
+ * @param {Array<HTMLCanvasElement|Object>} canvases - Visualizer canvases; unified layer targets
+ *     have no events of their own and are skipped
+ * @param {Function} onRestored - Called with the restored canvas
+ * @returns {Function} Stop watching
+ */
+export function watchContextLoss(canvases, onRestored) {
+    const watched = canvases.filter(canvas => canvas && typeof canvas.addEventListener === 'function');
+
+    const handleLost = event => {
+        // Without preventDefault the browser never fires webglcontextrestored
+        event.preventDefault();
+        console.warn(`⚠️ WebGL context lost: ${event.target.id || 'canvas'}`);
+    };
+    const handleRestored = event => {
+        console.log(`🔄 WebGL context restored: ${event.target.id || 'canvas'}`);
+        onRestored(event.target);
+    };
+
+    watched.forEach(canvas => {
+        canvas.addEventListener('webglcontextlost', handleLost);
+        canvas.addEventListener('webglcontextrestored', handleRestored);
+    });
+
+    return () => watched.forEach(canvas => {
+        canvas.removeEventListener('webglcontextlost', handleLost);
+        canvas.removeEventListener('webglcontextrestored', handleRestored);
+    });
+}
+
+/**
+ * Rebuild the GL resources of an engine's visualizers after a context comes back
+ * @param {Array} visualizers - Visualizers with reinitializeContext()
+ * @param {HTMLCanvasElement|Object} [canvas] - Only the visualizer drawing to this canvas; all when omitted
+ * @returns {Array} The visualizers that were rebuilt
+ */
+export function reinitializeVisualizers(visualizers, canvas = null) {
+    return visualizers.filter(visualizer => {
+        if (canvas && visualizer.canvas !== canvas) return false;
+        if (!visualizer.reinitializeContext) {
+            console.warn(`⚠️ ${visualizer.canvas?.id || visualizer.canvasId} missing reinitializeContext`);
+            return false;
+        }
+        return visualizer.reinitializeContext();
+    });
+}
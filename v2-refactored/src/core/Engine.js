@@ -11,6 +11,10 @@ import { GallerySystem } from '../gallery/GallerySystem.js';
 import { ExportManager } from '../export/ExportManager.js';
 // InteractionHandler removed - each system handles its own interactions
 import { StatusManager } from '../ui/StatusManager.js';
+import { clock, random } from './Clock.js';
+import { watchContextLoss, reinitializeVisualizers } from './ContextRecovery.js';
+import { tweenParameters } from './Transitions.js';
+import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
 
 export class VIB34DIntegratedEngine {
     constructor() {
@@ -25,7 +29,8 @@ export class VIB34DIntegratedEngine {
         
         // Current state
         this.currentVariation = 0;
-        this.totalVariations = 100; // 30 default + 70 custom
+        this.transition = null;     // Running variation tween
+        this.geometryMorph = null;  // { from, progress } while the tween morphs the geometry
         
         // Mouse interaction state
         this.mouseX = 0.5;
@@ -85,6 +90,11 @@ export class VIB34DIntegratedEngine {
             this.visualizers.push(visualizer);
         });
         
+        this.unwatchContext = watchContextLoss(
+            this.visualizers.map(visualizer => visualizer.canvas),
+            canvas => this.restoreContext(canvas)
+        );
+        
         console.log('✅ Created 5-layer integrated holographic system');
     }
     
@@ -113,8 +123,8 @@ export class VIB34DIntegratedEngine {
     
     setupParameterControls() {
         const controls = [
-            'variationSlider', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'dimension',
-            'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue'
+            'variationSlider', 'rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'dimension',
+            'projection', 'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue'
         ];
         
         controls.forEach(id => {
@@ -168,8 +178,9 @@ export class VIB34DIntegratedEngine {
             window.mobileDebug.log(`🎬 VIB34D Faceted Engine: Starting render loop with ${this.visualizers?.length} visualizers`);
         }
         
-        const render = () => {
-            this.time += 0.016; // ~60fps
+        const render = (timestamp) => {
+            clock.tick(timestamp);
+            this.time = clock.getTime();
             this.updateVisualizers();
             this.animationId = requestAnimationFrame(render);
         };
@@ -194,6 +205,11 @@ export class VIB34DIntegratedEngine {
         params.clickIntensity = this.clickIntensity;
         params.time = this.time;
         
+        const morph = this.geometryMorph;
+        Object.assign(params, morph
+            ? GeometryLibrary.createMorphingGeometry(morph.from, params.geometry, morph.progress)
+            : GeometryLibrary.createMorphingGeometry(params.geometry, params.geometry, 1));
+        
         this.visualizers.forEach(visualizer => {
             visualizer.updateParameters(params);
             visualizer.render();
@@ -220,13 +236,30 @@ export class VIB34DIntegratedEngine {
     }
     
     /**
-     * Navigate to specific variation
+     * 30 default + 70 custom, plus the presets of registered geometry plugins
      */
-    setVariation(index) {
+    get totalVariations() {
+        return this.variationManager.totalVariations;
+    }
+    
+    /**
+     * Navigate to specific variation, tweening from the current parameters
+     * @param {number} index
+     * @param {Object} [options] - { transition: false } jumps straight to the variation
+     */
+    setVariation(index, { transition = true } = {}) {
         if (index >= 0 && index < this.totalVariations) {
+            const from = this.parameterManager.getAllParameters();
             this.currentVariation = index;
             this.variationManager.applyVariation(index);
-            this.updateDisplayValues();
+            const to = this.parameterManager.getAllParameters();
+
+            this.transition?.cancel();
+            this.transition = tweenParameters(from, to, (values, morphs) => {
+                this.parameterManager.setParameters(values);
+                this.geometryMorph = morphs.geometry || null;
+                this.updateDisplayValues();
+            }, { duration: transition ? undefined : 0 });
             this.updateVisualizers();
             
             // Update UI
@@ -251,7 +284,7 @@ export class VIB34DIntegratedEngine {
     }
     
     randomVariation() {
-        const newIndex = Math.floor(Math.random() * this.totalVariations);
+        const newIndex = random.fork('faceted-variations').int(0, this.totalVariations - 1);
         this.setVariation(newIndex);
     }
     
@@ -314,6 +347,10 @@ export class VIB34DIntegratedEngine {
         this.exportManager.exportPNG();
     }
     
+    exportLoop(options) {
+        return this.exportManager.exportLoop(options);
+    }
+    
     /**
      * Import methods
      */
@@ -340,6 +377,18 @@ export class VIB34DIntegratedEngine {
         }
     }
     
+    /**
+     * Rebuild WebGL resources after a context loss. Parameters and the current variation
+     * live in the ParameterManager, so one update pushes them straight back into the new programs.
+     * @param {HTMLCanvasElement} [canvas] - Only the layer drawing to this canvas; all layers when omitted
+     */
+    restoreContext(canvas = null) {
+        const restored = reinitializeVisualizers(this.visualizers, canvas);
+        this.updateVisualizers();
+        console.log(`✅ Faceted Engine: ${restored.length} layers restored (variation ${this.currentVariation + 1})`);
+        return restored.length;
+    }
+    
     /**
      * Update mouse interaction state
      */
@@ -432,6 +481,10 @@ export class VIB34DIntegratedEngine {
             cancelAnimationFrame(this.animationId);
         }
         
+        if (this.unwatchContext) {
+            this.unwatchContext();
+        }
+        
         this.visualizers.forEach(visualizer => {
             if (visualizer.destroy) {
                 visualizer.destroy();
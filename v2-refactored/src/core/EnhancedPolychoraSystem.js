@@ -1,11 +1,26 @@
 // src/core/EnhancedPolychoraSystem.js
+import { random, SeededRandom } from './Clock.js';
+import WebGLResourceManager from './WebGLResourceManager.js';
+import { mat4 } from './Math4D.js';
+
+// Geometry index order of the polytopes built by initializePolytopes()
+const BUILT_IN_POLYTOPES = ['tesseract', '16-cell', '24-cell', '120-cell', '600-cell', '5-cell'];
+
 class EnhancedPolychoraSystem {
   constructor(gl, canvasManager) {
     this.gl = gl;
     this.canvasManager = canvasManager;
+    this.resources = new WebGLResourceManager(gl);
+    
+    // WebGL2: one instanced draw of screen-space quads for all edges of a polytope, state kept in VAOs.
+    // WebGL1: the same shaders downgraded to GLSL ES 1.00, edges drawn as GL_LINES.
+    this.isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+    this.modelView = this.createIdentityMatrix4D();
+    this.projection = this.createIdentityMatrix4D();
     this.rotation4D = this.createIdentityMatrix4D();
     this.projectionMethod = 'stereographic';
     this.polytopes = new Map();
+    this.importedPolytopes = new Map(); // Name → parsed mesh, re-added after a context restore
     
     this.rotationAngles = {
       XY: 0, XZ: 0, YZ: 0,
@@ -18,12 +33,13 @@ class EnhancedPolychoraSystem {
     };
 
     this.parameters = {
-      geometry: 0, // tesseract, 16-cell, 24-cell, 120-cell, 600-cell, 5-cell
+      geometry: 0, // tesseract, 16-cell, 24-cell, 120-cell, 600-cell, 5-cell, then imports
       glassRefraction: 1.5,
       holographicIntensity: 0.3,
       quantumParticleSize: 0.2,
       viewDistance4D: 3.0,
-      complexity: 1.0
+      complexity: 1.0,
+      lineWidth: 2.0 // Edge thickness in pixels (instanced path)
     };
     
     this.initializeShaders();
@@ -32,11 +48,7 @@ class EnhancedPolychoraSystem {
   }
 
   createIdentityMatrix4D() {
-    const matrix = new Float32Array(16);
-    for (let i = 0; i < 16; i++) {
-      matrix[i] = (i % 5 === 0) ? 1 : 0;
-    }
-    return matrix;
+    return new Float32Array(mat4.identity());
   }
 
   initializeShaders() {
@@ -98,7 +110,7 @@ class EnhancedPolychoraSystem {
         }
         
         v_position = projected;
-        v_normal = normalize(mat3(u_modelView) * a_normal);
+        v_normal = normalize(mat3(u_modelView[0].xyz, u_modelView[1].xyz, u_modelView[2].xyz) * a_normal);
         v_color = a_color;
         v_depth4D = rotated.w;
         
@@ -202,102 +214,194 @@ class EnhancedPolychoraSystem {
     
     this.program = this.createShaderProgram(this.vertexShader, this.fragmentShader);
     this.setupUniforms();
+    
+    if (this.isWebGL2) {
+      this.initializeLineShader();
+    }
+  }
+
+  /**
+   * WebGL2 thick-line shader: each instance is one edge, expanded from a 4-vertex quad
+   * into a screen-space ribbon of u_lineWidth pixels after the 4D rotation and projection
+   */
+  initializeLineShader() {
+    this.lineVertexShader = `#version 300 es
+      precision highp float;
+      
+      in vec2 a_corner;        // x: 0 = edge start, 1 = edge end; y: -1/+1 ribbon side
+      in vec4 a_start4D;
+      in vec4 a_end4D;
+      in vec4 a_startColor;
+      in vec4 a_endColor;
+      
+      uniform mat4 u_rotationXY;
+      uniform mat4 u_rotationXZ;
+      uniform mat4 u_rotationYZ;
+      uniform mat4 u_rotationXW;
+      uniform mat4 u_rotationYW;
+      uniform mat4 u_rotationZW;
+      uniform mat4 u_modelView;
+      uniform mat4 u_projection;
+      uniform float u_viewDistance4D;
+      uniform int u_projectionType;
+      uniform vec2 u_resolution;
+      uniform float u_lineWidth;
+      
+      out vec3 v_position;
+      out vec3 v_normal;
+      out vec4 v_color;
+      out float v_depth4D;
+      
+      vec4 rotate4D(vec4 p) {
+        return u_rotationZW * (u_rotationYW * (u_rotationXW * (u_rotationYZ * (u_rotationXZ * (u_rotationXY * p)))));
+      }
+      
+      vec3 project(vec4 p) {
+        if (u_projectionType == 0) {
+          return p.xyz / (1.0 + p.w);
+        } else if (u_projectionType == 1) {
+          float w = p.w + u_viewDistance4D;
+          return (w > 0.0) ? p.xyz / w : vec3(0.0);
+        }
+        return p.xyz;
+      }
+      
+      void main() {
+        vec4 startRotated = rotate4D(a_start4D);
+        vec4 endRotated = rotate4D(a_end4D);
+        vec3 startProjected = project(startRotated);
+        vec3 endProjected = project(endRotated);
+        
+        vec4 startClip = u_projection * u_modelView * vec4(startProjected, 1.0);
+        vec4 endClip = u_projection * u_modelView * vec4(endProjected, 1.0);
+        
+        // Edge direction in pixels, so the ribbon keeps a constant on-screen width
+        vec2 startScreen = startClip.xy / startClip.w * u_resolution;
+        vec2 endScreen = endClip.xy / endClip.w * u_resolution;
+        vec2 direction = endScreen - startScreen;
+        direction = length(direction) > 0.0001 ? normalize(direction) : vec2(1.0, 0.0);
+        vec2 side = vec2(-direction.y, direction.x);
+        
+        vec4 clip = mix(startClip, endClip, a_corner.x);
+        clip.xy += side * a_corner.y * u_lineWidth / u_resolution * clip.w;
+        
+        v_position = mix(startProjected, endProjected, a_corner.x);
+        v_normal = normalize(vec3(side * a_corner.y, 0.5)); // Rounded, tube-like shading across the ribbon
+        v_color = mix(a_startColor, a_endColor, a_corner.x);
+        v_depth4D = mix(startRotated.w, endRotated.w, a_corner.x);
+        
+        gl_Position = clip;
+      }
+    `;
+    
+    // Shares the polytope fragment shader, so both paths shade identically
+    this.lineProgram = this.createShaderProgram(this.lineVertexShader, this.fragmentShader);
+    if (!this.lineProgram) {
+      console.warn('⚠️ Instanced line shader failed - using the GL_LINES path');
+      return;
+    }
+    
+    this.lineUniforms = {
+      ...this.getUniformLocations(this.lineProgram),
+      resolution: this.gl.getUniformLocation(this.lineProgram, 'u_resolution'),
+      lineWidth: this.gl.getUniformLocation(this.lineProgram, 'u_lineWidth')
+    };
+    
+    // One quad shared by every edge instance
+    this.cornerBuffer = this.resources.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.cornerBuffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([0, -1, 0, 1, 1, -1, 1, 1]), this.gl.STATIC_DRAW);
   }
 
   createShaderProgram(vertexSource, fragmentSource) {
     const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexSource);
     const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentSource);
+    if (!vertexShader || !fragmentShader) {
+      this.gl.deleteShader(vertexShader);
+      this.gl.deleteShader(fragmentShader);
+      return null;
+    }
     
-    const program = this.gl.createProgram();
+    const program = this.resources.createProgram();
     this.gl.attachShader(program, vertexShader);
     this.gl.attachShader(program, fragmentShader);
     this.gl.linkProgram(program);
     
+    // Linked or not, the program no longer needs its shader objects
+    this.gl.deleteShader(vertexShader);
+    this.gl.deleteShader(fragmentShader);
+    
     if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
       console.error('Program link error:', this.gl.getProgramInfoLog(program));
+      this.resources.deleteProgram(program);
       return null;
     }
     
-    // Clean up shaders
-    this.gl.deleteShader(vertexShader);
-    this.gl.deleteShader(fragmentShader);
-    
     return program;
   }
 
   createShader(type, source) {
     const shader = this.gl.createShader(type);
-    this.gl.shaderSource(shader, source);
+    this.gl.shaderSource(shader, this.isWebGL2 ? source : this.toGLSL100(type, source));
     this.gl.compileShader(shader);
     
     if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
       console.error('Shader compile error:', this.gl.getShaderInfoLog(shader));
+      this.gl.deleteShader(shader);
       return null;
     }
     
     return shader;
   }
 
+  /**
+   * Downgrade a GLSL ES 3.00 shader to 1.00 for WebGL1 contexts
+   */
+  toGLSL100(type, source) {
+    let converted = source
+      .replace('#version 300 es', '')
+      .replace(/\btexture\(/g, 'texture2D(');
+    
+    if (type === this.gl.VERTEX_SHADER) {
+      converted = converted
+        .replace(/^(\s*)in\s/gm, '$1attribute ')
+        .replace(/^(\s*)out\s/gm, '$1varying ');
+    } else {
+      converted = converted
+        .replace(/^\s*out vec4 FragColor;\s*$/m, '')
+        .replace(/^(\s*)in\s/gm, '$1varying ')
+        .replace(/\bFragColor\b/g, 'gl_FragColor');
+    }
+    return converted;
+  }
+
   setupUniforms() {
-    this.uniforms = {
-      rotationXY: this.gl.getUniformLocation(this.program, 'u_rotationXY'),
-      rotationXZ: this.gl.getUniformLocation(this.program, 'u_rotationXZ'),
-      rotationYZ: this.gl.getUniformLocation(this.program, 'u_rotationYZ'),
-      rotationXW: this.gl.getUniformLocation(this.program, 'u_rotationXW'),
-      rotationYW: this.gl.getUniformLocation(this.program, 'u_rotationYW'),
-      rotationZW: this.gl.getUniformLocation(this.program, 'u_rotationZW'),
-      modelView: this.gl.getUniformLocation(this.program, 'u_modelView'),
-      projection: this.gl.getUniformLocation(this.program, 'u_projection'),
-      lightPosition: this.gl.getUniformLocation(this.program, 'u_lightPosition'),
-      time: this.gl.getUniformLocation(this.program, 'u_time'),
-      glassRefraction: this.gl.getUniformLocation(this.program, 'u_glassRefraction'),
-      holographicIntensity: this.gl.getUniformLocation(this.program, 'u_holographicIntensity'),
-      quantumParticleSize: this.gl.getUniformLocation(this.program, 'u_quantumParticleSize'),
-      viewDistance4D: this.gl.getUniformLocation(this.program, 'u_viewDistance4D'),
-      projectionType: this.gl.getUniformLocation(this.program, 'u_projectionType'),
-      noiseTexture: this.gl.getUniformLocation(this.program, 'u_noiseTexture')
+    this.uniforms = this.program ? this.getUniformLocations(this.program) : null;
+  }
+
+  getUniformLocations(program) {
+    return {
+      rotationXY: this.gl.getUniformLocation(program, 'u_rotationXY'),
+      rotationXZ: this.gl.getUniformLocation(program, 'u_rotationXZ'),
+      rotationYZ: this.gl.getUniformLocation(program, 'u_rotationYZ'),
+      rotationXW: this.gl.getUniformLocation(program, 'u_rotationXW'),
+      rotationYW: this.gl.getUniformLocation(program, 'u_rotationYW'),
+      rotationZW: this.gl.getUniformLocation(program, 'u_rotationZW'),
+      modelView: this.gl.getUniformLocation(program, 'u_modelView'),
+      projection: this.gl.getUniformLocation(program, 'u_projection'),
+      lightPosition: this.gl.getUniformLocation(program, 'u_lightPosition'),
+      time: this.gl.getUniformLocation(program, 'u_time'),
+      glassRefraction: this.gl.getUniformLocation(program, 'u_glassRefraction'),
+      holographicIntensity: this.gl.getUniformLocation(program, 'u_holographicIntensity'),
+      quantumParticleSize: this.gl.getUniformLocation(program, 'u_quantumParticleSize'),
+      viewDistance4D: this.gl.getUniformLocation(program, 'u_viewDistance4D'),
+      projectionType: this.gl.getUniformLocation(program, 'u_projectionType'),
+      noiseTexture: this.gl.getUniformLocation(program, 'u_noiseTexture')
     };
   }
 
   create4DRotationMatrix(plane, angle) {
-    const c = Math.cos(angle);
-    const s = Math.sin(angle);
-    const matrix = new Float32Array(16);
-    
-    // Initialize as identity matrix
-    for (let i = 0; i < 16; i++) {
-      matrix[i] = (i % 5 === 0 && i < 15) ? 1 : 0;
-    }
-    matrix[15] = 1; // w component
-    
-    switch (plane) {
-      case 'XY':
-        matrix[0] = c; matrix[1] = -s;
-        matrix[4] = s; matrix[5] = c;
-        break;
-      case 'XZ':
-        matrix[0] = c; matrix[2] = -s;
-        matrix[8] = s; matrix[10] = c;
-        break;
-      case 'YZ':
-        matrix[5] = c; matrix[6] = -s;
-        matrix[9] = s; matrix[10] = c;
-        break;
-      case 'XW':
-        matrix[0] = c; matrix[3] = -s;
-        matrix[12] = s; matrix[15] = c;
-        break;
-      case 'YW':
-        matrix[5] = c; matrix[7] = -s;
-        matrix[13] = s; matrix[15] = c;
-        break;
-      case 'ZW':
-        matrix[10] = c; matrix[11] = -s;
-        matrix[14] = s; matrix[15] = c;
-        break;
-    }
-    
-    return matrix;
+    return new Float32Array(mat4.rotation(plane, angle));
   }
 
   initializePolytopes() {
@@ -554,17 +658,19 @@ class EnhancedPolychoraSystem {
 
   createNoiseTexture() {
     const size = 256;
+    // Fresh copy of the seeded stream so the texture only depends on the seed
+    const noiseRandom = new SeededRandom(random.fork('noise-texture').seed);
     const data = new Uint8Array(size * size * 4);
     
     for (let i = 0; i < size * size; i++) {
-      const noise = Math.random();
+      const noise = noiseRandom.next();
       data[i * 4] = noise * 255;
       data[i * 4 + 1] = noise * 255;
       data[i * 4 + 2] = noise * 255;
       data[i * 4 + 3] = 255;
     }
     
-    this.noiseTexture = this.gl.createTexture();
+    this.noiseTexture = this.resources.createTexture();
     this.gl.bindTexture(this.gl.TEXTURE_2D, this.noiseTexture);
     this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, size, size, 0, 
                        this.gl.RGBA, this.gl.UNSIGNED_BYTE, data);
@@ -590,7 +696,11 @@ class EnhancedPolychoraSystem {
     const polytope = this.polytopes.get(polytopeName);
     
     if (polytope) {
-      this.renderPolytope(polytope);
+      if (this.lineProgram) {
+        this.renderPolytopeInstanced(polytope, timestamp);
+      } else {
+        this.renderPolytope(polytope);
+      }
     }
   }
 
@@ -602,51 +712,59 @@ class EnhancedPolychoraSystem {
     });
   }
 
-  updateUniforms(timestamp) {
+  /**
+   * Upload the per-frame uniforms to the program currently in use
+   * @param {number} timestamp
+   * @param {Object} uniforms - Locations for that program (this.uniforms or this.lineUniforms)
+   */
+  updateUniforms(timestamp, uniforms = this.uniforms) {
     const time = timestamp * 0.001;
     
     // Update rotation matrices
     Object.keys(this.rotationAngles).forEach(plane => {
       const angle = this.rotationAngles[plane];
       const matrix = this.create4DRotationMatrix(plane, angle);
-      const uniform = this.uniforms['rotation' + plane];
+      const uniform = uniforms['rotation' + plane];
       if (uniform) {
         this.gl.uniformMatrix4fv(uniform, false, matrix);
       }
     });
     
+    this.gl.uniformMatrix4fv(uniforms.modelView, false, this.modelView);
+    this.gl.uniformMatrix4fv(uniforms.projection, false, this.projection);
+    
     // Update other uniforms
-    this.gl.uniform1f(this.uniforms.time, time);
-    this.gl.uniform1f(this.uniforms.glassRefraction, this.parameters.glassRefraction);
-    this.gl.uniform1f(this.uniforms.holographicIntensity, this.parameters.holographicIntensity);
-    this.gl.uniform1f(this.uniforms.quantumParticleSize, this.parameters.quantumParticleSize);
-    this.gl.uniform1f(this.uniforms.viewDistance4D, this.parameters.viewDistance4D);
-    this.gl.uniform1i(this.uniforms.projectionType, this.projectionMethod === 'stereographic' ? 0 : 1);
+    this.gl.uniform1f(uniforms.time, time);
+    this.gl.uniform1f(uniforms.glassRefraction, this.parameters.glassRefraction);
+    this.gl.uniform1f(uniforms.holographicIntensity, this.parameters.holographicIntensity);
+    this.gl.uniform1f(uniforms.quantumParticleSize, this.parameters.quantumParticleSize);
+    this.gl.uniform1f(uniforms.viewDistance4D, this.parameters.viewDistance4D);
+    this.gl.uniform1i(uniforms.projectionType, this.projectionMethod === 'stereographic' ? 0 : 1);
     
     // Bind noise texture
     this.gl.activeTexture(this.gl.TEXTURE0);
     this.gl.bindTexture(this.gl.TEXTURE_2D, this.noiseTexture);
-    this.gl.uniform1i(this.uniforms.noiseTexture, 0);
+    this.gl.uniform1i(uniforms.noiseTexture, 0);
   }
 
   renderPolytope(polytope) {
     // Create and bind vertex buffer
     if (!polytope.vertexBuffer) {
-      polytope.vertexBuffer = this.gl.createBuffer();
+      polytope.vertexBuffer = this.resources.createBuffer();
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, polytope.vertexBuffer);
       this.gl.bufferData(this.gl.ARRAY_BUFFER, polytope.vertices, this.gl.STATIC_DRAW);
     }
     
     // Create and bind color buffer
     if (!polytope.colorBuffer) {
-      polytope.colorBuffer = this.gl.createBuffer();
+      polytope.colorBuffer = this.resources.createBuffer();
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, polytope.colorBuffer);
       this.gl.bufferData(this.gl.ARRAY_BUFFER, polytope.colors, this.gl.STATIC_DRAW);
     }
     
     // Create and bind index buffer
     if (!polytope.indexBuffer) {
-      polytope.indexBuffer = this.gl.createBuffer();
+      polytope.indexBuffer = this.resources.createBuffer();
       this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, polytope.indexBuffer);
       this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, polytope.indices, this.gl.STATIC_DRAW);
     }
@@ -670,8 +788,120 @@ class EnhancedPolychoraSystem {
     this.gl.drawArrays(this.gl.POINTS, 0, polytope.vertexCount);
   }
 
+  /**
+   * WebGL2 path: all edges in one instanced draw, vertices as points, attribute state in VAOs
+   */
+  renderPolytopeInstanced(polytope, timestamp) {
+    if (!polytope.edgeVAO) {
+      this.createPolytopeVAOs(polytope);
+    }
+    
+    const viewport = this.gl.getParameter(this.gl.VIEWPORT);
+    
+    this.gl.useProgram(this.lineProgram);
+    this.updateUniforms(timestamp, this.lineUniforms);
+    this.gl.uniform2f(this.lineUniforms.resolution, viewport[2], viewport[3]);
+    this.gl.uniform1f(this.lineUniforms.lineWidth, this.parameters.lineWidth);
+    
+    this.gl.bindVertexArray(polytope.edgeVAO);
+    this.gl.drawArraysInstanced(this.gl.TRIANGLE_STRIP, 0, 4, polytope.edgeCount);
+    
+    // render() already uploaded the point program's uniforms
+    this.gl.useProgram(this.program);
+    this.gl.bindVertexArray(polytope.pointVAO);
+    this.gl.drawArrays(this.gl.POINTS, 0, polytope.vertexCount);
+    
+    this.gl.bindVertexArray(null);
+  }
+
+  /**
+   * Build the per-edge instance buffer (start, end, start color, end color) and the VAOs
+   */
+  createPolytopeVAOs(polytope) {
+    const gl = this.gl;
+    const edgeCount = polytope.indices.length / 2;
+    const instanceData = new Float32Array(edgeCount * 16);
+    
+    for (let edge = 0; edge < edgeCount; edge++) {
+      const a = polytope.indices[edge * 2];
+      const b = polytope.indices[edge * 2 + 1];
+      const offset = edge * 16;
+      instanceData.set(polytope.vertices.subarray(a * 4, a * 4 + 4), offset);
+      instanceData.set(polytope.vertices.subarray(b * 4, b * 4 + 4), offset + 4);
+      instanceData.set(polytope.colors.subarray(a * 4, a * 4 + 4), offset + 8);
+      instanceData.set(polytope.colors.subarray(b * 4, b * 4 + 4), offset + 12);
+    }
+    
+    polytope.edgeCount = edgeCount;
+    polytope.instanceBuffer = this.resources.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, polytope.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, instanceData, gl.STATIC_DRAW);
+    
+    // Edge VAO: shared corner quad + one instance per edge
+    polytope.edgeVAO = this.resources.createVertexArray();
+    gl.bindVertexArray(polytope.edgeVAO);
+    
+    const cornerLocation = gl.getAttribLocation(this.lineProgram, 'a_corner');
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    gl.enableVertexAttribArray(cornerLocation);
+    gl.vertexAttribPointer(cornerLocation, 2, gl.FLOAT, false, 0, 0);
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, polytope.instanceBuffer);
+    ['a_start4D', 'a_end4D', 'a_startColor', 'a_endColor'].forEach((name, index) => {
+      const location = gl.getAttribLocation(this.lineProgram, name);
+      if (location === -1) return;
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(location, 4, gl.FLOAT, false, 64, index * 16);
+      gl.vertexAttribDivisor(location, 1);
+    });
+    
+    // Point VAO: polytope vertices through the main program
+    if (!polytope.vertexBuffer) {
+      polytope.vertexBuffer = this.resources.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, polytope.vertexBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, polytope.vertices, gl.STATIC_DRAW);
+    }
+    if (!polytope.colorBuffer) {
+      polytope.colorBuffer = this.resources.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, polytope.colorBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, polytope.colors, gl.STATIC_DRAW);
+    }
+    
+    polytope.pointVAO = this.resources.createVertexArray();
+    gl.bindVertexArray(polytope.pointVAO);
+    
+    const positionLocation = gl.getAttribLocation(this.program, 'a_position4D');
+    gl.bindBuffer(gl.ARRAY_BUFFER, polytope.vertexBuffer);
+    gl.enableVertexAttribArray(positionLocation);
+    gl.vertexAttribPointer(positionLocation, 4, gl.FLOAT, false, 0, 0);
+    
+    const colorLocation = gl.getAttribLocation(this.program, 'a_color');
+    gl.bindBuffer(gl.ARRAY_BUFFER, polytope.colorBuffer);
+    gl.enableVertexAttribArray(colorLocation);
+    gl.vertexAttribPointer(colorLocation, 4, gl.FLOAT, false, 0, 0);
+    
+    gl.bindVertexArray(null);
+  }
+
+  /**
+   * Add an imported polytope (parsePolytope() result) after the built-ins
+   * @returns {number} Geometry index that selects it
+   */
+  addPolytope(mesh) {
+    const lower = mesh.name.toLowerCase();
+    const name = BUILT_IN_POLYTOPES.includes(lower) ? `${lower} (imported)` : lower;
+    this.importedPolytopes.set(name, mesh);
+    // A copy, so the GL buffers and VAOs hung on it die with this context
+    this.polytopes.set(name, { ...mesh });
+    return this.getPolytopeNames().indexOf(name);
+  }
+
+  getPolytopeNames() {
+    return [...BUILT_IN_POLYTOPES, ...this.importedPolytopes.keys()];
+  }
+
   getPolytopeName() {
-    const names = ['tesseract', '16-cell', '24-cell', '120-cell', '600-cell', '5-cell'];
+    const names = this.getPolytopeNames();
     return names[this.parameters.geometry % names.length];
   }
 
@@ -689,22 +919,36 @@ class EnhancedPolychoraSystem {
     }
   }
 
-  dispose() {
-    // Clean up WebGL resources
-    if (this.program) {
-      this.gl.deleteProgram(this.program);
-    }
+  /**
+   * Rebuild programs, polytope buffers and the noise texture on a restored context.
+   * The lost objects cannot be deleted, so tracking simply starts over.
+   */
+  restoreContext() {
+    this.resources = new WebGLResourceManager(this.gl);
+    this.polytopes.clear();
+    this.program = null;
+    this.lineProgram = null;
     
-    if (this.noiseTexture) {
-      this.gl.deleteTexture(this.noiseTexture);
-    }
+    this.initializeShaders();
+    this.initializePolytopes();
+    this.importedPolytopes.forEach((mesh, name) => this.polytopes.set(name, { ...mesh }));
+    this.createNoiseTexture();
+  }
+
+  dispose() {
+    // Programs, noise texture, polytope buffers and VAOs are all tracked
+    this.resources.disposeAll();
     
-    // Clean up polytope buffers
     this.polytopes.forEach(polytope => {
-      if (polytope.vertexBuffer) this.gl.deleteBuffer(polytope.vertexBuffer);
-      if (polytope.colorBuffer) this.gl.deleteBuffer(polytope.colorBuffer);
-      if (polytope.indexBuffer) this.gl.deleteBuffer(polytope.indexBuffer);
+      delete polytope.vertexBuffer;
+      delete polytope.colorBuffer;
+      delete polytope.indexBuffer;
+      delete polytope.instanceBuffer;
+      delete polytope.edgeVAO;
+      delete polytope.pointVAO;
     });
+    this.program = null;
+    this.lineProgram = null;
   }
 }
 
@@ -0,0 +1,211 @@
+/**
+ * VIB34D Expressions
+ * A small arithmetic language for parameter bindings, e.g. `200 + 60*sin(t*0.3)` or `audio.bass*0.8`.
+ * Source is parsed into closures - no eval or Function - and can only read numbers from the scope
+ * it is given and call the functions listed here. Exported cards embed the same compiler through
+ * expressionCardScript().
+ *
+ * Grammar, loosest binding first: a ? b : c, ||, &&, comparisons (== != < > <= >=), + -, * / %,
+ * unary - + !, ^ (power, right-associative). Comparisons and logic yield 1 or 0.
+ */
+
+// Written as arrows so the card script can embed their source
+export const EXPRESSION_FUNCTIONS = {
+    sin: x => Math.sin(x),
+    cos: x => Math.cos(x),
+    tan: x => Math.tan(x),
+    asin: x => Math.asin(x),
+    acos: x => Math.acos(x),
+    atan: x => Math.atan(x),
+    atan2: (y, x) => Math.atan2(y, x),
+    abs: x => Math.abs(x),
+    sign: x => Math.sign(x),
+    floor: x => Math.floor(x),
+    ceil: x => Math.ceil(x),
+    round: x => Math.round(x),
+    fract: x => x - Math.floor(x),
+    sqrt: x => Math.sqrt(x),
+    exp: x => Math.exp(x),
+    log: x => Math.log(x),
+    pow: (x, y) => Math.pow(x, y),
+    mod: (x, y) => ((x % y) + y) % y,
+    min: (...values) => Math.min(...values),
+    max: (...values) => Math.max(...values),
+    clamp: (x, low, high) => Math.min(high, Math.max(low, x)),
+    mix: (a, b, t) => a + (b - a) * t,
+    step: (edge, x) => (x < edge ? 0 : 1),
+    smoothstep: (edge0, edge1, x) => {
+        const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+        return t * t * (3 - 2 * t);
+    }
+};
+
+export const EXPRESSION_CONSTANTS = { pi: Math.PI, tau: Math.PI * 2, e: Math.E };
+
+/**
+ * Parse an expression
+ * @param {string} source
+ * @returns {{source: string, variables: string[], evaluate: Function}} evaluate(scope) returns a
+ *   number (NaN when a variable is missing); variables lists the scope names it reads
+ * @throws {Error} On a syntax error, unknown function or wrong argument count
+ */
+export function compileExpression(source) {
+    const text = String(source).trim();
+    const own = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+    const fail = (message, position) => {
+        throw new Error(`${message} at column ${position + 1} of "${text}"`);
+    };
+
+    // Tokens: numbers, names, operators
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(<=|>=|==|!=|&&|\|\||[-+*/%^(),.?:<>!]))/y;
+    let offset = 0;
+    while (offset < text.length) {
+        pattern.lastIndex = offset;
+        const match = pattern.exec(text);
+        if (!match) {
+            const position = text.length - text.slice(offset).trimStart().length;
+            fail(`Unexpected "${text[position]}"`, position);
+        }
+        const position = match.index + match[0].length - (match[1] || match[2] || match[3]).length;
+        if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]), position });
+        else if (match[2]) tokens.push({ type: 'name', value: match[2], position });
+        else tokens.push({ type: 'operator', value: match[3], position });
+        offset = pattern.lastIndex;
+    }
+    if (tokens.length === 0) fail('Empty expression', 0);
+
+    let index = 0;
+    const variables = new Set();
+    const peek = () => tokens[index];
+    const accept = value => {
+        if (peek() && peek().type === 'operator' && peek().value === value) {
+            index++;
+            return true;
+        }
+        return false;
+    };
+    const expect = value => {
+        if (!accept(value)) fail(`Expected "${value}"`, peek() ? peek().position : text.length);
+    };
+    const binary = (next, operators) => () => {
+        let left = next();
+        for (;;) {
+            const operator = operators[peek() && peek().type === 'operator' ? peek().value : ''];
+            if (!operator) return left;
+            index++;
+            const a = left;
+            const b = next();
+            left = scope => operator(a(scope), b(scope));
+        }
+    };
+
+    const primary = () => {
+        const token = tokens[index++];
+        if (!token) fail('Unexpected end', text.length);
+
+        if (token.type === 'number') {
+            return () => token.value;
+        }
+        if (token.type === 'operator' && token.value === '(') {
+            const inner = expression();
+            expect(')');
+            return inner;
+        }
+        if (token.type !== 'name') fail(`Unexpected "${token.value}"`, token.position);
+
+        if (accept('(')) {
+            if (!own(EXPRESSION_FUNCTIONS, token.value)) fail(`Unknown function "${token.value}"`, token.position);
+            const fn = EXPRESSION_FUNCTIONS[token.value];
+            const args = [];
+            if (!accept(')')) {
+                do {
+                    args.push(expression());
+                } while (accept(','));
+                expect(')');
+            }
+            if (fn.length ? args.length !== fn.length : args.length === 0) {
+                fail(`${token.value}() takes ${fn.length || 'at least 1'} argument(s)`, token.position);
+            }
+            return scope => fn(...args.map(arg => arg(scope)));
+        }
+
+        const path = [];
+        while (accept('.')) {
+            const member = tokens[index++];
+            if (!member || member.type !== 'name') fail('Expected a name after "."', member ? member.position : text.length);
+            path.push(member.value);
+        }
+        if (own(EXPRESSION_CONSTANTS, token.value)) {
+            if (path.length) fail(`Constant "${token.value}" has no members`, token.position);
+            const constant = EXPRESSION_CONSTANTS[token.value];
+            return () => constant;
+        }
+
+        variables.add(token.value);
+        return scope => {
+            let value = own(scope, token.value) ? scope[token.value] : undefined;
+            for (const member of path) {
+                value = value !== null && typeof value === 'object' && own(value, member) ? value[member] : undefined;
+            }
+            return typeof value === 'number' ? value : NaN;
+        };
+    };
+
+    const power = () => {
+        const base = primary();
+        if (!accept('^')) return base;
+        const exponent = unary();
+        return scope => Math.pow(base(scope), exponent(scope));
+    };
+
+    const unary = () => {
+        if (accept('-')) {
+            const operand = unary();
+            return scope => -operand(scope);
+        }
+        if (accept('+')) return unary();
+        if (accept('!')) {
+            const operand = unary();
+            return scope => (operand(scope) ? 0 : 1);
+        }
+        return power();
+    };
+
+    const multiplicative = binary(unary, { '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b });
+    const additive = binary(multiplicative, { '+': (a, b) => a + b, '-': (a, b) => a - b });
+    const comparison = binary(additive, {
+        '<': (a, b) => +(a < b), '>': (a, b) => +(a > b), '<=': (a, b) => +(a <= b),
+        '>=': (a, b) => +(a >= b), '==': (a, b) => +(a === b), '!=': (a, b) => +(a !== b)
+    });
+    const and = binary(comparison, { '&&': (a, b) => +(!!a && !!b) });
+    const or = binary(and, { '||': (a, b) => +(!!a || !!b) });
+
+    function expression() {
+        const condition = or();
+        if (!accept('?')) return condition;
+        const whenTrue = expression();
+        expect(':');
+        const whenFalse = expression();
+        return scope => (condition(scope) ? whenTrue(scope) : whenFalse(scope));
+    }
+
+    const evaluate = expression();
+    if (index < tokens.length) fail(`Unexpected "${peek().value}"`, peek().position);
+
+    return { source: text, variables: [...variables], evaluate };
+}
+
+/**
+ * Standalone source for exported cards: defines EXPRESSION_FUNCTIONS, EXPRESSION_CONSTANTS and compileExpression
+ */
+export function expressionCardScript() {
+    const functions = Object.entries(EXPRESSION_FUNCTIONS).map(([name, fn]) => `${name}: ${fn}`).join(',\n    ');
+    return `
+const EXPRESSION_FUNCTIONS = {
+    ${functions}
+};
+const EXPRESSION_CONSTANTS = ${JSON.stringify(EXPRESSION_CONSTANTS)};
+${compileExpression.toString()}
+`;
+}
@@ -0,0 +1,450 @@
+/**
+ * VIB34D 4D Math
+ * CPU-side vectors, matrices, bivectors and rotors for 4D space, shared by the physics, the
+ * polytope meshes and the renderers.
+ *
+ * Conventions:
+ * - vec4 is a plain [x, y, z, w] array.
+ * - mat4 and mat5 are flat row-major arrays (m[row * n + col]); mat5 is homogeneous, with the
+ *   translation in the last column. The `rotation4d` shader chunk writes the same numbers into
+ *   its mat4 constructors, but GLSL reads them column by column, so shaders turn points by the
+ *   inverse rotation. Uploading these arrays with transpose = false behaves the same way.
+ * - Bivectors have six components in ROTATION_PLANES order, the order of physics rotations
+ *   and angular velocities. A bivector θ·XY turns X toward Y by θ radians.
+ * - Rotors are even elements of the geometric algebra Cl(4):
+ *   [scalar, XY, XZ, YZ, XW, YW, ZW, XYZW]. Unlike six Euler-style angles they compose and
+ *   interpolate without depending on plane order.
+ */
+
+export const ROTATION_PLANES = ['XY', 'XZ', 'YZ', 'XW', 'YW', 'ZW'];
+
+// Axis indices spanned by each rotation plane
+export const PLANE_AXES = {
+    XY: [0, 1], XZ: [0, 2], YZ: [1, 2],
+    XW: [0, 3], YW: [1, 3], ZW: [2, 3]
+};
+
+// Distance of the perspective eye from the origin along W, as in the `projection` chunk
+export const PERSPECTIVE_DISTANCE = 2.5;
+
+// === VECTORS ===
+
+export const vec4 = {
+    add: (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2], a[3] + b[3]],
+    sub: (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2], a[3] - b[3]],
+    scale: (v, scalar) => [v[0] * scalar, v[1] * scalar, v[2] * scalar, v[3] * scalar],
+    dot: (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3],
+    length: v => Math.hypot(v[0], v[1], v[2], v[3]),
+    distance: (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2], a[3] - b[3]),
+    lerp: (a, b, t) => a.map((value, i) => value + (b[i] - value) * t),
+
+    /**
+     * Unit vector, or zero when shorter than epsilon
+     */
+    normalize(v, epsilon = 1e-9) {
+        const length = vec4.length(v);
+        return length > epsilon ? vec4.scale(v, 1 / length) : [0, 0, 0, 0];
+    }
+};
+
+// === MATRICES ===
+
+function identity(size) {
+    return Array.from({ length: size * size }, (_, i) => (i % (size + 1) === 0 ? 1 : 0));
+}
+
+function multiply(a, b, size) {
+    const result = new Array(size * size).fill(0);
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            let sum = 0;
+            for (let k = 0; k < size; k++) {
+                sum += a[row * size + k] * b[k * size + col];
+            }
+            result[row * size + col] = sum;
+        }
+    }
+    return result;
+}
+
+function transpose(m, size) {
+    return m.map((_, i) => m[(i % size) * size + Math.floor(i / size)]);
+}
+
+function transform(m, v, size) {
+    return Array.from({ length: size }, (_, row) => v.reduce((sum, value, col) => sum + m[row * size + col] * value, 0));
+}
+
+/**
+ * Gauss-Jordan inverse with partial pivoting
+ * @returns {number[]|null} null when the matrix is singular
+ */
+function invert(m, size) {
+    const work = Array.from(m);
+    const result = identity(size);
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(work[row * size + col]) > Math.abs(work[pivot * size + col])) pivot = row;
+        }
+        if (Math.abs(work[pivot * size + col]) < 1e-12) return null;
+
+        for (let k = 0; k < size; k++) {
+            [work[col * size + k], work[pivot * size + k]] = [work[pivot * size + k], work[col * size + k]];
+            [result[col * size + k], result[pivot * size + k]] = [result[pivot * size + k], result[col * size + k]];
+        }
+        const scale = 1 / work[col * size + col];
+        for (let k = 0; k < size; k++) {
+            work[col * size + k] *= scale;
+            result[col * size + k] *= scale;
+        }
+        for (let row = 0; row < size; row++) {
+            const factor = work[row * size + col];
+            if (row === col || factor === 0) continue;
+            for (let k = 0; k < size; k++) {
+                work[row * size + k] -= factor * work[col * size + k];
+                result[row * size + k] -= factor * result[col * size + k];
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Angles for the six planes, from an array in ROTATION_PLANES order or an object keyed by
+ * plane name ({ XY, XW, ... }) or parameter name ({ rot4dXY, rot4dXW, ... })
+ */
+function planeAngles(angles) {
+    if (Array.isArray(angles) || ArrayBuffer.isView(angles)) {
+        return ROTATION_PLANES.map((_, i) => angles[i] || 0);
+    }
+    return ROTATION_PLANES.map(plane => angles[plane] ?? angles[`rot4d${plane}`] ?? 0);
+}
+
+export const mat4 = {
+    identity: () => identity(4),
+    multiply: (a, b) => multiply(a, b, 4),
+    transpose: m => transpose(m, 4),
+    invert: m => invert(m, 4),
+    transformVec4: (m, v) => transform(m, v, 4),
+
+    /**
+     * Rotation in one plane, turning its first axis toward its second
+     * @param {string} plane - One of ROTATION_PLANES
+     * @param {number} angle - Radians
+     */
+    rotation(plane, angle) {
+        const axes = PLANE_AXES[plane];
+        if (!axes) {
+            throw new Error(`Unknown rotation plane "${plane}"`);
+        }
+        const [a, b] = axes;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const m = identity(4);
+        m[a * 4 + a] = cos;
+        m[a * 4 + b] = -sin;
+        m[b * 4 + a] = sin;
+        m[b * 4 + b] = cos;
+        return m;
+    },
+
+    /**
+     * Plane rotations applied one after another
+     * @param {number[]|Object} angles - See planeAngles()
+     * @param {string[]} [order] - Plane applied first comes first
+     */
+    fromAngles(angles, order = ROTATION_PLANES) {
+        const values = planeAngles(angles);
+        return order.reduce((m, plane) => mat4.multiply(mat4.rotation(plane, values[ROTATION_PLANES.indexOf(plane)]), m), identity(4));
+    }
+};
+
+export const mat5 = {
+    identity: () => identity(5),
+    multiply: (a, b) => multiply(a, b, 5),
+    transpose: m => transpose(m, 5),
+    invert: m => invert(m, 5),
+
+    /**
+     * Rigid transform: rotate by a mat4, then translate
+     */
+    fromRotationTranslation(rotation = identity(4), translation = [0, 0, 0, 0]) {
+        const m = identity(5);
+        for (let row = 0; row < 4; row++) {
+            for (let col = 0; col < 4; col++) {
+                m[row * 5 + col] = rotation[row * 4 + col];
+            }
+            m[row * 5 + 4] = translation[row];
+        }
+        return m;
+    },
+
+    translation: offset => mat5.fromRotationTranslation(identity(4), offset),
+
+    scaling(factors) {
+        const scales = typeof factors === 'number' ? [factors, factors, factors, factors] : factors;
+        const m = identity(5);
+        scales.forEach((scale, axis) => { m[axis * 6] = scale; });
+        return m;
+    },
+
+    /**
+     * Perspective along W from an eye at distance on the -W side: after the homogeneous divide
+     * x, y, z match projection.perspective(). Composes with rigid transforms into one matrix.
+     */
+    perspective(distance = PERSPECTIVE_DISTANCE) {
+        const m = identity(5);
+        m[4 * 5 + 3] = 1 / distance;
+        return m;
+    },
+
+    /**
+     * Transform a point, dividing by the homogeneous coordinate
+     */
+    transformPoint(m, point) {
+        const [x, y, z, w, h] = transform(m, [point[0], point[1], point[2], point[3], 1], 5);
+        const scale = Math.abs(h) > 1e-12 ? 1 / h : 1;
+        return [x * scale, y * scale, z * scale, w * scale];
+    },
+
+    /**
+     * Transform a direction (no translation or divide)
+     */
+    transformVector: (m, vector) => transform(m, [vector[0], vector[1], vector[2], vector[3], 0], 5).slice(0, 4)
+};
+
+// === BIVECTORS ===
+
+export const bivector = {
+    /**
+     * Single-plane bivector of the given angle
+     */
+    fromPlane(plane, angle) {
+        const index = ROTATION_PLANES.indexOf(plane);
+        if (index === -1) {
+            throw new Error(`Unknown rotation plane "${plane}"`);
+        }
+        const result = [0, 0, 0, 0, 0, 0];
+        result[index] = angle;
+        return result;
+    },
+
+    /**
+     * Outer product a ∧ b, the oriented plane of two vectors
+     */
+    wedge: (a, b) => ROTATION_PLANES.map(plane => {
+        const [i, j] = PLANE_AXES[plane];
+        return a[i] * b[j] - a[j] * b[i];
+    }),
+
+    add: (a, b) => a.map((value, i) => value + b[i]),
+    scale: (b, scalar) => b.map(value => value * scalar),
+    magnitude: b => Math.hypot(...b),
+
+    /**
+     * Velocity of a point turning with angular velocity b about the origin
+     */
+    pointVelocity(b, point) {
+        const velocity = [0, 0, 0, 0];
+        ROTATION_PLANES.forEach((plane, i) => {
+            const [first, second] = PLANE_AXES[plane];
+            velocity[second] += b[i] * point[first];
+            velocity[first] -= b[i] * point[second];
+        });
+        return velocity;
+    },
+
+    /**
+     * Simple bivectors span one plane; general 4D bivectors are two orthogonal rotations
+     */
+    isSimple: (b, epsilon = 1e-9) => Math.abs(b[0] * b[5] - b[1] * b[4] + b[2] * b[3]) < epsilon
+};
+
+// === ROTORS ===
+
+// Basis blades as bit masks (X = 1, Y = 2, Z = 4, W = 8), in rotor component order
+const ROTOR_BLADES = [0, 3, 5, 6, 9, 10, 12, 15];
+const VECTOR_BLADES = [1, 2, 4, 8];
+const PSEUDOSCALAR = [0, 0, 0, 0, 0, 0, 0, 1];
+
+// Sign of the reordering when two Euclidean basis blades are multiplied
+function bladeSign(a, b) {
+    let swaps = 0;
+    for (let shifted = a >> 1; shifted !== 0; shifted >>= 1) {
+        let common = shifted & b;
+        while (common !== 0) {
+            swaps += common & 1;
+            common >>= 1;
+        }
+    }
+    return swaps % 2 === 0 ? 1 : -1;
+}
+
+/**
+ * Geometric product of multivectors given as { blade mask: coefficient } maps
+ */
+function geometricProduct(a, b) {
+    const result = new Map();
+    a.forEach((valueA, bladeA) => {
+        b.forEach((valueB, bladeB) => {
+            const blade = bladeA ^ bladeB;
+            result.set(blade, (result.get(blade) || 0) + bladeSign(bladeA, bladeB) * valueA * valueB);
+        });
+    });
+    return result;
+}
+
+const toBlades = (values, blades) => new Map(blades.map((blade, i) => [blade, values[i]]));
+const fromBlades = (multivector, blades) => blades.map(blade => multivector.get(blade) || 0);
+
+/**
+ * The two isoclinic halves of an even element, split by the pseudoscalar I (P± = (1 ± I) / 2).
+ * Each half behaves like a quaternion: a unit rotor half is cos φ·P± plus a bivector part of
+ * magnitude sin φ, and a bivector half of magnitude β turns both of its planes by β.
+ * @returns {Object[]} { sign, scalar, magnitude, planes } for I = +1 and I = -1
+ */
+function rotorHalves(r) {
+    const dual = rotor.multiply(PSEUDOSCALAR, r);
+    return [1, -1].map(sign => {
+        const half = r.map((value, i) => (value + sign * dual[i]) / 2);
+        const planes = half.slice(1, 7);
+        return { sign, scalar: 2 * half[0], magnitude: Math.SQRT2 * Math.hypot(...planes), planes };
+    });
+}
+
+/**
+ * Even element from the scalar and bivector part of each half
+ */
+function fromHalves(halves) {
+    const result = [0, 0, 0, 0, 0, 0, 0, 0];
+    halves.forEach(({ sign, scalar, planes }) => {
+        result[0] += scalar / 2;
+        result[7] += sign * scalar / 2;
+        planes.forEach((value, i) => { result[i + 1] += value; });
+    });
+    return result;
+}
+
+export const rotor = {
+    identity: () => [1, 0, 0, 0, 0, 0, 0, 0],
+
+    /**
+     * Geometric product: applying the result is applying b, then a
+     */
+    multiply: (a, b) => fromBlades(geometricProduct(toBlades(a, ROTOR_BLADES), toBlades(b, ROTOR_BLADES)), ROTOR_BLADES),
+
+    /**
+     * Reverse, the inverse of a unit rotor
+     */
+    reverse: r => [r[0], -r[1], -r[2], -r[3], -r[4], -r[5], -r[6], r[7]],
+
+    /**
+     * Rotation in one plane, turning its first axis toward its second
+     */
+    fromPlane: (plane, angle) => rotor.fromBivector(bivector.fromPlane(plane, angle)),
+
+    /**
+     * Plane rotations applied one after another, like mat4.fromAngles()
+     */
+    fromAngles(angles, order = ROTATION_PLANES) {
+        const values = planeAngles(angles);
+        return order.reduce((r, plane) => rotor.multiply(rotor.fromPlane(plane, values[ROTATION_PLANES.indexOf(plane)]), r), rotor.identity());
+    },
+
+    /**
+     * Exponential: the rotation a bivector describes, exp(-B / 2). Angular velocity × dt gives
+     * the rotation over that step.
+     */
+    fromBivector(b) {
+        return fromHalves(rotorHalves([0, ...b, 0]).map(({ sign, magnitude: angle, planes }) => {
+            const factor = angle > 1e-12 ? -Math.sin(angle / 2) / angle : -0.5;
+            return { sign, scalar: Math.cos(angle / 2), planes: planes.map(value => value * factor) };
+        }));
+    },
+
+    /**
+     * Logarithm: the principal bivector whose exponential is the rotor
+     */
+    toBivector(r) {
+        const result = [0, 0, 0, 0, 0, 0];
+        rotorHalves(r).forEach(({ scalar, magnitude, planes }) => {
+            const angle = Math.atan2(magnitude, scalar);
+            const factor = magnitude > 1e-12 ? -2 * angle / magnitude : -2;
+            planes.forEach((value, i) => { result[i] += value * factor; });
+        });
+        return result;
+    },
+
+    /**
+     * Rescale both halves to unit length, removing drift from repeated products
+     */
+    normalize(r) {
+        return fromHalves(rotorHalves(r).map(({ sign, scalar, magnitude, planes }) => {
+            const length = Math.hypot(scalar, magnitude) || 1;
+            return { sign, scalar: scalar / length, planes: planes.map(value => value / length) };
+        }));
+    },
+
+    /**
+     * Rotate a vector: R v R̃
+     */
+    apply(r, v) {
+        const sandwich = geometricProduct(geometricProduct(toBlades(r, ROTOR_BLADES), toBlades(v, VECTOR_BLADES)), toBlades(rotor.reverse(r), ROTOR_BLADES));
+        return fromBlades(sandwich, VECTOR_BLADES);
+    },
+
+    /**
+     * Row-major rotation matrix of the rotor
+     */
+    toMat4(r) {
+        const columns = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]].map(axis => rotor.apply(r, axis));
+        return identity(4).map((_, i) => columns[i % 4][Math.floor(i / 4)]);
+    },
+
+    /**
+     * Shortest-path spherical interpolation between orientations. Each isoclinic half turns at
+     * a constant rate, so the in-between orientations are true rotations.
+     * @param {number[]} a - Rotor at t = 0
+     * @param {number[]} b - Rotor at t = 1
+     * @param {number} t
+     */
+    slerp(a, b, t) {
+        let halves = rotorHalves(rotor.multiply(rotor.reverse(a), b));
+        const angles = halves.map(({ scalar, magnitude }) => Math.atan2(magnitude, scalar));
+        // r and -r are the same rotation; take the one with less turning
+        if (angles[0] + angles[1] > Math.PI) {
+            halves = rotorHalves(rotor.multiply(rotor.reverse(a), b.map(value => -value)));
+        }
+
+        const delta = fromHalves(halves.map(({ sign, scalar, magnitude, planes }) => {
+            const angle = Math.atan2(magnitude, scalar);
+            const factor = magnitude > 1e-12 ? Math.sin(angle * t) / magnitude : t;
+            return { sign, scalar: Math.cos(angle * t), planes: planes.map(value => value * factor) };
+        }));
+        return rotor.multiply(a, delta);
+    }
+};
+
+// === PROJECTIONS ===
+
+export const projection = {
+    /**
+     * Perspective from an eye on the -W axis
+     */
+    perspective([x, y, z, w], distance = PERSPECTIVE_DISTANCE) {
+        const scale = distance / (distance + w);
+        return [x * scale, y * scale, z * scale];
+    },
+
+    orthographic: ([x, y, z]) => [x, y, z],
+
+    /**
+     * Stereographic projection from the W pole of the 3-sphere through the point
+     */
+    stereographic([x, y, z, w]) {
+        const radius = Math.max(Math.hypot(x, y, z, w), 0.0001);
+        const scale = 1 / Math.max(1 - w / radius, 0.1);
+        return [x * scale, y * scale, z * scale];
+    }
+};
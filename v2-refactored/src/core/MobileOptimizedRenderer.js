@@ -111,6 +111,7 @@ class MobileOptimizedRenderer {
         particleCount: 1000,
         shadowQuality: 'high',
         postProcessing: true,
+        postProcessingBudget: 8, // Full-screen post steps per frame (bloom costs 4)
         antialiasing: true,
         complexity: 1.0
       },
@@ -120,7 +121,8 @@ class MobileOptimizedRenderer {
         textureResolution: 0.75,
         particleCount: 500,
         shadowQuality: 'medium',
-        postProcessing: false,
+        postProcessing: true,
+        postProcessingBudget: 3,
         antialiasing: false,
         complexity: 0.7
       },
@@ -131,6 +133,7 @@ class MobileOptimizedRenderer {
         particleCount: 200,
         shadowQuality: 'none',
         postProcessing: false,
+        postProcessingBudget: 0,
         antialiasing: false,
         complexity: 0.4
       }
@@ -200,9 +203,10 @@ class MobileOptimizedRenderer {
       settings.complexity = Math.max(0.2, settings.complexity - 0.1);
     }
     
-    // Disable post processing
+    // Halve the post-processing budget (expensive passes drop first), then disable it
     if (settings.postProcessing) {
-      settings.postProcessing = false;
+      settings.postProcessingBudget = Math.floor(settings.postProcessingBudget / 2);
+      settings.postProcessing = settings.postProcessingBudget > 0;
     }
     
     // Disable antialiasing
@@ -242,7 +246,11 @@ class MobileOptimizedRenderer {
     }
     
     // Enable features if performance allows
-    if (!settings.postProcessing && originalSettings.postProcessing) {
+    if (originalSettings.postProcessing && settings.postProcessingBudget < originalSettings.postProcessingBudget) {
+      settings.postProcessingBudget = Math.min(
+        originalSettings.postProcessingBudget,
+        Math.max(1, settings.postProcessingBudget * 2)
+      );
       settings.postProcessing = true;
     }
     
@@ -266,7 +274,8 @@ class MobileOptimizedRenderer {
       tier: this.deviceProfile.tier,
       textureResolution: this.qualitySettings.textureResolution,
       particleCount: this.qualitySettings.particleCount,
-      complexity: this.qualitySettings.complexity
+      complexity: this.qualitySettings.complexity,
+      postProcessingBudget: this.qualitySettings.postProcessing ? this.qualitySettings.postProcessingBudget : 0
     };
   }
 
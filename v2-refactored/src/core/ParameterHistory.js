@@ -0,0 +1,203 @@
+/**
+ * VIB34D Parameter History
+ * Undo/redo for parameter edits. Every edit is recorded with the system it was made in, so the
+ * history survives system switches. Consecutive edits of one parameter (a slider drag) merge
+ * into a single step until commit(); batch() turns multi-parameter edits into one step.
+ */
+
+export class ParameterHistory {
+    /**
+     * @param {Object} options
+     * @param {Function} options.apply - (system, { param: value }) restores values; may return a promise.
+     *   system is null when the step only touched shared parameters.
+     * @param {Function} options.read - (system, param) current value, or undefined when unknown
+     * @param {number} [options.limit] - Steps kept on the undo stack
+     * @param {Storage} [options.storage] - Persist both stacks here (e.g. sessionStorage)
+     * @param {string} [options.storageKey]
+     */
+    constructor({ apply, read, limit = 100, storage = null, storageKey = 'vib34d-parameter-history' }) {
+        this.apply = apply;
+        this.read = read;
+        this.limit = limit;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;     // Step still being edited: { system, changes: { param: { before, after } } }
+        this.batching = 0;
+        this.applying = false;   // Undo/redo (and ignore()) edits are not recorded
+        this.listeners = new Set();
+        this.restore();
+    }
+
+    /**
+     * Record an edit. Called before the new value is applied, so read() still sees the old one.
+     * @param {string|null} system - null for parameters shared by every system
+     * @param {string} param
+     * @param {number} value
+     */
+    record(system, param, value) {
+        if (this.applying) return;
+
+        // A different parameter outside a batch, or another system's edit, starts a new step.
+        // Shared parameters (system null) join whichever system's step is open.
+        const otherSystem = system !== null && this.pending?.system != null && this.pending.system !== system;
+        if (this.pending && (otherSystem || (!this.batching && !(param in this.pending.changes)))) {
+            this.commit();
+        }
+        if (!this.pending) {
+            this.pending = { system, changes: {} };
+            this.notify();
+        }
+        this.pending.system = this.pending.system ?? system;
+
+        const change = this.pending.changes[param];
+        if (change) {
+            change.after = value;
+        } else {
+            this.pending.changes[param] = { before: this.read(system, param), after: value };
+        }
+    }
+
+    /**
+     * Close the step being edited (slider released). Steps that changed nothing are dropped.
+     */
+    commit() {
+        const step = this.pending;
+        this.pending = null;
+        if (!step) return false;
+
+        Object.entries(step.changes).forEach(([param, { before, after }]) => {
+            if (before === undefined || before === after) delete step.changes[param];
+        });
+        if (Object.keys(step.changes).length === 0) return false;
+
+        this.undoStack.push(step);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.save();
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Run fn and record everything it edits as one step (randomize, reset)
+     */
+    batch(fn) {
+        this.commit();
+        this.batching++;
+        try {
+            return fn();
+        } finally {
+            this.batching--;
+            if (this.batching === 0) this.commit();
+        }
+    }
+
+    /**
+     * Run fn without recording (timeline playback, loading a saved state)
+     */
+    ignore(fn) {
+        const applying = this.applying;
+        this.applying = true;
+        try {
+            return fn();
+        } finally {
+            this.applying = applying;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0 || this.pending !== null;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The step undone
+     */
+    async undo() {
+        this.commit();
+        const step = this.undoStack.pop();
+        if (!step) return null;
+
+        this.redoStack.push(step);
+        await this.restoreStep(step, 'before');
+        return step;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The step redone
+     */
+    async redo() {
+        this.commit();
+        const step = this.redoStack.pop();
+        if (!step) return null;
+
+        this.undoStack.push(step);
+        await this.restoreStep(step, 'after');
+        return step;
+    }
+
+    async restoreStep(step, side) {
+        const values = {};
+        Object.entries(step.changes).forEach(([param, change]) => {
+            values[param] = change[side];
+        });
+
+        this.save();
+        this.notify();
+        this.applying = true;
+        try {
+            await this.apply(step.system, values);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+        this.save();
+        this.notify();
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ undo: this.undoStack, redo: this.redoStack }));
+        } catch (error) {
+            console.warn('⚠️ Could not persist parameter history:', error.message);
+        }
+    }
+
+    restore() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.undoStack = Array.isArray(saved.undo) ? saved.undo.slice(-this.limit) : [];
+                this.redoStack = Array.isArray(saved.redo) ? saved.redo : [];
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable parameter history:', error.message);
+        }
+    }
+
+    /**
+     * Subscribe to stack changes - returns an unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+        this.listeners.forEach(callback => callback(this));
+    }
+}
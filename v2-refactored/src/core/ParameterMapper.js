@@ -3,6 +3,8 @@
  * Solves the parameter format chaos between VIB34D, Holographic, and Polychora systems
  */
 
+import { PARAMETER_SCHEMA } from './ParameterSchema.js';
+
 export class ParameterMapper {
     constructor() {
         // Define parameter mappings between systems
@@ -16,6 +18,10 @@ export class ParameterMapper {
                     rot4dXW: 'rot4dXW',
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
+                    rot4dXY: 'rot4dXY',
+                    rot4dXZ: 'rot4dXZ',
+                    rot4dYZ: 'rot4dYZ',
+                    projection: 'projection',
                     dimension: 'dimension',
                     chaos: 'chaos',
                     speed: 'speed',
@@ -28,6 +34,10 @@ export class ParameterMapper {
                     rot4dXW: 'rot4dXW',
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
+                    rot4dXY: 'rot4dXY',
+                    rot4dXZ: 'rot4dXZ',
+                    rot4dYZ: 'rot4dYZ',
+                    projection: 'projection',
                     dimension: 'dimension',
                     chaos: 'chaos',
                     speed: 'speed',
@@ -45,7 +55,14 @@ export class ParameterMapper {
                     morph: 'morph',
                     hue: 'hue',
                     saturation: 'saturation',
-                    intensity: 'intensity'
+                    intensity: 'intensity',
+                    rot4dXW: 'rot4dXW',
+                    rot4dYW: 'rot4dYW',
+                    rot4dZW: 'rot4dZW',
+                    rot4dXY: 'rot4dXY',
+                    rot4dXZ: 'rot4dXZ',
+                    rot4dYZ: 'rot4dYZ',
+                    projection: 'projection'
                 },
                 from: {
                     geometryType: 'geometryType',
@@ -55,7 +72,14 @@ export class ParameterMapper {
                     morph: 'morph',
                     hue: 'hue',
                     saturation: 'saturation',
-                    intensity: 'intensity'
+                    intensity: 'intensity',
+                    rot4dXW: 'rot4dXW',
+                    rot4dYW: 'rot4dYW',
+                    rot4dZW: 'rot4dZW',
+                    rot4dXY: 'rot4dXY',
+                    rot4dXZ: 'rot4dXZ',
+                    rot4dYZ: 'rot4dYZ',
+                    projection: 'projection'
                 }
             },
             
@@ -76,10 +100,10 @@ export class ParameterMapper {
                     dimension: 'dimension',
                     speed: 'speed',
                     hue: 'hue',
-                    // Future 4D rotations
                     rot4dXY: 'rot4dXY',
                     rot4dXZ: 'rot4dXZ',
-                    rot4dYZ: 'rot4dYZ'
+                    rot4dYZ: 'rot4dYZ',
+                    projection: 'projection'
                 },
                 from: {
                     polytope: 'polytope',
@@ -98,56 +122,29 @@ export class ParameterMapper {
                     hue: 'hue',
                     rot4dXY: 'rot4dXY',
                     rot4dXZ: 'rot4dXZ',
-                    rot4dYZ: 'rot4dYZ'
+                    rot4dYZ: 'rot4dYZ',
+                    projection: 'projection'
                 }
             }
         };
         
-        // Unified parameter schema (canonical format)
-        this.unifiedSchema = {
-            // Geometry parameters
-            geometryType: { min: 0, max: 7, default: 0, type: 'integer' },
-            polytope: { min: 0, max: 5, default: 0, type: 'integer' },
-            
-            // Density and detail
-            density: { min: 1, max: 30, default: 10, type: 'float' },
-            gridDensity: { min: 4, max: 30, default: 10, type: 'float' },
-            
-            // Morphing and transformation
-            morph: { min: 0, max: 2, default: 0, type: 'float' },
-            morphFactor: { min: 0, max: 2, default: 0, type: 'float' },
-            
-            // 4D rotation parameters (existing)
-            rot4dXW: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dYW: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dZW: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            
-            // 4D rotation parameters (new for Polychora)
-            rot4dXY: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dXZ: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dYZ: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            
-            // Dimension and physics
-            dimension: { min: 3.0, max: 4.5, default: 3.8, type: 'float' },
-            
-            // Animation and chaos
-            speed: { min: 0.1, max: 3.0, default: 1.0, type: 'float' },
-            chaos: { min: 0, max: 1, default: 0, type: 'float' },
-            
-            // Color parameters
-            hue: { min: 0, max: 360, default: 200, type: 'float' },
-            saturation: { min: 0, max: 1, default: 0.8, type: 'float' },
-            intensity: { min: 0, max: 1, default: 0.5, type: 'float' },
-            
-            // Polychora glass effects
-            lineThickness: { min: 0.5, max: 5.0, default: 2.5, type: 'float' },
-            coreSize: { min: 0.5, max: 2.0, default: 1.2, type: 'float' },
-            outlineWidth: { min: 0.5, max: 3.0, default: 1.8, type: 'float' },
-            glassBlur: { min: 0, max: 5.0, default: 3.0, type: 'float' },
-            colorMagnetism: { min: 0, max: 1, default: 0.7, type: 'float' },
-            layerScale: { min: 0.5, max: 2.0, default: 1.0, type: 'float' },
-            translucency: { min: 0, max: 1, default: 0.8, type: 'float' }
-        };
+        // Faceted and Quantum share the VIB34D parameter names
+        this.mappings.faceted = this.mappings.vib34d;
+        this.mappings.quantum = this.mappings.vib34d;
+        
+        // Unified parameter schema: every name a parameter goes by, ranges from ParameterSchema
+        this.unifiedSchema = {};
+        Object.entries(PARAMETER_SCHEMA).forEach(([name, def]) => {
+            const entry = {
+                min: def.min,
+                max: def.max,
+                default: def.default,
+                type: { int: 'integer', bool: 'boolean' }[def.type] || 'float'
+            };
+            [name, ...Object.values(def.aliases || {})].forEach(key => {
+                this.unifiedSchema[key] = entry;
+            });
+        });
     }
     
     /**
@@ -0,0 +1,242 @@
+/**
+ * VIB34D Parameter Schema
+ * The one definition of every parameter: type, range, slider step, default, UI label, units and
+ * the names other systems and the save format use for it. ParameterManager validation, the
+ * control panel sliders, the LLM prompt, save normalization and card export all read from here.
+ */
+
+import { DEFAULT_PROJECTION, PROJECTION_MODES } from './Projection.js';
+
+const GEOMETRY_NAMES = ['Tetrahedron', 'Hypercube', 'Sphere', 'Torus', 'Klein Bottle', 'Fractal', 'Wave', 'Crystal'];
+
+/**
+ * Parameter definitions, in control panel order within each section.
+ *   type      'int' values are rounded, 'float' values are not, 'bool' values are true/false
+ *   step      Slider step; decimals is the precision shown next to the slider
+ *   default   Value when a parameter is missing; systemDefaults overrides it per system
+ *   section   Control panel section ('rotation', 'visual', 'post'); none = not a slider
+ *   panel     Editor that shows the parameter instead of a section slider ('physics')
+ *   aliases   Name the parameter goes by in a system or in the saved format
+ *   systems   Only these systems use the parameter (default: all)
+ *   values    Named values accepted in place of their index
+ */
+export const PARAMETER_SCHEMA = {
+    variation: { type: 'int', min: 0, max: 99, step: 1, default: 0, label: 'Variation' },
+    geometry: {
+        type: 'int', min: 0, max: 7, step: 1, default: 0, label: 'Geometry',
+        description: GEOMETRY_NAMES.join(', '),
+        aliases: { holographic: 'geometryType', saved: 'geometryType' }
+    },
+
+    // 4D rotation - all six planes, one full turn either way
+    rot4dXY: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, decimals: 2, label: 'XY Plane', units: 'rad', section: 'rotation' },
+    rot4dXZ: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, decimals: 2, label: 'XZ Plane', units: 'rad', section: 'rotation' },
+    rot4dYZ: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, decimals: 2, label: 'YZ Plane', units: 'rad', section: 'rotation' },
+    rot4dXW: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, decimals: 2, label: 'XW Plane', units: 'rad', section: 'rotation' },
+    rot4dYW: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, decimals: 2, label: 'YW Plane', units: 'rad', section: 'rotation' },
+    rot4dZW: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, decimals: 2, label: 'ZW Plane', units: 'rad', section: 'rotation' },
+    projection: {
+        type: 'float', min: 0, max: 2, step: 0.01, default: 0, label: 'Projection', section: 'rotation',
+        description: '0 perspective, 1 orthographic, 2 stereographic, fractions blend',
+        systemDefaults: DEFAULT_PROJECTION,
+        values: PROJECTION_MODES
+    },
+    dimension: { type: 'float', min: 3.0, max: 4.5, step: 0.01, default: 3.5, decimals: 2, label: 'Dimension' },
+
+    // Visual
+    gridDensity: {
+        type: 'float', min: 5, max: 100, step: 1, default: 15, decimals: 0, label: 'Density', section: 'visual',
+        aliases: { holographic: 'density', saved: 'density' }
+    },
+    morphFactor: {
+        type: 'float', min: 0, max: 2, step: 0.01, default: 1, label: 'Morph', section: 'visual',
+        aliases: { holographic: 'morph', saved: 'morph' }
+    },
+    chaos: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.2, label: 'Chaos', section: 'visual' },
+    speed: { type: 'float', min: 0.1, max: 3, step: 0.01, default: 1, label: 'Speed', units: 'x', section: 'visual' },
+    hue: { type: 'int', min: 0, max: 360, step: 1, default: 200, decimals: 0, label: 'Hue', units: '°', section: 'visual' },
+    intensity: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.5, label: 'Intensity', section: 'visual' },
+    saturation: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.8, label: 'Saturation', section: 'visual' },
+
+    // Post-processing amounts (PostProcessing.js), shared by every system
+    postBloom: { type: 'float', min: 0, max: 1, step: 0.01, default: 0, decimals: 2, label: 'Bloom', section: 'post' },
+    postChromatic: { type: 'float', min: 0, max: 1, step: 0.01, default: 0, decimals: 2, label: 'Chromatic', section: 'post' },
+    postGlitch: { type: 'float', min: 0, max: 1, step: 0.01, default: 0, decimals: 2, label: 'Glitch', section: 'post' },
+    postGrain: { type: 'float', min: 0, max: 1, step: 0.01, default: 0, decimals: 2, label: 'Grain', section: 'post' },
+    postVignette: { type: 'float', min: 0, max: 1, step: 0.01, default: 0, decimals: 2, label: 'Vignette', section: 'post' },
+
+    // Polychora glass rendering
+    polytope: { type: 'int', min: 0, max: 5, step: 1, default: 0, label: 'Polytope', systems: ['polychora'] },
+    lineThickness: { type: 'float', min: 0.5, max: 5.0, step: 0.1, default: 2.5, label: 'Line Thickness', systems: ['polychora'] },
+    coreSize: { type: 'float', min: 0.5, max: 2.0, step: 0.01, default: 1.2, label: 'Core Size', systems: ['polychora'] },
+    outlineWidth: { type: 'float', min: 0.5, max: 3.0, step: 0.01, default: 1.8, label: 'Outline Width', systems: ['polychora'] },
+    glassBlur: { type: 'float', min: 0, max: 5.0, step: 0.1, default: 3.0, label: 'Glass Blur', systems: ['polychora'] },
+    colorMagnetism: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.7, label: 'Color Magnetism', systems: ['polychora'] },
+    layerScale: { type: 'float', min: 0.5, max: 2.0, step: 0.01, default: 1.0, label: 'Layer Scale', systems: ['polychora'] },
+    translucency: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.8, label: 'Translucency', systems: ['polychora'] },
+
+    // Polychora 4D physics (Polychora4DPhysics), edited live in the physics panel
+    physicsEnabled: { type: 'bool', min: 0, max: 1, step: 1, default: false, label: 'Simulate', panel: 'physics', systems: ['polychora'] },
+    gravity4D: { type: 'float', min: -10, max: 10, step: 0.1, default: -2.5, label: 'Gravity W', panel: 'physics', systems: ['polychora'] },
+    mass: { type: 'float', min: 0.1, max: 10, step: 0.1, default: 1, label: 'Mass', panel: 'physics', systems: ['polychora'] },
+    elasticity: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.8, decimals: 2, label: 'Elasticity', panel: 'physics', systems: ['polychora'] },
+    friction: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.1, decimals: 2, label: 'Friction', panel: 'physics', systems: ['polychora'] },
+    brownianMotion: { type: 'float', min: 0, max: 2, step: 0.01, default: 0.1, decimals: 2, label: 'Brownian', panel: 'physics', systems: ['polychora'] },
+    flocking: { type: 'bool', min: 0, max: 1, step: 1, default: false, label: 'Flocking', panel: 'physics', systems: ['polychora'] },
+    territorial: { type: 'float', min: 0.1, max: 6, step: 0.1, default: 2, label: 'Territory', panel: 'physics', systems: ['polychora'] },
+    magneticField: { type: 'float', min: -5, max: 5, step: 0.1, default: 0, label: 'Magnetic Z', panel: 'physics', systems: ['polychora'] },
+    fluidFlow: { type: 'float', min: -5, max: 5, step: 0.1, default: 0.5, label: 'Flow X', panel: 'physics', systems: ['polychora'] },
+    physicsTimeScale: { type: 'float', min: 0, max: 4, step: 0.05, default: 1, decimals: 2, label: 'Time Scale', units: 'x', systems: ['polychora'] },
+    physicsSubsteps: { type: 'int', min: 1, max: 8, step: 1, default: 1, decimals: 0, label: 'Substeps', systems: ['polychora'] }
+};
+
+// Parameters written to gallery saves and collections, in file order
+export const SAVED_PARAMETERS = [
+    'geometry', 'gridDensity', 'morphFactor', 'speed', 'chaos', 'hue', 'saturation', 'intensity',
+    'rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'dimension', 'projection',
+    'postBloom', 'postChromatic', 'postGlitch', 'postGrain', 'postVignette'
+];
+
+// Polychora parameters that set up the 4D simulation: the physics panel's plus its speed.
+// Polychora gallery saves keep them after SAVED_PARAMETERS.
+export const PHYSICS_PARAMETERS = [
+    'physicsEnabled', 'gravity4D', 'mass', 'elasticity', 'friction', 'brownianMotion', 'flocking',
+    'territorial', 'magneticField', 'fluidFlow', 'physicsTimeScale', 'physicsSubsteps'
+];
+
+/**
+ * Look up a parameter by its own name or any alias
+ * @param {string} name
+ * @returns {{name: string, def: Object}|null} Canonical name and definition
+ */
+export function getParameterDef(name) {
+    if (PARAMETER_SCHEMA[name]) {
+        return { name, def: PARAMETER_SCHEMA[name] };
+    }
+    for (const [canonical, def] of Object.entries(PARAMETER_SCHEMA)) {
+        if (def.aliases && Object.values(def.aliases).includes(name)) {
+            return { name: canonical, def };
+        }
+    }
+    return null;
+}
+
+/**
+ * Name of a parameter in a system or format ('holographic', 'saved'), falling back to its own name
+ */
+export function parameterAlias(name, format) {
+    return PARAMETER_SCHEMA[name]?.aliases?.[format] || name;
+}
+
+export function parameterDefault(name, system) {
+    const def = PARAMETER_SCHEMA[name];
+    if (!def) return undefined;
+    return def.systemDefaults?.[system] ?? def.default;
+}
+
+/**
+ * Coerce a value into a parameter's type and range. Named values resolve to their index,
+ * anything non-numeric falls back to the default.
+ * @param {string} name - Canonical name or alias
+ * @param {*} value
+ * @param {string} [system] - Picks per-system defaults
+ * @returns {number|undefined} undefined for unknown parameters
+ */
+export function clampParameter(name, value, system) {
+    const entry = getParameterDef(name);
+    if (!entry) return undefined;
+
+    const { def } = entry;
+    if (def.type === 'bool') {
+        return value === true || value === 'true' || parseFloat(value) > 0;
+    }
+    if (typeof value === 'string' && def.values?.includes(value.toLowerCase())) {
+        return def.values.indexOf(value.toLowerCase());
+    }
+
+    let numeric = parseFloat(value);
+    if (!Number.isFinite(numeric)) {
+        return parameterDefault(entry.name, system);
+    }
+    numeric = Math.max(def.min, Math.min(def.max, numeric));
+    return def.type === 'int' ? Math.round(numeric) : numeric;
+}
+
+/**
+ * Validate parameters against the schema
+ * @param {Object} params - Canonical names or aliases
+ * @param {string} [system]
+ * @returns {{params: Object, errors: string[]}} Canonical names, clamped values, and what was changed
+ */
+export function validateParameters(params, system) {
+    const validated = {};
+    const errors = [];
+
+    Object.entries(params).forEach(([key, value]) => {
+        const entry = getParameterDef(key);
+        if (!entry) {
+            errors.push(`Unknown parameter: ${key}`);
+            return;
+        }
+
+        const clamped = clampParameter(entry.name, value, system);
+        const numeric = parseFloat(value);
+        if (numeric < entry.def.min || numeric > entry.def.max) {
+            errors.push(`${entry.name} clamped to ${clamped}`);
+        }
+        validated[entry.name] = clamped;
+    });
+
+    return { params: validated, errors };
+}
+
+/**
+ * Every listed parameter, taken from params (by name or alias) or defaulted, then clamped
+ * @param {Object} params
+ * @param {string} [system]
+ * @param {string[]} [names] - Defaults to every parameter the system uses
+ * @returns {Object} Canonical names → values
+ */
+export function resolveParameters(params = {}, system, names = systemParameters(system)) {
+    const resolved = {};
+    names.forEach(name => {
+        const def = PARAMETER_SCHEMA[name];
+        const keys = [name, ...Object.values(def.aliases || {})];
+        const key = keys.find(candidate => params[candidate] !== undefined && params[candidate] !== null && params[candidate] !== '');
+        resolved[name] = key !== undefined ? clampParameter(name, params[key], system) : parameterDefault(name, system);
+    });
+    return resolved;
+}
+
+/**
+ * @param {string} [system] - Omit for every parameter
+ */
+export function systemParameters(system) {
+    return Object.keys(PARAMETER_SCHEMA).filter(name => {
+        const systems = PARAMETER_SCHEMA[name].systems;
+        return !system || !systems || systems.includes(system);
+    });
+}
+
+export function parametersInSection(section) {
+    return Object.keys(PARAMETER_SCHEMA).filter(name => PARAMETER_SCHEMA[name].section === section);
+}
+
+export function parametersInPanel(panel) {
+    return Object.keys(PARAMETER_SCHEMA).filter(name => PARAMETER_SCHEMA[name].panel === panel);
+}
+
+/**
+ * One prompt line per parameter, e.g. "- hue (0 to 360 °, integer): Hue"
+ * @param {string[]} names
+ * @returns {string}
+ */
+export function describeParameters(names) {
+    return names.map(name => {
+        const def = PARAMETER_SCHEMA[name];
+        const units = def.units ? ` ${def.units}` : '';
+        const type = def.type === 'int' ? ', integer' : '';
+        const description = def.description ? ` - ${def.description}` : '';
+        return `- ${name} (${def.min} to ${def.max}${units}${type}): ${def.label}${description}`;
+    }).join('\n');
+}
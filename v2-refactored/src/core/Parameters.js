@@ -3,48 +3,26 @@
  * Unified parameter control for both holographic and polytopal systems
  */
 
+import { random } from './Clock.js';
+import { PARAMETER_SCHEMA, clampParameter, resolveParameters } from './ParameterSchema.js';
+
+// Every parameter the faceted and quantum engines keep, in ParameterManager order
+const ENGINE_PARAMETERS = [
+    'variation',
+    'rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'dimension', 'projection',
+    'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation',
+    'geometry'
+];
+
 export class ParameterManager {
-    constructor() {
-        // Default parameter set combining both systems
-        this.params = {
-            // Current variation
-            variation: 0,
-            
-            // 4D Polytopal Mathematics
-            rot4dXW: 0.0,      // X-W plane rotation (-2 to 2)
-            rot4dYW: 0.0,      // Y-W plane rotation (-2 to 2) 
-            rot4dZW: 0.0,      // Z-W plane rotation (-2 to 2)
-            dimension: 3.5,    // Dimensional level (3.0 to 4.5)
-            
-            // Holographic Visualization
-            gridDensity: 15,   // Geometric detail (4 to 30)
-            morphFactor: 1.0,  // Shape transformation (0 to 2)
-            chaos: 0.2,        // Randomization level (0 to 1)
-            speed: 1.0,        // Animation speed (0.1 to 3)
-            hue: 200,          // Color rotation (0 to 360)
-            intensity: 0.5,    // Visual intensity (0 to 1)
-            saturation: 0.8,   // Color saturation (0 to 1)
-            
-            // Geometry selection
-            geometry: 0        // Current geometry type (0-7)
-        };
-        
-        // Parameter definitions for validation and UI
-        this.parameterDefs = {
-            variation: { min: 0, max: 99, step: 1, type: 'int' },
-            rot4dXW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            rot4dYW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            rot4dZW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            dimension: { min: 3.0, max: 4.5, step: 0.01, type: 'float' },
-            gridDensity: { min: 4, max: 100, step: 0.1, type: 'float' },
-            morphFactor: { min: 0, max: 2, step: 0.01, type: 'float' },
-            chaos: { min: 0, max: 1, step: 0.01, type: 'float' },
-            speed: { min: 0.1, max: 3, step: 0.01, type: 'float' },
-            hue: { min: 0, max: 360, step: 1, type: 'int' },
-            intensity: { min: 0, max: 1, step: 0.01, type: 'float' },
-            saturation: { min: 0, max: 1, step: 0.01, type: 'float' },
-            geometry: { min: 0, max: 7, step: 1, type: 'int' }
-        };
+    /**
+     * @param {string} system - System these parameters drive; picks its default projection
+     */
+    constructor(system = 'faceted') {
+        // Parameters the engines render with; ranges, types and defaults come from the schema
+        this.system = system;
+        this.parameterDefs = Object.fromEntries(ENGINE_PARAMETERS.map(name => [name, PARAMETER_SCHEMA[name]]));
+        this.params = resolveParameters({}, system, ENGINE_PARAMETERS);
         
         // Default parameter backup for reset
         this.defaults = { ...this.params };
@@ -62,17 +40,8 @@ export class ParameterManager {
      */
     setParameter(name, value) {
         if (this.parameterDefs[name]) {
-            const def = this.parameterDefs[name];
-            
-            // Clamp value to valid range
-            value = Math.max(def.min, Math.min(def.max, value));
-            
-            // Apply type conversion
-            if (def.type === 'int') {
-                value = Math.round(value);
-            }
-            
-            this.params[name] = value;
+            // Clamp to the schema range and type
+            this.params[name] = clampParameter(name, value, this.system);
             return true;
         }
         
@@ -108,8 +77,8 @@ export class ParameterManager {
      */
     updateFromControls() {
         const controlIds = [
-            'variationSlider', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'dimension',
-            'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue'
+            'variationSlider', 'rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'dimension',
+            'projection', 'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue'
         ];
         
         controlIds.forEach(id => {
@@ -134,6 +103,9 @@ export class ParameterManager {
     updateDisplayValues() {
         // Update slider values
         this.updateSliderValue('variationSlider', this.params.variation);
+        this.updateSliderValue('rot4dXY', this.params.rot4dXY);
+        this.updateSliderValue('rot4dXZ', this.params.rot4dXZ);
+        this.updateSliderValue('rot4dYZ', this.params.rot4dYZ);
         this.updateSliderValue('rot4dXW', this.params.rot4dXW);
         this.updateSliderValue('rot4dYW', this.params.rot4dYW);
         this.updateSliderValue('rot4dZW', this.params.rot4dZW);
@@ -145,6 +117,9 @@ export class ParameterManager {
         this.updateSliderValue('hue', this.params.hue);
         
         // Update display texts
+        this.updateDisplayText('rot4dXYDisplay', this.params.rot4dXY.toFixed(2));
+        this.updateDisplayText('rot4dXZDisplay', this.params.rot4dXZ.toFixed(2));
+        this.updateDisplayText('rot4dYZDisplay', this.params.rot4dYZ.toFixed(2));
         this.updateDisplayText('rot4dXWDisplay', this.params.rot4dXW.toFixed(2));
         this.updateDisplayText('rot4dYWDisplay', this.params.rot4dYW.toFixed(2));
         this.updateDisplayText('rot4dZWDisplay', this.params.rot4dZW.toFixed(2));
@@ -206,16 +181,20 @@ export class ParameterManager {
      * Randomize all parameters
      */
     randomizeAll() {
-        this.params.rot4dXW = Math.random() * 4 - 2;
-        this.params.rot4dYW = Math.random() * 4 - 2;
-        this.params.rot4dZW = Math.random() * 4 - 2;
-        this.params.dimension = 3.0 + Math.random() * 1.5;
-        this.params.gridDensity = 4 + Math.random() * 26;
-        this.params.morphFactor = Math.random() * 2;
-        this.params.chaos = Math.random();
-        this.params.speed = 0.1 + Math.random() * 2.9;
-        this.params.hue = Math.random() * 360;
-        this.params.geometry = Math.floor(Math.random() * 8);
+        const stream = random.fork('parameters');
+        this.params.rot4dXY = stream.range(-2, 2);
+        this.params.rot4dXZ = stream.range(-2, 2);
+        this.params.rot4dYZ = stream.range(-2, 2);
+        this.params.rot4dXW = stream.range(-2, 2);
+        this.params.rot4dYW = stream.range(-2, 2);
+        this.params.rot4dZW = stream.range(-2, 2);
+        this.params.dimension = stream.range(3.0, 4.5);
+        this.params.gridDensity = stream.range(5, 30);
+        this.params.morphFactor = stream.range(0, 2);
+        this.params.chaos = stream.next();
+        this.params.speed = stream.range(0.1, 3.0);
+        this.params.hue = stream.range(0, 360);
+        this.params.geometry = stream.int(0, 7);
     }
     
     /**
@@ -270,6 +249,9 @@ export class ParameterManager {
                 chaos: level * 0.15,
                 speed: 0.8 + (level * 0.2),
                 hue: (geometryType * 45 + level * 15) % 360,
+                rot4dXY: 0,
+                rot4dXZ: 0,
+                rot4dYZ: 0,
                 rot4dXW: (level - 1.5) * 0.5,
                 rot4dYW: (geometryType % 2) * 0.3,
                 rot4dZW: ((geometryType + level) % 3) * 0.2,
@@ -0,0 +1,88 @@
+/**
+ * VIB34D Polychora Scene
+ * Several polytopes drawn together, each with its own type, pose and material. Scene bodies are
+ * plain data kept in the polychora parameters, so saves carry them; with physics on, each one
+ * spawns a rigid body and is drawn wherever that body is.
+ *
+ * World X and Y map onto the layer's uv space (the fragment shader's, with the smaller canvas
+ * side one unit across) at SCENE_SCREEN_SCALE per unit. W reads as depth: a body further along
+ * W is drawn smaller and nearer the middle.
+ */
+
+import { clampParameter } from './ParameterSchema.js';
+
+export const MAX_SCENE_BODIES = 8;
+export const SCENE_SCREEN_SCALE = 0.1;
+
+// How quickly bodies shrink toward the middle as they move along W
+const W_DEPTH = 0.2;
+
+/**
+ * A scene body with every field filled in and clamped
+ * @param {Object} [spec]
+ * @param {number} [spec.polytope] - Built-in index, or an imported polytope's
+ * @param {number[]} [spec.position] - x, y, z, w
+ * @param {number[]} [spec.rotation] - XY, XZ, YZ, XW, YW, ZW angles
+ * @param {Object} [spec.material] - hue, translucency and scale (0.25-4) for drawing; mass,
+ *   elasticity and friction, when given, override the physics panel for this body
+ * @returns {Object}
+ */
+export function createSceneBody({ polytope = 0, position = [], rotation = [], material = {} } = {}) {
+    const numbers = (values, length) => Array.from({ length }, (_, i) => Number.isFinite(values[i]) ? values[i] : 0);
+    const body = {
+        polytope: Math.max(0, Math.round(polytope) || 0),
+        position: numbers(position, 4),
+        rotation: numbers(rotation, 6),
+        material: {
+            hue: clampParameter('hue', material.hue ?? 280),
+            translucency: clampParameter('translucency', material.translucency ?? 0.8),
+            scale: Math.min(Math.max(parseFloat(material.scale) || 1, 0.25), 4)
+        }
+    };
+    ['mass', 'elasticity', 'friction'].forEach(name => {
+        if (material[name] !== undefined) body.material[name] = clampParameter(name, material[name], 'polychora');
+    });
+    return body;
+}
+
+/**
+ * Where a body is drawn
+ * @param {number[]} position - 4D position, the body's own or its physics state's
+ * @param {number} radius - Size in world units
+ * @returns {{ offset: number[], radius: number }} Center and radius in uv units
+ */
+export function sceneBodyView(position, radius) {
+    const depth = Math.exp(-position[3] * W_DEPTH);
+    return {
+        offset: [position[0] * SCENE_SCREEN_SCALE * depth, position[1] * SCENE_SCREEN_SCALE * depth],
+        radius: radius * SCENE_SCREEN_SCALE * depth
+    };
+}
+
+/**
+ * The body under a point: of those whose drawn radius covers it, the one with the nearest center
+ * @param {Object[]} views - sceneBodyView() per body
+ * @param {number[]} point - uv
+ * @returns {number|null} Index into views
+ */
+export function pickSceneBody(views, point) {
+    let picked = null;
+    let nearest = Infinity;
+    views.forEach(({ offset, radius }, i) => {
+        const distance = Math.hypot(point[0] - offset[0], point[1] - offset[1]);
+        if (distance <= radius && distance < nearest) {
+            picked = i;
+            nearest = distance;
+        }
+    });
+    return picked;
+}
+
+/**
+ * World position drawn at a uv point, at W = 0
+ * @param {number[]} point - uv
+ * @returns {number[]}
+ */
+export function scenePosition(point) {
+    return [point[0] / SCENE_SCREEN_SCALE, point[1] / SCENE_SCREEN_SCALE, 0, 0];
+}
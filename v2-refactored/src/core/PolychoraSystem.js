@@ -7,13 +7,14 @@
  * - Glassmorphic line-based rendering with core/outline system
  * - Layer-specific scaling and translucency based on polytope geometry
  * - Unique color magnetism and glass effects
+ * - Scenes of several polytopes, each drawn on a quad that just bounds it (see PolychoraScene)
  */
 
 /**
  * PolychoraVisualizer - Individual layer renderer for 4D polytopes
  * Renders glassmorphic line-based effects with WebGL
  */
-class PolychoraVisualizer {
+export class PolychoraVisualizer {
     constructor(canvasId, role, config) {
         this.canvasId = canvasId;
         this.role = role;
@@ -22,11 +23,15 @@ class PolychoraVisualizer {
         this.gl = null;
         this.program = null;
         this.time = 0;
+        this.fixedTime = null; // Pinned u_time in seconds (headless rendering), null = shared clock
         this.vertexBuffer = null;
+        this.meshTexture = null; // Projected edges of an imported polytope, created on first use
     }
     
     initialize() {
-        this.canvas = document.getElementById(this.canvasId);
+        // Accept a canvas id or a canvas element (OffscreenCanvas for headless rendering);
+        // ids resolve to unified layer targets when the single-context renderer is running
+        this.canvas = resolveLayerCanvas(this.canvasId);
         if (!this.canvas) {
             console.error(`❌ Canvas ${this.canvasId} not found`);
             return false;
@@ -47,6 +52,11 @@ class PolychoraVisualizer {
             return false;
         }
         
+        // Recompile when a shared shader chunk changes (hot reload)
+        if (!this.unwatchShaders) {
+            this.unwatchShaders = shaderChunks.watch(this, () => this.createPolychoraShader());
+        }
+        
         this.setupCanvasSize();
         
         // Enable blending for glassmorphic effects
@@ -56,7 +66,45 @@ class PolychoraVisualizer {
         return true;
     }
     
+    /**
+     * Rebuild the shader program and quad buffer after a context loss
+     */
+    reinitializeContext() {
+        console.log(`🔄 Reinitializing WebGL context for ${this.canvasId}`);
+        
+        // Objects from the lost context are dead; the buffer must be recreated with the program
+        this.program = null;
+        this.cellProgram = null;
+        this.vertexBuffer = null;
+        this.cellBuffer = null;
+        this.meshTexture = null;
+        this.gl = this.canvas.getContext('webgl2') || this.canvas.getContext('webgl');
+        
+        if (!this.gl || this.gl.isContextLost()) {
+            console.error(`❌ WebGL context unavailable for ${this.canvasId}`);
+            return false;
+        }
+        
+        if (!this.createPolychoraShader()) {
+            console.error(`❌ Failed to rebuild shader for ${this.canvasId}`);
+            return false;
+        }
+        
+        this.setupCanvasSize();
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+        
+        console.log(`✅ ${this.canvasId}: Context reinitialized successfully`);
+        return true;
+    }
+    
     setupCanvasSize() {
+        // Offscreen canvases keep the size they were created with
+        if (typeof this.canvas.getBoundingClientRect !== 'function') {
+            this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            return;
+        }
+        
         // Force parent to be visible for measurement
         const container = document.getElementById('polychoraLayers');
         const tempDisplay = container ? container.style.display : null;
@@ -83,8 +131,9 @@ class PolychoraVisualizer {
     createPolychoraShader() {
         const vertexShader = `
             attribute vec2 a_position;
+            uniform vec4 u_quad; // Clip-space center and half size: the whole layer, or one scene body's square
             void main() {
-                gl_Position = vec4(a_position, 0.0, 1.0);
+                gl_Position = vec4(u_quad.xy + a_position * u_quad.zw, 0.0, 1.0);
             }
         `;
         
@@ -119,73 +168,19 @@ class PolychoraVisualizer {
             uniform float u_edgeThickness;
             uniform float u_projectionDistance;
             
-            // COMPLETE 4D rotation matrices - All 6 possible rotations
-            mat4 rotateXW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, 0, 0, -s,
-                    0, 1, 0, 0,
-                    0, 0, 1, 0,
-                    s, 0, 0, c
-                );
-            }
-            
-            mat4 rotateYW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, c, 0, -s,
-                    0, 0, 1, 0,
-                    0, s, 0, c
-                );
-            }
+            // Imported polytopes: edges projected on the CPU, one RGBA texel (x1, y1, x2, y2) each
+            uniform sampler2D u_meshEdges;
+            uniform float u_meshEdgeCount;
+            uniform float u_useMesh; // 0 draws the built-in polytope
             
-            mat4 rotateZW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, 1, 0, 0,
-                    0, 0, c, -s,
-                    0, 0, s, c
-                );
-            }
+            // Scene bodies: where this pass's polytope sits on screen and how big it is
+            uniform vec2 u_bodyOffset;
+            uniform float u_bodyScale;
             
-            // NEW: Missing 4D rotations for complete 6D rotational freedom
-            mat4 rotateXY(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, -s, 0, 0,
-                    s, c, 0, 0,
-                    0, 0, 1, 0,
-                    0, 0, 0, 1
-                );
-            }
+            #include <projection>
             
-            mat4 rotateXZ(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, 0, -s, 0,
-                    0, 1, 0, 0,
-                    s, 0, c, 0,
-                    0, 0, 0, 1
-                );
-            }
-            
-            mat4 rotateYZ(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, c, -s, 0,
-                    0, s, c, 0,
-                    0, 0, 0, 1
-                );
-            }
+            // COMPLETE 4D rotation matrices - All 6 possible rotations
+            #include <rotation4d>
             
             // 4D polytope distance functions
             float polytope4D(vec4 p, float type) {
@@ -225,6 +220,21 @@ class PolychoraVisualizer {
                 }
             }
             
+            // Screen distance to the nearest edge of an imported polytope
+            float meshDistance(vec2 p) {
+                float d = 1000.0;
+                for (int i = 0; i < ${MAX_IMPORT_EDGES}; i++) {
+                    if (float(i) >= u_meshEdgeCount) break;
+                    vec2 texel = vec2(mod(float(i), ${MESH_TEXTURE_WIDTH}.0) + 0.5, floor(float(i) / ${MESH_TEXTURE_WIDTH}.0) + 0.5);
+                    vec4 edge = texture2D(u_meshEdges, texel / vec2(${MESH_TEXTURE_WIDTH}.0, ${MESH_TEXTURE_HEIGHT}.0));
+                    vec2 pa = p - edge.xy;
+                    vec2 ba = edge.zw - edge.xy;
+                    float h = clamp(dot(pa, ba) / max(dot(ba, ba), 0.000001), 0.0, 1.0);
+                    d = min(d, length(pa - ba * h));
+                }
+                return d;
+            }
+            
             // Perlin noise function for surface effects
             float noise(vec4 p) {
                 return fract(sin(dot(p, vec4(127.1, 311.7, 269.5, 183.3))) * 43758.5);
@@ -266,6 +276,7 @@ class PolychoraVisualizer {
             
             void main() {
                 vec2 uv = (gl_FragCoord.xy - 0.5 * u_resolution.xy) / min(u_resolution.x, u_resolution.y);
+                uv = (uv - u_bodyOffset) / u_bodyScale;
                 uv *= u_layerScale;
                 
                 // Create 4D point with enhanced projection distance
@@ -277,8 +288,11 @@ class PolychoraVisualizer {
                 // Apply complete 6D 4D rotation
                 pos = apply6DRotation(pos);
                 
-                // Get polytope distance
-                float dist = polytope4D(pos, u_polytope);
+                // Selectable 4D->3D projection (w is kept for the 4D distance functions)
+                pos = vec4(project4Dto3D(pos), pos.w);
+                
+                // Get polytope distance (meshes and cross-sections are already rotated and projected)
+                float dist = u_useMesh > 0.5 ? meshDistance(uv) : polytope4D(pos, u_polytope);
                 
                 // Enhanced glassmorphic line rendering
                 float edgeCore = u_edgeThickness * 0.01;
@@ -328,7 +342,11 @@ class PolychoraVisualizer {
             }
         `;
         
-        this.program = this.createShaderProgram(vertexShader, fragmentShader);
+        this.program = this.createShaderProgram(vertexShader, shaderChunks.compose(fragmentShader));
+        // The cell shaders use no chunks, so hot reloads keep the program; context rebuilds clear it first
+        if (!this.cellProgram) {
+            this.cellProgram = this.createShaderProgram(CELL_VERTEX_SHADER, CELL_FRAGMENT_SHADER);
+        }
         return this.program !== null;
     }
     
@@ -348,15 +366,17 @@ class PolychoraVisualizer {
             return null;
         }
         
-        // Create quad vertices
-        const vertices = new Float32Array([
-            -1, -1,  1, -1,  -1,  1,
-            -1,  1,  1, -1,   1,  1
-        ]);
-        
-        this.vertexBuffer = this.gl.createBuffer();
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, vertices, this.gl.STATIC_DRAW);
+        // Create quad vertices (once - shader rebuilds reuse the buffer)
+        if (!this.vertexBuffer) {
+            const vertices = new Float32Array([
+                -1, -1,  1, -1,  -1,  1,
+                -1,  1,  1, -1,   1,  1
+            ]);
+            
+            this.vertexBuffer = this.gl.createBuffer();
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
+            this.gl.bufferData(this.gl.ARRAY_BUFFER, vertices, this.gl.STATIC_DRAW);
+        }
         
         return program;
     }
@@ -374,12 +394,22 @@ class PolychoraVisualizer {
         return shader;
     }
     
-    render(parameters = {}) {
+    /**
+     * @param {Object} parameters
+     * @param {Object|null} [mesh] - Imported polytope drawn (or sliced) instead of parameters.polytope
+     * @param {Object[]|null} [bodies] - Scene bodies drawn instead of the single polytope, as
+     *   PolychoraSystem.getSceneDrawList() gives them
+     */
+    render(parameters = {}, mesh = null, bodies = null) {
         if (!this.gl || !this.program || !this.vertexBuffer) return;
         
-        this.time += 0.016;
+        this.time = this.fixedTime !== null ? this.fixedTime : clock.getTime();
+        
+        // Unified renderer: draw into this layer's framebuffer (the context is shared)
+        if (this.canvas.bind) {
+            this.canvas.bind();
+        }
         
-        this.gl.useProgram(this.program);
         this.gl.enable(this.gl.BLEND);
         this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
         
@@ -387,6 +417,32 @@ class PolychoraVisualizer {
         this.gl.clearColor(0.0, 0.0, 0.0, 0.0);
         this.gl.clear(this.gl.COLOR_BUFFER_BIT);
         
+        if (bodies) {
+            bodies.forEach(body => this.drawPolytope(body.parameters, body.mesh, body));
+        } else {
+            this.drawPolytope(parameters, mesh);
+        }
+    }
+    
+    /**
+     * One blended pass of the polytope shader (plus section faces when slicing)
+     * @param {Object} parameters
+     * @param {Object|null} mesh
+     * @param {Object} [placement] - { offset, radius } on screen in uv units; the whole layer by default
+     */
+    drawPolytope(parameters, mesh, placement = null) {
+        // Slicing cuts the exact mesh of the current polytope; imports are drawn by their edges
+        const shape = parameters.sliceMode
+            ? sliceShape(mesh || regularPolytope(parameters.polytope), parameters, this.time)
+            : mesh && projectMeshEdges(mesh, parameters, this.time);
+        const useMesh = shape ? this.uploadMeshEdges(shape) : false;
+        
+        // A placed body's radius is the circumradius of its mesh, or of the distance functions
+        const bodyScale = placement ? placement.radius / (useMesh ? MESH_SCREEN_SCALE : SDF_RADIUS) : 1;
+        const layerScale = this.config.scale * (parameters.layerScale || 1.0);
+        
+        this.gl.useProgram(this.program);
+        
         // Set uniforms with complete 6D rotation and advanced glass effects
         const uniforms = {
             u_time: this.time,
@@ -404,7 +460,7 @@ class PolychoraVisualizer {
             u_dimension: parameters.dimension || 3.8,
             u_hue: parameters.hue || 280,
             u_layerColor: this.config.color,
-            u_layerScale: this.config.scale * (parameters.layerScale || 1.0),
+            u_layerScale: layerScale,
             u_layerOpacity: this.config.opacity * (parameters.translucency || 1.0),
             u_lineWidth: this.config.lineWidth * (parameters.lineThickness || 1.0),
             u_blur: this.config.blur * (parameters.glassBlur || 1.0),
@@ -416,9 +472,22 @@ class PolychoraVisualizer {
             u_flowDirection: parameters.flowDirection || 180,
             u_faceTransparency: parameters.faceTransparency || 0.7,
             u_edgeThickness: parameters.edgeThickness || 2.0,
-            u_projectionDistance: parameters.projectionDistance || 5.0
+            u_projectionDistance: parameters.projectionDistance || 5.0,
+            u_projection: projectionValue(parameters.projection, 'polychora'),
+            u_useMesh: useMesh ? 1 : 0,
+            u_meshEdgeCount: useMesh ? shape.edgeCount : 0,
+            u_bodyOffset: placement ? placement.offset : [0, 0],
+            u_bodyScale: bodyScale,
+            // Scene bodies only shade the square around them, so a full scene costs about one layer of fragments
+            u_quad: placement ? this.quadAround(placement.offset, placement.radius * BODY_QUAD_MARGIN / layerScale) : [0, 0, 1, 1]
         };
         
+        // Section faces go under the glass edges
+        if (useMesh && shape.cellVertexCount > 0) {
+            this.drawCells(shape, uniforms);
+            this.gl.useProgram(this.program);
+        }
+        
         // Safely set uniforms with error checking
         Object.entries(uniforms).forEach(([name, value]) => {
             const location = this.gl.getUniformLocation(this.program, name);
@@ -427,6 +496,7 @@ class PolychoraVisualizer {
                     if (Array.isArray(value)) {
                         if (value.length === 2) this.gl.uniform2fv(location, new Float32Array(value));
                         else if (value.length === 3) this.gl.uniform3fv(location, new Float32Array(value));
+                        else if (value.length === 4) this.gl.uniform4fv(location, new Float32Array(value));
                     } else {
                         this.gl.uniform1f(location, value);
                     }
@@ -436,6 +506,14 @@ class PolychoraVisualizer {
             }
         });
         
+        // Unit 0 may still hold a unified layer's render target, which can't be sampled while drawn to
+        const meshLocation = this.gl.getUniformLocation(this.program, 'u_meshEdges');
+        if (meshLocation !== null) {
+            this.gl.activeTexture(this.gl.TEXTURE0);
+            this.gl.bindTexture(this.gl.TEXTURE_2D, useMesh ? this.meshTexture : null);
+            this.gl.uniform1i(meshLocation, 0);
+        }
+        
         // Draw quad
         const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
         if (positionLocation !== -1) {
@@ -447,6 +525,87 @@ class PolychoraVisualizer {
         }
     }
     
+    /**
+     * Clip-space quad covering a square around a point of the fragment shader's uv space
+     * @param {number[]} offset - Center in uv units
+     * @param {number} halfSize - In uv units
+     * @returns {number[]} Center x, y and half width, height, as u_quad takes them
+     */
+    quadAround(offset, halfSize) {
+        const size = Math.min(this.canvas.width, this.canvas.height);
+        const scaleX = 2 * size / this.canvas.width;
+        const scaleY = 2 * size / this.canvas.height;
+        return [offset[0] * scaleX, offset[1] * scaleY, halfSize * scaleX, halfSize * scaleY];
+    }
+    
+    /**
+     * Upload projected edges to the mesh texture (texture unit 0). Needs float textures;
+     * without them the built-in polytope is drawn.
+     * @param {Object} shape - { edges: x1, y1, x2, y2 per edge, edgeCount }
+     * @returns {boolean} Whether the edges were uploaded
+     */
+    uploadMeshEdges(shape) {
+        const gl = this.gl;
+        const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        
+        if (!this.meshTexture) {
+            if (!isWebGL2 && !gl.getExtension('OES_texture_float')) {
+                if (!this.meshUnsupported) {
+                    console.warn(`⚠️ ${this.canvasId}: float textures unavailable, meshes and cross-sections can't be drawn`);
+                    this.meshUnsupported = true;
+                }
+                return false;
+            }
+            this.meshEdgeData = new Float32Array(MESH_TEXTURE_WIDTH * MESH_TEXTURE_HEIGHT * 4);
+            this.meshTexture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this.meshTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, isWebGL2 ? gl.RGBA32F : gl.RGBA, MESH_TEXTURE_WIDTH, MESH_TEXTURE_HEIGHT, 0, gl.RGBA, gl.FLOAT, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+        
+        // Texels past edgeCount keep stale edges; the shader stops before them
+        this.meshEdgeData.set(shape.edges);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.meshTexture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, MESH_TEXTURE_WIDTH, MESH_TEXTURE_HEIGHT, gl.RGBA, gl.FLOAT, this.meshEdgeData);
+        return true;
+    }
+    
+    /**
+     * Fill the faces of a cross-section, one tint per polytope cell, shaded by facing
+     * @param {Object} shape - sliceShape() result
+     * @param {Object} uniforms - This frame's layer uniforms
+     */
+    drawCells(shape, uniforms) {
+        const gl = this.gl;
+        if (!this.cellProgram) return;
+        
+        gl.useProgram(this.cellProgram);
+        if (!this.cellBuffer) {
+            this.cellBuffer = gl.createBuffer();
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cellBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, shape.cells, gl.DYNAMIC_DRAW);
+        
+        const location = name => gl.getUniformLocation(this.cellProgram, name);
+        gl.uniform2fv(location('u_resolution'), uniforms.u_resolution);
+        gl.uniform1f(location('u_layerScale'), uniforms.u_layerScale);
+        gl.uniform2fv(location('u_bodyOffset'), uniforms.u_bodyOffset);
+        gl.uniform1f(location('u_bodyScale'), uniforms.u_bodyScale);
+        gl.uniform3fv(location('u_layerColor'), uniforms.u_layerColor);
+        gl.uniform1f(location('u_hue'), uniforms.u_hue);
+        gl.uniform1f(location('u_opacity'), uniforms.u_layerOpacity * uniforms.u_faceTransparency * 0.5);
+        
+        const cellLocation = gl.getAttribLocation(this.cellProgram, 'a_cell');
+        gl.enableVertexAttribArray(cellLocation);
+        gl.vertexAttribPointer(cellLocation, 4, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLES, 0, shape.cellVertexCount);
+        gl.disableVertexAttribArray(cellLocation);
+    }
+    
     /**
      * Update 4D mouse interaction - maps to 4D space
      */
@@ -504,10 +663,233 @@ class PolychoraVisualizer {
         this.cachedParameters = { ...newParams };
         console.log(`🔮 ${this.canvasId}: Parameters updated`);
     }
+    
+    /**
+     * Clean up WebGL resources
+     */
+    destroy() {
+        if (this.unwatchShaders) {
+            this.unwatchShaders();
+            this.unwatchShaders = null;
+        }
+        if (this.gl && this.program) {
+            this.gl.deleteProgram(this.program);
+        }
+        if (this.gl && this.vertexBuffer) {
+            this.gl.deleteBuffer(this.vertexBuffer);
+        }
+        if (this.gl && this.meshTexture) {
+            this.gl.deleteTexture(this.meshTexture);
+        }
+        if (this.gl && this.cellProgram) {
+            this.gl.deleteProgram(this.cellProgram);
+        }
+        if (this.gl && this.cellBuffer) {
+            this.gl.deleteBuffer(this.cellBuffer);
+        }
+        this.program = null;
+        this.cellProgram = null;
+        this.vertexBuffer = null;
+        this.cellBuffer = null;
+        this.meshTexture = null;
+    }
+}
+
+// Mesh edge texture layout: MAX_IMPORT_EDGES texels
+const MESH_TEXTURE_WIDTH = 64;
+const MESH_TEXTURE_HEIGHT = MAX_IMPORT_EDGES / MESH_TEXTURE_WIDTH;
+
+// Unit-circumradius meshes fill most of the content layer
+const MESH_SCREEN_SCALE = 0.4;
+
+// The built-in distance functions reach about this far from the center
+const SDF_RADIUS = 1.5;
+
+// A scene body's quad reaches this many radii out, leaving room for projection and edge glow
+const BODY_QUAD_MARGIN = 2.0;
+
+// Cross-section faces: a_cell is x, y in layer space (the fragment shader's uv), shade, cell tint
+const CELL_VERTEX_SHADER = `
+    attribute vec4 a_cell;
+    uniform vec2 u_resolution;
+    uniform float u_layerScale;
+    uniform vec2 u_bodyOffset;
+    uniform float u_bodyScale;
+    varying vec2 v_shade;
+    void main() {
+        vec2 uv = a_cell.xy / u_layerScale * u_bodyScale + u_bodyOffset;
+        gl_Position = vec4(uv * 2.0 * min(u_resolution.x, u_resolution.y) / u_resolution, 0.0, 1.0);
+        v_shade = a_cell.zw;
+    }
+`;
+
+const CELL_FRAGMENT_SHADER = `
+    precision highp float;
+    uniform vec3 u_layerColor;
+    uniform float u_hue;
+    uniform float u_opacity;
+    varying vec2 v_shade;
+    void main() {
+        vec3 color = mix(u_layerColor, vec3(sin(u_hue/360.0*6.28), cos(u_hue/360.0*6.28), 0.8), 0.4);
+        vec3 tint = 0.5 + 0.5 * cos(6.28318 * (v_shade.y + vec3(0.0, 0.33, 0.67)));
+        color = mix(color, tint, 0.35) * (0.35 + 0.65 * v_shade.x);
+        gl_FragColor = vec4(color, u_opacity);
+    }
+`;
+
+// Cross-sections are viewed turned, so a cube slice doesn't read as a square
+const SECTION_YAW = 0.6;
+const SECTION_PITCH = 0.45;
+
+// Per-plane drift of apply6DRotation, radians per second
+const ROTATION_DRIFT = { XY: 0.08, XZ: 0.09, YZ: 0.07, XW: 0.10, YW: 0.11, ZW: 0.12 };
+
+/**
+ * Mesh vertices after the shader's rotations. The shader's rotation4d matrices are the
+ * transposes of Math4D's, so applying Math4D's planes in reverse order turns vertices the
+ * same way the shader turns its sample point.
+ * @param {Object} mesh - parsePolytope() / regularPolytope() result
+ * @param {Object} parameters
+ * @param {number} time - Seconds of per-plane drift, as in apply6DRotation
+ * @returns {Float32Array} x, y, z, w per vertex
+ */
+function rotateMesh(mesh, parameters, time) {
+    const angles = ROTATION_PLANES.map(plane => (parameters[`rot4d${plane}`] || 0) + time * ROTATION_DRIFT[plane]);
+    const matrix = mat4.fromAngles(angles, [...ROTATION_PLANES].reverse());
+    
+    const rotated = new Float32Array(mesh.vertexCount * 4);
+    for (let i = 0; i < mesh.vertexCount; i++) {
+        rotated.set(mat4.transformVec4(matrix, mesh.vertices.subarray(i * 4, i * 4 + 4)), i * 4);
+    }
+    return rotated;
+}
+
+/**
+ * Rotate and project an imported mesh the way the shader treats the built-in polytopes
+ * @returns {Object} { edges: x1, y1, x2, y2 per edge, edgeCount }
+ */
+function projectMeshEdges(mesh, parameters, time) {
+    const rotated = rotateMesh(mesh, parameters, time);
+    const projection = projectionValue(parameters.projection, 'polychora');
+    
+    const screen = new Float32Array(mesh.vertexCount * 2);
+    for (let i = 0; i < mesh.vertexCount; i++) {
+        const [x, y] = project4Dto3D(rotated.subarray(i * 4, i * 4 + 4), projection);
+        screen[i * 2] = x * MESH_SCREEN_SCALE;
+        screen[i * 2 + 1] = y * MESH_SCREEN_SCALE;
+    }
+    
+    const edgeCount = Math.min(mesh.indices.length / 2, MAX_IMPORT_EDGES);
+    const edges = new Float32Array(edgeCount * 4);
+    for (let edge = 0; edge < edgeCount; edge++) {
+        const a = mesh.indices[edge * 2];
+        const b = mesh.indices[edge * 2 + 1];
+        edges.set([screen[a * 2], screen[a * 2 + 1], screen[b * 2], screen[b * 2 + 1]], edge * 4);
+    }
+    return { edges, edgeCount };
+}
+
+/**
+ * Slicing hyperplane for a frame. The polytope keeps the parameter rotations without the time
+ * drift, so only the hyperplane moves; animated slices sweep from one side of the rotated
+ * polytope to the other.
+ * @returns {Object} { rotated vertices, plane }
+ */
+function sliceGeometry(mesh, parameters, time) {
+    const rotated = rotateMesh(mesh, parameters, 0);
+    const tilts = {
+        tiltXW: parameters.sliceTiltXW || 0,
+        tiltYW: parameters.sliceTiltYW || 0,
+        tiltZW: parameters.sliceTiltZW || 0
+    };
+    
+    let offset = parameters.sliceOffset || 0;
+    if (parameters.sliceAnimate) {
+        const { normal } = hyperplane(tilts);
+        let extent = 0;
+        for (let i = 0; i < mesh.vertexCount; i++) {
+            extent = Math.max(extent, Math.abs(vec4.dot(normal, rotated.subarray(i * 4, i * 4 + 4))));
+        }
+        offset = extent * Math.sin(time * (parameters.sliceSpeed ?? 0.5));
+    }
+    
+    return { rotated, plane: hyperplane({ offset, ...tilts }) };
+}
+
+// Polychora parameters that configure the cross-section
+const SLICE_PARAMETERS = ['sliceMode', 'sliceOffset', 'sliceTiltXW', 'sliceTiltYW', 'sliceTiltZW', 'sliceAnimate', 'sliceSpeed'];
+
+// The five layers slice the same polytopes each frame: the last slice of each scene body (or of
+// the single polytope) is kept
+const sliceCache = new Map();
+const ROTATION_PARAMETERS = ROTATION_PLANES.map(plane => `rot4d${plane}`);
+
+/**
+ * Cross-section of a mesh for one frame, projected for the layer shaders
+ * @returns {Object} { edges, edgeCount, cells: a_cell data, cellVertexCount, offset }
+ */
+function sliceShape(mesh, parameters, time) {
+    const { rotated, plane } = sliceGeometry(mesh, parameters, time);
+    const key = [plane.offset, ...plane.normal, ...ROTATION_PARAMETERS.map(name => parameters[name] || 0)].join(',');
+    const cached = sliceCache.get(key);
+    if (cached && cached.mesh === mesh) {
+        return cached.shape;
+    }
+    
+    const section = crossSection(rotated, mesh.indices, plane);
+    const [cosYaw, sinYaw, cosPitch, sinPitch] = [Math.cos(SECTION_YAW), Math.sin(SECTION_YAW), Math.cos(SECTION_PITCH), Math.sin(SECTION_PITCH)];
+    const view = ([x, y, z]) => {
+        const turnedZ = -sinYaw * x + cosYaw * z;
+        return [cosYaw * x + sinYaw * z, cosPitch * y - sinPitch * turnedZ, sinPitch * y + cosPitch * turnedZ];
+    };
+    const points = section.points.map(view);
+    
+    const edgeCount = Math.min(section.edges.length, MAX_IMPORT_EDGES);
+    const edges = new Float32Array(edgeCount * 4);
+    section.edges.slice(0, edgeCount).forEach(([a, b], edge) => {
+        edges.set([points[a][0], points[a][1], points[b][0], points[b][1]].map(value => value * MESH_SCREEN_SCALE), edge * 4);
+    });
+    
+    // Back to front, since the faces are blended
+    const depth = triangle => triangle.reduce((sum, index) => sum + points[index][2], 0);
+    const order = section.triangles.map((triangle, i) => i).sort((a, b) => depth(section.triangles[a]) - depth(section.triangles[b]));
+    const cells = new Float32Array(order.length * 12);
+    order.forEach((triangle, i) => {
+        const cell = section.cells[triangle];
+        const shade = Math.abs(view(section.normals[cell])[2]);
+        const tint = (cell * 0.618) % 1;
+        section.triangles[triangle].forEach((index, corner) => {
+            cells.set([points[index][0] * MESH_SCREEN_SCALE, points[index][1] * MESH_SCREEN_SCALE, shade, tint], (i * 3 + corner) * 4);
+        });
+    });
+    
+    const shape = { edges, edgeCount, cells, cellVertexCount: order.length * 3, offset: plane.offset };
+    sliceCache.set(key, { mesh, shape });
+    if (sliceCache.size > MAX_SCENE_BODIES + 1) {
+        sliceCache.delete(sliceCache.keys().next().value);
+    }
+    return shape;
 }
 
 // Import 4D physics engine
 import { Polychora4DPhysics } from '../physics/Polychora4DPhysics.js';
+import { constraintPreset } from '../physics/Constraints4D.js';
+import { PhysicsRecording } from '../physics/PhysicsRecording.js';
+import { FixedTimestep } from '../physics/FixedTimestep.js';
+import { MAX_SCENE_BODIES, createSceneBody, pickSceneBody, sceneBodyView, scenePosition } from './PolychoraScene.js';
+import { PARAMETER_SCHEMA, PHYSICS_PARAMETERS, clampParameter, parametersInPanel } from './ParameterSchema.js';
+import { clock, random } from './Clock.js';
+import { resolveLayerCanvas } from './UnifiedCanvasManager.js';
+import { DEFAULT_PROJECTION, projectionValue, project4Dto3D } from './Projection.js';
+import { ROTATION_PLANES, mat4, rotor, vec4 } from './Math4D.js';
+import { MAX_IMPORT_EDGES, parsePolytopeJSON } from '../geometry/PolytopeImport.js';
+import { regularPolytope } from '../geometry/Polytopes4D.js';
+import { crossSection, hyperplane } from '../geometry/CrossSection.js';
+import { shaderChunks } from './ShaderChunks.js';
+import { watchContextLoss, reinitializeVisualizers } from './ContextRecovery.js';
+
+// Polychora parameters that configure the physics joints
+const CONSTRAINT_PARAMETERS = ['constraintPreset', 'constraints'];
 
 export class PolychoraSystem {
     constructor() {
@@ -520,8 +902,16 @@ export class PolychoraSystem {
         this.physics = new Polychora4DPhysics();
         this.physicsEnabled = false;
         this.physicsBodies = [];
-        
-        // 6 Real 4D Polytopes
+        this.physicsClockTime = null; // Last shared-clock time the physics caught up to
+        this.physicsLoop = new FixedTimestep({ timeStep: this.physics.timeStep, maxSteps: 5 });
+        this.physicsRecording = null;  // Run being recorded, or the last one
+        this.recordingPhysics = false;
+        this.physicsRecordingLimit = 0; // Frames kept before recording stops by itself
+        this.physicsReplay = null;     // { recording, start, origin } while a recording plays instead of the simulation
+        this.physicsFeedback = null;   // Body states last drawn, index-aligned with the scene bodies
+        this.selectedBody = null;      // Index of the scene body picked in the canvas
+        
+        // 6 Real 4D Polytopes; imported meshes (addPolytope) follow with a `mesh` entry
         this.polytopes = [
             { name: '5-Cell', description: '4-Simplex with 5 tetrahedral cells' },
             { name: 'Tesseract', description: '8-Cell hypercube with 8 cubic cells' },
@@ -533,7 +923,7 @@ export class PolychoraSystem {
         
         // Polychora-specific parameters
         this.parameters = {
-            polytope: 0,        // Current polytope (0-5)
+            polytope: 0,        // Current polytope (0-5 built in, then imports)
             lineThickness: 2.5, // Core line thickness
             coreSize: 1.2,      // Inner core size
             outlineWidth: 1.8,  // Outline width
@@ -564,6 +954,16 @@ export class PolychoraSystem {
             faceTransparency: 0.7,     // 0-1 Face vs edge visibility
             edgeThickness: 2.0,        // 0.1-3.0 Variable edge rendering
             projectionDistance: 5.0,   // 1-10 4D→3D projection depth
+            projection: DEFAULT_PROJECTION.polychora, // 0 perspective, 1 orthographic, 2 stereographic
+            
+            // CROSS-SECTION: slice the polytope with a hyperplane instead of projecting it
+            sliceMode: false,
+            sliceOffset: 0.0,          // -1 to 1 hyperplane distance from the center
+            sliceTiltXW: 0.0,          // Hyperplane tilt from W toward X, Y and Z (radians)
+            sliceTiltYW: 0.0,
+            sliceTiltZW: 0.0,
+            sliceAnimate: false,       // Sweep the hyperplane through the polytope
+            sliceSpeed: 0.5,           // Sweep rate (radians of the sine per second)
             
             // 4D PHYSICS PARAMETERS (NEW)
             physicsEnabled: false,     // Enable/disable physics simulation
@@ -576,6 +976,13 @@ export class PolychoraSystem {
             territorial: 2.0,         // Territorial radius
             magneticField: 0.0,       // Magnetic field strength
             fluidFlow: 0.5,          // Fluid current strength
+            physicsTimeScale: 1.0,    // Simulated seconds per clock second (slow motion < 1 < fast forward)
+            physicsSubsteps: 1,       // Substeps per fixed step
+            constraintPreset: 'none', // Ready-made joints: 'none', 'chain' or 'orbit'
+            constraints: [],          // Extra joint specs, bodies by polytope index (see Constraints4D)
+            
+            // SCENE: several polytopes drawn together (see PolychoraScene); empty draws just `polytope`
+            scene: [],
         };
         
         // Layer-specific configurations for glassmorphic effects
@@ -666,6 +1073,11 @@ export class PolychoraSystem {
             return false;
         }
         
+        this.unwatchContext = watchContextLoss(
+            this.visualizers.map(visualizer => visualizer.canvas),
+            canvas => this.restoreContext(canvas)
+        );
+        
         console.log(`✅ Polychora System initialized with ${successfullyInitialized}/${layers.length} layers`);
         return true;
     }
@@ -729,17 +1141,34 @@ export class PolychoraSystem {
     }
     
     startRenderLoop() {
-        const render = () => {
+        // Time spent on another system isn't simulated
+        this.physicsClockTime = null;
+        
+        const render = (timestamp) => {
             if (!this.isActive) return;
             
-            // Step physics simulation if enabled
-            if (this.parameters.physicsEnabled && this.physicsEnabled) {
-                this.physics.step();
-                this.updatePhysicsVisuals();
+            clock.tick(timestamp);
+            
+            // Physics runs whole fixed steps for the shared-clock time that passed (none while
+            // paused) and draws between the last two; a replay drives the visuals from its recording
+            const now = clock.getTime();
+            const elapsed = this.physicsClockTime === null ? 0 : Math.max(0, now - this.physicsClockTime);
+            this.physicsClockTime = now;
+            if (this.physicsReplay) {
+                this.showPhysicsReplayFrame(this.getPhysicsReplayTime());
+            } else if (this.parameters.physicsEnabled && this.physicsEnabled) {
+                this.physicsLoop.timeScale = this.parameters.physicsTimeScale;
+                const { steps, alpha } = this.physicsLoop.advance(elapsed, deltaTime => {
+                    this.physics.simulate(deltaTime, this.parameters.physicsSubsteps);
+                    if (this.recordingPhysics) this.recordPhysicsStep();
+                });
+                this.updatePhysicsVisuals(this.physics.getPhysicsFeedback(alpha), steps);
             }
             
+            const mesh = this.getCurrentMesh();
+            const bodies = this.getSceneDrawList();
             this.visualizers.forEach(visualizer => {
-                visualizer.render(this.parameters);
+                visualizer.render(this.parameters, mesh, bodies);
             });
             
             this.animationId = requestAnimationFrame(render);
@@ -767,6 +1196,7 @@ export class PolychoraSystem {
         this.physics.disable();
         this.physics.clearAllBodies();
         this.physicsBodies = [];
+        this.physicsFeedback = null;
         
         console.log('🔮 Polychora physics simulation disabled');
     }
@@ -778,55 +1208,524 @@ export class PolychoraSystem {
         // Clear existing bodies
         this.physics.clearAllBodies();
         this.physicsBodies = [];
+        this.physicsFeedback = null;
+        this.physicsLoop.reset();
+        
+        // A scene brings its own bodies, in scene order
+        this.parameters.scene.forEach(entry => {
+            this.physicsBodies.push(this.createSceneRigidBody(entry));
+        });
+        
+        // Seeded spawn positions so a given seed always builds the same scene
+        const spawnRandom = random.fork('polychora-spawn');
         
-        // Create physics bodies for each polytope type
-        for (let i = 0; i < this.polytopes.length; i++) {
+        // Otherwise one physics body for each polytope type
+        for (let i = 0; i < this.polytopes.length && this.parameters.scene.length === 0; i++) {
             const body = this.physics.createRigidBody(i, 
                 [
-                    (Math.random() - 0.5) * 4, // X
-                    (Math.random() - 0.5) * 4, // Y  
-                    (Math.random() - 0.5) * 4, // Z
-                    (Math.random() - 0.5) * 2  // W
+                    (spawnRandom.next() - 0.5) * 4, // X
+                    (spawnRandom.next() - 0.5) * 4, // Y  
+                    (spawnRandom.next() - 0.5) * 4, // Z
+                    (spawnRandom.next() - 0.5) * 2  // W
                 ], 
-                {
-                    mass: this.parameters.mass,
-                    elasticity: this.parameters.elasticity,
-                    friction: this.parameters.friction,
-                    brownianMotion: this.parameters.brownianMotion,
-                    flocking: this.parameters.flocking,
-                    territorial: this.parameters.territorial,
-                    magnetic: this.parameters.magneticField
-                }
+                this.physicsBodyOptions()
             );
             
             this.physicsBodies.push(body);
         }
         
-        // Set physics world properties
+        this.applyPhysicsWorld();
+        this.applyConstraints();
+    }
+    
+    /**
+     * Body properties from the physics parameters, as Polychora4DPhysics.createRigidBody options
+     */
+    physicsBodyOptions() {
+        return {
+            mass: this.parameters.mass,
+            elasticity: this.parameters.elasticity,
+            friction: this.parameters.friction,
+            brownianMotion: this.parameters.brownianMotion,
+            flocking: this.parameters.flocking,
+            territorial: this.parameters.territorial,
+            magnetic: this.parameters.magneticField
+        };
+    }
+    
+    /**
+     * Rigid body for a scene body, at its pose, with its own material over the physics panel's
+     */
+    createSceneRigidBody(entry) {
+        const body = this.physics.createRigidBody(entry.polytope, entry.position, this.sceneBodyOptions(entry));
+        body.rotation = [...entry.rotation];
+        body.orientation = rotor.fromAngles(entry.rotation);
+        body.boundingRadius *= entry.material.scale; // Hulls scale with it, so collisions match the drawing
+        return body;
+    }
+    
+    sceneBodyOptions(entry) {
+        const { mass, elasticity, friction } = entry.material;
+        const options = this.physicsBodyOptions();
+        if (mass !== undefined) options.mass = mass;
+        if (elasticity !== undefined) options.elasticity = elasticity;
+        if (friction !== undefined) options.friction = friction;
+        return options;
+    }
+    
+    /**
+     * Gravity pulls along W, the magnetic field points along Z and the fluid flows along X
+     */
+    applyPhysicsWorld() {
         this.physics.setGravity([0, 0, 0, this.parameters.gravity4D]);
         this.physics.setMagneticField([0, 0, this.parameters.magneticField, 0]);
         this.physics.setFluidFlow([this.parameters.fluidFlow, 0, 0, 0]);
     }
     
     /**
-     * Update visual parameters based on physics simulation
+     * Change physics settings while the simulation runs: the world's forces and every body's
+     * material and behaviour update in place, physicsEnabled starts or stops the simulation
+     * @param {Object} values - Any of the physics parameters; clamped to the schema
+     * @returns {Object} Every physics parameter after the change
+     */
+    setPhysicsParameters(values) {
+        if (values.physicsTimeScale !== undefined || values.physicsSubsteps !== undefined) {
+            this.setPhysicsTime({ timeScale: values.physicsTimeScale, substeps: values.physicsSubsteps });
+        }
+        parametersInPanel('physics').forEach(name => {
+            if (values[name] !== undefined) this.parameters[name] = clampParameter(name, values[name], 'polychora');
+        });
+        
+        this.applyPhysicsWorld();
+        const options = this.physicsBodyOptions();
+        const scene = this.parameters.scene;
+        this.physicsBodies.forEach((body, i) => {
+            this.physics.configureBody(body, scene[i] ? this.sceneBodyOptions(scene[i]) : options);
+        });
+        
+        if (this.parameters.physicsEnabled && !this.physicsEnabled) {
+            this.enablePhysics();
+        } else if (!this.parameters.physicsEnabled && this.physicsEnabled) {
+            this.disablePhysics();
+        }
+        return this.getPhysicsParameters();
+    }
+    
+    getPhysicsParameters() {
+        return Object.fromEntries(PHYSICS_PARAMETERS.map(name => [name, this.parameters[name]]));
+    }
+    
+    /**
+     * Rebuild the physics joints from the preset and the constraint specs in the parameters
      */
-    updatePhysicsVisuals() {
-        const physicsFeedback = this.physics.getPhysicsFeedback();
+    applyConstraints() {
+        const { constraintPreset: preset, constraints } = this.parameters;
+        this.physics.setConstraints([
+            ...constraintPreset(preset || 'none', this.physicsBodies.length),
+            ...(constraints || [])
+        ]);
+    }
+    
+    /**
+     * Replace the joint specs, keeping them in the parameters so saves carry them
+     * @param {Object[]} specs - e.g. [{ type: 'spring', bodyA: 0, bodyB: 1, stiffness: 4 }]
+     * @param {string} [preset] - also switch the ready-made joints
+     */
+    setConstraints(specs, preset = this.parameters.constraintPreset) {
+        this.updateParameters({ constraints: specs, constraintPreset: preset });
+    }
+    
+    /**
+     * Replace the scene bodies; an empty list goes back to drawing the single polytope
+     * @param {Object[]} specs - createSceneBody() specs
+     */
+    setScene(specs) {
+        this.updateParameters({ scene: specs });
+    }
+    
+    /**
+     * Add a body to the scene and select it
+     * @param {Object} [spec] - createSceneBody() spec; the current polytope at the origin by default
+     * @returns {number} The new body's index
+     */
+    spawnBody(spec = {}) {
+        const scene = this.parameters.scene;
+        if (scene.length >= MAX_SCENE_BODIES) {
+            throw new Error(`A scene holds at most ${MAX_SCENE_BODIES} bodies`);
+        }
+        const entry = createSceneBody({ polytope: this.parameters.polytope, ...spec });
+        if (entry.polytope >= this.polytopes.length) {
+            throw new Error(`Unknown polytope ${entry.polytope}`);
+        }
+        
+        scene.push(entry);
+        if (this.physicsEnabled) {
+            // The first scene body replaces the one-per-polytope bodies
+            if (scene.length === 1) {
+                this.createPhysicsBodies();
+            } else {
+                this.physicsBodies.push(this.createSceneRigidBody(entry));
+                this.applyConstraints();
+            }
+        }
+        this.selectedBody = scene.length - 1;
+        return this.selectedBody;
+    }
+    
+    /**
+     * Remove a scene body; the bodies after it move down one index
+     * @param {number} index
+     */
+    deleteBody(index) {
+        const scene = this.parameters.scene;
+        if (!scene[index]) return;
+        
+        scene.splice(index, 1);
+        if (this.physicsEnabled) {
+            if (scene.length === 0) {
+                this.createPhysicsBodies();
+            } else {
+                const [body] = this.physicsBodies.splice(index, 1);
+                this.physics.removeBody(body.id);
+                this.physicsFeedback = null;
+                this.applyConstraints();
+            }
+        }
+        
+        if (this.selectedBody === index) {
+            this.selectedBody = null;
+        } else if (this.selectedBody > index) {
+            this.selectedBody--;
+        }
+    }
+    
+    /**
+     * Change a scene body; with physics on, a new pose moves its rigid body there at rest
+     * @param {number} index
+     * @param {Object} changes - polytope, position, rotation and/or material fields
+     * @returns {Object} The updated scene body
+     */
+    updateBody(index, changes) {
+        const scene = this.parameters.scene;
+        if (!scene[index]) {
+            throw new Error(`No scene body ${index}`);
+        }
+        const entry = createSceneBody({
+            ...scene[index],
+            ...changes,
+            material: { ...scene[index].material, ...changes.material }
+        });
+        if (entry.polytope >= this.polytopes.length) {
+            throw new Error(`Unknown polytope ${entry.polytope}`);
+        }
+        scene[index] = entry;
+        
+        const body = this.physicsBodies[index];
+        if (this.physicsEnabled && body) {
+            if (changes.polytope !== undefined || changes.material?.scale !== undefined) {
+                // Shape and size are fixed when a rigid body is made
+                this.createPhysicsBodies();
+            } else {
+                if (changes.position || changes.rotation) {
+                    body.position = [...entry.position];
+                    body.rotation = [...entry.rotation];
+                    body.orientation = rotor.fromAngles(entry.rotation);
+                    body.velocity = [0, 0, 0, 0];
+                    body.angularVelocity = [0, 0, 0, 0, 0, 0];
+                    body.previousState = null;
+                }
+                this.physics.configureBody(body, this.sceneBodyOptions(entry));
+            }
+        }
+        return entry;
+    }
+    
+    selectBody(index) {
+        this.selectedBody = this.parameters.scene[index] ? index : null;
+    }
+    
+    clearScene() {
+        this.setScene([]);
+    }
+    
+    /**
+     * The bodies the scene shows and their states: the scene's own, or while a recording of a
+     * scene replays, the recorded bodies
+     * @returns {{ entries: Object[], states: Object[]|null, replayed: boolean }}
+     */
+    getSceneSource() {
+        const recording = this.physicsReplay?.recording;
+        if (recording?.bodies.some(body => body.material)) {
+            const entries = recording.bodies.map(({ polytopeType, material }) => createSceneBody({ polytope: polytopeType, material }));
+            return { entries, states: this.physicsFeedback, replayed: true };
+        }
+        // Another replay's states belong to other bodies
+        return { entries: this.parameters.scene, states: recording ? null : this.physicsFeedback, replayed: false };
+    }
+    
+    /**
+     * Where each scene body is drawn, from its physics state when the simulation has one
+     * @returns {Object[]} sceneBodyView() per scene body; zero radius for bodies a replay hides
+     */
+    getSceneViews(source = this.getSceneSource()) {
+        return source.entries.map((entry, i) => {
+            const state = source.states?.[i] || entry;
+            const radius = state.present === false ? 0
+                : this.physics.calculateBoundingRadius(entry.polytope) * entry.material.scale;
+            return sceneBodyView(state.position, radius);
+        });
+    }
+    
+    /**
+     * What the visualizers draw for the scene: each body's view, parameters and mesh
+     * @returns {Object[]|null} null while the scene is empty
+     */
+    getSceneDrawList() {
+        const source = this.getSceneSource();
+        if (source.entries.length === 0) return null;
+        
+        const views = this.getSceneViews(source);
+        return source.entries.map((entry, i) => {
+            const state = source.states?.[i] || entry;
+            if (state.present === false) return null;
+            const impact = state.feedback?.impactIntensity || 0;
+            const selected = !source.replayed && i === this.selectedBody;
+            // The selected body draws heavier edges; hits flash a body brighter
+            const parameters = {
+                ...this.parameters,
+                polytope: entry.polytope,
+                hue: entry.material.hue,
+                translucency: Math.min(1, entry.material.translucency + impact * 0.2 + (selected ? 0.2 : 0)),
+                edgeThickness: Math.min(3, this.parameters.edgeThickness * (selected ? 1.5 : 1))
+            };
+            ROTATION_PARAMETERS.forEach((name, plane) => {
+                parameters[name] = state.rotation[plane];
+            });
+            return { ...views[i], parameters, mesh: this.polytopes[entry.polytope]?.mesh || null };
+        }).filter(Boolean);
+    }
+    
+    /**
+     * Canvas point in the fragment shader's uv space
+     * @param {number} x - 0 (left) to 1 (right)
+     * @param {number} y - 0 (bottom) to 1 (top)
+     * @returns {number[]}
+     */
+    screenToScene(x, y) {
+        const canvas = this.visualizers.find(visualizer => visualizer.role === 'content')?.canvas
+            || this.visualizers[0]?.canvas;
+        const width = canvas?.width || 1;
+        const height = canvas?.height || 1;
+        const size = Math.min(width, height);
+        return [(x - 0.5) * width / size, (y - 0.5) * height / size];
+    }
+    
+    /**
+     * The scene body drawn under a canvas point
+     * @param {number} x - 0 (left) to 1 (right)
+     * @param {number} y - 0 (bottom) to 1 (top)
+     * @returns {number|null} Scene index
+     */
+    pickBody(x, y) {
+        return pickSceneBody(this.getSceneViews(), this.screenToScene(x, y));
+    }
+    
+    /**
+     * World position drawn at a canvas point, for spawning there
+     * @param {number} x - 0 (left) to 1 (right)
+     * @param {number} y - 0 (bottom) to 1 (top)
+     * @returns {number[]}
+     */
+    scenePositionAt(x, y) {
+        return scenePosition(this.screenToScene(x, y));
+    }
+    
+    /**
+     * Record body states once per physics step, starting from the current state
+     * @param {Object} [options]
+     * @param {number} [options.maxDuration] - Seconds of simulation kept before recording stops
+     * @returns {PhysicsRecording}
+     */
+    startPhysicsRecording({ maxDuration = 60 } = {}) {
+        this.stopPhysicsReplay();
+        if (!this.physicsEnabled) {
+            this.enablePhysics();
+        }
+        
+        this.physicsRecording = new PhysicsRecording({ timeStep: this.physics.timeStep });
+        this.physicsRecording.capture(this.physics.getAllBodies(), body => this.describeRecordedBody(body));
+        this.physicsRecordingLimit = Math.round(maxDuration / this.physics.timeStep) + 1;
+        this.recordingPhysics = true;
+        return this.physicsRecording;
+    }
+    
+    /**
+     * What a recording keeps about a body: its type, and its material when it is a scene body
+     */
+    describeRecordedBody(body) {
+        const entry = this.parameters.scene[this.physicsBodies.indexOf(body)];
+        return entry ? { polytopeType: body.polytopeType, material: entry.material } : { polytopeType: body.polytopeType };
+    }
+    
+    recordPhysicsStep() {
+        this.physicsRecording.capture(this.physics.getAllBodies(), body => this.describeRecordedBody(body));
+        if (this.physicsRecording.frames.length >= this.physicsRecordingLimit) {
+            this.stopPhysicsRecording();
+        }
+    }
+    
+    /**
+     * @returns {PhysicsRecording|null} The finished recording
+     */
+    stopPhysicsRecording() {
+        this.recordingPhysics = false;
+        return this.physicsRecording;
+    }
+    
+    /**
+     * Play a recording instead of the live simulation, looping with the shared clock
+     * @param {PhysicsRecording|Object} [recording] - A recording or its JSON; defaults to the last one
+     * @returns {PhysicsRecording}
+     */
+    replayPhysics(recording = this.physicsRecording) {
+        if (!recording) {
+            throw new Error('No physics recording to replay');
+        }
+        const replay = recording instanceof PhysicsRecording ? recording : PhysicsRecording.fromJSON(recording);
+        if (replay.isEmpty()) {
+            throw new Error('Physics recording has no frames');
+        }
         
+        this.stopPhysicsRecording();
+        this.physicsRecording = replay;
+        
+        // The modulation a live run builds up step by step, summed per recorded step (each worth
+        // as many live steps as it lasts), so every frame is rebuilt from where the replay started
+        const stepWeight = replay.timeStep / this.physics.timeStep;
+        const total = { velocityIntensity: 0, impactIntensity: 0, accelerationGlow: 0 };
+        const buildUp = replay.frames.map((frame, i) => {
+            const avgFeedback = this.calculateAveragePhysicsFeedback(replay.stateAt(i * replay.timeStep));
+            Object.keys(total).forEach(key => { total[key] += avgFeedback[key] * stepWeight; });
+            return { ...total };
+        });
+        const { hue, chromaticAberration, noiseAmplitude } = this.parameters;
+        const base = this.physicsReplay ? this.physicsReplay.base : { hue, chromaticAberration, noiseAmplitude };
+        
+        this.physicsReplay = { recording: replay, start: 0, origin: clock.getTime(), base, buildUp };
+        this.showPhysicsReplayFrame(0);
+        return replay;
+    }
+    
+    stopPhysicsReplay() {
+        if (this.physicsReplay) {
+            Object.assign(this.parameters, this.physicsReplay.base);
+        }
+        this.physicsReplay = null;
+        this.physicsFeedback = null;
+    }
+    
+    /**
+     * Draw the replay at a time: the pose comes from the recording and the color modulation from
+     * the replay's starting values, so a frame depends only on the playhead
+     * @param {number} seconds - Into the recording
+     */
+    showPhysicsReplayFrame(seconds) {
+        const { recording, base, buildUp } = this.physicsReplay;
+        this.updatePhysicsVisuals(recording.stateAt(seconds), 0);
+        
+        const step = Math.min(Math.max(seconds / recording.timeStep, 0), buildUp.length - 1);
+        const index = Math.floor(step);
+        const next = buildUp[Math.min(index + 1, buildUp.length - 1)];
+        const built = key => buildUp[index][key] + (next[key] - buildUp[index][key]) * (step - index);
+        
+        this.parameters.hue = base.hue + built('velocityIntensity') * 5;
+        this.parameters.chromaticAberration = Math.max(0.1, base.chromaticAberration + built('impactIntensity') * 0.3);
+        this.parameters.noiseAmplitude = Math.max(0.1, base.noiseAmplitude + built('accelerationGlow') * 0.5);
+    }
+    
+    /**
+     * Replay playhead in seconds, null when not replaying
+     */
+    getPhysicsReplayTime() {
+        if (!this.physicsReplay) return null;
+        const { recording, start, origin } = this.physicsReplay;
+        const elapsed = start + Math.max(0, clock.getTime() - origin) * this.parameters.physicsTimeScale;
+        return recording.duration > 0 ? elapsed % recording.duration : 0;
+    }
+    
+    /**
+     * Scrub the replay; playback carries on from there with the clock
+     */
+    seekPhysicsReplay(seconds) {
+        if (!this.physicsReplay) return null;
+        const time = Math.min(Math.max(0, parseFloat(seconds) || 0), this.physicsReplay.recording.duration);
+        this.physicsReplay.start = time;
+        this.physicsReplay.origin = clock.getTime();
+        this.showPhysicsReplayFrame(time);
+        return time;
+    }
+    
+    /**
+     * Short excerpt of the last recording for a trading card: the current polytope's body only,
+     * at a lower frame rate
+     * @returns {Object|null} Recording JSON
+     */
+    getPhysicsCardRecording({ duration = 6, frameRate = 20 } = {}) {
+        const recording = this.physicsRecording;
+        if (!recording || recording.isEmpty()) return null;
+        
+        const primary = Math.min(this.parameters.polytope, recording.bodies.length - 1);
+        const start = this.physicsReplay ? Math.min(this.getPhysicsReplayTime(), Math.max(0, recording.duration - duration)) : 0;
+        return recording.excerpt({ start, duration, frameRate, bodies: [primary] }).toJSON(4);
+    }
+    
+    /**
+     * Simulation speed and substeps; both are kept in the parameters, so saves carry them
+     * @param {Object} options
+     * @param {number} [options.timeScale] - 0 (frozen) to 4, 1 is real time
+     * @param {number} [options.substeps] - 1 to 8 per fixed step
+     * @returns {{ timeScale: number, substeps: number }}
+     */
+    setPhysicsTime({ timeScale, substeps } = {}) {
+        // The replay carries on from where it is at the new speed
+        const replayTime = this.getPhysicsReplayTime();
+        
+        if (timeScale !== undefined) {
+            this.parameters.physicsTimeScale = Math.min(Math.max(parseFloat(timeScale) || 0, 0), 4);
+        }
+        if (substeps !== undefined) {
+            this.parameters.physicsSubsteps = Math.min(Math.max(Math.round(substeps) || 1, 1), 8);
+        }
+        
+        if (replayTime !== null) {
+            this.physicsReplay.start = replayTime;
+            this.physicsReplay.origin = clock.getTime();
+        }
+        return { timeScale: this.parameters.physicsTimeScale, substeps: this.parameters.physicsSubsteps };
+    }
+    
+    /**
+     * Update visual parameters based on physics simulation
+     * @param {Object[]} [physicsFeedback] - Body states, the live simulation's by default
+     * @param {number} [steps] - Physics steps since the last update; the color modulation builds
+     *   up per step, so it doesn't run faster on faster displays (replays pass 0 and rebuild it)
+     */
+    updatePhysicsVisuals(physicsFeedback = this.physics.getPhysicsFeedback(), steps = 1) {
         if (physicsFeedback.length > 0) {
             // Use physics feedback to modulate visual parameters
             const avgFeedback = this.calculateAveragePhysicsFeedback(physicsFeedback);
             
             // Modulate parameters based on physics
-            this.parameters.hue += avgFeedback.velocityIntensity * 5;
+            this.parameters.hue += avgFeedback.velocityIntensity * 5 * steps;
             this.parameters.chromaticAberration = Math.max(0.1, 
-                this.parameters.chromaticAberration + avgFeedback.impactIntensity * 0.3);
+                this.parameters.chromaticAberration + avgFeedback.impactIntensity * 0.3 * steps);
             this.parameters.noiseAmplitude = Math.max(0.1,
-                this.parameters.noiseAmplitude + avgFeedback.accelerationGlow * 0.5);
+                this.parameters.noiseAmplitude + avgFeedback.accelerationGlow * 0.5 * steps);
             
-            // Update rotation based on physics body rotations
-            const primaryBody = physicsFeedback[this.parameters.polytope] || physicsFeedback[0];
+            // A scene draws every body from its own state; a single polytope turns with its body
+            this.physicsFeedback = physicsFeedback;
+            const primaryBody = this.parameters.scene.length === 0
+                && (physicsFeedback[this.parameters.polytope] || physicsFeedback[0]);
             if (primaryBody) {
                 this.parameters.rot4dXY = primaryBody.rotation[0];
                 this.parameters.rot4dXZ = primaryBody.rotation[1];
@@ -913,6 +1812,32 @@ export class PolychoraSystem {
         }
     }
     
+    /**
+     * Rebuild WebGL resources after a context loss. Parameters stay on the system and are
+     * handed to every frame, so the rebuilt layers only need them re-cached and one redraw.
+     * @param {HTMLCanvasElement} [canvas] - Only the layer drawing to this canvas; all layers when omitted
+     */
+    restoreContext(canvas = null) {
+        const restored = reinitializeVisualizers(this.visualizers, canvas);
+        restored.forEach(visualizer => {
+            visualizer.updateParameters(this.parameters);
+            visualizer.render(this.parameters, this.getCurrentMesh());
+        });
+        console.log(`✅ Polychora System: ${restored.length} layers restored`);
+        return restored.length;
+    }
+    
+    /**
+     * Set active state - required by SmartCanvasPool
+     */
+    setActive(active) {
+        if (active) {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+    
     /**
      * Update system parameters
      */
@@ -942,20 +1867,58 @@ export class PolychoraSystem {
      */
     updateParameters(newParams) {
         // Map standard VIB34D parameters to Polychora parameters
+        if (newParams.rot4dXY !== undefined) this.parameters.rot4dXY = newParams.rot4dXY;
+        if (newParams.rot4dXZ !== undefined) this.parameters.rot4dXZ = newParams.rot4dXZ;
+        if (newParams.rot4dYZ !== undefined) this.parameters.rot4dYZ = newParams.rot4dYZ;
         if (newParams.rot4dXW !== undefined) this.parameters.rot4dXW = newParams.rot4dXW;
         if (newParams.rot4dYW !== undefined) this.parameters.rot4dYW = newParams.rot4dYW;
         if (newParams.rot4dZW !== undefined) this.parameters.rot4dZW = newParams.rot4dZW;
         if (newParams.hue !== undefined) this.parameters.hue = newParams.hue;
+        if (newParams.projection !== undefined) this.parameters.projection = projectionValue(newParams.projection, 'polychora');
         
         // Map grid density to Polychora line thickness (missing connection!)
         if (newParams.gridDensity !== undefined) {
             this.parameters.lineThickness = newParams.gridDensity * 0.01; // Scale 5-100 to 0.05-1.0
         }
         
+        SLICE_PARAMETERS.forEach(name => {
+            if (newParams[name] !== undefined) this.parameters[name] = newParams[name];
+        });
+        
+        // A save's imported polytopes come back first, and its polytope indices follow them
+        const imported = Array.isArray(newParams.importedPolytopes)
+            ? this.restoreImportedPolytopes(newParams.importedPolytopes) : new Map();
+        const polytopeIndex = index => imported.get(index) ?? index;
+        
+        // Scene bodies are copied like the joint specs; physics starts them over at their poses
+        if (newParams.scene !== undefined) {
+            this.parameters.scene = newParams.scene.slice(0, MAX_SCENE_BODIES)
+                .map(spec => createSceneBody({ ...spec, polytope: polytopeIndex(spec.polytope) }))
+                .filter(entry => entry.polytope < this.polytopes.length);
+            this.selectedBody = null;
+            if (this.physicsEnabled) this.createPhysicsBodies();
+        }
+        
+        if (PHYSICS_PARAMETERS.some(name => newParams[name] !== undefined)) {
+            this.setPhysicsParameters(newParams);
+        }
+        
+        // Joint specs are copied, so a saved variation never shares them with the live scene
+        if (CONSTRAINT_PARAMETERS.some(name => newParams[name] !== undefined)) {
+            if (newParams.constraintPreset !== undefined) this.parameters.constraintPreset = newParams.constraintPreset;
+            if (newParams.constraints !== undefined) {
+                this.parameters.constraints = newParams.constraints.map(spec => JSON.parse(JSON.stringify(spec)));
+            }
+            if (this.physicsEnabled) this.applyConstraints();
+        }
+        
         // Map geometry to polytope selection
         if (newParams.geometry !== undefined) {
             this.parameters.polytope = Math.min(newParams.geometry, this.polytopes.length - 1);
         }
+        if (newParams.polytope !== undefined) {
+            this.parameters.polytope = Math.min(polytopeIndex(newParams.polytope), this.polytopes.length - 1);
+        }
         
         // Map speed to flow direction intensity
         if (newParams.speed !== undefined) {
@@ -1014,9 +1977,12 @@ export class PolychoraSystem {
     }
     
     /**
-     * Update 4D scroll interaction (cross-section navigation)
+     * Update 4D scroll interaction (cross-section navigation); scrolling moves the slice
      */
     updateScroll(velocity) {
+        if (this.parameters.sliceMode && !this.parameters.sliceAnimate) {
+            this.setSlice({ offset: this.parameters.sliceOffset + velocity * 0.001 });
+        }
         this.visualizers.forEach(visualizer => {
             if (visualizer.updateCrossSection) {
                 visualizer.updateCrossSection(velocity);
@@ -1031,6 +1997,108 @@ export class PolychoraSystem {
         return this.polytopes[this.parameters.polytope];
     }
     
+    /**
+     * Add an imported polytope after the built-ins. Importing a name again replaces that
+     * polytope in place, so its index stays valid.
+     * @param {Object} mesh - parsePolytope() result
+     * @returns {number} Polytope index
+     */
+    addPolytope(mesh) {
+        const entry = {
+            name: mesh.name,
+            description: `Imported polytope with ${mesh.vertexCount} vertices and ${mesh.edgeCount} edges`,
+            mesh
+        };
+        
+        const existing = this.polytopes.findIndex(polytope => polytope.mesh && polytope.name === mesh.name);
+        const index = existing !== -1 ? existing : this.polytopes.length;
+        this.polytopes[index] = entry;
+        this.physics.setCollisionShape(index, mesh);
+        
+        // Saves, cards and parameter validation clamp the polytope to the schema's range
+        PARAMETER_SCHEMA.polytope.max = this.polytopes.length - 1;
+        
+        console.log(`🔮 Imported polytope ${mesh.name} (${index}): ${entry.description}`);
+        return index;
+    }
+    
+    /**
+     * Imported polytopes as parsePolytopeJSON() input, so a save can carry them
+     * @returns {Object[]} { index, name, vertices, edges, faces } per import
+     */
+    getImportedPolytopes() {
+        return this.polytopes.flatMap(({ mesh }, index) => mesh ? [{
+            index,
+            name: mesh.name,
+            vertices: Array.from({ length: mesh.vertexCount }, (_, i) => Array.from(mesh.vertices.subarray(i * 4, i * 4 + 4))),
+            edges: mesh.edges,
+            faces: mesh.faces
+        }] : []);
+    }
+    
+    /**
+     * Add the polytopes a save carried (getImportedPolytopes()) again
+     * @param {Object[]} polytopes
+     * @returns {Map<number, number>} Index in the save → index here
+     */
+    restoreImportedPolytopes(polytopes) {
+        const indices = new Map();
+        polytopes.forEach(({ index, ...polytope }) => {
+            try {
+                indices.set(index, this.addPolytope(parsePolytopeJSON(JSON.stringify(polytope))));
+            } catch (error) {
+                console.warn(`⚠️ Saved polytope ${polytope.name} could not be restored:`, error.message);
+            }
+        });
+        return indices;
+    }
+    
+    /**
+     * Mesh of the current polytope, null for the built-in distance-function polytopes
+     */
+    getCurrentMesh() {
+        return this.polytopes[this.parameters.polytope]?.mesh || null;
+    }
+    
+    /**
+     * Change the cross-section. Turning slicing on shows the current polytope cut by a
+     * hyperplane: filled cells and edges of the 3D section.
+     * @param {Object} options
+     * @param {boolean} [options.enabled]
+     * @param {number} [options.offset] - Hyperplane distance from the center, -1 to 1
+     * @param {number} [options.tiltXW] - Radians
+     * @param {number} [options.tiltYW]
+     * @param {number} [options.tiltZW]
+     * @param {boolean} [options.animate] - Sweep the offset on the shared clock
+     * @param {number} [options.speed]
+     */
+    setSlice({ enabled, offset, tiltXW, tiltYW, tiltZW, animate, speed } = {}) {
+        const values = {
+            sliceMode: enabled,
+            sliceOffset: offset === undefined ? undefined : Math.max(-1, Math.min(1, offset)),
+            sliceTiltXW: tiltXW,
+            sliceTiltYW: tiltYW,
+            sliceTiltZW: tiltZW,
+            sliceAnimate: animate,
+            sliceSpeed: speed
+        };
+        Object.entries(values).forEach(([name, value]) => {
+            if (value !== undefined) this.parameters[name] = value;
+        });
+        return this.getSliceOffset();
+    }
+    
+    /**
+     * Hyperplane offset drawn this frame - moves on its own while the slice animates
+     */
+    getSliceOffset() {
+        if (!this.parameters.sliceAnimate) {
+            return this.parameters.sliceOffset;
+        }
+        const mesh = this.getCurrentMesh() || regularPolytope(this.parameters.polytope);
+        return sliceGeometry(mesh, this.parameters, clock.getTime()).plane.offset;
+    }
+    
     /**
      * Get all polytope names for UI
      */
@@ -1043,6 +2111,9 @@ export class PolychoraSystem {
      */
     destroy() {
         this.stop();
+        if (this.unwatchContext) {
+            this.unwatchContext();
+        }
         this.visualizers.forEach(visualizer => {
             if (visualizer.destroy) {
                 visualizer.destroy();
@@ -0,0 +1,482 @@
+/**
+ * PostProcessing - Screen-space effects applied after the layer composite
+ * Each pass (bloom, chromatic aberration, glitch, grain, vignette) is driven by a 0-1
+ * parameter and is skipped at 0, so saves without post parameters render unchanged.
+ *
+ * The stack only needs a GL context and an input texture: UnifiedCanvasManager feeds it the
+ * composited layers, and trading cards embed the same code through postProcessingCardScript().
+ */
+
+import { resolveParameters } from './ParameterSchema.js';
+
+const PASS_HEADER = `
+precision mediump float;
+varying vec2 v_uv;
+uniform sampler2D u_input;   // Previous step
+uniform sampler2D u_source;  // Input of the current pass
+uniform float u_amount;
+uniform float u_time;
+uniform vec2 u_resolution;
+uniform vec2 u_texel;
+
+float hash(vec2 p) {
+  return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+`;
+
+const BLUR_STEP = `
+uniform vec2 u_direction;
+void main() {
+  vec2 offset = u_direction * u_texel;
+  vec3 color = texture2D(u_input, v_uv).rgb * 0.2270;
+  color += texture2D(u_input, v_uv + offset * 1.3846).rgb * 0.3162;
+  color += texture2D(u_input, v_uv - offset * 1.3846).rgb * 0.3162;
+  color += texture2D(u_input, v_uv + offset * 3.2308).rgb * 0.0703;
+  color += texture2D(u_input, v_uv - offset * 3.2308).rgb * 0.0703;
+  gl_FragColor = vec4(color, 1.0);
+}`;
+
+/**
+ * Pass definitions in render order. Steps run one after another; each reads the previous
+ * step (u_input) and the pass input (u_source), at `scale` times the output size.
+ * `priority` decides which passes survive a reduced quality budget (lower = kept longer).
+ */
+export const POST_PASSES = [
+  {
+    name: 'bloom',
+    param: 'postBloom',
+    label: 'Bloom',
+    priority: 4,
+    steps: [
+      {
+        scale: 0.5,
+        fragment: `void main() {
+  vec3 color = texture2D(u_input, v_uv).rgb;
+  float luma = dot(color, vec3(0.299, 0.587, 0.114));
+  gl_FragColor = vec4(color * smoothstep(0.45, 0.9, luma), 1.0);
+}`
+      },
+      { scale: 0.5, fragment: BLUR_STEP, uniforms: { u_direction: [1, 0] } },
+      { scale: 0.5, fragment: BLUR_STEP, uniforms: { u_direction: [0, 1] } },
+      {
+        scale: 1,
+        fragment: `void main() {
+  vec4 base = texture2D(u_source, v_uv);
+  vec3 glow = texture2D(u_input, v_uv).rgb;
+  gl_FragColor = vec4(base.rgb + glow * u_amount * 1.5, base.a);
+}`
+      }
+    ]
+  },
+  {
+    name: 'chromaticAberration',
+    param: 'postChromatic',
+    label: 'Chromatic',
+    priority: 1,
+    steps: [{
+      scale: 1,
+      fragment: `void main() {
+  vec2 offset = (v_uv - 0.5) * u_amount * 0.02;
+  vec4 base = texture2D(u_input, v_uv);
+  float r = texture2D(u_input, v_uv + offset).r;
+  float b = texture2D(u_input, v_uv - offset).b;
+  gl_FragColor = vec4(r, base.g, b, base.a);
+}`
+    }]
+  },
+  {
+    name: 'glitch',
+    param: 'postGlitch',
+    label: 'Glitch',
+    priority: 3,
+    steps: [{
+      scale: 1,
+      fragment: `void main() {
+  float band = floor(v_uv.y * 24.0);
+  float tick = floor(u_time * 12.0);
+  float active = step(1.0 - u_amount * 0.35, hash(vec2(band, tick)));
+  float shift = active * (hash(vec2(tick, band)) - 0.5) * 0.1 * u_amount;
+  vec2 uv = vec2(fract(v_uv.x + shift), v_uv.y);
+  vec4 base = texture2D(u_input, uv);
+  float r = texture2D(u_input, uv + vec2(shift * 0.5, 0.0)).r;
+  gl_FragColor = vec4(r, base.g, base.b, base.a);
+}`
+    }]
+  },
+  {
+    name: 'grain',
+    param: 'postGrain',
+    label: 'Grain',
+    priority: 2,
+    steps: [{
+      scale: 1,
+      fragment: `void main() {
+  vec4 base = texture2D(u_input, v_uv);
+  float noise = hash(v_uv * u_resolution + fract(u_time) * 100.0) - 0.5;
+  gl_FragColor = vec4(base.rgb + noise * u_amount * 0.25, base.a);
+}`
+    }]
+  },
+  {
+    name: 'vignette',
+    param: 'postVignette',
+    label: 'Vignette',
+    priority: 0,
+    steps: [{
+      scale: 1,
+      fragment: `void main() {
+  vec4 base = texture2D(u_input, v_uv);
+  float edge = smoothstep(0.35, 0.85, distance(v_uv, vec2(0.5)));
+  gl_FragColor = vec4(base.rgb * (1.0 - edge * u_amount), base.a);
+}`
+    }]
+  }
+];
+
+export const POST_PARAMETERS = POST_PASSES.map(pass => pass.param);
+
+export function isPostParameter(name) {
+  return POST_PARAMETERS.includes(name);
+}
+
+/**
+ * Clamp saved post parameters to their schema range; missing or invalid values turn the pass off
+ */
+export function normalizePostProcessing(params = {}) {
+  return resolveParameters(params, null, POST_PARAMETERS);
+}
+
+// Live post parameters - shared by every system, like the composite they apply to
+const postParameters = normalizePostProcessing();
+
+export function getPostParameters() {
+  return { ...postParameters };
+}
+
+export function setPostParameter(name, value) {
+  if (!isPostParameter(name)) return false;
+  Object.assign(postParameters, normalizePostProcessing({ ...postParameters, [name]: value }));
+  return true;
+}
+
+/**
+ * Passes to run this frame, in render order
+ * @param {Object} params - Post parameters
+ * @param {Object} [quality] - MobileOptimizedRenderer quality settings: `postProcessing` turns
+ *   the stack off, `postProcessingBudget` caps the number of full-screen steps
+ * @param {Array} [passes]
+ */
+export function selectPasses(params, quality, passes = POST_PASSES) {
+  if (quality && quality.postProcessing === false) return [];
+
+  const amount = pass => Math.max(0, Math.min(1, parseFloat(params[pass.param]) || 0));
+  let budget = quality && quality.postProcessingBudget !== undefined ? quality.postProcessingBudget : Infinity;
+
+  const kept = new Set();
+  passes
+    .filter(pass => amount(pass) > 0.001)
+    .sort((a, b) => a.priority - b.priority)
+    .forEach(pass => {
+      if (pass.steps.length <= budget) {
+        kept.add(pass);
+        budget -= pass.steps.length;
+      }
+    });
+
+  return passes.filter(pass => kept.has(pass)).map(pass => ({ pass, amount: amount(pass) }));
+}
+
+/**
+ * Runs the selected passes over a texture, ping-ponging through pooled framebuffers.
+ * The last step draws into the target framebuffer (null = the canvas).
+ */
+export class PostProcessingStack {
+  constructor(gl, passes = POST_PASSES) {
+    this.gl = gl;
+    this.passes = passes;
+    this.programs = new Map();
+    this.targets = [];
+    this.buffer = null;
+    this.frame = 0;
+  }
+
+  /**
+   * @param {{texture: WebGLTexture, width: number, height: number}} source
+   * @param {Object} params - Post parameters
+   * @param {Object} options
+   * @param {Object} [options.quality] - Adaptive quality settings, see selectPasses()
+   * @param {number} [options.time] - Seconds, animates grain and glitch
+   * @param {WebGLFramebuffer} [options.framebuffer] - Output, null for the canvas
+   * @param {number} [options.width] - Output size, defaults to the source size
+   * @param {number} [options.height]
+   * @returns {string[]} Names of the passes that ran, empty when nothing was drawn
+   */
+  render(source, params, options = {}) {
+    const selected = selectPasses(params, options.quality, this.passes);
+    if (selected.length === 0) return [];
+
+    const gl = this.gl;
+    const width = options.width || source.width;
+    const height = options.height || source.height;
+    const output = { fbo: options.framebuffer || null, width, height };
+    this.frame++;
+
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+
+    let input = source;
+    selected.forEach(({ pass, amount }, passIndex) => {
+      const passSource = input;
+      pass.steps.forEach((step, stepIndex) => {
+        const last = passIndex === selected.length - 1 && stepIndex === pass.steps.length - 1;
+        const target = last ? output : this.acquireTarget(
+          Math.max(1, Math.round(width * step.scale)),
+          Math.max(1, Math.round(height * step.scale)),
+          [input, passSource]
+        );
+        this.drawStep(pass, stepIndex, { input, passSource, target, amount, time: options.time || 0 });
+        input = target;
+      });
+    });
+
+    this.releaseUnusedTargets();
+    return selected.map(({ pass }) => pass.name);
+  }
+
+  drawStep(pass, stepIndex, { input, passSource, target, amount, time }) {
+    const gl = this.gl;
+    const program = this.getProgram(pass, stepIndex);
+    if (!program) return;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+    gl.viewport(0, 0, target.width, target.height);
+    gl.useProgram(program.program);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, passSource.texture);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, input.texture);
+
+    gl.uniform1i(program.uniforms.u_input, 0);
+    gl.uniform1i(program.uniforms.u_source, 1);
+    gl.uniform1f(program.uniforms.u_amount, amount);
+    gl.uniform1f(program.uniforms.u_time, time);
+    gl.uniform2f(program.uniforms.u_resolution, target.width, target.height);
+    gl.uniform2f(program.uniforms.u_texel, 1 / input.width, 1 / input.height);
+    Object.entries(pass.steps[stepIndex].uniforms || {}).forEach(([name, value]) => {
+      if (Array.isArray(value)) {
+        gl.uniform2fv(program.uniforms[name], value);
+      } else {
+        gl.uniform1f(program.uniforms[name], value);
+      }
+    });
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.enableVertexAttribArray(program.position);
+    gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  getProgram(pass, stepIndex) {
+    const key = `${pass.name}:${stepIndex}`;
+    if (this.programs.has(key)) return this.programs.get(key);
+
+    const gl = this.gl;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        console.error(`❌ Post pass ${key} compile error:`, gl.getShaderInfoLog(shader));
+        gl.deleteShader(shader);
+        return null;
+      }
+      return shader;
+    };
+
+    const vertexShader = compile(gl.VERTEX_SHADER, `
+attribute vec2 a_position;
+varying vec2 v_uv;
+void main() {
+  v_uv = a_position * 0.5 + 0.5;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}`);
+    const fragmentShader = compile(gl.FRAGMENT_SHADER, PASS_HEADER + pass.steps[stepIndex].fragment);
+
+    let entry = null;
+    if (vertexShader && fragmentShader) {
+      const program = gl.createProgram();
+      gl.attachShader(program, vertexShader);
+      gl.attachShader(program, fragmentShader);
+      gl.linkProgram(program);
+
+      if (gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        const names = ['u_input', 'u_source', 'u_amount', 'u_time', 'u_resolution', 'u_texel',
+          ...Object.keys(pass.steps[stepIndex].uniforms || {})];
+        entry = {
+          program,
+          position: gl.getAttribLocation(program, 'a_position'),
+          uniforms: Object.fromEntries(names.map(name => [name, gl.getUniformLocation(program, name)]))
+        };
+      } else {
+        console.error(`❌ Post pass ${key} link error:`, gl.getProgramInfoLog(program));
+        gl.deleteProgram(program);
+      }
+    }
+    if (vertexShader) gl.deleteShader(vertexShader);
+    if (fragmentShader) gl.deleteShader(fragmentShader);
+
+    if (!this.buffer) {
+      this.buffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    }
+
+    // Failed programs are cached too, so a broken pass logs once instead of every frame
+    this.programs.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Pooled framebuffer of the given size that is not one of `exclude`
+   */
+  acquireTarget(width, height, exclude) {
+    let target = this.targets.find(candidate =>
+      candidate.width === width && candidate.height === height && !exclude.includes(candidate));
+
+    if (!target) {
+      const gl = this.gl;
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+      const fbo = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+      target = { fbo, texture, width, height, frame: 0 };
+      this.targets.push(target);
+    }
+
+    target.frame = this.frame;
+    return target;
+  }
+
+  // Targets a frame did not touch belong to an old size or a pass that was turned off
+  releaseUnusedTargets() {
+    this.targets = this.targets.filter(target => {
+      if (target.frame === this.frame) return true;
+      this.gl.deleteFramebuffer(target.fbo);
+      this.gl.deleteTexture(target.texture);
+      return false;
+    });
+  }
+
+  dispose() {
+    this.frame++;
+    this.releaseUnusedTargets();
+    this.programs.forEach(entry => entry && this.gl.deleteProgram(entry.program));
+    this.programs.clear();
+    if (this.buffer) {
+      this.gl.deleteBuffer(this.buffer);
+      this.buffer = null;
+    }
+  }
+}
+
+/**
+ * Card runtime: draws the card's canvases through a PostProcessingStack on an overlay canvas.
+ * The sources stay in place (transparent) so they keep receiving pointer events.
+ * Embedded into exported cards as source text, so it may only use what the card script defines.
+ */
+export function attachCardPostProcessing(canvases, params) {
+  const sources = canvases.filter(Boolean);
+  if (sources.length === 0 || selectPasses(params).length === 0) return null;
+
+  const output = document.createElement('canvas');
+  const gl = output.getContext('webgl', { premultipliedAlpha: false });
+  if (!gl) return null;
+
+  // Same box as the first source (border and shadow included, since hiding the source hides them)
+  const first = sources[0];
+  const box = getComputedStyle(first);
+  ['boxSizing', 'borderStyle', 'borderWidth', 'borderColor', 'borderRadius', 'boxShadow'].forEach(prop => {
+    output.style[prop] = box[prop];
+  });
+  output.style.position = 'absolute';
+  output.style.margin = '0';
+  output.style.pointerEvents = 'none';
+  first.parentNode.insertBefore(output, sources[sources.length - 1].nextSibling);
+
+  // Stack the layers the way the page showed them, then hide the originals
+  const layers = sources.map(canvas => {
+    const style = getComputedStyle(canvas);
+    const blend = style.mixBlendMode === 'normal' ? 'source-over' : style.mixBlendMode;
+    return { canvas, opacity: parseFloat(style.opacity), blend };
+  });
+  sources.forEach(canvas => { canvas.style.opacity = '0'; });
+
+  const scratch = document.createElement('canvas');
+  const ctx = scratch.getContext('2d');
+  const stack = new PostProcessingStack(gl);
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  const startTime = performance.now();
+
+  // Runs after the card's own render callback in the same frame, while its drawing buffer is valid
+  function frame() {
+    const layout = getComputedStyle(first);
+    output.style.left = first.offsetLeft + 'px';
+    output.style.top = first.offsetTop + 'px';
+    output.style.width = layout.width;
+    output.style.height = layout.height;
+    const width = first.width;
+    const height = first.height;
+    if (output.width !== width || output.height !== height) {
+      output.width = scratch.width = width;
+      output.height = scratch.height = height;
+    }
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+    ctx.clearRect(0, 0, width, height);
+    layers.forEach(layer => {
+      ctx.globalCompositeOperation = layer.blend;
+      ctx.globalAlpha = layer.opacity;
+      ctx.drawImage(layer.canvas, 0, 0, width, height);
+    });
+
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, scratch);
+    stack.render({ texture, width, height }, params, { time: (performance.now() - startTime) / 1000 });
+
+    requestAnimationFrame(frame);
+  }
+  requestAnimationFrame(frame);
+  return stack;
+}
+
+/**
+ * Standalone source of the stack for exported cards: defines PASS_HEADER, POST_PASSES, selectPasses,
+ * PostProcessingStack and attachCardPostProcessing
+ */
+export function postProcessingCardScript() {
+  return `
+const PASS_HEADER = ${JSON.stringify(PASS_HEADER)};
+const POST_PASSES = ${JSON.stringify(POST_PASSES)};
+${selectPasses.toString()}
+${PostProcessingStack.toString()}
+${attachCardPostProcessing.toString()}
+`;
+}
+
+export default PostProcessingStack;
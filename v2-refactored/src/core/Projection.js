@@ -0,0 +1,70 @@
+/**
+ * VIB34D 4D→3D Projection
+ * The `projection` parameter shared by every system: 0 = perspective, 1 = orthographic,
+ * 2 = stereographic. Fractional values blend the two neighbouring modes, so projections
+ * can be interpolated like any other float parameter.
+ * The GLSL side (u_projection, project4Dto3D) is the `projection` chunk in ShaderChunks.js.
+ */
+
+import { projection as projections } from './Math4D.js';
+
+export const PROJECTION_MODES = ['perspective', 'orthographic', 'stereographic'];
+
+// Projection each system rendered with before it became selectable, so older saves look unchanged
+export const DEFAULT_PROJECTION = {
+    faceted: 1,
+    quantum: 0,
+    holographic: 0,
+    polychora: 1
+};
+
+/**
+ * Resolve a saved projection (mode name or number) to the 0-2 parameter value
+ * @param {string|number|undefined} value
+ * @param {string} system - Supplies the default when value is missing
+ * @returns {number}
+ */
+export function projectionValue(value, system = 'quantum') {
+    if (typeof value === 'string' && PROJECTION_MODES.includes(value.toLowerCase())) {
+        return PROJECTION_MODES.indexOf(value.toLowerCase());
+    }
+
+    const numeric = parseFloat(value);
+    if (!Number.isFinite(numeric)) {
+        return DEFAULT_PROJECTION[system] ?? 0;
+    }
+    return Math.max(0, Math.min(PROJECTION_MODES.length - 1, numeric));
+}
+
+/**
+ * Display text for a projection value, e.g. "PERSPECTIVE" or "ORTHO→STEREO 40%"
+ */
+export function projectionLabel(value) {
+    const projection = projectionValue(value);
+    const lower = Math.floor(projection);
+    const blend = projection - lower;
+
+    if (blend < 0.01 || lower >= PROJECTION_MODES.length - 1) {
+        return PROJECTION_MODES[Math.round(projection)].toUpperCase();
+    }
+
+    const short = { perspective: 'PERSP', orthographic: 'ORTHO', stereographic: 'STEREO' };
+    return `${short[PROJECTION_MODES[lower]]}→${short[PROJECTION_MODES[lower + 1]]} ${Math.round(blend * 100)}%`;
+}
+
+/**
+ * CPU twin of the GLSL project4Dto3D, for geometry projected before it reaches a shader
+ * @param {number[]} point - [x, y, z, w]
+ * @param {number} projection - 0-2 parameter value
+ * @returns {number[]} [x, y, z]
+ */
+export function project4Dto3D(point, projection) {
+    const mode = Math.max(0, Math.min(PROJECTION_MODES.length - 1, projection));
+    const mix = (a, b, amount) => a.map((value, i) => value + (b[i] - value) * amount);
+    const orthographic = projections.orthographic(point);
+
+    if (mode <= 1) {
+        return mix(projections.perspective(point), orthographic, mode);
+    }
+    return mix(orthographic, projections.stereographic(point), mode - 1);
+}
@@ -0,0 +1,231 @@
+/**
+ * VIB34D Shader Chunk Library
+ * GLSL shared by the live visualizers and the exported trading cards. Shaders pull chunks in
+ * with `#include <name>` lines, so a fix made here reaches every system and every card.
+ *
+ * Development: `enableHotReload()` (index.html?hotreload) polls this file and pushes edited
+ * chunks into the registry; visualizers that `watch()` it rebuild their programs in place.
+ */
+
+export const CHUNK_SOURCES = {
+    // All six 4D rotation planes. Math4D.mat4.rotation() has the same entries in row-major order,
+    // so these turn points by its inverse.
+    rotation4d: `
+mat4 rotateXY(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateXZ(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateYZ(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateXW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
+}
+
+mat4 rotateYW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
+}
+
+mat4 rotateZW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
+}
+`,
+
+    hsv: `
+vec3 hsv2rgb(vec3 c) {
+    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+}
+`,
+
+    // 4D->3D projection: 0 = perspective, 1 = orthographic, 2 = stereographic, blended in between.
+    // Perspective keeps the original 2.5 view distance used by the quantum and holographic shaders.
+    projection: `
+uniform float u_projection;
+
+vec3 projectPerspective(vec4 p) {
+    float w = 2.5 / (2.5 + p.w);
+    return vec3(p.x * w, p.y * w, p.z * w);
+}
+
+vec3 projectStereographic(vec4 p) {
+    // Stereographic projection from the w pole of the 3-sphere through p
+    float radius = max(length(p), 0.0001);
+    return p.xyz / max(1.0 - p.w / radius, 0.1);
+}
+
+vec3 project4Dto3D(vec4 p) {
+    float mode = clamp(u_projection, 0.0, 2.0);
+    if (mode <= 1.0) {
+        return mix(projectPerspective(p), p.xyz, mode);
+    }
+    return mix(p.xyz, projectStereographic(p), mode - 1.0);
+}
+`
+};
+
+const INCLUDE_PATTERN = /^([ \t]*)#include\s+<([\w-]+)>[ \t]*$/gm;
+
+export class ShaderChunkRegistry {
+    constructor(sources = {}) {
+        this.chunks = new Map();
+        this.listeners = new Set();
+        Object.entries(sources).forEach(([name, source]) => this.register(name, source));
+    }
+
+    register(name, source) {
+        this.chunks.set(name, source.replace(/^\n+|\s+$/g, ''));
+        return this;
+    }
+
+    has(name) {
+        return this.chunks.has(name);
+    }
+
+    get(name) {
+        return this.chunks.get(name) ?? null;
+    }
+
+    /**
+     * Replace chunk sources and notify watchers once
+     * @param {Object<string, string>} sources - Chunk name → GLSL
+     * @returns {string[]} Names whose source actually changed
+     */
+    update(sources) {
+        const changed = Object.entries(sources)
+            .filter(([name, source]) => this.get(name) !== source.replace(/^\n+|\s+$/g, ''))
+            .map(([name, source]) => {
+                this.register(name, source);
+                return name;
+            });
+
+        if (changed.length > 0) {
+            this.listeners.forEach(listener => listener(changed));
+        }
+        return changed;
+    }
+
+    /**
+     * Expand `#include <name>` lines, indenting each chunk to match its include.
+     * A chunk is only emitted once per shader, so chunks may include their own dependencies.
+     * @param {string} source - Shader source
+     * @returns {string}
+     */
+    compose(source, included = new Set()) {
+        return source.replace(INCLUDE_PATTERN, (line, indent, name) => {
+            if (included.has(name)) {
+                return `${indent}// #include <${name}> (already included)`;
+            }
+            if (!this.has(name)) {
+                console.error(`❌ Unknown shader chunk: ${name}`);
+                return `${indent}// #include <${name}> (missing)`;
+            }
+
+            included.add(name);
+            return this.compose(this.get(name), included)
+                .split('\n')
+                .map(chunkLine => (chunkLine ? indent + chunkLine : chunkLine))
+                .join('\n');
+        });
+    }
+
+    /**
+     * @param {Function} listener - Called with the changed chunk names
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Rebuild a visualizer's program whenever chunks change. `rebuild` must recreate
+     * `target.program` (and any cached uniform locations); if the new source fails to
+     * compile the previous program is kept so the page keeps rendering.
+     * @returns {Function} Unsubscribe
+     */
+    watch(target, rebuild) {
+        return this.onChange(changed => {
+            if (!target.gl || !target.program) return;
+
+            const previous = { program: target.program, uniforms: target.uniforms };
+            try {
+                rebuild();
+            } catch (error) {
+                target.program = null;
+                console.error('❌ Shader rebuild threw:', error);
+            }
+
+            if (!target.program) {
+                Object.assign(target, previous);
+                console.warn(`⚠️ Shader hot-reload failed (${changed.join(', ')}), keeping previous program`);
+                return;
+            }
+
+            target.gl.deleteProgram(previous.program);
+            console.log(`🔥 Shaders rebuilt for ${target.canvasId || target.canvas?.id || 'layer'} (${changed.join(', ')})`);
+        });
+    }
+}
+
+export const shaderChunks = new ShaderChunkRegistry(CHUNK_SOURCES);
+
+let hotReloadTimer = null;
+
+/**
+ * Development only: poll this module and push edited chunks into the running page
+ * @param {number} interval - Poll interval in ms
+ * @returns {Function} Stops polling
+ */
+export function enableHotReload(interval = 1000) {
+    if (hotReloadTimer) return disableHotReload;
+
+    const moduleUrl = new URL(import.meta.url);
+    moduleUrl.search = '';
+    let lastSource = null;
+
+    const poll = async () => {
+        try {
+            const response = await fetch(moduleUrl, { cache: 'no-store' });
+            const source = await response.text();
+            if (lastSource !== null && source !== lastSource) {
+                const fresh = await import(`${moduleUrl.href}?v=${Date.now()}`);
+                const changed = shaderChunks.update(fresh.CHUNK_SOURCES);
+                if (changed.length > 0) {
+                    console.log(`🔥 Shader chunks reloaded: ${changed.join(', ')}`);
+                }
+            }
+            lastSource = source;
+        } catch (error) {
+            console.warn('⚠️ Shader hot-reload poll failed:', error);
+        }
+    };
+
+    poll();
+    hotReloadTimer = setInterval(poll, interval);
+    console.log('🔥 Shader hot-reload enabled');
+    return disableHotReload;
+}
+
+export function disableHotReload() {
+    clearInterval(hotReloadTimer);
+    hotReloadTimer = null;
+}
@@ -1,11 +1,27 @@
 /**
- * SmartCanvasPool - Context pooling with destroy/recreate on system switch
- * Reduces 20 contexts to 5 contexts (only active system has contexts)
+ * SmartCanvasPool - System switching over one shared WebGL context
+ * Every layer of every system renders into a UnifiedCanvasManager framebuffer (20 contexts → 1).
+ * Falls back to per-canvas contexts with destroy/recreate on switch when the master context fails.
+ * A lost master context is rebuilt by the manager; the pool then restores every engine created so far.
+ * Switches cross-fade on the shared context; the fallback fades the new layers in from black.
  */
 
+import { UnifiedCanvasManager } from './UnifiedCanvasManager.js';
+import MobileOptimizedRenderer from './MobileOptimizedRenderer.js';
+import { clock } from './Clock.js';
+import { TRANSITION_DURATION } from './Transitions.js';
+
 export class SmartCanvasPool {
-  constructor(engineClasses = {}) {
+  /**
+   * @param {Object} engineClasses - Engine constructors from the main script
+   * @param {Object} options
+   * @param {boolean} options.useSingleContext - Render all systems through one context (default true)
+   * @param {HTMLElement} options.container - Element the master canvas fills
+   * @param {number} options.transitionDuration - Seconds a system switch fades for (0 switches instantly)
+   */
+  constructor(engineClasses = {}, options = {}) {
     this.activeSystem = null;
+    this.transitionDuration = options.transitionDuration ?? TRANSITION_DURATION;
     this.systems = new Map();
     this.engineClasses = engineClasses; // Pass engine classes from main script
     this.canvasConfigs = {
@@ -39,12 +55,113 @@ export class SmartCanvasPool {
       ]
     };
     
-    console.log('🎯 SmartCanvasPool initialized - Only 5 contexts at a time');
+    this.canvasManager = null;
+    if (options.useSingleContext !== false) {
+      this.canvasManager = this.createCanvasManager(options.container || document.getElementById('canvasContainer'));
+    }
+    
+    console.log(this.canvasManager ?
+      '🎯 SmartCanvasPool initialized - 1 shared context for all systems' :
+      '🎯 SmartCanvasPool initialized - Only 5 contexts at a time');
+  }
+
+  createCanvasManager(container) {
+    try {
+      const manager = new UnifiedCanvasManager({ container });
+      if (!manager.gl) {
+        console.warn('⚠️ Master WebGL context unavailable - falling back to per-layer contexts');
+        manager.dispose();
+        return null;
+      }
+      manager.quality = this.createQualityController(manager.gl);
+      manager.onContextRestored(() => this.restoreEngines());
+      manager.startCompositing();
+      return manager;
+    } catch (error) {
+      console.error('❌ Failed to create unified canvas manager:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Adaptive quality for the composite (post-processing budget). Optional - it benchmarks on a
+   * throwaway context, and the composite runs at full quality without it.
+   */
+  createQualityController(gl) {
+    try {
+      return new MobileOptimizedRenderer(gl);
+    } catch (error) {
+      console.warn('⚠️ Adaptive quality unavailable:', error);
+      return null;
+    }
+  }
+
+  /**
+   * All systems share the master context, so every engine created so far lost its programs,
+   * not just the visible one
+   * @returns {string[]} Systems whose engines were restored
+   */
+  restoreEngines() {
+    return Object.keys(this.canvasConfigs).filter(systemName => {
+      const engine = this.getEngineForSystem(systemName);
+      if (!engine || !engine.restoreContext) return false;
+      
+      engine.restoreContext();
+      console.log(`♻️ ${systemName} engine restored after context loss`);
+      return true;
+    });
+  }
+
+  /**
+   * Single-context switch: framebuffers and engines persist, only the composited system changes
+   */
+  async switchToSharedContext(systemName) {
+    const previousSystem = this.activeSystem;
+    
+    if (previousSystem && previousSystem !== systemName) {
+      const prevEngine = this.getEngineForSystem(previousSystem);
+      if (prevEngine && prevEngine.setActive) {
+        console.log(`🔴 Deactivating ${previousSystem} engine`);
+        prevEngine.setActive(false);
+      }
+    }
+    
+    // Layer canvases stay in the DOM as pointer-event surfaces for the interaction handlers
+    this.hideAllLayers();
+    this.showSystemLayers(systemName);
+    this.activeSystem = systemName;
+    
+    // Visualizers resolve their canvas ids to these targets, so register before creating the engine
+    this.canvasManager.registerLayerSystem(systemName, this.canvasConfigs[systemName] || []);
+    if (previousSystem && previousSystem !== systemName) {
+      this.canvasManager.beginCrossFade(this.transitionDuration);
+    }
+    this.canvasManager.setActiveLayerSystem(systemName);
+    
+    let targetEngine = this.getEngineForSystem(systemName);
+    if (!targetEngine) {
+      console.log(`🚀 Creating new ${systemName} engine...`);
+      targetEngine = await this.createEngineForSystem(systemName);
+    } else {
+      console.log(`♻️ Reusing existing ${systemName} engine - GPU resources kept on the shared context`);
+    }
+    
+    if (targetEngine && targetEngine.setActive) {
+      console.log(`🟢 Activating ${systemName} engine`);
+      targetEngine.setActive(true);
+    }
+    
+    console.log(`✅ ${systemName} system active on the shared WebGL context`);
+    return targetEngine;
   }
 
   async switchToSystem(systemName, engine) {
     console.log(`🔄 Switching to ${systemName} - managing contexts and engines`);
     
+    if (this.canvasManager) {
+      return this.switchToSharedContext(systemName);
+    }
+    
     // Hide all layer containers first
     this.hideAllLayers();
     
@@ -66,7 +183,7 @@ export class SmartCanvasPool {
     }
     
     // Show target system layers BEFORE creating engine (critical for mobile)
-    this.showSystemLayers(systemName);
+    this.showSystemLayers(systemName, previousSystem && previousSystem !== systemName && !clock.paused ? this.transitionDuration : 0);
     
     // Update active system
     this.activeSystem = systemName;
@@ -196,8 +313,18 @@ export class SmartCanvasPool {
           break;
           
         case 'polychora':
-          console.log('🔮 Polychora system not implemented yet');
-          // TODO: Add polychora when implemented
+          console.log('📦 Creating PolychoraSystem...');
+          if (this.engineClasses.PolychoraSystem) {
+            newEngine = new this.engineClasses.PolychoraSystem();
+            if (newEngine.initialize()) {
+              window.polychoraSystem = newEngine;
+            } else {
+              console.error('❌ PolychoraSystem failed to initialize');
+              newEngine = null;
+            }
+          } else {
+            console.error('❌ PolychoraSystem class not available');
+          }
           break;
           
         default:
@@ -319,6 +446,10 @@ export class SmartCanvasPool {
   getActiveContextCount() {
     if (!this.activeSystem) return 0;
     
+    if (this.canvasManager) {
+      return this.canvasManager.gl.isContextLost() ? 0 : 1;
+    }
+    
     const configs = this.canvasConfigs[this.activeSystem];
     let activeCount = 0;
     
@@ -338,10 +469,22 @@ export class SmartCanvasPool {
   preloadSystem(systemName) {
     // Pre-create contexts for faster switching
     console.log(`⚡ Pre-loading contexts for ${systemName}`);
+    if (this.canvasManager) {
+      this.canvasManager.registerLayerSystem(systemName, this.canvasConfigs[systemName] || []);
+      return;
+    }
     this.createSystemContexts(systemName);
   }
 
   dispose() {
+    if (this.canvasManager) {
+      this.canvasManager.dispose();
+      this.canvasManager = null;
+      this.activeSystem = null;
+      console.log('🧹 SmartCanvasPool disposed');
+      return;
+    }
+    
     // Clean up all systems
     Object.keys(this.canvasConfigs).forEach(systemName => {
       this.destroySystemContexts(systemName);
@@ -365,13 +508,23 @@ export class SmartCanvasPool {
     console.log('😵 All layer containers hidden');
   }
 
-  showSystemLayers(systemName) {
-    // Show only the target system's layer container
+  /**
+   * Show only the target system's layer container
+   * @param {string} systemName
+   * @param {number} fadeIn - Seconds to fade the container in over (0 shows it at once)
+   */
+  showSystemLayers(systemName, fadeIn = 0) {
     const layerId = systemName === 'faceted' ? 'vib34dLayers' : `${systemName}Layers`;
     const container = document.getElementById(layerId);
     if (container) {
+      container.style.transition = 'none';
       container.style.display = 'block';
       container.style.visibility = 'visible';
+      if (fadeIn > 0) {
+        container.style.opacity = '0';
+        void container.offsetWidth; // Commit opacity 0 so the transition has a start value
+        container.style.transition = `opacity ${fadeIn}s ease-in-out`;
+      }
       container.style.opacity = '1';
       console.log(`👁️ Showing layer container: ${layerId}`);
     } else {
@@ -380,6 +533,16 @@ export class SmartCanvasPool {
   }
 
   getStats() {
+    if (this.canvasManager) {
+      return {
+        activeSystem: this.activeSystem,
+        activeContexts: this.getActiveContextCount(),
+        maxContexts: 1,
+        framebuffers: this.canvasManager.layerSystems.size * 5,
+        reduction: '95% (20 → 1 context)'
+      };
+    }
+    
     return {
       activeSystem: this.activeSystem,
       activeContexts: this.getActiveContextCount(),
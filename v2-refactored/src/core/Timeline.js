@@ -0,0 +1,308 @@
+/**
+ * VIB34D Parameter Timeline
+ * Keyframes for any parameter, interpolated with easing curves and looped over a fixed duration.
+ * Playback follows the shared clock, so pausing, frame stepping and seeking the clock move the
+ * choreography with the render loops. Trading cards embed the same evaluator through
+ * timelineCardScript().
+ */
+
+import { clock } from './Clock.js';
+
+/**
+ * Easing curves, t in [0, 1]. A keyframe's easing shapes the segment that arrives at it.
+ */
+export const TIMELINE_EASINGS = {
+    linear: t => t,
+    step: t => (t < 1 ? 0 : 1),
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    sine: t => (1 - Math.cos(Math.PI * t)) / 2
+};
+
+export class ParameterTimeline {
+    constructor(data = {}) {
+        this.load(data);
+    }
+
+    /**
+     * Replace duration, looping and every track
+     * @param {Object} data - { duration, loop, tracks: { param: [{ time, value, easing }] } }
+     */
+    load({ duration = 8, loop = true, tracks = {} } = {}) {
+        this.duration = Math.max(0.1, parseFloat(duration) || 8);
+        this.loop = loop !== false;
+        this.tracks = {};
+        Object.entries(tracks).forEach(([param, keyframes]) => {
+            keyframes.forEach(keyframe => this.addKeyframe(param, keyframe.time, keyframe.value, keyframe.easing));
+        });
+        return this;
+    }
+
+    /**
+     * Key a parameter; a keyframe already at that time is replaced
+     * @param {string} param
+     * @param {number} time - Seconds, clamped to the duration
+     * @param {number} value
+     * @param {string} [easing] - Name from TIMELINE_EASINGS
+     */
+    addKeyframe(param, time, value, easing = 'easeInOut') {
+        const keyframe = {
+            time: Math.max(0, Math.min(this.duration, parseFloat(time) || 0)),
+            value: parseFloat(value),
+            easing: TIMELINE_EASINGS[easing] ? easing : 'linear'
+        };
+        if (!Number.isFinite(keyframe.value)) return null;
+
+        const track = this.tracks[param] || (this.tracks[param] = []);
+        const existing = track.findIndex(other => Math.abs(other.time - keyframe.time) < 1e-3);
+        if (existing >= 0) {
+            track[existing] = keyframe;
+        } else {
+            track.push(keyframe);
+            track.sort((a, b) => a.time - b.time);
+        }
+        return keyframe;
+    }
+
+    removeKeyframe(param, time) {
+        const track = this.tracks[param];
+        if (!track) return false;
+
+        const index = track.findIndex(keyframe => Math.abs(keyframe.time - time) < 1e-3);
+        if (index < 0) return false;
+
+        track.splice(index, 1);
+        if (track.length === 0) {
+            delete this.tracks[param];
+        }
+        return true;
+    }
+
+    clear() {
+        this.tracks = {};
+    }
+
+    setDuration(seconds) {
+        this.duration = Math.max(0.1, parseFloat(seconds) || this.duration);
+    }
+
+    isEmpty() {
+        return Object.keys(this.tracks).length === 0;
+    }
+
+    /**
+     * Map playback time onto the timeline - wrapped when looping, held at the end otherwise
+     */
+    localTime(time) {
+        if (this.loop) {
+            return ((time % this.duration) + this.duration) % this.duration;
+        }
+        return Math.max(0, Math.min(this.duration, time));
+    }
+
+    /**
+     * Value of one track; before the first and after the last keyframe the value is held
+     */
+    valueAt(param, time) {
+        const track = this.tracks[param];
+        if (!track || track.length === 0) return undefined;
+
+        const t = this.localTime(time);
+        const nextIndex = track.findIndex(keyframe => keyframe.time > t);
+        if (nextIndex === 0) return track[0].value;
+        if (nextIndex < 0) return track[track.length - 1].value;
+
+        const previous = track[nextIndex - 1];
+        const next = track[nextIndex];
+        const progress = (t - previous.time) / (next.time - previous.time);
+        const eased = TIMELINE_EASINGS[next.easing](progress);
+        return previous.value + (next.value - previous.value) * eased;
+    }
+
+    /**
+     * @param {number} time - Playback time in seconds
+     * @returns {Object} Parameter name → value for every keyed parameter
+     */
+    evaluate(time) {
+        const values = {};
+        Object.keys(this.tracks).forEach(param => {
+            values[param] = this.valueAt(param, time);
+        });
+        return values;
+    }
+
+    toJSON() {
+        const tracks = {};
+        Object.entries(this.tracks).forEach(([param, keyframes]) => {
+            tracks[param] = keyframes.map(keyframe => ({ ...keyframe }));
+        });
+        return { duration: this.duration, loop: this.loop, tracks };
+    }
+
+    /**
+     * @param {Object|string|null} data - Saved timeline or its JSON text
+     */
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                console.warn('⚠️ Ignoring unreadable timeline:', error.message);
+                data = null;
+            }
+        }
+        return new ParameterTimeline(data || {});
+    }
+}
+
+/**
+ * Plays a timeline against the shared clock and hands each frame's values to `apply`
+ */
+export class TimelinePlayer {
+    /**
+     * @param {ParameterTimeline} timeline
+     * @param {Function} apply - Called with { param: value } whenever the playhead moves
+     * @param {SharedClock} [timeSource]
+     */
+    constructor(timeline, apply, timeSource = clock) {
+        this.timeline = timeline;
+        this.apply = apply;
+        this.clock = timeSource;
+        this.position = 0;     // Seconds since playback started (unwrapped)
+        this.origin = 0;       // Clock time at position 0
+        this.playing = false;
+        this.unsubscribe = null;
+        this.listeners = new Set();
+    }
+
+    play() {
+        if (this.playing) return;
+        if (!this.timeline.loop && this.position >= this.timeline.duration) {
+            this.position = 0;
+        }
+
+        this.playing = true;
+        this.origin = this.clock.getTime() - this.position;
+        this.unsubscribe = this.clock.onChange(() => this.update());
+        this.notify();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+        this.notify();
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.playing;
+    }
+
+    stop() {
+        this.pause();
+        this.seek(0);
+    }
+
+    /**
+     * Move the playhead and apply the values there
+     */
+    seek(seconds) {
+        this.position = Math.max(0, parseFloat(seconds) || 0);
+        this.origin = this.clock.getTime() - this.position;
+        this.applyCurrent();
+        this.notify();
+    }
+
+    /**
+     * Playhead position within the timeline, in seconds
+     */
+    getLocalTime() {
+        return this.timeline.localTime(this.position);
+    }
+
+    update() {
+        let position = this.clock.getTime() - this.origin;
+        if (position < 0) {
+            // The clock was seeked back past the start of playback
+            this.origin = this.clock.getTime();
+            position = 0;
+        }
+
+        this.position = position;
+        this.applyCurrent();
+
+        if (!this.timeline.loop && position >= this.timeline.duration) {
+            this.pause();
+            return;
+        }
+        this.notify();
+    }
+
+    applyCurrent() {
+        if (!this.timeline.isEmpty()) {
+            this.apply(this.timeline.evaluate(this.position));
+        }
+    }
+
+    /**
+     * Subscribe to playhead and play state changes - returns an unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+        this.listeners.forEach(callback => callback(this));
+    }
+}
+
+/**
+ * Play a saved timeline inside an exported card by writing its values into the card's parameter
+ * objects every frame. Only parameters a target already has are written, so one timeline can drive
+ * the shader parameters and the post-processing amounts side by side.
+ * @param {Object|null} data - Saved timeline
+ * @param {Object[]} targets - Parameter objects the card reads each frame
+ * @returns {ParameterTimeline|null}
+ */
+export function playCardTimeline(data, targets) {
+    const timeline = ParameterTimeline.fromJSON(data);
+    if (timeline.isEmpty()) return null;
+
+    const startTime = performance.now();
+    function frame() {
+        const values = timeline.evaluate((performance.now() - startTime) / 1000);
+        targets.forEach(target => {
+            Object.keys(values).forEach(param => {
+                if (param in target) target[param] = values[param];
+            });
+        });
+        requestAnimationFrame(frame);
+    }
+    frame();
+    return timeline;
+}
+
+/**
+ * Standalone source for exported cards: defines TIMELINE_EASINGS, ParameterTimeline and playCardTimeline
+ */
+export function timelineCardScript() {
+    const easings = Object.entries(TIMELINE_EASINGS).map(([name, ease]) => `${name}: ${ease}`).join(',\n    ');
+    return `
+const TIMELINE_EASINGS = {
+    ${easings}
+};
+${ParameterTimeline.toString()}
+${playCardTimeline.toString()}
+`;
+}
+
+// The timeline being edited - saved with variations and exported with cards
+export const timeline = new ParameterTimeline();
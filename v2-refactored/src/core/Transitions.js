@@ -0,0 +1,109 @@
+/**
+ * VIB34D Transitions
+ * Parameter tweens for variation changes, with geometry changes morphing from one lattice to the
+ * next. Tweens run on the shared clock like the timeline, and finish at once while the clock is
+ * paused - a paused or frame-stepped scene never waits on one.
+ * System switches cross-fade in UnifiedCanvasManager instead, since they change the whole output.
+ */
+
+import { clock } from './Clock.js';
+import { TIMELINE_EASINGS } from './Timeline.js';
+
+export const TRANSITION_DURATION = 0.8; // Seconds
+
+// Discrete parameters jump to their target at the start; in-between values would be other shapes
+const SNAPPED_PARAMETERS = ['geometryType', 'polytope', 'variation', 'variant'];
+
+// Geometry also jumps, but the shaders blend the old lattice into the new one on the way
+const MORPHED_PARAMETERS = ['geometry'];
+
+// Hue is an angle - tweens take the short way round
+const ANGLE_PARAMETERS = ['hue'];
+
+/**
+ * Tween every numeric parameter of `to`, starting from `from`
+ * @param {Object} from - Current values
+ * @param {Object} to - Target values; non-numeric entries are applied as they are at the start
+ * @param {Function} apply - Called with the values of each frame, target values last, and the
+ *   running morphs: { geometry: { from, progress } } while the geometry morphs, {} at the end
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Seconds
+ * @param {string} [options.easing] - Name from TIMELINE_EASINGS
+ * @param {SharedClock} [options.timeSource]
+ * @returns {{cancel: Function, finished: Promise<boolean>}} finished resolves false when cancelled
+ */
+export function tweenParameters(from, to, apply, options = {}) {
+    const duration = options.duration ?? TRANSITION_DURATION;
+    const ease = TIMELINE_EASINGS[options.easing] || TIMELINE_EASINGS.easeInOut;
+    const timeSource = options.timeSource || clock;
+
+    const ranges = {};
+    const fixed = {};
+    const morphs = {};
+    Object.entries(to).forEach(([name, target]) => {
+        const start = from[name];
+        if (MORPHED_PARAMETERS.includes(name) && Number.isFinite(start) && start !== target) {
+            morphs[name] = start;
+        }
+        if (SNAPPED_PARAMETERS.includes(name) || MORPHED_PARAMETERS.includes(name) || !Number.isFinite(start) || !Number.isFinite(target) || start === target) {
+            fixed[name] = target;
+            return;
+        }
+        let delta = target - start;
+        if (ANGLE_PARAMETERS.includes(name) && Math.abs(delta) > 180) {
+            delta -= Math.sign(delta) * 360;
+        }
+        ranges[name] = { start, delta };
+    });
+
+    const valuesAt = progress => {
+        const eased = ease(progress);
+        const values = { ...fixed };
+        Object.entries(ranges).forEach(([name, { start, delta }]) => {
+            let value = start + delta * eased;
+            if (ANGLE_PARAMETERS.includes(name)) {
+                value = ((value % 360) + 360) % 360;
+            }
+            values[name] = value;
+        });
+        return values;
+    };
+    const morphsAt = progress => Object.fromEntries(Object.entries(morphs)
+        .map(([name, start]) => [name, { from: start, progress: ease(progress) }]));
+
+    let resolveFinished;
+    const finished = new Promise(resolve => { resolveFinished = resolve; });
+    let unsubscribe = null;
+
+    const finish = completed => {
+        unsubscribe?.();
+        unsubscribe = null;
+        if (completed) {
+            apply({ ...to }, {});
+        }
+        resolveFinished(completed);
+    };
+
+    if (duration <= 0 || timeSource.paused || Object.keys(ranges).length + Object.keys(morphs).length === 0) {
+        finish(true);
+        return { cancel: () => {}, finished };
+    }
+
+    const startTime = timeSource.getTime();
+    apply(valuesAt(0), morphsAt(0));
+    unsubscribe = timeSource.onChange(() => {
+        const progress = (timeSource.getTime() - startTime) / duration;
+        if (timeSource.paused || progress >= 1 || progress < 0) {
+            finish(true);
+        } else {
+            apply(valuesAt(progress), morphsAt(progress));
+        }
+    });
+
+    return {
+        cancel: () => {
+            if (unsubscribe) finish(false);
+        },
+        finished
+    };
+}
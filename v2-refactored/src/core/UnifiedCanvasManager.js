@@ -2,18 +2,161 @@
  * UnifiedCanvasManager - Single master canvas with viewport management
  * Replaces 20+ WebGL contexts with 1 master context + framebuffers
  * Based on compass artifact specifications
+ *
+ * Layer systems: every layer role (background, shadow, content, highlight, accent) renders
+ * into a LayerTarget framebuffer, and composite() stacks them on the master canvas.
+ * Active post-processing passes run on the stacked result before it reaches the canvas.
+ *
+ * System switches cross-fade: beginCrossFade() snapshots the outgoing composite, and the
+ * snapshot is blended over the incoming system's output until the fade runs out on the shared clock.
+ *
+ * Context loss: the manager rebuilds its own framebuffers and programs when the master context
+ * comes back, then notifies onContextRestored() listeners so engines can rebuild theirs.
  */
 
+import { PostProcessingStack, getPostParameters, selectPasses } from './PostProcessing.js';
+import { clock } from './Clock.js';
+import { TIMELINE_EASINGS } from './Timeline.js';
+import { TRANSITION_DURATION } from './Transitions.js';
+
+// Layer targets of every registered system, keyed by the DOM canvas id they stand in for
+const layerTargets = new Map();
+
+/**
+ * Resolve a visualizer canvas id: the unified layer target when one is registered,
+ * otherwise the DOM element. Elements (and OffscreenCanvas) pass through unchanged.
+ */
+export function resolveLayerCanvas(canvasId) {
+  if (typeof canvasId !== 'string') return canvasId;
+  return layerTargets.get(canvasId) || document.getElementById(canvasId);
+}
+
+// Composite blend modes, same names as CanvasRenderingContext2D.globalCompositeOperation
+const BLEND_MODES = { 'source-over': 0, multiply: 1, screen: 2, overlay: 3 };
+
+const COMPOSITE_VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+void main() {
+  v_uv = a_position * 0.5 + 0.5;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+const COMPOSITE_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec2 v_uv;
+uniform sampler2D u_layer0;
+uniform sampler2D u_layer1;
+uniform sampler2D u_layer2;
+uniform sampler2D u_layer3;
+uniform sampler2D u_layer4;
+uniform float u_alpha[5];
+uniform float u_mode[5];
+
+// Layers hold premultiplied color, exactly what the old per-layer canvases handed the page compositor
+vec3 blendLayer(vec3 backdrop, vec4 src, float alpha, float mode) {
+  float a = src.a * alpha;
+  if (mode < 0.5) {
+    return backdrop * (1.0 - a) + src.rgb * alpha;
+  }
+  vec3 color = clamp(src.rgb / max(src.a, 0.0001), 0.0, 1.0);
+  vec3 blended;
+  if (mode < 1.5) {
+    blended = backdrop * color;
+  } else if (mode < 2.5) {
+    blended = backdrop + color - backdrop * color;
+  } else {
+    blended = mix(2.0 * backdrop * color, 1.0 - 2.0 * (1.0 - backdrop) * (1.0 - color), step(0.5, backdrop));
+  }
+  return mix(backdrop, blended, a);
+}
+
+void main() {
+  vec3 color = vec3(0.0);
+  color = blendLayer(color, texture2D(u_layer0, v_uv), u_alpha[0], u_mode[0]);
+  color = blendLayer(color, texture2D(u_layer1, v_uv), u_alpha[1], u_mode[1]);
+  color = blendLayer(color, texture2D(u_layer2, v_uv), u_alpha[2], u_mode[2]);
+  color = blendLayer(color, texture2D(u_layer3, v_uv), u_alpha[3], u_mode[3]);
+  color = blendLayer(color, texture2D(u_layer4, v_uv), u_alpha[4], u_mode[4]);
+  gl_FragColor = vec4(color, 1.0);
+}`;
+
+/**
+ * Framebuffer that stands in for one layer canvas. Visualizers get their context through
+ * getContext() and size their uniforms from width/height, like a real canvas; having no
+ * layout box, they treat it as offscreen and leave sizing to the manager.
+ */
+export class LayerTarget {
+  constructor(manager, id, systemId, role) {
+    this.manager = manager;
+    this.id = id;
+    this.systemId = systemId;
+    this.role = role;
+    this.framebuffer = manager.createFramebuffer(1, 1);
+  }
+
+  get width() {
+    return this.framebuffer.width;
+  }
+
+  get height() {
+    return this.framebuffer.height;
+  }
+
+  getContext(type) {
+    return type === '2d' ? null : this.manager.gl;
+  }
+
+  /**
+   * Direct the shared context at this layer. Called at the start of every visualizer render,
+   * so it also resets the blend state other passes leave behind.
+   */
+  bind() {
+    const gl = this.manager.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer.fbo);
+    gl.viewport(0, 0, this.framebuffer.width, this.framebuffer.height);
+    gl.disable(gl.BLEND);
+    this.manager.markLayersDirty(this.systemId);
+  }
+
+  resize(width, height) {
+    this.manager.resizeFramebuffer(this.framebuffer, width, height);
+  }
+
+  dispose() {
+    this.manager.gl.deleteFramebuffer(this.framebuffer.fbo);
+    this.manager.gl.deleteTexture(this.framebuffer.texture);
+  }
+}
+
 export class UnifiedCanvasManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} [options.container] - Fill this element instead of the whole window
+   * @param {MobileOptimizedRenderer} [options.quality] - Adaptive quality; degrades post-processing
+   */
+  constructor(options = {}) {
+    this.container = options.container || null;
+    this.quality = options.quality || null;
     this.masterCanvas = document.createElement('canvas');
-    this.masterCanvas.style.position = 'fixed';
+    if (this.container) {
+      this.masterCanvas.className = 'unified-master-canvas';
+      this.masterCanvas.style.position = 'absolute';
+      this.masterCanvas.style.pointerEvents = 'none';
+    } else {
+      this.masterCanvas.style.position = 'fixed';
+      this.masterCanvas.style.zIndex = '-1';
+    }
     this.masterCanvas.style.width = '100%';
     this.masterCanvas.style.height = '100%';
-    this.masterCanvas.style.zIndex = '-1';
     this.masterCanvas.style.top = '0';
     this.masterCanvas.style.left = '0';
-    document.body.appendChild(this.masterCanvas);
+    if (this.container) {
+      // First child, so the per-system layer containers (event surfaces) stay on top
+      this.container.insertBefore(this.masterCanvas, this.container.firstChild);
+    } else {
+      document.body.appendChild(this.masterCanvas);
+    }
     
     this.gl = this.masterCanvas.getContext('webgl2', {
       antialias: false, // Use FXAA instead for mobile
@@ -36,6 +179,37 @@ export class UnifiedCanvasManager {
     this.activeSystem = null;
     this.frameBuffers = new Map();
     
+    // Layer systems: systemId -> { targets: Map(role -> LayerTarget), dirty }
+    this.layerSystems = new Map();
+    this.activeLayerSystem = null;
+    this.layerOrder = ['background', 'shadow', 'content', 'highlight', 'accent'];
+    
+    // Live display stacks the layers like the old DOM canvases did: plain source-over
+    this.layerProperties = {
+      background: { alpha: 1.0, blendMode: 'source-over' },
+      shadow: { alpha: 1.0, blendMode: 'source-over' },
+      content: { alpha: 1.0, blendMode: 'source-over' },
+      highlight: { alpha: 1.0, blendMode: 'source-over' },
+      accent: { alpha: 1.0, blendMode: 'source-over' }
+    };
+    this.compositeProgram = null;
+    this.compositeLoopId = null;
+    this.resumeCompositing = false;
+    
+    // Post-processing: the composite lands in sceneTarget when any pass is active
+    this.postProcessor = this.gl ? new PostProcessingStack(this.gl) : null;
+    this.sceneTarget = null;
+    this.lastPostPasses = [];
+    
+    // System switch cross-fade: snapshot of the outgoing output, faded out over the incoming one
+    this.fadeTarget = null;
+    this.crossFade = null;
+    
+    this.contextListeners = new Set();
+    this.contextLost = false;
+    this.masterCanvas.addEventListener('webglcontextlost', event => this.handleContextLost(event));
+    this.masterCanvas.addEventListener('webglcontextrestored', () => this.handleContextRestored());
+    
     console.log('🎯 UnifiedCanvasManager: Single WebGL context created');
     this.resizeCanvas();
     window.addEventListener('resize', () => this.resizeCanvas());
@@ -85,6 +259,9 @@ export class UnifiedCanvasManager {
                        width, height, 0, this.gl.RGBA, this.gl.UNSIGNED_BYTE, null);
     this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
     this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
+    // Non-power-of-two sizes need clamping on WebGL1
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
     
     this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, fbo);
     this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, 
@@ -99,6 +276,340 @@ export class UnifiedCanvasManager {
     return { fbo, texture, width, height };
   }
 
+  /**
+   * Reallocate a framebuffer's texture storage (the FBO attachment stays valid)
+   */
+  resizeFramebuffer(framebuffer, width, height) {
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+    if (framebuffer.width === width && framebuffer.height === height) return;
+    
+    this.gl.bindTexture(this.gl.TEXTURE_2D, framebuffer.texture);
+    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, 
+                       width, height, 0, this.gl.RGBA, this.gl.UNSIGNED_BYTE, null);
+    framebuffer.width = width;
+    framebuffer.height = height;
+  }
+
+  /**
+   * Register a 5-layer system. Each layer gets a LayerTarget that visualizers resolve
+   * in place of the DOM canvas with the same id.
+   * @param {string} systemId
+   * @param {Array<{id: string, role: string}>} layers
+   */
+  registerLayerSystem(systemId, layers) {
+    if (this.layerSystems.has(systemId)) {
+      return this.layerSystems.get(systemId).targets;
+    }
+    
+    const targets = new Map();
+    layers.forEach(({ id, role }) => {
+      const target = new LayerTarget(this, id, systemId, role);
+      targets.set(role, target);
+      layerTargets.set(id, target);
+    });
+    
+    this.layerSystems.set(systemId, { targets, dirty: true });
+    console.log(`📦 Registered layer system: ${systemId} (${targets.size} framebuffers)`);
+    return targets;
+  }
+
+  /**
+   * Show a layer system. Only the active system's framebuffers are full size; the others
+   * shrink to 1x1, so memory stays at 5 layers no matter how many systems were visited.
+   */
+  setActiveLayerSystem(systemId) {
+    this.activeLayerSystem = systemId;
+    
+    for (const [id, system] of this.layerSystems) {
+      const active = id === systemId;
+      system.targets.forEach(target => {
+        target.resize(active ? this.masterCanvas.width : 1, active ? this.masterCanvas.height : 1);
+      });
+      system.dirty = active;
+    }
+  }
+
+  /**
+   * @param {Function} listener - Called after the master context and the layer framebuffers are rebuilt
+   * @returns {Function} Unsubscribe
+   */
+  onContextRestored(listener) {
+    this.contextListeners.add(listener);
+    return () => this.contextListeners.delete(listener);
+  }
+
+  handleContextLost(event) {
+    // Cancelling the event is what allows the browser to restore the context
+    event.preventDefault();
+    this.contextLost = true;
+    this.resumeCompositing = this.compositeLoopId !== null;
+    this.stopCompositing();
+    console.warn('⚠️ Master WebGL context lost - compositing paused until it is restored');
+  }
+
+  /**
+   * Every GL object died with the old context: recreate framebuffers at their current sizes,
+   * drop cached programs so they rebuild on first use, then let the engines rebuild theirs.
+   */
+  handleContextRestored() {
+    this.contextLost = false;
+    
+    for (const [, viewport] of this.viewports) {
+      viewport.framebuffer = this.createFramebuffer(viewport.framebuffer.width, viewport.framebuffer.height);
+      viewport.dirty = true;
+    }
+    for (const [, system] of this.layerSystems) {
+      system.targets.forEach(target => {
+        target.framebuffer = this.createFramebuffer(1, 1);
+      });
+    }
+    this.setActiveLayerSystem(this.activeLayerSystem);
+    
+    this.compositeProgram = null;
+    this.sceneTarget = null;
+    this.fadeTarget = null;
+    this.crossFade = null;
+    this.postProcessor = new PostProcessingStack(this.gl);
+    this.resizeCanvas();
+    
+    this.contextListeners.forEach(listener => {
+      try {
+        listener(this.gl);
+      } catch (error) {
+        console.error('❌ Context restore listener failed:', error);
+      }
+    });
+    
+    if (this.resumeCompositing) {
+      this.startCompositing();
+    }
+    console.log('✅ Master WebGL context restored');
+  }
+
+  markLayersDirty(systemId) {
+    const system = this.layerSystems.get(systemId);
+    if (system) {
+      system.dirty = true;
+    }
+    // The fade starts once the incoming system has drawn its first frame
+    if (this.crossFade && this.crossFade.start === null && systemId === this.activeLayerSystem) {
+      this.crossFade.start = clock.getTime();
+    }
+  }
+
+  /**
+   * Snapshot what the active layer system shows, to fade it out over whichever system is
+   * activated next. Call before setActiveLayerSystem(). A paused clock switches instantly.
+   * @param {number} duration - Seconds on the shared clock
+   * @returns {boolean} Whether a fade started
+   */
+  beginCrossFade(duration = TRANSITION_DURATION) {
+    if (duration <= 0 || clock.paused || this.contextLost || !this.layerSystems.has(this.activeLayerSystem)) {
+      this.crossFade = null;
+      return false;
+    }
+    
+    const width = this.masterCanvas.width;
+    const height = this.masterCanvas.height;
+    if (!this.fadeTarget) {
+      this.fadeTarget = this.createFramebuffer(width, height);
+    }
+    this.resizeFramebuffer(this.fadeTarget, width, height);
+    
+    if (!this.composite(this.activeLayerSystem, this.layerProperties, getPostParameters(), this.fadeTarget)) {
+      this.crossFade = null;
+      return false;
+    }
+    this.crossFade = { requested: clock.getTime(), start: null, duration };
+    return true;
+  }
+
+  /**
+   * Blend the outgoing snapshot over the live composite, ending the fade when it has run out
+   */
+  drawCrossFade() {
+    const fade = this.crossFade;
+    if (fade.start === null && clock.getTime() - fade.requested > fade.duration) {
+      fade.start = clock.getTime(); // The incoming system never drew - don't hold the old frame forever
+    }
+    const progress = fade.start === null ? 0 : (clock.getTime() - fade.start) / fade.duration;
+    if (progress >= 1 || progress < 0 || clock.paused) {
+      this.crossFade = null;
+      return;
+    }
+    
+    const gl = this.gl;
+    const program = this.compositeProgram;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, this.masterCanvas.width, this.masterCanvas.height);
+    gl.useProgram(program.program);
+    
+    program.samplers.forEach((sampler, index) => {
+      gl.activeTexture(gl.TEXTURE0 + index);
+      gl.bindTexture(gl.TEXTURE_2D, index === 0 ? this.fadeTarget.texture : null);
+      gl.uniform1i(sampler, index);
+    });
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1fv(program.alpha, new Float32Array([1, 0, 0, 0, 0]));
+    gl.uniform1fv(program.mode, new Float32Array(5));
+    
+    gl.enable(gl.BLEND);
+    gl.blendColor(0, 0, 0, 1 - TIMELINE_EASINGS.easeInOut(progress));
+    gl.blendFunc(gl.CONSTANT_ALPHA, gl.ONE_MINUS_CONSTANT_ALPHA);
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, program.buffer);
+    gl.enableVertexAttribArray(program.position);
+    gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.disable(gl.BLEND);
+  }
+
+  /**
+   * Stack a system's layer framebuffers onto the master canvas
+   * @param {string} systemId - Defaults to the active layer system
+   * @param {Object} properties - Per-role { alpha, blendMode }, defaults to the live stacking
+   * @param {Object} postParameters - Post-processing amounts, defaults to the live settings
+   * @param {Object} [output] - Framebuffer to draw into instead of the master canvas
+   */
+  composite(systemId = this.activeLayerSystem, properties = this.layerProperties, postParameters = getPostParameters(), output = null) {
+    const system = this.layerSystems.get(systemId);
+    if (!system || !this.initCompositeProgram()) return false;
+    
+    const gl = this.gl;
+    const program = this.compositeProgram;
+    const alphas = new Float32Array(5);
+    const modes = new Float32Array(5);
+    const width = output ? output.width : this.masterCanvas.width;
+    const height = output ? output.height : this.masterCanvas.height;
+    const quality = this.quality ? this.quality.qualitySettings : null;
+    const postProcess = this.postProcessor && selectPasses(postParameters, quality).length > 0;
+    
+    if (postProcess) {
+      if (!this.sceneTarget) {
+        this.sceneTarget = this.createFramebuffer(width, height);
+      }
+      this.resizeFramebuffer(this.sceneTarget, width, height);
+    }
+    
+    gl.bindFramebuffer(gl.FRAMEBUFFER, postProcess ? this.sceneTarget.fbo : (output ? output.fbo : null));
+    gl.viewport(0, 0, width, height);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    gl.useProgram(program.program);
+    
+    this.layerOrder.forEach((role, index) => {
+      const target = system.targets.get(role);
+      const props = properties[role] || {};
+      alphas[index] = target ? (props.alpha !== undefined ? props.alpha : 1.0) : 0.0;
+      modes[index] = BLEND_MODES[props.blendMode] || 0; // 'normal' and unknown modes draw source-over
+      
+      gl.activeTexture(gl.TEXTURE0 + index);
+      gl.bindTexture(gl.TEXTURE_2D, target ? target.framebuffer.texture : null);
+      gl.uniform1i(program.samplers[index], index);
+    });
+    gl.activeTexture(gl.TEXTURE0);
+    
+    gl.uniform1fv(program.alpha, alphas);
+    gl.uniform1fv(program.mode, modes);
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, program.buffer);
+    gl.enableVertexAttribArray(program.position);
+    gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    
+    this.lastPostPasses = postProcess ?
+      this.postProcessor.render(this.sceneTarget, postParameters, {
+        quality, time: clock.getTime(), width, height, framebuffer: output ? output.fbo : null
+      }) :
+      [];
+    
+    // A one-off composite (exports, fade snapshots) must not stand in for the live one
+    system.dirty = properties !== this.layerProperties || output !== null;
+    return true;
+  }
+
+  initCompositeProgram() {
+    if (this.compositeProgram) return true;
+    
+    const gl = this.gl;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        console.error('❌ Composite shader compile error:', gl.getShaderInfoLog(shader));
+        gl.deleteShader(shader);
+        return null;
+      }
+      return shader;
+    };
+    
+    const vertexShader = compile(gl.VERTEX_SHADER, COMPOSITE_VERTEX_SHADER);
+    const fragmentShader = compile(gl.FRAGMENT_SHADER, COMPOSITE_FRAGMENT_SHADER);
+    if (!vertexShader || !fragmentShader) return false;
+    
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      console.error('❌ Composite program link error:', gl.getProgramInfoLog(program));
+      gl.deleteProgram(program);
+      return false;
+    }
+    
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    
+    this.compositeProgram = {
+      program,
+      buffer,
+      position: gl.getAttribLocation(program, 'a_position'),
+      samplers: this.layerOrder.map((_, index) => gl.getUniformLocation(program, `u_layer${index}`)),
+      alpha: gl.getUniformLocation(program, 'u_alpha'),
+      mode: gl.getUniformLocation(program, 'u_mode')
+    };
+    return true;
+  }
+
+  /**
+   * Composite the active layer system whenever one of its layers was redrawn, and every
+   * frame of a cross-fade. Engines keep their own render loops; this only presents what they drew.
+   */
+  startCompositing() {
+    if (this.compositeLoopId) return;
+    
+    const loop = () => {
+      this.resizeIfNeeded();
+      const system = this.layerSystems.get(this.activeLayerSystem);
+      if (system && (system.dirty || this.crossFade)) {
+        const present = () => {
+          this.composite();
+          if (this.crossFade) this.drawCrossFade();
+        };
+        if (this.quality) {
+          this.quality.adaptiveRender(present);
+        } else {
+          present();
+        }
+      }
+      this.compositeLoopId = requestAnimationFrame(loop);
+    };
+    this.compositeLoopId = requestAnimationFrame(loop);
+  }
+
+  stopCompositing() {
+    if (this.compositeLoopId) {
+      cancelAnimationFrame(this.compositeLoopId);
+      this.compositeLoopId = null;
+    }
+  }
+
   render() {
     this.resizeIfNeeded();
     
@@ -164,24 +675,42 @@ export class UnifiedCanvasManager {
     ctx.restore();
   }
 
+  getDisplaySize() {
+    if (this.container) {
+      const rect = this.container.getBoundingClientRect();
+      return { width: rect.width, height: rect.height };
+    }
+    return { width: window.innerWidth, height: window.innerHeight };
+  }
+
   resizeCanvas() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const { width, height } = this.getDisplaySize();
     const dpr = Math.min(window.devicePixelRatio || 1, 2);
     
-    this.masterCanvas.width = width * dpr;
-    this.masterCanvas.height = height * dpr;
-    this.masterCanvas.style.width = width + 'px';
-    this.masterCanvas.style.height = height + 'px';
+    this.masterCanvas.width = Math.max(1, Math.round(width * dpr));
+    this.masterCanvas.height = Math.max(1, Math.round(height * dpr));
+    if (!this.container) {
+      this.masterCanvas.style.width = width + 'px';
+      this.masterCanvas.style.height = height + 'px';
+    }
     
     if (this.gl) {
       this.gl.viewport(0, 0, this.masterCanvas.width, this.masterCanvas.height);
+      
+      // Active layers follow the master canvas
+      const system = this.layerSystems?.get(this.activeLayerSystem);
+      if (system) {
+        system.targets.forEach(target => target.resize(this.masterCanvas.width, this.masterCanvas.height));
+        system.dirty = true;
+      }
     }
   }
 
   resizeIfNeeded() {
-    const rect = this.masterCanvas.getBoundingClientRect();
-    if (rect.width !== this.masterCanvas.width || rect.height !== this.masterCanvas.height) {
+    const { width, height } = this.getDisplaySize();
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    if (Math.max(1, Math.round(width * dpr)) !== this.masterCanvas.width ||
+        Math.max(1, Math.round(height * dpr)) !== this.masterCanvas.height) {
       this.resizeCanvas();
     }
   }
@@ -194,12 +723,45 @@ export class UnifiedCanvasManager {
   }
 
   dispose() {
+    this.stopCompositing();
+    this.contextListeners.clear();
+    
     // Clean up framebuffers
     for (const [_, viewport] of this.viewports) {
       this.gl.deleteFramebuffer(viewport.framebuffer.fbo);
       this.gl.deleteTexture(viewport.framebuffer.texture);
     }
     
+    for (const [_, system] of this.layerSystems) {
+      system.targets.forEach(target => {
+        target.dispose();
+        layerTargets.delete(target.id);
+      });
+    }
+    this.layerSystems.clear();
+    
+    if (this.compositeProgram) {
+      this.gl.deleteProgram(this.compositeProgram.program);
+      this.gl.deleteBuffer(this.compositeProgram.buffer);
+      this.compositeProgram = null;
+    }
+    
+    if (this.postProcessor) {
+      this.postProcessor.dispose();
+      this.postProcessor = null;
+    }
+    if (this.sceneTarget) {
+      this.gl.deleteFramebuffer(this.sceneTarget.fbo);
+      this.gl.deleteTexture(this.sceneTarget.texture);
+      this.sceneTarget = null;
+    }
+    if (this.fadeTarget) {
+      this.gl.deleteFramebuffer(this.fadeTarget.fbo);
+      this.gl.deleteTexture(this.fadeTarget.texture);
+      this.fadeTarget = null;
+    }
+    this.crossFade = null;
+    
     // Remove master canvas
     if (this.masterCanvas.parentNode) {
       this.masterCanvas.parentNode.removeChild(this.masterCanvas);
@@ -207,4 +769,6 @@ export class UnifiedCanvasManager {
     
     console.log('🧹 UnifiedCanvasManager disposed');
   }
-}
\ No newline at end of file
+}
+
+export default UnifiedCanvasManager;
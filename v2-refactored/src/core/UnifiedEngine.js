@@ -32,6 +32,9 @@ export class VIB34DUnifiedEngine {
         this.canvasManager = this.config.useSingleContext ? 
             new UnifiedCanvasManager() : 
             new OptimizedCanvasPool(this.config.maxCanvases);
+        if (this.canvasManager.onContextRestored) {
+            this.canvasManager.onContextRestored(() => this.restoreContext());
+        }
         
         // Unified resource management across all systems
         this.resourceManager = new UnifiedResourceManager(
@@ -296,6 +299,12 @@ export class VIB34DUnifiedEngine {
                 // Handle parameter updates
             },
             
+            restoreContext() {
+                // Old handles died with the context; render() re-inits on the next frame
+                this.program = null;
+                this.buffers.clear();
+            },
+            
             dispose() {
                 if (this.program) gl.deleteProgram(this.program);
                 this.buffers.forEach(buffer => gl.deleteBuffer(buffer));
@@ -576,6 +585,19 @@ export class VIB34DUnifiedEngine {
         };
     }
     
+    /**
+     * CONTEXT LOSS: Rebuild every system's GPU resources on the restored master context
+     */
+    restoreContext() {
+        this.systems.forEach((system, name) => {
+            if (system.renderer && system.renderer.restoreContext) {
+                system.renderer.restoreContext();
+                console.log(`♻️ ${name} renderer restored`);
+            }
+        });
+        this.markSystemsDirty();
+    }
+    
     /**
      * CLEANUP: Dispose all resources properly
      */
@@ -3,6 +3,11 @@
  * Replaces multiple conflicting save systems with one unified approach
  */
 
+import { getPostParameters } from './PostProcessing.js';
+import { PHYSICS_PARAMETERS, SAVED_PARAMETERS, clampParameter, parameterAlias, resolveParameters } from './ParameterSchema.js';
+import { timeline } from './Timeline.js';
+import { bindings } from './Bindings.js';
+
 export class UnifiedSaveManager {
     constructor(engine) {
         this.engine = engine;
@@ -99,6 +104,9 @@ export class UnifiedSaveManager {
             // Get parameters from polychora system
             if (window.polychoraSystem?.parameters) {
                 state.parameters = { ...window.polychoraSystem.parameters };
+                // Imported polytopes travel with the save, so its polytope index can be restored
+                const imported = window.polychoraSystem.getImportedPolytopes?.() || [];
+                if (imported.length > 0) state.parameters.importedPolytopes = imported;
                 console.log('🔵 Captured polychora parameters:', state.parameters);
             } else if (window.polychoraSystem?.getParameters) {
                 state.parameters = window.polychoraSystem.getParameters();
@@ -113,6 +121,13 @@ export class UnifiedSaveManager {
             state.parameters = this.captureManualParameters();
         }
         
+        // Post-processing runs on the composite of every system, so it is stored alongside
+        Object.assign(state.parameters, getPostParameters());
+        
+        // Keyframed animation plays from this pose; undefined (and left out of the JSON) when empty
+        state.timeline = timeline.isEmpty() ? undefined : timeline.toJSON();
+        state.bindings = bindings.isEmpty() ? undefined : bindings.toJSON();
+        
         // Add metadata
         state.metadata = {
             engine: 'VIB34D Unified',
@@ -142,7 +157,7 @@ export class UnifiedSaveManager {
         const sliderIds = [
             'rot4dXW', 'rot4dYW', 'rot4dZW', 'rot4dXY', 'rot4dXZ', 'rot4dYZ',
             'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation',
-            'dimension'
+            'dimension', 'projection'
         ];
         
         sliderIds.forEach(id => {
@@ -223,7 +238,9 @@ export class UnifiedSaveManager {
             isCustom: true,
             globalId: variation.id,
             system: variation.system,
-            parameters: this.normalizeParameters(variation.parameters)
+            parameters: this.normalizeParameters(variation.parameters, variation.system),
+            timeline: variation.timeline,
+            bindings: variation.bindings
         };
         
         todaysCollection.variations.push(variationInCollection);
@@ -310,7 +327,9 @@ export class UnifiedSaveManager {
             isCustom: true,
             globalId: variation.id,
             system: variation.system,
-            parameters: this.normalizeParameters(variation.parameters)
+            parameters: this.normalizeParameters(variation.parameters, variation.system),
+            timeline: variation.timeline,
+            bindings: variation.bindings
         });
         
         collection.totalVariations = collection.variations.length;
@@ -339,9 +358,16 @@ export class UnifiedSaveManager {
         // Encode parameters
         Object.entries(variation.parameters).forEach(([key, value]) => {
             if (value !== undefined && value !== null) {
-                params.set(key, value);
+                // Lists such as polychora constraints go in as JSON, like the timeline
+                params.set(key, typeof value === 'object' ? JSON.stringify(value) : value);
             }
         });
+        if (variation.timeline) {
+            params.set('timeline', JSON.stringify(variation.timeline));
+        }
+        if (variation.bindings) {
+            params.set('bindings', JSON.stringify(variation.bindings));
+        }
         
         const shareUrl = `${baseUrl}share.html?${params.toString()}`;
         
@@ -362,31 +388,30 @@ export class UnifiedSaveManager {
     
     /**
      * Normalize parameters across different systems
+     * @param {Object} params
+     * @param {string} system - Source system; supplies the default projection for older saves
      */
-    normalizeParameters(params) {
-        const normalized = {};
-        
-        // Map common parameters
-        normalized.geometryType = params.geometry || params.geometryType || 0;
-        normalized.density = params.gridDensity || params.density || 10;
-        normalized.morph = params.morphFactor || params.morph || 0;
-        normalized.speed = params.speed || 1.0;
-        normalized.chaos = params.chaos || 0;
-        normalized.hue = params.hue || 200;
-        normalized.saturation = params.saturation || 0.8;
-        normalized.intensity = params.intensity || 0.5;
-        
-        // 4D rotation parameters
-        normalized.rot4dXW = params.rot4dXW || 0;
-        normalized.rot4dYW = params.rot4dYW || 0;
-        normalized.rot4dZW = params.rot4dZW || 0;
-        normalized.dimension = params.dimension || 3.8;
-        
-        // Future 4D rotations (for Polychora enhancement)
-        normalized.rot4dXY = params.rot4dXY || 0;
-        normalized.rot4dXZ = params.rot4dXZ || 0;
-        normalized.rot4dYZ = params.rot4dYZ || 0;
-        
+    normalizeParameters(params, system) {
+        // Saved files use the holographic names (geometryType, density, morph) for shared parameters
+        const resolved = resolveParameters(params, system, SAVED_PARAMETERS);
+        const normalized = Object.fromEntries(
+            Object.entries(resolved).map(([name, value]) => [parameterAlias(name, 'saved'), value])
+        );
+        
+        // Polychora saves also keep the polytope (with the meshes of imported ones), physics setup, joints and
+        // scene bodies, so loading restarts the same simulation
+        if (system === 'polychora') {
+            const imported = Array.isArray(params.importedPolytopes) ? params.importedPolytopes : [];
+            if (params.polytope !== undefined) {
+                normalized.polytope = imported.some(polytope => polytope.index === params.polytope)
+                    ? params.polytope : clampParameter('polytope', params.polytope, system);
+            }
+            if (imported.length > 0) normalized.importedPolytopes = imported;
+            Object.assign(normalized, resolveParameters(params, system, PHYSICS_PARAMETERS));
+            if (params.constraintPreset) normalized.constraintPreset = params.constraintPreset;
+            if (Array.isArray(params.constraints)) normalized.constraints = params.constraints;
+            if (Array.isArray(params.scene)) normalized.scene = params.scene;
+        }
         return normalized;
     }
     
@@ -409,7 +434,9 @@ export class UnifiedSaveManager {
                 isCustom: true,
                 globalId: v.id || this.generateUniqueId(),
                 system: v.system,
-                parameters: this.normalizeParameters(v.parameters || {})
+                parameters: this.normalizeParameters(v.parameters || {}, v.system),
+                timeline: v.timeline,
+                bindings: v.bindings
             }))
         };
     }
@@ -4,10 +4,16 @@
  */
 
 import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { clock } from './Clock.js';
+import { resolveLayerCanvas } from './UnifiedCanvasManager.js';
+import { DEFAULT_PROJECTION, projectionValue } from './Projection.js';
+import { shaderChunks } from './ShaderChunks.js';
 
 export class IntegratedHolographicVisualizer {
     constructor(canvasId, role, reactivity, variant) {
-        this.canvas = document.getElementById(canvasId);
+        // Accept a canvas id or a canvas element (OffscreenCanvas for headless rendering);
+        // ids resolve to unified layer targets when the single-context renderer is running
+        this.canvas = resolveLayerCanvas(canvasId);
         this.role = role;
         this.reactivity = reactivity;
         this.variant = variant;
@@ -21,10 +27,6 @@ export class IntegratedHolographicVisualizer {
             return;
         }
         
-        // Set proper canvas dimensions for mobile - with fallbacks
-        let rect = this.canvas.getBoundingClientRect();
-        const devicePixelRatio = Math.min(window.devicePixelRatio || 1, 2); // Cap at 2x for performance
-        
         // Store context options for later use
         this.contextOptions = {
             alpha: true,
@@ -37,14 +39,26 @@ export class IntegratedHolographicVisualizer {
             failIfMajorPerformanceCaveat: false  // Don't fail on mobile
         };
         
-        // CRITICAL FIX: Ensure canvas is properly sized BEFORE creating WebGL context
-        this.ensureCanvasSizedThenInitWebGL(rect, devicePixelRatio);
+        if (this.isOffscreen()) {
+            // Headless canvas or layer target: the owner sizes the buffer, so init synchronously
+            this.createWebGLContext();
+            if (this.gl) {
+                this.init();
+            }
+        } else {
+            // Set proper canvas dimensions for mobile - with fallbacks
+            const rect = this.canvas.getBoundingClientRect();
+            const devicePixelRatio = Math.min(window.devicePixelRatio || 1, 2); // Cap at 2x for performance
+            
+            // CRITICAL FIX: Ensure canvas is properly sized BEFORE creating WebGL context
+            this.ensureCanvasSizedThenInitWebGL(rect, devicePixelRatio);
+        }
         
         this.mouseX = 0.5;
         this.mouseY = 0.5;
         this.mouseIntensity = 0.0;
         this.clickIntensity = 0.0;
-        this.startTime = Date.now();
+        this.fixedTime = null; // Pinned u_time in ms (headless rendering), null = shared clock
         
         // Default parameters
         this.params = {
@@ -57,15 +71,26 @@ export class IntegratedHolographicVisualizer {
             intensity: 0.5,
             saturation: 0.8,
             dimension: 3.5,
+            rot4dXY: 0.0,
+            rot4dXZ: 0.0,
+            rot4dYZ: 0.0,
             rot4dXW: 0.0,
             rot4dYW: 0.0,
-            rot4dZW: 0.0
+            rot4dZW: 0.0,
+            projection: DEFAULT_PROJECTION.faceted
         };
         
         // Initialization now happens in ensureCanvasSizedThenInitWebGL after sizing
         // this.init(); // MOVED
     }
     
+    /**
+     * True when the canvas has no layout box (HeadlessRenderer OffscreenCanvas, unified LayerTarget)
+     */
+    isOffscreen() {
+        return typeof this.canvas.getBoundingClientRect !== 'function';
+    }
+    
     /**
      * CRITICAL FIX: Ensure canvas is properly sized before creating WebGL context
      */
@@ -158,6 +183,11 @@ export class IntegratedHolographicVisualizer {
         this.initShaders();
         this.initBuffers();
         this.resize();
+
+        // Recompile when a shared shader chunk changes (hot reload)
+        if (!this.unwatchShaders) {
+            this.unwatchShaders = shaderChunks.watch(this, () => this.initShaders());
+        }
     }
     
     /**
@@ -175,6 +205,8 @@ uniform vec2 u_resolution;
 uniform float u_time;
 uniform vec2 u_mouse;
 uniform float u_geometry;
+uniform float u_geometryFrom;  // Geometry a variation change morphs away from
+uniform float u_geometryMorph; // 0 draws u_geometryFrom, 1 u_geometry
 uniform float u_gridDensity;
 uniform float u_morphFactor;
 uniform float u_chaos;
@@ -183,6 +215,9 @@ uniform float u_hue;
 uniform float u_intensity;
 uniform float u_saturation;
 uniform float u_dimension;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_rot4dXW;
 uniform float u_rot4dYW;
 uniform float u_rot4dZW;
@@ -191,33 +226,14 @@ uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 
 // 4D rotation matrices
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
+#include <rotation4d>
 
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
-
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
+#include <projection>
 
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
+#include <geometryPlugins>
 
 // Simplified geometry functions for WebGL 1.0 compatibility (ORIGINAL FACETED)
-float geometryFunction(vec4 p) {
-    int geomType = int(u_geometry);
-    
+float latticeFunction(int geomType, vec4 p) {
     if (geomType == 0) {
         // Tetrahedron lattice - UNIFORM GRID DENSITY
         vec4 pos = fract(p * u_gridDensity * 0.08);
@@ -278,6 +294,10 @@ float geometryFunction(vec4 p) {
         float cube = max(max(abs(pos.x), abs(pos.y)), max(abs(pos.z), abs(pos.w)));
         return cube * u_morphFactor;
     }
+    else if (geomType >= 8) {
+        // Registered geometry - plugins return 1.0 on the lattice, these distances 0.0
+        return (1.0 - pluginLattice(geomType, p, u_gridDensity * 0.08)) * u_morphFactor;
+    }
     else {
         // Default hypercube - UNIFORM GRID DENSITY
         vec4 pos = fract(p * u_gridDensity * 0.08);
@@ -286,6 +306,12 @@ float geometryFunction(vec4 p) {
     }
 }
 
+float geometryFunction(vec4 p) {
+    float value = latticeFunction(int(u_geometry), p);
+    if (u_geometryMorph >= 1.0) return value;
+    return mix(latticeFunction(int(u_geometryFrom), p), value, u_geometryMorph);
+}
+
 void main() {
     vec2 uv = (gl_FragCoord.xy - u_resolution.xy * 0.5) / min(u_resolution.x, u_resolution.y);
     
@@ -295,10 +321,16 @@ void main() {
     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
     
     // Apply 4D rotations
+    pos = rotateXY(u_rot4dXY) * pos;
+    pos = rotateXZ(u_rot4dXZ) * pos;
+    pos = rotateYZ(u_rot4dYZ) * pos;
     pos = rotateXW(u_rot4dXW) * pos;
     pos = rotateYW(u_rot4dYW) * pos;
     pos = rotateZW(u_rot4dZW) * pos;
     
+    // Selectable 4D->3D projection (w is kept for the 4D lattice functions)
+    pos = vec4(project4Dto3D(pos), pos.w);
+    
     // Calculate geometry value
     float value = geometryFunction(pos);
     
@@ -329,12 +361,14 @@ void main() {
     gl_FragColor = vec4(color, finalIntensity * u_roleIntensity);
 }`;
         
-        this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
+        this.program = this.createProgram(vertexShaderSource, shaderChunks.compose(fragmentShaderSource));
         this.uniforms = {
             resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
             time: this.gl.getUniformLocation(this.program, 'u_time'),
             mouse: this.gl.getUniformLocation(this.program, 'u_mouse'),
             geometry: this.gl.getUniformLocation(this.program, 'u_geometry'),
+            geometryFrom: this.gl.getUniformLocation(this.program, 'u_geometryFrom'),
+            geometryMorph: this.gl.getUniformLocation(this.program, 'u_geometryMorph'),
             gridDensity: this.gl.getUniformLocation(this.program, 'u_gridDensity'),
             morphFactor: this.gl.getUniformLocation(this.program, 'u_morphFactor'),
             chaos: this.gl.getUniformLocation(this.program, 'u_chaos'),
@@ -343,9 +377,13 @@ void main() {
             intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
             saturation: this.gl.getUniformLocation(this.program, 'u_saturation'),
             dimension: this.gl.getUniformLocation(this.program, 'u_dimension'),
+            rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+            rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+            rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
             rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
             rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
             rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
+            projection: this.gl.getUniformLocation(this.program, 'u_projection'),
             mouseIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
             clickIntensity: this.gl.getUniformLocation(this.program, 'u_clickIntensity'),
             roleIntensity: this.gl.getUniformLocation(this.program, 'u_roleIntensity')
@@ -435,15 +473,31 @@ void main() {
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
         this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
         
-        const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-        this.gl.enableVertexAttribArray(positionLocation);
-        this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
+        this.positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
+        this.gl.enableVertexAttribArray(this.positionLocation);
+        this.gl.vertexAttribPointer(this.positionLocation, 2, this.gl.FLOAT, false, 0, 0);
+    }
+    
+    /**
+     * Unified renderer: draw into this layer's framebuffer and rebind our quad (the context is shared)
+     */
+    bindLayerTarget() {
+        if (!this.canvas.bind) return;
+        this.canvas.bind();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        this.gl.enableVertexAttribArray(this.positionLocation);
+        this.gl.vertexAttribPointer(this.positionLocation, 2, this.gl.FLOAT, false, 0, 0);
     }
     
     /**
      * Resize canvas and viewport
      */
     resize() {
+        // Offscreen canvases keep the size they were created with
+        if (this.isOffscreen()) {
+            return;
+        }
+        
         // Mobile-optimized canvas sizing
         const dpr = Math.min(window.devicePixelRatio || 1, 2); // Cap at 2x for mobile performance
         const width = this.canvas.clientWidth;
@@ -561,6 +615,7 @@ void main() {
         try {
             this.resize();
             this.gl.useProgram(this.program);
+            this.bindLayerTarget();
             
             // CRITICAL FIX: Clear framebuffer before rendering
             this.gl.clearColor(0.0, 0.0, 0.0, 0.0);
@@ -581,13 +636,15 @@ void main() {
             'accent': 1.2
         };
         
-        const time = Date.now() - this.startTime;
+        const time = this.fixedTime !== null ? this.fixedTime : clock.getTimeMs();
         
         // Set uniforms
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
         this.gl.uniform1f(this.uniforms.time, time);
         this.gl.uniform2f(this.uniforms.mouse, this.mouseX, this.mouseY);
         this.gl.uniform1f(this.uniforms.geometry, this.params.geometry);
+        this.gl.uniform1f(this.uniforms.geometryFrom, this.params.geometryFrom ?? this.params.geometry);
+        this.gl.uniform1f(this.uniforms.geometryMorph, this.params.geometryMorph ?? 1);
         this.gl.uniform1f(this.uniforms.gridDensity, this.params.gridDensity);
         this.gl.uniform1f(this.uniforms.morphFactor, this.params.morphFactor);
         this.gl.uniform1f(this.uniforms.chaos, this.params.chaos);
@@ -596,9 +653,13 @@ void main() {
         this.gl.uniform1f(this.uniforms.intensity, this.params.intensity);
         this.gl.uniform1f(this.uniforms.saturation, this.params.saturation);
         this.gl.uniform1f(this.uniforms.dimension, this.params.dimension);
+        this.gl.uniform1f(this.uniforms.rot4dXY, this.params.rot4dXY);
+        this.gl.uniform1f(this.uniforms.rot4dXZ, this.params.rot4dXZ);
+        this.gl.uniform1f(this.uniforms.rot4dYZ, this.params.rot4dYZ);
         this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW);
         this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW);
         this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW);
+        this.gl.uniform1f(this.uniforms.projection, projectionValue(this.params.projection, 'faceted'));
         this.gl.uniform1f(this.uniforms.mouseIntensity, this.mouseIntensity);
         this.gl.uniform1f(this.uniforms.clickIntensity, this.clickIntensity);
         this.gl.uniform1f(this.uniforms.roleIntensity, roleIntensities[this.role] || 1.0);
@@ -661,6 +722,10 @@ void main() {
      * Clean up WebGL resources
      */
     destroy() {
+        if (this.unwatchShaders) {
+            this.unwatchShaders();
+            this.unwatchShaders = null;
+        }
         if (this.gl && this.program) {
             this.gl.deleteProgram(this.program);
         }
@@ -0,0 +1,159 @@
+/**
+ * VIB34D APNG Encoder
+ * Assembles browser-encoded PNG frames into a looping Animated PNG without re-compressing.
+ * Frame 0 keeps its IDAT chunks; later frames are rewritten as fdAT chunks with a shared sequence.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export class APNGEncoder {
+    /**
+     * @param {Object} options
+     * @param {number} options.fps - Playback rate
+     * @param {number} options.plays - Loop count, 0 = infinite
+     */
+    constructor({ fps = 30, plays = 0 } = {}) {
+        this.fps = fps;
+        this.plays = plays;
+        this.frames = [];
+        this.header = null;
+    }
+
+    /**
+     * Add one PNG-encoded frame (ArrayBuffer or Uint8Array). All frames must share dimensions.
+     */
+    addFrame(pngData) {
+        const chunks = this.readChunks(new Uint8Array(pngData));
+        const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+        if (!ihdr) {
+            throw new Error('APNG frame is missing IHDR');
+        }
+
+        if (!this.header) {
+            this.header = ihdr;
+        } else if (!this.sameSize(this.header.data, ihdr.data)) {
+            throw new Error('APNG frames must all have the same size');
+        }
+
+        this.frames.push(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+    }
+
+    /**
+     * Build the animated PNG
+     * @returns {Blob}
+     */
+    encode() {
+        if (this.frames.length === 0) {
+            throw new Error('APNG has no frames');
+        }
+
+        const view = new DataView(this.header.data.buffer, this.header.data.byteOffset, this.header.data.byteLength);
+        const width = view.getUint32(0);
+        const height = view.getUint32(4);
+        const parts = [new Uint8Array(PNG_SIGNATURE), this.chunk('IHDR', this.header.data)];
+
+        // acTL: frame count + loop count
+        const actl = new DataView(new ArrayBuffer(8));
+        actl.setUint32(0, this.frames.length);
+        actl.setUint32(4, this.plays);
+        parts.push(this.chunk('acTL', new Uint8Array(actl.buffer)));
+
+        let sequence = 0;
+        this.frames.forEach((idatList, index) => {
+            parts.push(this.chunk('fcTL', this.frameControl(sequence++, width, height)));
+
+            idatList.forEach(data => {
+                if (index === 0) {
+                    parts.push(this.chunk('IDAT', data));
+                } else {
+                    const fdat = new Uint8Array(4 + data.length);
+                    new DataView(fdat.buffer).setUint32(0, sequence++);
+                    fdat.set(data, 4);
+                    parts.push(this.chunk('fdAT', fdat));
+                }
+            });
+        });
+
+        parts.push(this.chunk('IEND', new Uint8Array(0)));
+        return new Blob(parts, { type: 'image/apng' });
+    }
+
+    /**
+     * fcTL payload: full-frame region, 1/fps delay, no dispose, source blend
+     */
+    frameControl(sequence, width, height) {
+        const fctl = new DataView(new ArrayBuffer(26));
+        fctl.setUint32(0, sequence);
+        fctl.setUint32(4, width);
+        fctl.setUint32(8, height);
+        fctl.setUint32(12, 0);
+        fctl.setUint32(16, 0);
+        fctl.setUint16(20, 1);
+        fctl.setUint16(22, this.fps);
+        fctl.setUint8(24, 0);
+        fctl.setUint8(25, 0);
+        return new Uint8Array(fctl.buffer);
+    }
+
+    readChunks(bytes) {
+        for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+            if (bytes[i] !== PNG_SIGNATURE[i]) {
+                throw new Error('APNG frame is not a PNG');
+            }
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let offset = PNG_SIGNATURE.length;
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+            offset += 12 + length;
+            if (type === 'IEND') break;
+        }
+
+        return chunks;
+    }
+
+    chunk(type, data) {
+        const out = new Uint8Array(12 + data.length);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            out[4 + i] = type.charCodeAt(i);
+        }
+        out.set(data, 8);
+        view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+        return out;
+    }
+
+    sameSize(a, b) {
+        for (let i = 0; i < 8; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+}
@@ -2,6 +2,9 @@
  * Base class for all VIB34D trading card generators
  * Provides shared utilities while allowing system-specific implementations
  */
+
+import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+
 export class CardGeneratorBase {
     constructor(systemName) {
         this.systemName = systemName;
@@ -272,7 +275,7 @@ export class CardGeneratorBase {
     
     getGeometryName(parameters) {
         // Default implementation - systems can override
-        const geometryNames = ['TETRAHEDRON', 'HYPERCUBE', 'SPHERE', 'TORUS', 'KLEIN BOTTLE', 'FRACTAL', 'WAVE', 'CRYSTAL'];
+        const geometryNames = GeometryLibrary.getGeometryNames();
         const geomIndex = parameters.geometry || parameters.geometryType || 0;
         return geometryNames[geomIndex] || 'GEOMETRY';
     }
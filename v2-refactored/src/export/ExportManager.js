@@ -3,6 +3,10 @@
  * Handles all export and import functionality for configurations and media
  */
 
+import { LoopExporter } from './LoopExporter.js';
+import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { random, SeededRandom } from '../core/Clock.js';
+
 export class ExportManager {
     constructor(engine) {
         this.engine = engine;
@@ -312,6 +316,10 @@ export class ExportManager {
 // VIB34D Configuration
 const vib34dConfig = ${JSON.stringify(params, null, 4)};
 
+// Double-click randomizing replays the same sequence for the same app seed
+${SeededRandom.toString()}
+const random = new SeededRandom(${random.fork('export-html').seed});
+
 // Simplified renderer for exported HTML
 class ExportedHolographicRenderer {
     constructor(canvas) {
@@ -346,11 +354,11 @@ class ExportedHolographicRenderer {
     }
     
     randomizeConfig() {
-        this.config.hue = Math.random() * 360;
-        this.config.gridDensity = 4 + Math.random() * 26;
-        this.config.morphFactor = Math.random() * 2;
-        this.config.chaos = Math.random();
-        this.config.speed = 0.1 + Math.random() * 2.9;
+        this.config.hue = random.range(0, 360);
+        this.config.gridDensity = random.range(4, 30);
+        this.config.morphFactor = random.range(0, 2);
+        this.config.chaos = random.next();
+        this.config.speed = random.range(0.1, 3.0);
         this.clickIntensity = 1.5;
     }
     
@@ -423,7 +431,11 @@ window.addEventListener('load', () => {
      */
     exportPNG() {
         try {
-            const canvas = document.getElementById('content-canvas');
+            // Single-context renderer: composite the layers and read the master canvas in the same task
+            const canvasManager = window.canvasPool?.canvasManager;
+            const canvas = canvasManager && canvasManager.composite() ?
+                canvasManager.masterCanvas :
+                document.getElementById('content-canvas');
             if (!canvas) {
                 throw new Error('Content canvas not found');
             }
@@ -439,6 +451,22 @@ window.addEventListener('load', () => {
         }
     }
     
+    /**
+     * Export an animated loop (WebM or APNG) of the running visualization
+     * @param {Object} options - See LoopExporter.export (format, fps, duration, width, height, seamless)
+     */
+    async exportLoop(options = {}) {
+        try {
+            this.loopExporter = this.loopExporter || new LoopExporter();
+            const result = await this.loopExporter.exportAndDownload(options);
+            this.engine.statusManager.success(`Loop exported: ${result.filename}`);
+            return result;
+        } catch (error) {
+            this.engine.statusManager.error('Loop export failed: ' + error.message);
+            return { success: false, error: error.message };
+        }
+    }
+    
     /**
      * Trigger JSON import file dialog
      */
@@ -575,6 +603,6 @@ window.addEventListener('load', () => {
      */
     getGeometryName(index) {
         const names = ['Tetrahedron', 'Hypercube', 'Sphere', 'Torus', 'Klein Bottle', 'Fractal', 'Wave', 'Crystal'];
-        return names[index] || 'Unknown';
+        return names[index] || GeometryLibrary.getGeometryPlugins().find(plugin => plugin.index === index)?.label || 'Unknown';
     }
 }
\ No newline at end of file
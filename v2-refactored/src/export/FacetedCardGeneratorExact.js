@@ -3,6 +3,13 @@
  * Uses the exact same shader code from src/core/Visualizer.js lines 64-222
  */
 
+import { projectionValue } from '../core/Projection.js';
+import { shaderChunks } from '../core/ShaderChunks.js';
+import { normalizePostProcessing, postProcessingCardScript } from '../core/PostProcessing.js';
+import { timelineCardScript } from '../core/Timeline.js';
+import { bindingsCardScript } from '../core/Bindings.js';
+import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+
 export class FacetedCardGeneratorExact {
     static generateCard(params, canvasId = 'trading-card-canvas') {
         const geometryNames = {
@@ -10,11 +17,11 @@ export class FacetedCardGeneratorExact {
             4: 'klein', 5: 'fractal', 6: 'wave', 7: 'crystal'
         };
         
-        const geometryName = geometryNames[params.geometry] || 'hypercube';
+        const geometryName = geometryNames[params.geometry] || GeometryLibrary.getGeometryNames()[params.geometry]?.toLowerCase() || 'hypercube';
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         
         // Use EXACT shader from IntegratedHolographicVisualizer (lines 64-222)
-        const fragmentShader = `precision highp float;
+        const fragmentShader = shaderChunks.compose(`precision highp float;
 
 uniform vec2 u_resolution;
 uniform float u_time;
@@ -28,6 +35,9 @@ uniform float u_hue;
 uniform float u_intensity;
 uniform float u_saturation;
 uniform float u_dimension;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_rot4dXW;
 uniform float u_rot4dYW;
 uniform float u_rot4dZW;
@@ -36,28 +46,11 @@ uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 
 // 4D rotation matrices
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
-
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
+#include <rotation4d>
 
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
+#include <projection>
 
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
+#include <geometryPlugins>
 
 // Simplified geometry functions for WebGL 1.0 compatibility (ORIGINAL FACETED)
 float geometryFunction(vec4 p) {
@@ -123,6 +116,10 @@ float geometryFunction(vec4 p) {
         float cube = max(max(abs(pos.x), abs(pos.y)), max(abs(pos.z), abs(pos.w)));
         return cube * u_morphFactor;
     }
+    else if (geomType >= 8) {
+        // Registered geometry - plugins return 1.0 on the lattice, these distances 0.0
+        return (1.0 - pluginLattice(geomType, p, u_gridDensity * 0.08)) * u_morphFactor;
+    }
     else {
         // Default hypercube - UNIFORM GRID DENSITY
         vec4 pos = fract(p * u_gridDensity * 0.08);
@@ -140,10 +137,16 @@ void main() {
     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
     
     // Apply 4D rotations
+    pos = rotateXY(u_rot4dXY) * pos;
+    pos = rotateXZ(u_rot4dXZ) * pos;
+    pos = rotateYZ(u_rot4dYZ) * pos;
     pos = rotateXW(u_rot4dXW) * pos;
     pos = rotateYW(u_rot4dYW) * pos;
     pos = rotateZW(u_rot4dZW) * pos;
     
+    // Selectable 4D->3D projection (w is kept for the 4D lattice functions)
+    pos = vec4(project4Dto3D(pos), pos.w);
+    
     // Calculate geometry value
     float value = geometryFunction(pos);
     
@@ -172,7 +175,7 @@ void main() {
     vec3 color = mix(vec3(gray), baseColor, u_saturation) * finalIntensity;
     
     gl_FragColor = vec4(color, finalIntensity * u_roleIntensity);
-}`;
+}`);
 
         // Generate complete HTML with exact parameter values
         const html = `<!DOCTYPE html>
@@ -292,9 +295,13 @@ void main() {
             intensity: gl.getUniformLocation(program, 'u_intensity'),
             saturation: gl.getUniformLocation(program, 'u_saturation'),
             dimension: gl.getUniformLocation(program, 'u_dimension'),
+            rot4dXY: gl.getUniformLocation(program, 'u_rot4dXY'),
+            rot4dXZ: gl.getUniformLocation(program, 'u_rot4dXZ'),
+            rot4dYZ: gl.getUniformLocation(program, 'u_rot4dYZ'),
             rot4dXW: gl.getUniformLocation(program, 'u_rot4dXW'),
             rot4dYW: gl.getUniformLocation(program, 'u_rot4dYW'),
             rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW'),
+            projection: gl.getUniformLocation(program, 'u_projection'),
             mouseIntensity: gl.getUniformLocation(program, 'u_mouseIntensity'),
             clickIntensity: gl.getUniformLocation(program, 'u_clickIntensity'),
             roleIntensity: gl.getUniformLocation(program, 'u_roleIntensity')
@@ -311,9 +318,13 @@ void main() {
             intensity: ${params.intensity || 0.5},
             saturation: ${params.saturation || 0.8},
             dimension: ${params.dimension || 3.5},
+            rot4dXY: ${params.rot4dXY || 0.0},
+            rot4dXZ: ${params.rot4dXZ || 0.0},
+            rot4dYZ: ${params.rot4dYZ || 0.0},
             rot4dXW: ${params.rot4dXW || 0.0},
             rot4dYW: ${params.rot4dYW || 0.0},
-            rot4dZW: ${params.rot4dZW || 0.0}
+            rot4dZW: ${params.rot4dZW || 0.0},
+            projection: ${projectionValue(params.projection, 'faceted')}
         };
         
         const startTime = Date.now();
@@ -337,9 +348,13 @@ void main() {
             gl.uniform1f(uniforms.intensity, parameters.intensity);
             gl.uniform1f(uniforms.saturation, parameters.saturation);
             gl.uniform1f(uniforms.dimension, parameters.dimension);
+            gl.uniform1f(uniforms.rot4dXY, parameters.rot4dXY);
+            gl.uniform1f(uniforms.rot4dXZ, parameters.rot4dXZ);
+            gl.uniform1f(uniforms.rot4dYZ, parameters.rot4dYZ);
             gl.uniform1f(uniforms.rot4dXW, parameters.rot4dXW);
             gl.uniform1f(uniforms.rot4dYW, parameters.rot4dYW);
             gl.uniform1f(uniforms.rot4dZW, parameters.rot4dZW);
+            gl.uniform1f(uniforms.projection, parameters.projection);
             gl.uniform1f(uniforms.mouseIntensity, 0.0);
             gl.uniform1f(uniforms.clickIntensity, 0.0);
             gl.uniform1f(uniforms.roleIntensity, 0.8); // Content layer intensity
@@ -350,6 +365,19 @@ void main() {
         }
         
         render();
+        
+        // Keyframed timeline saved with the card drives the shader and post parameters
+        ${timelineCardScript()}
+        const postParameters = ${JSON.stringify(normalizePostProcessing(params))};
+        playCardTimeline(${JSON.stringify(params.timeline || null)}, [parameters, postParameters]);
+        
+        // Expression bindings saved with the card run after the timeline, so they win on shared parameters
+        ${bindingsCardScript()}
+        playCardBindings(${JSON.stringify(params.bindings || null)}, [parameters, postParameters]);
+        
+        // Post-processing passes saved with the card (no-op when all are off)
+        ${postProcessingCardScript()}
+        attachCardPostProcessing([canvas], postParameters);
     </script>
 </body>
 </html>`;
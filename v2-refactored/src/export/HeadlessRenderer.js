@@ -0,0 +1,196 @@
+/**
+ * VIB34D Headless Renderer
+ * Renders a single frame of any system from parameters into pixels without the main page.
+ * Uses an OffscreenCanvas, so it runs under headless/software WebGL (SwiftShader) in CI.
+ */
+
+import { IntegratedHolographicVisualizer } from '../core/Visualizer.js';
+import { QuantumHolographicVisualizer } from '../quantum/QuantumVisualizer.js';
+import { HolographicVisualizer } from '../holograms/HolographicVisualizer.js';
+import { PolychoraSystem, PolychoraVisualizer } from '../core/PolychoraSystem.js';
+import { ParameterManager } from '../core/Parameters.js';
+import { random } from '../core/Clock.js';
+
+export class HeadlessRenderer {
+    constructor() {
+        // Layer stack per system - roles and reactivity match the live engines
+        this.systemLayers = {
+            faceted: [
+                { role: 'background', reactivity: 0.5 },
+                { role: 'shadow', reactivity: 0.7 },
+                { role: 'content', reactivity: 0.9 },
+                { role: 'highlight', reactivity: 1.1 },
+                { role: 'accent', reactivity: 1.5 }
+            ],
+            quantum: [
+                { role: 'background', reactivity: 0.4 },
+                { role: 'shadow', reactivity: 0.6 },
+                { role: 'content', reactivity: 1.0 },
+                { role: 'highlight', reactivity: 1.3 },
+                { role: 'accent', reactivity: 1.6 }
+            ],
+            holographic: [
+                { role: 'background', reactivity: 0.5 },
+                { role: 'shadow', reactivity: 0.7 },
+                { role: 'content', reactivity: 0.9 },
+                { role: 'highlight', reactivity: 1.1 },
+                { role: 'accent', reactivity: 1.5 }
+            ],
+            polychora: [
+                { role: 'background' },
+                { role: 'shadow' },
+                { role: 'content' },
+                { role: 'highlight' },
+                { role: 'accent' }
+            ]
+        };
+
+        // Same layer blending as TradingCardGenerator.captureCanvasImage
+        this.layerProperties = {
+            background: { alpha: 0.4, blendMode: 'source-over' },
+            shadow: { alpha: 0.6, blendMode: 'multiply' },
+            content: { alpha: 1.0, blendMode: 'source-over' },
+            highlight: { alpha: 1.0, blendMode: 'screen' },
+            accent: { alpha: 0.8, blendMode: 'overlay' }
+        };
+    }
+
+    /**
+     * Get the list of systems that can be rendered headlessly
+     */
+    getSystems() {
+        return Object.keys(this.systemLayers);
+    }
+
+    /**
+     * Render one composited frame
+     * @param {Object} options
+     * @param {string} options.system - 'faceted' | 'quantum' | 'holographic' | 'polychora'
+     * @param {Object} options.parameters - ParameterManager-style parameters (geometry, gridDensity, hue, ...)
+     * @param {number} options.width - Output width in pixels
+     * @param {number} options.height - Output height in pixels
+     * @param {number} options.time - Animation time in seconds
+     * @param {number|string} [options.seed] - Reseeds the shared random streams for reproducible output
+     * @returns {{system: string, width: number, height: number, pixels: Uint8ClampedArray, canvas: OffscreenCanvas}}
+     */
+    render({ system = 'faceted', parameters = {}, width = 512, height = 512, time = 0, seed } = {}) {
+        const layers = this.systemLayers[system];
+        if (!layers) {
+            throw new Error(`Unknown system: ${system}`);
+        }
+
+        if (seed !== undefined) {
+            random.setSeed(seed);
+        }
+
+        if (typeof OffscreenCanvas === 'undefined') {
+            throw new Error('OffscreenCanvas is required for headless rendering');
+        }
+
+        // One WebGL context is shared by every layer: each visualizer reuses the existing context
+        const layerCanvas = new OffscreenCanvas(width, height);
+        const compositeCanvas = new OffscreenCanvas(width, height);
+        const ctx = compositeCanvas.getContext('2d');
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        try {
+            layers.forEach(layer => {
+                const bitmap = this.renderLayer(system, layer, layerCanvas, parameters, time);
+                const props = this.layerProperties[layer.role];
+
+                ctx.globalAlpha = props.alpha;
+                ctx.globalCompositeOperation = props.blendMode;
+                ctx.drawImage(bitmap, 0, 0, width, height);
+                bitmap.close();
+            });
+        } finally {
+            ctx.globalCompositeOperation = 'source-over';
+            ctx.globalAlpha = 1.0;
+            this.releaseContext(layerCanvas);
+        }
+
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+        return { system, width, height, pixels, canvas: compositeCanvas };
+    }
+
+    /**
+     * Render one composited frame and encode it as a PNG blob
+     */
+    async renderToPNG(options = {}) {
+        const frame = this.render(options);
+        return frame.canvas.convertToBlob({ type: 'image/png' });
+    }
+
+    /**
+     * Render one composited frame as a PNG data URL (handy across page.evaluate boundaries)
+     */
+    async renderToDataURL(options = {}) {
+        const blob = await this.renderToPNG(options);
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Render a single layer role and return it as an ImageBitmap
+     */
+    renderLayer(system, layer, canvas, parameters, time) {
+        let visualizer;
+
+        if (system === 'polychora') {
+            // PolychoraSystem owns the VIB34D → Polychora parameter mapping
+            const polychora = new PolychoraSystem();
+            polychora.updateParameters(parameters);
+
+            visualizer = new PolychoraVisualizer(canvas, layer.role, polychora.layerConfigs[layer.role]);
+            if (!visualizer.initialize()) {
+                throw new Error(`Failed to initialize polychora ${layer.role} layer`);
+            }
+            visualizer.fixedTime = time;
+            visualizer.render(polychora.parameters);
+        } else if (system === 'holographic') {
+            visualizer = new HolographicVisualizer(canvas, layer.role, layer.reactivity, 0);
+            visualizer.fixedTime = time * 1000;
+            visualizer.updateParameters(parameters); // Maps names and renders
+        } else {
+            const VisualizerClass = system === 'quantum' ? QuantumHolographicVisualizer : IntegratedHolographicVisualizer;
+            visualizer = new VisualizerClass(canvas, layer.role, layer.reactivity, 0);
+            if (!visualizer.gl || !visualizer.program) {
+                throw new Error(`Failed to initialize ${system} ${layer.role} layer`);
+            }
+
+            // Validate and clamp through the same manager the engines use
+            const parameterManager = new ParameterManager();
+            parameterManager.setParameters(parameters);
+
+            visualizer.fixedTime = time * 1000;
+            visualizer.params = { ...visualizer.params, ...parameterManager.getAllParameters() };
+            visualizer.render();
+        }
+
+        const bitmap = canvas.transferToImageBitmap();
+
+        // Free programs/buffers but keep the shared context for the next layer
+        if (visualizer.destroy) {
+            visualizer.destroy();
+        }
+
+        return bitmap;
+    }
+
+    /**
+     * Drop the shared layer context so batch renders don't exhaust the context limit
+     */
+    releaseContext(canvas) {
+        const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+        const loseContext = gl?.getExtension('WEBGL_lose_context');
+        if (loseContext) {
+            loseContext.loseContext();
+        }
+    }
+}
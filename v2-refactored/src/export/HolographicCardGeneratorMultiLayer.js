@@ -3,6 +3,13 @@
  * Creates 5 separate canvas layers and composites them like the real engine
  */
 
+import { projectionValue } from '../core/Projection.js';
+import { shaderChunks } from '../core/ShaderChunks.js';
+import { normalizePostProcessing, postProcessingCardScript } from '../core/PostProcessing.js';
+import { timelineCardScript } from '../core/Timeline.js';
+import { bindingsCardScript } from '../core/Bindings.js';
+import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+
 export class HolographicCardGeneratorMultiLayer {
     static generateCard(params, canvasId = 'trading-card-canvas') {
         console.log('🌌 HolographicCardGeneratorMultiLayer received parameters:', params);
@@ -12,7 +19,7 @@ export class HolographicCardGeneratorMultiLayer {
             4: 'klein', 5: 'fractal', 6: 'wave', 7: 'crystal'
         };
         
-        const geometryName = geometryNames[params.geometry] || 'hypercube';
+        const geometryName = geometryNames[params.geometry] || GeometryLibrary.getGeometryNames()[params.geometry]?.toLowerCase() || 'hypercube';
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         
         console.log('🌌 Using geometry:', params.geometry, '→', geometryName);
@@ -30,7 +37,7 @@ export class HolographicCardGeneratorMultiLayer {
         console.log('   rot4dZW:', params.rot4dZW || 0.0);
         
         // Use EXACT shader from HolographicVisualizer (WebGL 1.0 compatible)
-        const fragmentShader = `precision highp float;
+        const fragmentShader = shaderChunks.compose(`precision highp float;
             
             uniform vec2 u_resolution;
             uniform float u_time;
@@ -60,34 +67,17 @@ export class HolographicCardGeneratorMultiLayer {
             uniform float u_audioSpeedBoost;
             uniform float u_audioChaosBoost;
             uniform float u_audioColorShift;
+            uniform float u_rot4dXY;
+            uniform float u_rot4dXZ;
+            uniform float u_rot4dYZ;
             uniform float u_rot4dXW;
             uniform float u_rot4dYW;
             uniform float u_rot4dZW;
             
             // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
-            
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
+            #include <rotation4d>
             
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
-            
-            // 4D to 3D projection
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
+            #include <projection>
             
             // Enhanced VIB3 Geometry Library - Higher Fidelity
             float tetrahedronLattice(vec3 p, float gridSize) {
@@ -198,6 +188,8 @@ export class HolographicCardGeneratorMultiLayer {
                 return 1.0 - smoothstep(0.3, 0.5, d);
             }
             
+            #include <geometryPlugins>
+            
             float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
                 // WebGL 1.0 compatible modulus replacement
                 float baseGeomFloat = geometryType - floor(geometryType / 8.0) * 8.0;
@@ -205,6 +197,9 @@ export class HolographicCardGeneratorMultiLayer {
                 float variation = floor(geometryType / 8.0) / 4.0;
                 float variedGridSize = gridSize * (0.5 + variation * 1.5);
                 
+                // Registered geometries sit past the built-in eight and stay out of the morph wrap
+                if (u_geometryType >= 8.0) return pluginLattice(int(u_geometryType + 0.5), vec4(p, 0.0), variedGridSize);
+                
                 if (baseGeom == 0) return tetrahedronLattice(p, variedGridSize);
                 else if (baseGeom == 1) return hypercubeLattice(p, variedGridSize);
                 else if (baseGeom == 2) return sphereLattice(p, variedGridSize);
@@ -215,11 +210,7 @@ export class HolographicCardGeneratorMultiLayer {
                 else return crystalLattice(p, variedGridSize);
             }
             
-            vec3 hsv2rgb(vec3 c) {
-                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-            }
+            #include <hsv>
             
             vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
                 vec2 offset = vec2(intensity * 0.005, 0.0);
@@ -269,6 +260,9 @@ export class HolographicCardGeneratorMultiLayer {
                 float touchRotation = u_touchMorph * 0.2;
                 
                 // Combine manual rotation with automatic/interactive rotation
+                p4d = rotateXY(u_rot4dXY) * p4d;
+                p4d = rotateXZ(u_rot4dXZ) * p4d;
+                p4d = rotateYZ(u_rot4dYZ) * p4d;
                 p4d = rotateXW(u_rot4dXW + time * 0.2 + mouseOffset.y * 0.5 + scrollRotation) * p4d;
                 p4d = rotateYW(u_rot4dYW + time * 0.15 + mouseOffset.x * 0.5 + touchRotation) * p4d;
                 p4d = rotateZW(u_rot4dZW + time * 0.25 + u_clickIntensity * 0.3 + u_touchChaos * 0.4) * p4d;
@@ -332,7 +326,7 @@ export class HolographicCardGeneratorMultiLayer {
                 color += vec3(interference) * baseColor;
                 
                 gl_FragColor = vec4(color, 0.95);
-            }`;
+            }`);
 
         // Generate complete HTML with EXACT 5-layer system like the engine
         const html = `<!DOCTYPE html>
@@ -471,24 +465,44 @@ export class HolographicCardGeneratorMultiLayer {
             return [(r + m), (g + m), (b + m)];
         }
         
-        // Base parameters with EXACT engine scaling - MUST match HolographicVisualizer.js line 723-724
-        const rawGridDensity = parseFloat(${params.gridDensity || 15});
-        const mappedBaseDensity = 0.6 + (rawGridDensity - 5) / 95 * 6.9; // EXACT same formula as engine
-        const baseHue = ${params.hue || 320};
+        // Card parameters - read every frame so a saved timeline can animate them
+        const parameters = {
+            geometry: ${params.geometry || 0},
+            gridDensity: parseFloat(${params.gridDensity || 15}),
+            morphFactor: ${params.morphFactor || 1.0},
+            chaos: ${params.chaos || 0.2},
+            speed: ${params.speed || 1.0},
+            hue: ${params.hue || 320},
+            intensity: ${params.intensity || 0.6},
+            saturation: ${params.saturation || 0.8},
+            rot4dXY: ${params.rot4dXY || 0.0},
+            rot4dXZ: ${params.rot4dXZ || 0.0},
+            rot4dYZ: ${params.rot4dYZ || 0.0},
+            rot4dXW: ${params.rot4dXW || 0.0},
+            rot4dYW: ${params.rot4dYW || 0.0},
+            rot4dZW: ${params.rot4dZW || 0.0},
+            projection: ${projectionValue(params.projection, 'holographic')}
+        };
         
-        console.log('🔧 Trading card density mapping: gridDensity=' + rawGridDensity + ' → mappedBaseDensity=' + mappedBaseDensity.toFixed(3));
+        // Base density with EXACT engine scaling - MUST match HolographicVisualizer.js line 723-724
+        function mapBaseDensity(gridDensity) {
+            return 0.6 + (gridDensity - 5) / 95 * 6.9; // EXACT same formula as engine
+        }
         
         // EXACT role density calculations from HolographicVisualizer.js generateRoleParams() method
         // These MUST match the engine's dynamic calculations exactly
-        const roleDensityCalculations = {
-            'background': 0.4,  // Static from engine
-            'shadow': 0.8,      // Static from engine
-            'content': mappedBaseDensity,  // Dynamic: vp.density from engine
-            'highlight': 1.5 + (mappedBaseDensity * 0.3),  // Dynamic: 1.5 + (vp.density * 0.3) from engine
-            'accent': 2.5 + (mappedBaseDensity * 0.5)       // Dynamic: 2.5 + (vp.density * 0.5) from engine
-        };
+        function roleDensity(role, mappedBaseDensity) {
+            const roleDensityCalculations = {
+                'background': 0.4,  // Static from engine
+                'shadow': 0.8,      // Static from engine
+                'content': mappedBaseDensity,  // Dynamic: vp.density from engine
+                'highlight': 1.5 + (mappedBaseDensity * 0.3),  // Dynamic: 1.5 + (vp.density * 0.3) from engine
+                'accent': 2.5 + (mappedBaseDensity * 0.5)       // Dynamic: 2.5 + (vp.density * 0.5) from engine
+            };
+            return roleDensityCalculations[role] || mappedBaseDensity;
+        }
         
-        console.log('🔧 Role density calculations:', roleDensityCalculations);
+        console.log('🔧 Trading card density mapping: gridDensity=' + parameters.gridDensity + ' → mappedBaseDensity=' + mapBaseDensity(parameters.gridDensity).toFixed(3));
         
         // Initialize all layers
         const visualizers = [];
@@ -545,53 +559,54 @@ export class HolographicCardGeneratorMultiLayer {
                 audioSpeedBoost: gl.getUniformLocation(program, 'u_audioSpeedBoost'),
                 audioChaosBoost: gl.getUniformLocation(program, 'u_audioChaosBoost'),
                 audioColorShift: gl.getUniformLocation(program, 'u_audioColorShift'),
+                rot4dXY: gl.getUniformLocation(program, 'u_rot4dXY'),
+                rot4dXZ: gl.getUniformLocation(program, 'u_rot4dXZ'),
+                rot4dYZ: gl.getUniformLocation(program, 'u_rot4dYZ'),
                 rot4dXW: gl.getUniformLocation(program, 'u_rot4dXW'),
                 rot4dYW: gl.getUniformLocation(program, 'u_rot4dYW'),
-                rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW')
+                rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW'),
+                projection: gl.getUniformLocation(program, 'u_projection')
             };
             
-            // Layer-specific color with hue shift
-            const layerHue = baseHue + layer.colorShift;
-            const [r, g, b] = hsvToRgb(layerHue, ${params.saturation || 0.8}, ${params.intensity || 0.6});
-            
-            visualizers.push({
-                gl, program, uniforms, layer,
-                color: [r, g, b]
-            });
+            visualizers.push({ gl, program, uniforms, layer });
         });
         
         const startTime = Date.now();
         
         function render() {
             const time = Date.now() - startTime;
+            const mappedBaseDensity = mapBaseDensity(parameters.gridDensity);
             
             visualizers.forEach(viz => {
-                const { gl, program, uniforms, layer, color } = viz;
+                const { gl, program, uniforms, layer } = viz;
                 
                 gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
                 gl.useProgram(program);
                 
                 // Set uniforms with EXACT layer-specific role parameters from engine
-                const exactRoleDensity = roleDensityCalculations[layer.role] || mappedBaseDensity;
+                const exactRoleDensity = roleDensity(layer.role, mappedBaseDensity);
+                
+                // Layer-specific color with hue shift
+                const color = hsvToRgb(parameters.hue + layer.colorShift, parameters.saturation, parameters.intensity);
                 
                 gl.uniform2f(uniforms.resolution, gl.canvas.width, gl.canvas.height);
                 gl.uniform1f(uniforms.time, time);
                 gl.uniform2f(uniforms.mouse, 0.5, 0.5);
-                gl.uniform1f(uniforms.geometry, ${params.geometry || 0});
+                gl.uniform1f(uniforms.geometry, parameters.geometry);
                 gl.uniform1f(uniforms.density, mappedBaseDensity);
-                gl.uniform1f(uniforms.speed, ${params.speed || 1.0});
+                gl.uniform1f(uniforms.speed, parameters.speed);
                 gl.uniform3fv(uniforms.color, color);
-                gl.uniform1f(uniforms.intensity, (${params.intensity || 0.6}) * layer.intensityMult);
+                gl.uniform1f(uniforms.intensity, parameters.intensity * layer.intensityMult);
                 gl.uniform1f(uniforms.roleDensity, exactRoleDensity); // EXACT from engine
                 gl.uniform1f(uniforms.roleSpeed, layer.speedMult);
                 gl.uniform1f(uniforms.colorShift, layer.colorShift);
-                gl.uniform1f(uniforms.chaosIntensity, ${params.chaos || 0.2});
+                gl.uniform1f(uniforms.chaosIntensity, parameters.chaos);
                 gl.uniform1f(uniforms.mouseIntensity, 0.0);
                 gl.uniform1f(uniforms.clickIntensity, 0.0);
                 gl.uniform1f(uniforms.densityVariation, 0.0);
-                gl.uniform1f(uniforms.geometryType, ${params.geometry || 0});
-                gl.uniform1f(uniforms.chaos, ${params.chaos || 0.2});
-                gl.uniform1f(uniforms.morph, ${params.morphFactor || 1.0});
+                gl.uniform1f(uniforms.geometryType, parameters.geometry);
+                gl.uniform1f(uniforms.chaos, parameters.chaos);
+                gl.uniform1f(uniforms.morph, parameters.morphFactor);
                 gl.uniform1f(uniforms.touchMorph, 0.0);
                 gl.uniform1f(uniforms.touchChaos, 0.0);
                 gl.uniform1f(uniforms.scrollParallax, 0.0);
@@ -602,9 +617,13 @@ export class HolographicCardGeneratorMultiLayer {
                 gl.uniform1f(uniforms.audioSpeedBoost, 0.0);
                 gl.uniform1f(uniforms.audioChaosBoost, 0.0);
                 gl.uniform1f(uniforms.audioColorShift, 0.0);
-                gl.uniform1f(uniforms.rot4dXW, ${params.rot4dXW || 0.0});
-                gl.uniform1f(uniforms.rot4dYW, ${params.rot4dYW || 0.0});
-                gl.uniform1f(uniforms.rot4dZW, ${params.rot4dZW || 0.0});
+                gl.uniform1f(uniforms.rot4dXY, parameters.rot4dXY);
+                gl.uniform1f(uniforms.rot4dXZ, parameters.rot4dXZ);
+                gl.uniform1f(uniforms.rot4dYZ, parameters.rot4dYZ);
+                gl.uniform1f(uniforms.rot4dXW, parameters.rot4dXW);
+                gl.uniform1f(uniforms.rot4dYW, parameters.rot4dYW);
+                gl.uniform1f(uniforms.rot4dZW, parameters.rot4dZW);
+                gl.uniform1f(uniforms.projection, parameters.projection);
                 
                 // Enable blending for layer composition
                 gl.enable(gl.BLEND);
@@ -618,6 +637,19 @@ export class HolographicCardGeneratorMultiLayer {
         
         console.log('🌌 Multi-layer holographic card initialized with', visualizers.length, 'layers');
         render();
+        
+        // Keyframed timeline saved with the card drives the layer and post parameters
+        ${timelineCardScript()}
+        const postParameters = ${JSON.stringify(normalizePostProcessing(params))};
+        playCardTimeline(${JSON.stringify(params.timeline || null)}, [parameters, postParameters]);
+        
+        // Expression bindings saved with the card run after the timeline, so they win on shared parameters
+        ${bindingsCardScript()}
+        playCardBindings(${JSON.stringify(params.bindings || null)}, [parameters, postParameters]);
+        
+        // Post-processing passes saved with the card run on the stacked layers
+        ${postProcessingCardScript()}
+        attachCardPostProcessing(layers.map(layer => document.getElementById(layer.id)), postParameters);
     </script>
 </body>
 </html>`;
@@ -0,0 +1,292 @@
+/**
+ * VIB34D Loop Exporter
+ * Frame-accurate WebM / APNG export of the active system.
+ * Drives the shared clock frame by frame, renders every layer on demand and composites
+ * the five layers the same way TradingCardGenerator.captureCanvasImage does.
+ */
+
+import { clock } from '../core/Clock.js';
+import { APNGEncoder } from './APNGEncoder.js';
+
+export class LoopExporter {
+    constructor() {
+        // Canvas id prefix per system
+        this.systemPrefixes = {
+            faceted: '',
+            quantum: 'quantum-',
+            holographic: 'holo-',
+            polychora: 'polychora-'
+        };
+
+        this.layers = ['background', 'shadow', 'content', 'highlight', 'accent'];
+
+        // Same layer blending as TradingCardGenerator.captureCanvasImage
+        this.layerProperties = {
+            background: { alpha: 0.4, blendMode: 'source-over' },
+            shadow: { alpha: 0.6, blendMode: 'multiply' },
+            content: { alpha: 1.0, blendMode: 'source-over' },
+            highlight: { alpha: 1.0, blendMode: 'screen' },
+            accent: { alpha: 0.8, blendMode: 'overlay' }
+        };
+
+        this.isExporting = false;
+    }
+
+    /**
+     * Export a loop of the active system
+     * @param {Object} options
+     * @param {string} options.format - 'webm' | 'apng'
+     * @param {string} options.system - Defaults to window.currentSystem
+     * @param {number} options.fps - Frames per second
+     * @param {number} options.duration - Loop length in seconds
+     * @param {number} options.width - Output width (defaults to the content canvas)
+     * @param {number} options.height - Output height (defaults to the content canvas)
+     * @param {boolean} options.seamless - Cross-fade the tail into the head so the loop has no seam
+     * @param {Function} options.onProgress - Called with (frameIndex, totalFrames)
+     * @returns {Promise<Blob>}
+     */
+    async export(options = {}) {
+        if (this.isExporting) {
+            throw new Error('An export is already running');
+        }
+
+        const settings = this.resolveOptions(options);
+        const wasPaused = clock.paused;
+        const startTime = clock.getTime();
+
+        this.isExporting = true;
+        clock.pause();
+
+        try {
+            return settings.format === 'apng' ?
+                await this.exportAPNG(settings, startTime) :
+                await this.exportWebM(settings, startTime);
+        } finally {
+            clock.seek(startTime);
+            if (!wasPaused) {
+                clock.resume();
+            }
+            this.isExporting = false;
+        }
+    }
+
+    /**
+     * Export and trigger a download
+     */
+    async exportAndDownload(options = {}) {
+        const settings = this.resolveOptions(options);
+        const blob = await this.export(options);
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const extension = settings.format === 'apng' ? 'png' : 'webm';
+        const filename = `vib34d-${settings.system}-loop-${timestamp}.${extension}`;
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        console.log(`🎬 Loop exported: ${filename} (${(blob.size / 1024).toFixed(0)} KB)`);
+        return { success: true, filename, size: blob.size };
+    }
+
+    resolveOptions(options) {
+        const system = options.system || window.currentSystem || 'faceted';
+        const contentCanvas = this.getCanvasManager()?.masterCanvas ||
+            document.getElementById(`${this.systemPrefixes[system] || ''}content-canvas`);
+
+        const settings = {
+            format: options.format === 'apng' ? 'apng' : 'webm',
+            system,
+            fps: Math.max(1, Math.min(60, Math.round(options.fps || 30))),
+            duration: Math.max(0.1, options.duration || 4),
+            width: Math.round(options.width || contentCanvas?.width || 800),
+            height: Math.round(options.height || contentCanvas?.height || 600),
+            seamless: options.seamless !== false,
+            onProgress: options.onProgress || null
+        };
+
+        settings.frameCount = Math.round(settings.duration * settings.fps);
+        settings.blendFrames = settings.seamless ? this.getBlendFrameCount(settings) : 0;
+        return settings;
+    }
+
+    /**
+     * Length of the seamless cross-fade. One animation "beat" is roughly 1/speed seconds,
+     * so faster animations need a shorter blend to hide the seam.
+     */
+    getBlendFrameCount(settings) {
+        const speed = this.getSystemSpeed(settings.system);
+        const blendSeconds = Math.min(settings.duration / 3, 1 / Math.max(speed, 0.1));
+        return Math.max(1, Math.round(blendSeconds * settings.fps));
+    }
+
+    getSystemSpeed(system) {
+        const slider = document.getElementById('speed');
+        if (system === 'polychora' && window.polychoraSystem) {
+            return window.polychoraSystem.parameters.speed || 1.0;
+        }
+        return slider ? parseFloat(slider.value) || 1.0 : 1.0;
+    }
+
+    async exportAPNG(settings, startTime) {
+        const encoder = new APNGEncoder({ fps: settings.fps });
+        const frameCanvas = this.createCanvas(settings);
+
+        for (let i = 0; i < settings.frameCount; i++) {
+            this.renderLoopFrame(frameCanvas, settings, startTime, i);
+            const blob = await new Promise(resolve => frameCanvas.toBlob(resolve, 'image/png'));
+            encoder.addFrame(await blob.arrayBuffer());
+            settings.onProgress?.(i + 1, settings.frameCount);
+        }
+
+        return encoder.encode();
+    }
+
+    async exportWebM(settings, startTime) {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('MediaRecorder is not supported in this browser');
+        }
+
+        const frameCanvas = this.createCanvas(settings);
+        const stream = frameCanvas.captureStream(0); // Frames are pushed manually with requestFrame()
+        const track = stream.getVideoTracks()[0];
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+        const chunks = [];
+        recorder.ondataavailable = event => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        // Draw the first frame before starting so the recording never begins blank
+        this.renderLoopFrame(frameCanvas, settings, startTime, 0);
+        recorder.start();
+
+        const frameInterval = 1000 / settings.fps;
+        for (let i = 0; i < settings.frameCount; i++) {
+            const frameStart = performance.now();
+            if (i > 0) {
+                this.renderLoopFrame(frameCanvas, settings, startTime, i);
+            }
+            track.requestFrame();
+            settings.onProgress?.(i + 1, settings.frameCount);
+
+            // MediaRecorder timestamps in real time, so pace frames at the target rate
+            const elapsed = performance.now() - frameStart;
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, frameInterval - elapsed)));
+        }
+
+        recorder.stop();
+        await stopped;
+        track.stop();
+
+        return new Blob(chunks, { type: mimeType || 'video/webm' });
+    }
+
+    createCanvas(settings) {
+        const canvas = document.createElement('canvas');
+        canvas.width = settings.width;
+        canvas.height = settings.height;
+        return canvas;
+    }
+
+    /**
+     * Render loop frame i into the output canvas.
+     * The loop covers [blend, blend + duration); the final blend frames fade into the frames
+     * one duration earlier, which are exactly the frames leading up to frame 0.
+     */
+    renderLoopFrame(frameCanvas, settings, startTime, index) {
+        const ctx = frameCanvas.getContext('2d');
+        const frameTime = index / settings.fps;
+        const loopStart = startTime + settings.blendFrames / settings.fps;
+
+        this.renderCompositeAt(ctx, settings, loopStart + frameTime);
+
+        const blendStart = settings.frameCount - settings.blendFrames;
+        if (settings.blendFrames > 0 && index >= blendStart) {
+            const weight = (index - blendStart + 1) / (settings.blendFrames + 1);
+            const wrapCanvas = this.wrapCanvas || (this.wrapCanvas = document.createElement('canvas'));
+            wrapCanvas.width = settings.width;
+            wrapCanvas.height = settings.height;
+
+            this.renderCompositeAt(wrapCanvas.getContext('2d'), settings, loopStart + frameTime - settings.duration);
+
+            ctx.globalAlpha = weight;
+            ctx.drawImage(wrapCanvas, 0, 0);
+            ctx.globalAlpha = 1.0;
+        }
+    }
+
+    /**
+     * Single-context renderer, when SmartCanvasPool runs one
+     */
+    getCanvasManager() {
+        return window.canvasPool?.canvasManager || null;
+    }
+
+    /**
+     * Seek the shared clock, render the active system and composite its layers immediately
+     * (same task, so preserveDrawingBuffer: false canvases still hold the frame)
+     */
+    renderCompositeAt(ctx, settings, time) {
+        clock.seek(time);
+        this.renderSystem(settings.system);
+
+        const { width, height } = settings;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = 1.0;
+
+        // Layers live in framebuffers: blend them on the GPU with the card properties
+        const canvasManager = this.getCanvasManager();
+        if (canvasManager && canvasManager.composite(settings.system, this.layerProperties)) {
+            ctx.drawImage(canvasManager.masterCanvas, 0, 0, width, height);
+            return;
+        }
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        this.layers.forEach(role => {
+            const layerCanvas = document.getElementById(`${this.systemPrefixes[settings.system]}${role}-canvas`);
+            if (!layerCanvas || layerCanvas.width === 0 || layerCanvas.height === 0) return;
+
+            const props = this.layerProperties[role];
+            ctx.globalAlpha = props.alpha;
+            ctx.globalCompositeOperation = props.blendMode;
+            ctx.drawImage(layerCanvas, 0, 0, width, height);
+        });
+
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = 1.0;
+    }
+
+    /**
+     * Render one frame of a system at the current clock time
+     */
+    renderSystem(system) {
+        if (system === 'faceted' && window.engine) {
+            window.engine.updateVisualizers();
+        } else if (system === 'quantum' && window.quantumEngine) {
+            const params = window.quantumEngine.parameters.getAllParameters();
+            window.quantumEngine.visualizers.forEach(visualizer => {
+                visualizer.params = { ...visualizer.params, ...params };
+                visualizer.render();
+            });
+        } else if (system === 'holographic' && window.holographicSystem) {
+            window.holographicSystem.visualizers.forEach(visualizer => visualizer.render());
+        } else if (system === 'polychora' && window.polychoraSystem) {
+            const parameters = window.polychoraSystem.parameters;
+            const mesh = window.polychoraSystem.getCurrentMesh();
+            window.polychoraSystem.visualizers.forEach(visualizer => visualizer.render(parameters, mesh));
+        } else {
+            throw new Error(`System ${system} is not running`);
+        }
+    }
+}
@@ -3,12 +3,34 @@
  * Specializes in 4D polytope mathematics with glassmorphic rendering
  */
 import { CardGeneratorBase } from './CardGeneratorBase.js';
+import { DEFAULT_PROJECTION } from '../core/Projection.js';
+import { shaderChunks } from '../core/ShaderChunks.js';
+import { postProcessingCardScript } from '../core/PostProcessing.js';
+import { timelineCardScript } from '../core/Timeline.js';
+import { bindingsCardScript } from '../core/Bindings.js';
+import { physicsRecordingCardScript } from '../physics/PhysicsRecording.js';
+import { PHYSICS_PARAMETERS, resolveParameters } from '../core/ParameterSchema.js';
+
+// The card shader draws these with distance functions; imported meshes have none
+const POLYTOPE_NAMES = ['5-CELL', 'TESSERACT', '16-CELL', '24-CELL', '600-CELL', '120-CELL'];
 
 export class PolychoraCardGenerator extends CardGeneratorBase {
     constructor() {
         super('Polychora');
     }
     
+    async generateCard(format, parameters) {
+        const polytopeIndex = parameters.polytope || parameters.geometry || 0;
+        if (polytopeIndex >= POLYTOPE_NAMES.length) {
+            return {
+                success: false,
+                error: 'Trading cards can only show the built-in polytopes, not imported ones',
+                system: this.systemName
+            };
+        }
+        return super.generateCard(format, parameters);
+    }
+    
     getSystemShaders() {
         return {
             vertex: `
@@ -17,7 +39,7 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     gl_Position = vec4(a_position, 0.0, 1.0);
                 }
             `,
-            fragment: `
+            fragment: shaderChunks.compose(`
                 precision highp float;
                 
                 uniform vec2 u_resolution;
@@ -28,34 +50,17 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                 uniform float u_intensity;
                 uniform float u_morphFactor;
                 uniform float u_chaos;
+                uniform float u_rot4dXY;
+                uniform float u_rot4dXZ;
+                uniform float u_rot4dYZ;
                 uniform float u_rot4dXW;
                 uniform float u_rot4dYW;
                 uniform float u_rot4dZW;
                 
                 // 4D rotation matrices for polytopes
-                mat4 rotateXW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-                }
+                #include <rotation4d>
                 
-                mat4 rotateYW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-                }
-                
-                mat4 rotateZW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-                }
-                
-                // 4D to 3D projection with perspective
-                vec3 project4Dto3D(vec4 p) {
-                    float perspective = 3.0 / (3.0 + p.w);
-                    return vec3(p.x * perspective, p.y * perspective, p.z * perspective);
-                }
+                #include <projection>
                 
                 // 4D polytope distance functions
                 float polytope5Cell(vec4 p) {
@@ -97,11 +102,7 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     else return polytopeTesseract(p * 0.6); // 120-cell approximation
                 }
                 
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+                #include <hsv>
                 
                 void main() {
                     vec2 uv = gl_FragCoord.xy / u_resolution.xy;
@@ -117,6 +118,9 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                                    cos(time * 0.5) * 0.25);
                     
                     // Apply 4D rotations
+                    p4d = rotateXY(u_rot4dXY) * p4d;
+                    p4d = rotateXZ(u_rot4dXZ) * p4d;
+                    p4d = rotateYZ(u_rot4dYZ) * p4d;
                     p4d = rotateXW(u_rot4dXW + time * 0.3) * p4d;
                     p4d = rotateYW(u_rot4dYW + time * 0.4) * p4d;
                     p4d = rotateZW(u_rot4dZW + time * 0.5) * p4d;
@@ -124,6 +128,9 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     // Apply morphing
                     p4d += vec4(sin(p4d.yxz * 5.0 + time) * u_morphFactor * 0.1, 0.0);
                     
+                    // Selectable 4D->3D projection (w is kept for the 4D distance functions)
+                    p4d = vec4(project4Dto3D(p4d), p4d.w);
+                    
                     // Get polytope distance
                     float dist = getPolytope(p4d, u_geometry);
                     
@@ -131,8 +138,8 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     float edge = 1.0 - smoothstep(0.0, 0.1, abs(dist));
                     float interior = 1.0 - smoothstep(0.0, 0.3, abs(dist + 0.2));
                     
-                    // Project to 3D for additional effects
-                    vec3 p3d = project4Dto3D(p4d);
+                    // Already projected above - reuse the 3D part for additional effects
+                    vec3 p3d = p4d.xyz;
                     
                     // Glass refraction simulation
                     vec2 refraction = uv + normalize(p3d.xy) * edge * 0.02;
@@ -157,7 +164,7 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     
                     gl_FragColor = vec4(color, 0.9);
                 }
-            `
+            `)
         };
     }
     
@@ -182,6 +189,16 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                 animation: polytope-glow 3s ease-in-out infinite alternate;
             }
             
+            .physics-readout {
+                position: absolute;
+                left: 8px;
+                bottom: 6px;
+                color: rgba(255, 150, 0, 0.85);
+                font-size: 0.6rem;
+                letter-spacing: 0.05em;
+                pointer-events: none;
+            }
+            
             @keyframes polytope-glow {
                 from { 
                     box-shadow: 0 0 15px rgba(255, 150, 0, 0.5);
@@ -196,7 +213,36 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
     }
     
     generateSystemContent(parameters) {
-        return `<canvas id="polychora-canvas"></canvas>`;
+        return `<canvas id="polychora-canvas"></canvas>${this.getPhysicsReadout(parameters)}`;
+    }
+    
+    /**
+     * One line summing up the simulation the card was made from; empty when physics was off
+     */
+    getPhysicsReadout(parameters) {
+        if (!parameters.physicsEnabled) return '';
+        const physics = resolveParameters(parameters, 'polychora', PHYSICS_PARAMETERS);
+        const readout = [
+            `g ${physics.gravity4D.toFixed(1)}`,
+            `m ${physics.mass.toFixed(1)}`,
+            `e ${physics.elasticity.toFixed(2)}`,
+            `μ ${physics.friction.toFixed(2)}`,
+            physics.flocking ? 'flocking' : null
+        ].filter(Boolean).join(' · ');
+        return `<div class="physics-readout">4D PHYSICS ${readout}</div>`;
+    }
+    
+    /**
+     * Parameters a generated card was built with, physics settings included
+     * @param {string} html - Card file contents
+     * @returns {Object}
+     */
+    static readCardParameters(html) {
+        const match = html.match(/initializeCard\((\{.*\})\);/);
+        if (!match) {
+            throw new Error('Not a VIB34D trading card');
+        }
+        return JSON.parse(match[1]);
     }
     
     getSystemJavaScript() {
@@ -265,9 +311,13 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     intensity: gl.getUniformLocation(program, 'u_intensity'),
                     morphFactor: gl.getUniformLocation(program, 'u_morphFactor'),
                     chaos: gl.getUniformLocation(program, 'u_chaos'),
+                    rot4dXY: gl.getUniformLocation(program, 'u_rot4dXY'),
+                    rot4dXZ: gl.getUniformLocation(program, 'u_rot4dXZ'),
+                    rot4dYZ: gl.getUniformLocation(program, 'u_rot4dYZ'),
                     rot4dXW: gl.getUniformLocation(program, 'u_rot4dXW'),
                     rot4dYW: gl.getUniformLocation(program, 'u_rot4dYW'),
-                    rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW')
+                    rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW'),
+                    projection: gl.getUniformLocation(program, 'u_projection')
                 };
                 
                 // Animation loop
@@ -287,9 +337,13 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     gl.uniform1f(uniforms.intensity, parseFloat(params.intensity) || 0.6);
                     gl.uniform1f(uniforms.morphFactor, parseFloat(params.morphFactor) || 1.0);
                     gl.uniform1f(uniforms.chaos, parseFloat(params.chaos) || 0.1); // Lower chaos for mathematical precision
+                    gl.uniform1f(uniforms.rot4dXY, parseFloat(params.rot4dXY) || 0);
+                    gl.uniform1f(uniforms.rot4dXZ, parseFloat(params.rot4dXZ) || 0);
+                    gl.uniform1f(uniforms.rot4dYZ, parseFloat(params.rot4dYZ) || 0);
                     gl.uniform1f(uniforms.rot4dXW, parseFloat(params.rot4dXW) || 0);
                     gl.uniform1f(uniforms.rot4dYW, parseFloat(params.rot4dYW) || 0);
                     gl.uniform1f(uniforms.rot4dZW, parseFloat(params.rot4dZW) || 0);
+                    gl.uniform1f(uniforms.projection, params.projection !== undefined ? parseFloat(params.projection) : ${DEFAULT_PROJECTION.polychora});
                     
                     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
                     
@@ -297,22 +351,30 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                 }
                 
                 render();
+                // A recorded physics run turns the polytope; timeline and bindings still win
+                playCardPhysics(params.physicsRecording, [params]);
+                playCardTimeline(params.timeline, [params]);
+                playCardBindings(params.bindings, [params]);
+                attachCardPostProcessing([canvas], params);
                 console.log('✅ Polychora trading card initialized');
             }
+            
+            ${physicsRecordingCardScript()}
+            ${timelineCardScript()}
+            ${bindingsCardScript()}
+            ${postProcessingCardScript()}
         `;
     }
     
     getCardTitle(parameters) {
-        const polytopeNames = ['5-CELL', 'TESSERACT', '16-CELL', '24-CELL', '600-CELL', '120-CELL'];
         const polytopeIndex = parameters.polytope || parameters.geometry || 0;
-        const polytopeName = polytopeNames[polytopeIndex] || '4D-POLYTOPE';
+        const polytopeName = POLYTOPE_NAMES[polytopeIndex] || '4D-POLYTOPE';
         return `${polytopeName} GLASSMORPHIC`;
     }
     
     getGeometryName(parameters) {
-        const polytopeNames = ['5-CELL', 'TESSERACT', '16-CELL', '24-CELL', '600-CELL', '120-CELL'];
         const polytopeIndex = parameters.polytope || parameters.geometry || 0;
-        return polytopeNames[polytopeIndex] || '4D-POLYTOPE';
+        return POLYTOPE_NAMES[polytopeIndex] || '4D-POLYTOPE';
     }
 }
 
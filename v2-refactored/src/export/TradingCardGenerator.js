@@ -8,6 +8,7 @@
 import { TradingCardSystemFaceted } from './systems/TradingCardSystemFaceted.js';
 import { TradingCardSystemQuantum } from './systems/TradingCardSystemQuantum.js';
 import { TradingCardSystemHolographic } from './systems/TradingCardSystemHolographic.js';
+import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
 
 export class TradingCardGenerator {
     constructor(engine) {
@@ -171,24 +172,38 @@ export class TradingCardGenerator {
             
             // Composite all 5 layers in correct order
             let layersFound = 0;
-            for (const layerBase of systemConfig.layers) {
-                const layerId = systemConfig.prefix + layerBase;
-                const layerCanvas = document.getElementById(layerId);
-                
-                if (layerCanvas && layerCanvas.width > 0 && layerCanvas.height > 0) {
-                    const props = layerProperties[layerBase];
+            
+            // Single-context renderer: the layers live in framebuffers, so blend them on the GPU
+            const canvasManager = window.canvasPool?.canvasManager;
+            const roleProperties = {};
+            systemConfig.layers.forEach(layerBase => {
+                roleProperties[layerBase.replace('-canvas', '')] = layerProperties[layerBase];
+            });
+            
+            if (canvasManager && canvasManager.composite(this.currentSystem, roleProperties)) {
+                ctx.drawImage(canvasManager.masterCanvas, 0, 0, targetWidth, targetHeight);
+                layersFound = systemConfig.layers.length;
+                console.log(`✅ Composited ${layersFound} framebuffer layers from the shared context`);
+            } else {
+                for (const layerBase of systemConfig.layers) {
+                    const layerId = systemConfig.prefix + layerBase;
+                    const layerCanvas = document.getElementById(layerId);
                     
-                    // Set blend mode and alpha
-                    ctx.globalAlpha = props.alpha;
-                    ctx.globalCompositeOperation = props.blendMode;
+                    if (layerCanvas && layerCanvas.width > 0 && layerCanvas.height > 0) {
+                        const props = layerProperties[layerBase];
                     
-                    // Draw the layer
-                    ctx.drawImage(layerCanvas, 0, 0, targetWidth, targetHeight);
-                    layersFound++;
+                        // Set blend mode and alpha
+                        ctx.globalAlpha = props.alpha;
+                        ctx.globalCompositeOperation = props.blendMode;
                     
-                    console.log(`✅ Composited ${layerId} (alpha: ${props.alpha}, blend: ${props.blendMode})`);
-                } else {
-                    console.warn(`⚠️ Layer ${layerId} not found or empty`);
+                        // Draw the layer
+                        ctx.drawImage(layerCanvas, 0, 0, targetWidth, targetHeight);
+                        layersFound++;
+                    
+                        console.log(`✅ Composited ${layerId} (alpha: ${props.alpha}, blend: ${props.blendMode})`);
+                    } else {
+                        console.warn(`⚠️ Layer ${layerId} not found or empty`);
+                    }
                 }
             }
             
@@ -243,6 +258,9 @@ export class TradingCardGenerator {
                 hue: parseFloat(document.getElementById('hue')?.value || 320), // Match holographic default
                 intensity: parseFloat(document.getElementById('intensity')?.value || 0.6), // Match holographic default
                 saturation: parseFloat(document.getElementById('saturation')?.value || 0.8),
+                rot4dXY: parseFloat(document.getElementById('rot4dXY')?.value || 0),
+                rot4dXZ: parseFloat(document.getElementById('rot4dXZ')?.value || 0),
+                rot4dYZ: parseFloat(document.getElementById('rot4dYZ')?.value || 0),
                 rot4dXW: parseFloat(document.getElementById('rot4dXW')?.value || 0),
                 rot4dYW: parseFloat(document.getElementById('rot4dYW')?.value || 0),
                 rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0)
@@ -259,6 +277,9 @@ export class TradingCardGenerator {
                 hue: parseFloat(document.getElementById('hue')?.value || 200),
                 intensity: parseFloat(document.getElementById('intensity')?.value || 0.5),
                 saturation: parseFloat(document.getElementById('saturation')?.value || 0.8),
+                rot4dXY: parseFloat(document.getElementById('rot4dXY')?.value || 0),
+                rot4dXZ: parseFloat(document.getElementById('rot4dXZ')?.value || 0),
+                rot4dYZ: parseFloat(document.getElementById('rot4dYZ')?.value || 0),
                 rot4dXW: parseFloat(document.getElementById('rot4dXW')?.value || 0),
                 rot4dYW: parseFloat(document.getElementById('rot4dYW')?.value || 0),
                 rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0)
@@ -266,7 +287,7 @@ export class TradingCardGenerator {
             geometryType = params.polytope;
         }
         
-        const geometryNames = ['TETRAHEDRON', 'HYPERCUBE', 'SPHERE', 'TORUS', 'KLEIN BOTTLE', 'FRACTAL', 'WAVE', 'CRYSTAL'];
+        const geometryNames = GeometryLibrary.getGeometryNames();
         const systemNames = {
             faceted: 'FACETED',
             holographic: 'HOLOGRAPHIC',
@@ -987,2058 +1008,6 @@ export class TradingCardGenerator {
         }
     }
     
-    /**
-     * Generate LIVE 5-layer Faceted system with actual Engine code
-     */
-    generateLiveFacetedSystem(state) {
-        return `
-        // LIVE VIB34D Faceted System - 5 Layer WebGL Rendering
-        class LiveTradingCardSystem {
-            constructor() {
-                this.layers = ['background', 'shadow', 'content', 'highlight', 'accent'];
-                this.visualizers = [];
-                this.params = ${JSON.stringify(state.parameters)};
-                this.startTime = Date.now();
-                
-                this.initializeAllLayers();
-                this.startRenderLoop();
-            }
-            
-            initializeAllLayers() {
-                // Create 5 canvases dynamically
-                this.layers.forEach((role, index) => {
-                    const canvas = document.createElement('canvas');
-                    canvas.id = 'card-' + role + '-canvas';
-                    canvas.style.position = 'absolute';
-                    canvas.style.top = '0';
-                    canvas.style.left = '0';
-                    canvas.style.width = '100%';
-                    canvas.style.height = '100%';
-                    canvas.style.zIndex = index;
-                    
-                    // Set layer-specific blend modes and opacity
-                    if (role === 'background') {
-                        canvas.style.opacity = '0.4';
-                    } else if (role === 'shadow') {
-                        canvas.style.mixBlendMode = 'multiply';
-                        canvas.style.opacity = '0.6';
-                    } else if (role === 'content') {
-                        canvas.style.opacity = '1.0';
-                    } else if (role === 'highlight') {
-                        canvas.style.mixBlendMode = 'screen';
-                    } else if (role === 'accent') {
-                        canvas.style.mixBlendMode = 'overlay';
-                        canvas.style.opacity = '0.8';
-                    }
-                    
-                    document.getElementById('vib34dCanvas').parentElement.appendChild(canvas);
-                    
-                    // Create WebGL visualizer for this layer
-                    const visualizer = new LayerVisualizer(canvas, role, this.params);
-                    this.visualizers.push(visualizer);
-                });
-                
-                // Hide the original canvas
-                document.getElementById('vib34dCanvas').style.display = 'none';
-            }
-            
-            startRenderLoop() {
-                const render = () => {
-                    const time = Date.now() - this.startTime;
-                    this.visualizers.forEach(visualizer => {
-                        visualizer.render(time);
-                    });
-                    requestAnimationFrame(render);
-                };
-                render();
-            }
-        }
-        
-        class LayerVisualizer {
-            constructor(canvas, role, params) {
-                this.canvas = canvas;
-                this.role = role;
-                this.params = params;
-                this.gl = canvas.getContext('webgl');
-                
-                const roleIntensities = {
-                    'background': 0.3, 'shadow': 0.5, 'content': 0.8,
-                    'highlight': 1.0, 'accent': 1.2
-                };
-                this.roleIntensity = roleIntensities[role] || 1.0;
-                
-                this.initShaders();
-                this.initBuffers();
-                this.resize();
-            }
-            
-            resize() {
-                this.canvas.width = this.canvas.clientWidth;
-                this.canvas.height = this.canvas.clientHeight;
-                this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-            }
-            
-            initShaders() {
-                const vertexShaderSource = \`attribute vec2 a_position;
-void main() {
-    gl_Position = vec4(a_position, 0.0, 1.0);
-}\`;
-                
-                // EXACT FRAGMENT SHADER FROM FACETED SYSTEM
-                const fragmentShaderSource = \`precision highp float;
-uniform vec2 u_resolution;
-uniform float u_time;
-uniform vec2 u_mouse;
-uniform float u_geometry;
-uniform float u_gridDensity;
-uniform float u_morphFactor;
-uniform float u_chaos;
-uniform float u_speed;
-uniform float u_hue;
-uniform float u_intensity;
-uniform float u_saturation;
-uniform float u_dimension;
-uniform float u_rot4dXW;
-uniform float u_rot4dYW;
-uniform float u_rot4dZW;
-uniform float u_mouseIntensity;
-uniform float u_clickIntensity;
-uniform float u_roleIntensity;
-
-// 4D rotation matrices
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
-
-float geometryFunction(vec4 p) {
-    int geomType = int(u_geometry);
-    
-    if (geomType == 0) {
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-    else if (geomType == 1) {
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        float minDist = min(min(dist.x, dist.y), min(dist.z, dist.w));
-        return minDist * u_morphFactor;
-    }
-    else if (geomType == 2) {
-        float r = length(p);
-        float density = u_gridDensity * 0.08;
-        float spheres = abs(fract(r * density) - 0.5) * 2.0;
-        float theta = atan(p.y, p.x);
-        float harmonics = sin(theta * 3.0) * 0.2;
-        return (spheres + harmonics) * u_morphFactor;
-    }
-    else if (geomType == 3) {
-        float r1 = length(p.xy) - 2.0;
-        float torus = length(vec2(r1, p.z)) - 0.8;
-        float lattice = sin(p.x * u_gridDensity * 0.08) * sin(p.y * u_gridDensity * 0.08);
-        return (torus + lattice * 0.3) * u_morphFactor;
-    }
-    else if (geomType == 4) {
-        float u = atan(p.y, p.x);
-        float v = atan(p.w, p.z);
-        float dist = length(p) - 2.0;
-        float lattice = sin(u * u_gridDensity * 0.08) * sin(v * u_gridDensity * 0.08);
-        return (dist + lattice * 0.4) * u_morphFactor;
-    }
-    else if (geomType == 5) {
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        pos = abs(pos * 2.0 - 1.0);
-        float dist = length(max(abs(pos) - 1.0, 0.0));
-        return dist * u_morphFactor;
-    }
-    else if (geomType == 6) {
-        float freq = u_gridDensity * 0.08;
-        float time = u_time * 0.001 * u_speed;
-        float wave1 = sin(p.x * freq + time);
-        float wave2 = sin(p.y * freq + time * 1.3);
-        float wave3 = sin(p.z * freq * 0.8 + time * 0.7);
-        float interference = wave1 * wave2 * wave3;
-        return interference * u_morphFactor;
-    }
-    else if (geomType == 7) {
-        vec4 pos = fract(p * u_gridDensity * 0.08) - 0.5;
-        float cube = max(max(abs(pos.x), abs(pos.y)), max(abs(pos.z), abs(pos.w)));
-        return cube * u_morphFactor;
-    }
-    else {
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-}
-
-void main() {
-    vec2 uv = (gl_FragCoord.xy - u_resolution.xy * 0.5) / min(u_resolution.x, u_resolution.y);
-    
-    float timeSpeed = u_time * 0.0001 * u_speed;
-    vec4 pos = vec4(uv * 3.0, sin(timeSpeed * 3.0), cos(timeSpeed * 2.0));
-    pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
-    
-    pos = rotateXW(u_rot4dXW) * pos;
-    pos = rotateYW(u_rot4dYW) * pos;
-    pos = rotateZW(u_rot4dZW) * pos;
-    
-    float value = geometryFunction(pos);
-    
-    float noise = sin(pos.x * 7.0) * cos(pos.y * 11.0) * sin(pos.z * 13.0);
-    value += noise * u_chaos;
-    
-    float geometryIntensity = 1.0 - clamp(abs(value), 0.0, 1.0);
-    geometryIntensity += u_clickIntensity * 0.3;
-    
-    float finalIntensity = geometryIntensity * u_intensity;
-    
-    float hue = u_hue / 360.0 + value * 0.1;
-    
-    vec3 baseColor = vec3(
-        sin(hue * 6.28318 + 0.0) * 0.5 + 0.5,
-        sin(hue * 6.28318 + 2.0943) * 0.5 + 0.5,
-        sin(hue * 6.28318 + 4.1887) * 0.5 + 0.5
-    );
-    
-    float gray = (baseColor.r + baseColor.g + baseColor.b) / 3.0;
-    vec3 color = mix(vec3(gray), baseColor, u_saturation) * finalIntensity;
-    
-    gl_FragColor = vec4(color, finalIntensity * u_roleIntensity);
-}\`;
-                
-                this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
-                this.uniforms = {
-                    resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
-                    time: this.gl.getUniformLocation(this.program, 'u_time'),
-                    mouse: this.gl.getUniformLocation(this.program, 'u_mouse'),
-                    geometry: this.gl.getUniformLocation(this.program, 'u_geometry'),
-                    gridDensity: this.gl.getUniformLocation(this.program, 'u_gridDensity'),
-                    morphFactor: this.gl.getUniformLocation(this.program, 'u_morphFactor'),
-                    chaos: this.gl.getUniformLocation(this.program, 'u_chaos'),
-                    speed: this.gl.getUniformLocation(this.program, 'u_speed'),
-                    hue: this.gl.getUniformLocation(this.program, 'u_hue'),
-                    intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
-                    saturation: this.gl.getUniformLocation(this.program, 'u_saturation'),
-                    dimension: this.gl.getUniformLocation(this.program, 'u_dimension'),
-                    rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
-                    rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
-                    rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
-                    mouseIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
-                    clickIntensity: this.gl.getUniformLocation(this.program, 'u_clickIntensity'),
-                    roleIntensity: this.gl.getUniformLocation(this.program, 'u_roleIntensity')
-                };
-            }
-            
-            createProgram(vertexSource, fragmentSource) {
-                const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexSource);
-                const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentSource);
-                
-                const program = this.gl.createProgram();
-                this.gl.attachShader(program, vertexShader);
-                this.gl.attachShader(program, fragmentShader);
-                this.gl.linkProgram(program);
-                
-                if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-                    console.error('Program linking failed:', this.gl.getProgramInfoLog(program));
-                    return null;
-                }
-                
-                return program;
-            }
-            
-            createShader(type, source) {
-                const shader = this.gl.createShader(type);
-                this.gl.shaderSource(shader, source);
-                this.gl.compileShader(shader);
-                
-                if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-                    console.error('Shader compilation failed:', this.gl.getShaderInfoLog(shader));
-                    return null;
-                }
-                
-                return shader;
-            }
-            
-            initBuffers() {
-                const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-                
-                this.buffer = this.gl.createBuffer();
-                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
-                this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
-                
-                const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-                this.gl.enableVertexAttribArray(positionLocation);
-                this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
-            }
-            
-            render(time) {
-                if (!this.program) return;
-                
-                this.resize();
-                this.gl.useProgram(this.program);
-                
-                this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
-                this.gl.uniform1f(this.uniforms.time, time);
-                this.gl.uniform2f(this.uniforms.mouse, 0.5, 0.5);
-                this.gl.uniform1f(this.uniforms.geometry, this.params.geometry || 0);
-                this.gl.uniform1f(this.uniforms.gridDensity, this.params.gridDensity || 15);
-                this.gl.uniform1f(this.uniforms.morphFactor, this.params.morphFactor || 1.0);
-                this.gl.uniform1f(this.uniforms.chaos, this.params.chaos || 0.2);
-                this.gl.uniform1f(this.uniforms.speed, this.params.speed || 1.0);
-                this.gl.uniform1f(this.uniforms.hue, this.params.hue || 200);
-                this.gl.uniform1f(this.uniforms.intensity, this.params.intensity || 0.5);
-                this.gl.uniform1f(this.uniforms.saturation, this.params.saturation || 0.8);
-                this.gl.uniform1f(this.uniforms.dimension, this.params.dimension || 3.8);
-                this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW || 0.0);
-                this.gl.uniform1f(this.uniforms.mouseIntensity, this.mouseIntensity || 0.0);
-                this.gl.uniform1f(this.uniforms.clickIntensity, this.clickIntensity || 0.0);
-                this.gl.uniform1f(this.uniforms.roleIntensity, this.roleIntensity);
-                
-                this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
-            }
-        }
-        
-        // Enhanced interactivity system - FIXED CANVAS SCOPE
-        const canvas = document.getElementById('vib34dCanvas');
-        if (!canvas) {
-            console.error('Canvas not found for interactivity');
-            return;
-        }
-        
-        let mouseX = 0.5, mouseY = 0.5, mouseIntensity = 0.0;
-        let clickIntensity = 0.0;
-        let currentTouch = null;
-        
-        // Mouse interactions
-        canvas.addEventListener('mousemove', (e) => {
-            const rect = canvas.getBoundingClientRect();
-            mouseX = (e.clientX - rect.left) / rect.width;
-            mouseY = 1.0 - (e.clientY - rect.top) / rect.height;
-            mouseIntensity = Math.min(1.0, Math.sqrt(e.movementX*e.movementX + e.movementY*e.movementY) / 40);
-            
-            // Update all layer visualizers
-            layers.forEach(layer => {
-                if (layer.visualizer) {
-                    layer.visualizer.mouseX = mouseX;
-                    layer.visualizer.mouseY = mouseY;
-                    layer.visualizer.mouseIntensity = mouseIntensity;
-                }
-            });
-        });
-        
-        canvas.addEventListener('click', (e) => {
-            clickIntensity = 1.0;
-            layers.forEach(layer => {
-                if (layer.visualizer) {
-                    layer.visualizer.clickIntensity = clickIntensity;
-                }
-            });
-            setTimeout(() => { 
-                clickIntensity = 0.0;
-                layers.forEach(layer => {
-                    if (layer.visualizer) {
-                        layer.visualizer.clickIntensity = 0.0;
-                    }
-                });
-            }, 500);
-        });
-        
-        // Touch interactions
-        canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            if (e.touches.length > 0) {
-                currentTouch = e.touches[0];
-                const rect = canvas.getBoundingClientRect();
-                mouseX = (currentTouch.clientX - rect.left) / rect.width;
-                mouseY = 1.0 - (currentTouch.clientY - rect.top) / rect.height;
-                clickIntensity = 1.0;
-                
-                layers.forEach(layer => {
-                    if (layer.visualizer) {
-                        layer.visualizer.mouseX = mouseX;
-                        layer.visualizer.mouseY = mouseY;
-                        layer.visualizer.clickIntensity = clickIntensity;
-                    }
-                });
-            }
-        }, { passive: false });
-        
-        canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            if (e.touches.length > 0) {
-                const touch = e.touches[0];
-                const rect = canvas.getBoundingClientRect();
-                mouseX = (touch.clientX - rect.left) / rect.width;
-                mouseY = 1.0 - (touch.clientY - rect.top) / rect.height;
-                mouseIntensity = 0.8;
-                currentTouch = touch;
-                
-                layers.forEach(layer => {
-                    if (layer.visualizer) {
-                        layer.visualizer.mouseX = mouseX;
-                        layer.visualizer.mouseY = mouseY;
-                        layer.visualizer.mouseIntensity = mouseIntensity;
-                    }
-                });
-            }
-        }, { passive: false });
-        
-        canvas.addEventListener('touchend', (e) => {
-            clickIntensity = 0.0;
-            mouseIntensity = 0.0;
-            currentTouch = null;
-            
-            layers.forEach(layer => {
-                if (layer.visualizer) {
-                    layer.visualizer.clickIntensity = 0.0;
-                    layer.visualizer.mouseIntensity = 0.0;
-                }
-            });
-        }, { passive: false });
-        
-        // Scroll interactions
-        canvas.addEventListener('wheel', (e) => {
-            e.preventDefault();
-            clickIntensity = Math.min(1.0, Math.abs(e.deltaY) / 100);
-            
-            layers.forEach(layer => {
-                if (layer.visualizer) {
-                    layer.visualizer.clickIntensity = clickIntensity;
-                }
-            });
-            
-            setTimeout(() => { 
-                clickIntensity = 0.0;
-                layers.forEach(layer => {
-                    if (layer.visualizer) {
-                        layer.visualizer.clickIntensity = 0.0;
-                    }
-                });
-            }, 300);
-        }, { passive: false });`;
-    }
-    
-    /**
-     * Generate LIVE Quantum system with enhanced holographic effects
-     */
-    generateLiveQuantumSystem(state) {
-        return `
-        // LIVE VIB34D Quantum System - Enhanced 5 Layer WebGL Rendering
-        class LiveQuantumTradingCardSystem {
-            constructor(canvas) {
-                this.canvas = canvas;
-                this.layers = [];
-                this.params = ${JSON.stringify(state.parameters)};
-                this.startTime = Date.now();
-                
-                console.log('🌌 Initializing LIVE Quantum Trading Card System');
-                this.initializeLayers();
-                this.startRenderLoop();
-            }
-            
-            initializeLayers() {
-                const layerConfigs = [
-                    { id: 'quantum-bg', role: 'background', blend: 'multiply', opacity: 0.4, intensity: 0.4, densityMult: 0.8, speedMult: 0.6 },
-                    { id: 'quantum-shadow', role: 'shadow', blend: 'multiply', opacity: 0.6, intensity: 0.6, densityMult: 0.9, speedMult: 0.8 },
-                    { id: 'quantum-content', role: 'content', blend: 'normal', opacity: 1.0, intensity: 1.0, densityMult: 1.0, speedMult: 1.0 },
-                    { id: 'quantum-highlight', role: 'highlight', blend: 'screen', opacity: 0.8, intensity: 1.3, densityMult: 1.1, speedMult: 1.2 },
-                    { id: 'quantum-accent', role: 'accent', blend: 'color-dodge', opacity: 0.7, intensity: 1.6, densityMult: 1.2, speedMult: 1.4 }
-                ];
-                
-                layerConfigs.forEach(config => {
-                    const layerCanvas = document.createElement('canvas');
-                    layerCanvas.id = config.id;
-                    layerCanvas.width = this.canvas.width;
-                    layerCanvas.height = this.canvas.height;
-                    layerCanvas.style.position = 'absolute';
-                    layerCanvas.style.top = '0';
-                    layerCanvas.style.left = '0';
-                    layerCanvas.style.width = '100%';
-                    layerCanvas.style.height = '100%';
-                    layerCanvas.style.mixBlendMode = config.blend;
-                    layerCanvas.style.opacity = config.opacity;
-                    layerCanvas.style.pointerEvents = 'none';
-                    
-                    this.canvas.parentNode.appendChild(layerCanvas);
-                    
-                    const visualizer = new QuantumLayerVisualizer(layerCanvas, config);
-                    this.layers.push({ visualizer, config });
-                    console.log(\`🌌 Created quantum layer: \${config.role}\`);
-                });
-            }
-            
-            startRenderLoop() {
-                const render = () => {
-                    this.layers.forEach(({ visualizer }) => {
-                        if (visualizer && visualizer.render) {
-                            visualizer.render(Date.now());
-                        }
-                    });
-                    requestAnimationFrame(render);
-                };
-                render();
-            }
-        }
-        
-        // Enhanced Quantum Layer Visualizer with complex 3D lattice shaders
-        class QuantumLayerVisualizer {
-            constructor(canvas, roleConfig) {
-                this.canvas = canvas;
-                this.roleConfig = roleConfig;
-                this.gl = canvas.getContext('webgl');
-                this.params = ${JSON.stringify(state.parameters)};
-                this.mouseX = 0.5;
-                this.mouseY = 0.5;
-                this.mouseIntensity = 0.0;
-                this.clickIntensity = 0.0;
-                this.startTime = Date.now();
-                
-                if (!this.gl) {
-                    console.error(\`WebGL not supported for quantum layer \${roleConfig.role}\`);
-                    return;
-                }
-                
-                this.initShaders();
-                this.initBuffers();
-            }
-            
-            initShaders() {
-                const vertexShader = \`
-                attribute vec2 a_position;
-                void main() {
-                    gl_Position = vec4(a_position, 0.0, 1.0);
-                }\`;
-                
-                const fragmentShader = \`
-                precision highp float;
-                uniform vec2 u_resolution;
-                uniform float u_time;
-                uniform vec2 u_mouse;
-                uniform float u_geometry;
-                uniform float u_gridDensity;
-                uniform float u_morphFactor;
-                uniform float u_chaos;
-                uniform float u_speed;
-                uniform float u_hue;
-                uniform float u_intensity;
-                uniform float u_saturation;
-                uniform float u_rot4dXW;
-                uniform float u_rot4dYW;
-                uniform float u_rot4dZW;
-                uniform float u_mouseIntensity;
-                uniform float u_clickIntensity;
-                uniform float u_roleIntensity;
-                
-                // 4D rotation matrices
-                mat4 rotateXW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-                }
-                
-                mat4 rotateYW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-                }
-                
-                mat4 rotateZW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-                }
-                
-                vec3 project4Dto3D(vec4 p) {
-                    float w = 2.5 / (2.5 + p.w);
-                    return vec3(p.x * w, p.y * w, p.z * w);
-                }
-                
-                // COMPLEX 3D LATTICE FUNCTIONS - QUANTUM ENHANCED
-                float tetrahedronLattice(vec3 p, float gridSize) {
-                    vec3 q = fract(p * gridSize) - 0.5;
-                    float d1 = length(q);
-                    float d2 = length(q - vec3(0.4, 0.0, 0.0));
-                    float d3 = length(q - vec3(0.0, 0.4, 0.0));
-                    float d4 = length(q - vec3(0.0, 0.0, 0.4));
-                    float vertices = 1.0 - smoothstep(0.0, 0.04, min(min(d1, d2), min(d3, d4)));
-                    float edges = 0.0;
-                    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xy) - 0.2)));
-                    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.yz) - 0.2)));
-                    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xz) - 0.2)));
-                    return max(vertices, edges * 0.5);
-                }
-                
-                float hypercubeLattice(vec3 p, float gridSize) {
-                    vec3 grid = fract(p * gridSize);
-                    vec3 edges = min(grid, 1.0 - grid);
-                    float minEdge = min(min(edges.x, edges.y), edges.z);
-                    float lattice = 1.0 - smoothstep(0.0, 0.03, minEdge);
-                    
-                    vec3 centers = abs(grid - 0.5);
-                    float maxCenter = max(max(centers.x, centers.y), centers.z);
-                    float vertices = 1.0 - smoothstep(0.45, 0.5, maxCenter);
-                    
-                    return max(lattice * 0.7, vertices);
-                }
-                
-                // ENHANCED GEOMETRY FUNCTION WITH QUANTUM EFFECTS
-                float quantumGeometry(vec4 p) {
-                    int geomType = int(u_geometry);
-                    vec3 p3d = project4Dto3D(p);
-                    float gridSize = u_gridDensity * 0.08;
-                    
-                    if (geomType == 0) {
-                        return tetrahedronLattice(p3d, gridSize) * u_morphFactor;
-                    } else if (geomType == 1) {
-                        return hypercubeLattice(p3d, gridSize) * u_morphFactor;
-                    } else {
-                        return hypercubeLattice(p3d, gridSize) * u_morphFactor;
-                    }
-                }
-                
-                // HSV to RGB conversion
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
-                
-                // RGB Glitch effect
-                vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
-                    float r = color.r + sin(uv.y * 30.0 + u_time * 0.001) * intensity * 0.06;
-                    float g = color.g + sin(uv.y * 28.0 + u_time * 0.0012) * intensity * 0.06;
-                    float b = color.b + sin(uv.y * 32.0 + u_time * 0.0008) * intensity * 0.06;
-                    return vec3(r, g, b);
-                }
-                
-                void main() {
-                    vec2 uv = (gl_FragCoord.xy - u_resolution.xy * 0.5) / min(u_resolution.x, u_resolution.y);
-                    
-                    // Enhanced 4D position with quantum effects
-                    float timeSpeed = u_time * 0.0001 * u_speed;
-                    vec4 pos = vec4(uv * 3.0, sin(timeSpeed * 3.0), cos(timeSpeed * 2.0));
-                    pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
-                    
-                    // Apply 4D rotations
-                    pos = rotateXW(u_rot4dXW) * pos;
-                    pos = rotateYW(u_rot4dYW) * pos;
-                    pos = rotateZW(u_rot4dZW) * pos;
-                    
-                    // Calculate quantum geometry value
-                    float value = quantumGeometry(pos);
-                    
-                    // Enhanced chaos with quantum noise
-                    float noise = sin(pos.x * 7.0) * cos(pos.y * 11.0) * sin(pos.z * 13.0);
-                    value += noise * u_chaos;
-                    
-                    // Quantum intensity calculation with holographic glow
-                    float geometryIntensity = 1.0 - clamp(abs(value * 0.8), 0.0, 1.0);
-                    geometryIntensity = pow(geometryIntensity, 1.5);
-                    geometryIntensity += u_clickIntensity * 0.3;
-                    
-                    // Quantum shimmer effect
-                    float shimmer = sin(uv.x * 20.0 + timeSpeed * 5.0) * cos(uv.y * 15.0 + timeSpeed * 3.0) * 0.1;
-                    geometryIntensity += shimmer * geometryIntensity;
-                    
-                    float finalIntensity = geometryIntensity * u_intensity;
-                    
-                    // Enhanced quantum color system
-                    float baseHue = u_hue / 360.0;
-                    float hueShift = value * 0.2 + timeSpeed * 0.1;
-                    float finalHue = baseHue + hueShift;
-                    
-                    vec3 hsvColor = vec3(finalHue, u_saturation, finalIntensity);
-                    vec3 baseColor = hsv2rgb(hsvColor);
-                    
-                    // Add quantum particles
-                    float particles = 0.0;
-                    vec2 particleUV = uv * 8.0;
-                    vec2 particleID = floor(particleUV);
-                    vec2 particlePos = fract(particleUV) - 0.5;
-                    float particleDist = length(particlePos);
-                    
-                    float particleTime = timeSpeed + dot(particleID, vec2(127.1, 311.7));
-                    float particleAlpha = sin(particleTime) * 0.5 + 0.5;
-                    particles = (1.0 - smoothstep(0.1, 0.3, particleDist)) * particleAlpha * 0.3;
-                    
-                    vec3 glitchedColor = rgbGlitch(baseColor, uv, finalIntensity * 0.5);
-                    vec3 finalColor = glitchedColor + particles * vec3(1.0, 0.8, 1.0);
-                    
-                    gl_FragColor = vec4(finalColor, finalIntensity * u_roleIntensity);
-                }\`;
-                
-                this.program = this.createProgram(vertexShader, fragmentShader);
-                if (this.program) {
-                    this.uniforms = {
-                        resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
-                        time: this.gl.getUniformLocation(this.program, 'u_time'),
-                        mouse: this.gl.getUniformLocation(this.program, 'u_mouse'),
-                        geometry: this.gl.getUniformLocation(this.program, 'u_geometry'),
-                        gridDensity: this.gl.getUniformLocation(this.program, 'u_gridDensity'),
-                        morphFactor: this.gl.getUniformLocation(this.program, 'u_morphFactor'),
-                        chaos: this.gl.getUniformLocation(this.program, 'u_chaos'),
-                        speed: this.gl.getUniformLocation(this.program, 'u_speed'),
-                        hue: this.gl.getUniformLocation(this.program, 'u_hue'),
-                        intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
-                        saturation: this.gl.getUniformLocation(this.program, 'u_saturation'),
-                        rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
-                        rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
-                        rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
-                        mouseIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
-                        clickIntensity: this.gl.getUniformLocation(this.program, 'u_clickIntensity'),
-                        roleIntensity: this.gl.getUniformLocation(this.program, 'u_roleIntensity')
-                    };
-                }
-            }
-            
-            createProgram(vertexSource, fragmentSource) {
-                const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexSource);
-                const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentSource);
-                
-                if (!vertexShader || !fragmentShader) return null;
-                
-                const program = this.gl.createProgram();
-                this.gl.attachShader(program, vertexShader);
-                this.gl.attachShader(program, fragmentShader);
-                this.gl.linkProgram(program);
-                
-                if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-                    console.error('Quantum program linking failed:', this.gl.getProgramInfoLog(program));
-                    return null;
-                }
-                
-                return program;
-            }
-            
-            createShader(type, source) {
-                const shader = this.gl.createShader(type);
-                this.gl.shaderSource(shader, source);
-                this.gl.compileShader(shader);
-                
-                if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-                    console.error('Quantum shader compilation failed:', this.gl.getShaderInfoLog(shader));
-                    return null;
-                }
-                
-                return shader;
-            }
-            
-            initBuffers() {
-                const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-                this.buffer = this.gl.createBuffer();
-                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
-                this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
-                
-                const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-                this.gl.enableVertexAttribArray(positionLocation);
-                this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
-            }
-            
-            render(time) {
-                if (!this.program) return;
-                
-                this.canvas.width = this.canvas.clientWidth;
-                this.canvas.height = this.canvas.clientHeight;
-                this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-                this.gl.useProgram(this.program);
-                
-                this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
-                this.gl.uniform1f(this.uniforms.time, time);
-                this.gl.uniform2f(this.uniforms.mouse, this.mouseX || 0.5, this.mouseY || 0.5);
-                this.gl.uniform1f(this.uniforms.geometry, this.params.geometry || 0);
-                this.gl.uniform1f(this.uniforms.gridDensity, (this.params.gridDensity || 15) * this.roleConfig.densityMult);
-                this.gl.uniform1f(this.uniforms.morphFactor, this.params.morphFactor || 1.0);
-                this.gl.uniform1f(this.uniforms.chaos, this.params.chaos || 0.2);
-                this.gl.uniform1f(this.uniforms.speed, (this.params.speed || 1.0) * this.roleConfig.speedMult);
-                this.gl.uniform1f(this.uniforms.hue, this.params.hue || 280); // Quantum purple-blue
-                this.gl.uniform1f(this.uniforms.intensity, (this.params.intensity || 0.7) * this.roleConfig.intensity);
-                this.gl.uniform1f(this.uniforms.saturation, this.params.saturation || 0.9);
-                this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW || 0.0);
-                this.gl.uniform1f(this.uniforms.mouseIntensity, this.mouseIntensity || 0.0);
-                this.gl.uniform1f(this.uniforms.clickIntensity, this.clickIntensity || 0.0);
-                this.gl.uniform1f(this.uniforms.roleIntensity, this.roleConfig.intensity);
-                
-                this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
-            }
-        }
-        
-        // Enhanced interactivity system for Quantum cards - FIXED CANVAS SCOPE
-        const canvas = document.getElementById('vib34dCanvas');
-        if (!canvas) {
-            console.error('Canvas not found for quantum interactivity');
-            return;
-        }
-        
-        let mouseX = 0.5, mouseY = 0.5, mouseIntensity = 0.0;
-        let clickIntensity = 0.0;
-        
-        canvas.addEventListener('mousemove', (e) => {
-            const rect = canvas.getBoundingClientRect();
-            mouseX = (e.clientX - rect.left) / rect.width;
-            mouseY = 1.0 - (e.clientY - rect.top) / rect.height;
-            mouseIntensity = Math.min(1.0, Math.sqrt(e.movementX*e.movementX + e.movementY*e.movementY) / 40);
-            
-            layers.forEach(layer => {
-                if (layer.visualizer) {
-                    layer.visualizer.mouseX = mouseX;
-                    layer.visualizer.mouseY = mouseY;
-                    layer.visualizer.mouseIntensity = mouseIntensity;
-                }
-            });
-        });
-        
-        canvas.addEventListener('dblclick', async () => {
-            console.log('🌌 Quantum card audio reactivity - Coming soon!');
-            canvas.style.border = '2px solid #ff00ff';
-            setTimeout(() => { canvas.style.border = ''; }, 2000);
-        });`;
-    }
-    
-    /**
-     * Generate LIVE 5-layer Holographic system with actual shader code
-     */
-    generateLiveHolographicSystem(state) {
-        return `
-        // LIVE Active Holographic System - 5 Layer WebGL with Audio Reactivity
-        class LiveTradingCardSystem {
-            constructor() {
-                this.layers = ['background', 'shadow', 'content', 'highlight', 'accent'];
-                this.visualizers = [];
-                this.params = ${JSON.stringify(state.parameters)};
-                this.startTime = Date.now();
-                
-                this.initializeAllLayers();
-                this.startRenderLoop();
-            }
-            
-            initializeAllLayers() {
-                // Create 5 canvases with holographic blend modes
-                this.layers.forEach((role, index) => {
-                    const canvas = document.createElement('canvas');
-                    canvas.id = 'card-' + role + '-canvas';
-                    canvas.style.position = 'absolute';
-                    canvas.style.top = '0';
-                    canvas.style.left = '0';
-                    canvas.style.width = '100%';
-                    canvas.style.height = '100%';
-                    canvas.style.zIndex = index;
-                    
-                    // Holographic layer blend modes for rich effects
-                    if (role === 'background') {
-                        canvas.style.opacity = '0.3';
-                        canvas.style.mixBlendMode = 'normal';
-                    } else if (role === 'shadow') {
-                        canvas.style.opacity = '0.7';
-                        canvas.style.mixBlendMode = 'multiply';
-                    } else if (role === 'content') {
-                        canvas.style.opacity = '1.0';
-                        canvas.style.mixBlendMode = 'normal';
-                    } else if (role === 'highlight') {
-                        canvas.style.opacity = '0.9';
-                        canvas.style.mixBlendMode = 'screen';
-                    } else if (role === 'accent') {
-                        canvas.style.opacity = '0.6';
-                        canvas.style.mixBlendMode = 'color-dodge';
-                    }
-                    
-                    document.getElementById('vib34dCanvas').parentElement.appendChild(canvas);
-                    
-                    // Create holographic visualizer for this layer
-                    const visualizer = new HolographicLayerVisualizer(canvas, role, this.params);
-                    this.visualizers.push(visualizer);
-                });
-                
-                // Hide the original canvas
-                document.getElementById('vib34dCanvas').style.display = 'none';
-            }
-            
-            startRenderLoop() {
-                const render = () => {
-                    const time = Date.now() - this.startTime;
-                    this.visualizers.forEach(visualizer => {
-                        visualizer.render(time);
-                    });
-                    requestAnimationFrame(render);
-                };
-                render();
-            }
-        }
-        
-        class HolographicLayerVisualizer {
-            constructor(canvas, role, params) {
-                this.canvas = canvas;
-                this.role = role;
-                this.params = params;
-                this.gl = canvas.getContext('webgl');
-                
-                const roleParams = {
-                    'background': { densityMult: 0.4, speedMult: 0.2, intensity: 0.2 },
-                    'shadow': { densityMult: 0.8, speedMult: 0.3, intensity: 0.4 },
-                    'content': { densityMult: 1.0, speedMult: 0.5, intensity: 0.8 },
-                    'highlight': { densityMult: 1.5, speedMult: 0.8, intensity: 1.0 },
-                    'accent': { densityMult: 2.0, speedMult: 0.4, intensity: 0.6 }
-                };
-                this.roleConfig = roleParams[role] || roleParams['content'];
-                
-                this.initShaders();
-                this.initBuffers();
-                this.resize();
-            }
-            
-            resize() {
-                this.canvas.width = this.canvas.clientWidth;
-                this.canvas.height = this.canvas.clientHeight;
-                this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-            }
-            
-            initShaders() {
-                const vertexShaderSource = \`
-            attribute vec2 a_position;
-            void main() {
-                gl_Position = vec4(a_position, 0.0, 1.0);
-            }
-        \`;
-                
-                // EXACT HOLOGRAPHIC FRAGMENT SHADER WITH ALL EFFECTS
-                const fragmentShaderSource = \`
-            precision highp float;
-            
-            uniform vec2 u_resolution;
-            uniform float u_time;
-            uniform vec2 u_mouse;
-            uniform float u_geometry;
-            uniform float u_density;
-            uniform float u_speed;
-            uniform vec3 u_color;
-            uniform float u_intensity;
-            uniform float u_roleDensity;
-            uniform float u_roleSpeed;
-            uniform float u_geometryType;
-            uniform float u_chaos;
-            uniform float u_morph;
-            uniform float u_rot4dXW;
-            uniform float u_rot4dYW;
-            uniform float u_rot4dZW;
-            
-            // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
-            
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-            
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
-            
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
-            
-            // Complete VIB3 Geometry Library
-            float tetrahedronLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d1 = length(q);
-                float d2 = length(q - vec3(0.4, 0.0, 0.0));
-                float d3 = length(q - vec3(0.0, 0.4, 0.0));
-                float d4 = length(q - vec3(0.0, 0.0, 0.4));
-                float vertices = 1.0 - smoothstep(0.0, 0.04, min(min(d1, d2), min(d3, d4)));
-                float edges = 0.0;
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xy) - 0.2)));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.yz) - 0.2)));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xz) - 0.2)));
-                return max(vertices, edges * 0.5);
-            }
-            
-            float hypercubeLattice(vec3 p, float gridSize) {
-                vec3 grid = fract(p * gridSize);
-                vec3 edges = 1.0 - smoothstep(0.0, 0.03, abs(grid - 0.5));
-                return max(max(edges.x, edges.y), edges.z);
-            }
-            
-            float sphereLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r = length(q);
-                return 1.0 - smoothstep(0.2, 0.5, r);
-            }
-            
-            float torusLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r1 = sqrt(q.x*q.x + q.y*q.y);
-                float r2 = sqrt((r1 - 0.3)*(r1 - 0.3) + q.z*q.z);
-                return 1.0 - smoothstep(0.0, 0.1, r2);
-            }
-            
-            float kleinLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize);
-                float u = q.x * 2.0 * 3.14159;
-                float v = q.y * 2.0 * 3.14159;
-                float x = cos(u) * (3.0 + cos(u/2.0) * sin(v) - sin(u/2.0) * sin(2.0*v));
-                float klein = length(vec2(x, q.z)) - 0.1;
-                return 1.0 - smoothstep(0.0, 0.05, abs(klein));
-            }
-            
-            float fractalLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float scale = 1.0;
-                float fractal = 0.0;
-                for(int i = 0; i < 4; i++) {
-                  q = fract(q) - 0.5;
-                  fractal += abs(length(q)) / scale;
-                  scale *= 2.0;
-                  q *= 2.0;
-                }
-                return 1.0 - smoothstep(0.0, 1.0, fractal);
-            }
-            
-            float waveLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float wave = sin(q.x * 2.0) * sin(q.y * 2.0) * sin(q.z * 2.0 + u_time);
-                return smoothstep(-0.5, 0.5, wave);
-            }
-            
-            float crystalLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d = max(max(abs(q.x), abs(q.y)), abs(q.z));
-                return 1.0 - smoothstep(0.3, 0.5, d);
-            }
-            
-            float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
-                int baseGeom = int(mod(geometryType, 8.0));
-                float variation = floor(geometryType / 8.0) / 4.0;
-                float variedGridSize = gridSize * (0.5 + variation * 1.5);
-                
-                if (baseGeom == 0) return tetrahedronLattice(p, variedGridSize);
-                else if (baseGeom == 1) return hypercubeLattice(p, variedGridSize);
-                else if (baseGeom == 2) return sphereLattice(p, variedGridSize);
-                else if (baseGeom == 3) return torusLattice(p, variedGridSize);
-                else if (baseGeom == 4) return kleinLattice(p, variedGridSize);
-                else if (baseGeom == 5) return fractalLattice(p, variedGridSize);
-                else if (baseGeom == 6) return waveLattice(p, variedGridSize);
-                else return crystalLattice(p, variedGridSize);
-            }
-            
-            vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
-                vec2 offset = vec2(intensity * 0.005, 0.0);
-                float r = color.r + sin(uv.y * 30.0 + u_time * 0.001) * intensity * 0.06;
-                float g = color.g + sin(uv.y * 28.0 + u_time * 0.0012) * intensity * 0.06;
-                float b = color.b + sin(uv.y * 32.0 + u_time * 0.0008) * intensity * 0.06;
-                return vec3(r, g, b);
-            }
-            
-            float moirePattern(vec2 uv, float intensity) {
-                float freq1 = 12.0 + intensity * 6.0;
-                float freq2 = 14.0 + intensity * 8.0;
-                float pattern1 = sin(uv.x * freq1) * sin(uv.y * freq1);
-                float pattern2 = sin(uv.x * freq2) * sin(uv.y * freq2);
-                return (pattern1 * pattern2) * intensity * 0.15;
-            }
-            
-            void main() {
-                vec2 uv = gl_FragCoord.xy / u_resolution.xy;
-                float aspectRatio = u_resolution.x / u_resolution.y;
-                uv.x *= aspectRatio;
-                uv -= 0.5;
-                
-                float time = u_time * 0.0004 * u_speed * u_roleSpeed;
-                
-                vec4 p4d = vec4(uv * 3.0, sin(time * 0.1) * 0.15, cos(time * 0.08) * 0.15);
-                
-                p4d = rotateXW(u_rot4dXW + time * 0.2) * p4d;
-                p4d = rotateYW(u_rot4dYW + time * 0.15) * p4d;
-                p4d = rotateZW(u_rot4dZW + time * 0.25) * p4d;
-                
-                vec3 p = project4Dto3D(p4d);
-                
-                float roleDensity = u_density * u_roleDensity;
-                float morphedGeometry = u_geometryType + u_morph * 3.0;
-                float lattice = getDynamicGeometry(p, roleDensity, morphedGeometry);
-                
-                vec3 baseColor = u_color;
-                float latticeIntensity = lattice * u_intensity;
-                
-                vec3 color = baseColor * (0.3 + latticeIntensity * 0.7);
-                color += vec3(lattice * 0.4) * baseColor;
-                
-                // Add holographic effects
-                color += vec3(moirePattern(uv, u_chaos));
-                color = rgbGlitch(color, uv, u_chaos);
-                
-                gl_FragColor = vec4(color, 0.95);
-            }
-        \`;
-                
-                this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
-                this.uniforms = {
-                    resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
-                    time: this.gl.getUniformLocation(this.program, 'u_time'),
-                    mouse: this.gl.getUniformLocation(this.program, 'u_mouse'),
-                    geometry: this.gl.getUniformLocation(this.program, 'u_geometry'),
-                    density: this.gl.getUniformLocation(this.program, 'u_density'),
-                    speed: this.gl.getUniformLocation(this.program, 'u_speed'),
-                    color: this.gl.getUniformLocation(this.program, 'u_color'),
-                    intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
-                    roleDensity: this.gl.getUniformLocation(this.program, 'u_roleDensity'),
-                    roleSpeed: this.gl.getUniformLocation(this.program, 'u_roleSpeed'),
-                    geometryType: this.gl.getUniformLocation(this.program, 'u_geometryType'),
-                    chaos: this.gl.getUniformLocation(this.program, 'u_chaos'),
-                    morph: this.gl.getUniformLocation(this.program, 'u_morph'),
-                    rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
-                    rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
-                    rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW')
-                };
-            }
-            
-            createProgram(vertexSource, fragmentSource) {
-                const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexSource);
-                const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentSource);
-                
-                const program = this.gl.createProgram();
-                this.gl.attachShader(program, vertexShader);
-                this.gl.attachShader(program, fragmentShader);
-                this.gl.linkProgram(program);
-                
-                if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-                    console.error('Program linking failed:', this.gl.getProgramInfoLog(program));
-                    return null;
-                }
-                
-                return program;
-            }
-            
-            createShader(type, source) {
-                const shader = this.gl.createShader(type);
-                this.gl.shaderSource(shader, source);
-                this.gl.compileShader(shader);
-                
-                if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-                    console.error('Shader compilation failed:', this.gl.getShaderInfoLog(shader));
-                    return null;
-                }
-                
-                return shader;
-            }
-            
-            initBuffers() {
-                const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-                
-                this.buffer = this.gl.createBuffer();
-                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
-                this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
-                
-                const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-                this.gl.enableVertexAttribArray(positionLocation);
-                this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
-            }
-            
-            render(time) {
-                if (!this.program) return;
-                
-                this.resize();
-                this.gl.useProgram(this.program);
-                
-                const hue = (this.params.hue || 200) / 360;
-                const saturation = this.params.saturation || 0.8;
-                const lightness = this.params.intensity || 0.5;
-                
-                // HSL to RGB conversion
-                const hslToRgb = (h, s, l) => {
-                    let r, g, b;
-                    if (s === 0) {
-                        r = g = b = l;
-                    } else {
-                        const hue2rgb = (p, q, t) => {
-                            if (t < 0) t += 1;
-                            if (t > 1) t -= 1;
-                            if (t < 1/6) return p + (q - p) * 6 * t;
-                            if (t < 1/2) return q;
-                            if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-                            return p;
-                        };
-                        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-                        const p = 2 * l - q;
-                        r = hue2rgb(p, q, h + 1/3);
-                        g = hue2rgb(p, q, h);
-                        b = hue2rgb(p, q, h - 1/3);
-                    }
-                    return [r, g, b];
-                };
-                
-                const rgbColor = hslToRgb(hue, saturation, lightness);
-                
-                this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
-                this.gl.uniform1f(this.uniforms.time, time);
-                this.gl.uniform2f(this.uniforms.mouse, 0.5, 0.5);
-                this.gl.uniform1f(this.uniforms.geometryType, this.params.geometryType || 0);
-                this.gl.uniform1f(this.uniforms.density, (this.params.density || 1.0) * this.roleConfig.densityMult);
-                this.gl.uniform1f(this.uniforms.speed, (this.params.speed || 0.5) * this.roleConfig.speedMult);
-                this.gl.uniform3fv(this.uniforms.color, new Float32Array(rgbColor));
-                this.gl.uniform1f(this.uniforms.intensity, (this.params.intensity || 0.5) * this.roleConfig.intensity);
-                this.gl.uniform1f(this.uniforms.roleDensity, this.roleConfig.densityMult);
-                this.gl.uniform1f(this.uniforms.roleSpeed, this.roleConfig.speedMult);
-                this.gl.uniform1f(this.uniforms.chaos, this.params.chaos || 0.0);
-                this.gl.uniform1f(this.uniforms.morph, this.params.morph || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW || 0.0);
-                
-                this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
-            }
-        }
-        
-        // Enhanced interactivity system for Holographic cards - FIXED CANVAS SCOPE
-        const canvas = document.getElementById('vib34dCanvas');
-        if (!canvas) {
-            console.error('Canvas not found for holographic interactivity');
-            return;
-        }
-        
-        let mouseX = 0.5, mouseY = 0.5, mouseIntensity = 0.0;
-        let clickIntensity = 0.0;
-        let currentTouch = null;
-        
-        // Mouse interactions
-        canvas.addEventListener('mousemove', (e) => {
-            const rect = canvas.getBoundingClientRect();
-            mouseX = (e.clientX - rect.left) / rect.width;
-            mouseY = 1.0 - (e.clientY - rect.top) / rect.height;
-            mouseIntensity = Math.min(1.0, Math.sqrt(e.movementX*e.movementX + e.movementY*e.movementY) / 40);
-            
-            // Update all layer visualizers
-            layers.forEach(layer => {
-                if (layer.visualizer) {
-                    layer.visualizer.mouseX = mouseX;
-                    layer.visualizer.mouseY = mouseY;
-                    layer.visualizer.mouseIntensity = mouseIntensity;
-                }
-            });
-        });
-        
-        // Audio reactivity (double-click to enable)
-        let audioEnabled = false;
-        let audioContext = null;
-        let analyser = null;
-        let frequencyData = null;
-        
-        canvas.addEventListener('dblclick', async () => {
-            if (!audioEnabled) {
-                try {
-                    audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                    analyser = audioContext.createAnalyser();
-                    analyser.fftSize = 256;
-                    frequencyData = new Uint8Array(analyser.frequencyBinCount);
-                    
-                    const stream = await navigator.mediaDevices.getUserMedia({
-                        audio: { echoCancellation: false, noiseSuppression: false }
-                    });
-                    
-                    const source = audioContext.createMediaStreamSource(stream);
-                    source.connect(analyser);
-                    audioEnabled = true;
-                    
-                    console.log('🎵 Trading card audio reactivity ENABLED');
-                    canvas.style.border = '2px solid #00ff00';
-                    setTimeout(() => { canvas.style.border = ''; }, 2000);
-                } catch (error) {
-                    console.error('Audio failed:', error);
-                }
-            }
-        });`;
-    }
-    
-    /**
-     * Generate LIVE Polychora system (placeholder for now)
-     */
-    generateLivePolychoraSystem(state) {
-        // For now, use faceted system as base - will be enhanced later
-        return this.generateLiveFacetedSystem(state);
-    }
-    
-    /**
-     * Generate WebGL code for Faceted system with EXACT shader from Visualizer.js
-     */
-    generateFacetedVisualizationCode(state) {
-        return `
-        // VIB34D Faceted System Trading Card - ${state.name}
-        // EXACT SHADER CODE FROM src/core/Visualizer.js IntegratedHolographicVisualizer
-        class TradingCardVisualizer {
-            constructor(canvas) {
-                this.canvas = canvas;
-                this.gl = canvas.getContext('webgl');
-                this.params = ${JSON.stringify(state.parameters)};
-                this.startTime = Date.now();
-                
-                if (!this.gl) {
-                    console.error('WebGL not supported');
-                    return;
-                }
-                
-                this.initShaders();
-                this.initBuffers();
-                this.resize();
-                this.animate();
-            }
-            
-            resize() {
-                this.canvas.width = this.canvas.clientWidth;
-                this.canvas.height = this.canvas.clientHeight;
-                this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-            }
-            
-            initShaders() {
-                const vertexShaderSource = \`attribute vec2 a_position;
-void main() {
-    gl_Position = vec4(a_position, 0.0, 1.0);
-}\`;
-                
-                // EXACT FRAGMENT SHADER FROM FACETED SYSTEM
-                const fragmentShaderSource = \`precision highp float;
-uniform vec2 u_resolution;
-uniform float u_time;
-uniform vec2 u_mouse;
-uniform float u_geometry;
-uniform float u_gridDensity;
-uniform float u_morphFactor;
-uniform float u_chaos;
-uniform float u_speed;
-uniform float u_hue;
-uniform float u_intensity;
-uniform float u_saturation;
-uniform float u_dimension;
-uniform float u_rot4dXW;
-uniform float u_rot4dYW;
-uniform float u_rot4dZW;
-uniform float u_mouseIntensity;
-uniform float u_clickIntensity;
-uniform float u_roleIntensity;
-// 4D rotation matrices
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
-// Simplified geometry functions for WebGL 1.0 compatibility
-float geometryFunction(vec4 p) {
-    int geomType = int(u_geometry);
-    
-    if (geomType == 0) {
-        // Tetrahedron lattice - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-    else if (geomType == 1) {
-        // Hypercube lattice - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        float minDist = min(min(dist.x, dist.y), min(dist.z, dist.w));
-        return minDist * u_morphFactor;
-    }
-    else if (geomType == 2) {
-        // Sphere lattice - UNIFORM GRID DENSITY
-        float r = length(p);
-        float density = u_gridDensity * 0.08;
-        float spheres = abs(fract(r * density) - 0.5) * 2.0;
-        float theta = atan(p.y, p.x);
-        float harmonics = sin(theta * 3.0) * 0.2;
-        return (spheres + harmonics) * u_morphFactor;
-    }
-    else if (geomType == 3) {
-        // Torus lattice - UNIFORM GRID DENSITY
-        float r1 = length(p.xy) - 2.0;
-        float torus = length(vec2(r1, p.z)) - 0.8;
-        float lattice = sin(p.x * u_gridDensity * 0.08) * sin(p.y * u_gridDensity * 0.08);
-        return (torus + lattice * 0.3) * u_morphFactor;
-    }
-    else if (geomType == 4) {
-        // Klein bottle lattice - UNIFORM GRID DENSITY
-        float u = atan(p.y, p.x);
-        float v = atan(p.w, p.z);
-        float dist = length(p) - 2.0;
-        float lattice = sin(u * u_gridDensity * 0.08) * sin(v * u_gridDensity * 0.08);
-        return (dist + lattice * 0.4) * u_morphFactor;
-    }
-    else if (geomType == 5) {
-        // Fractal lattice - NOW WITH UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        pos = abs(pos * 2.0 - 1.0);
-        float dist = length(max(abs(pos) - 1.0, 0.0));
-        return dist * u_morphFactor;
-    }
-    else if (geomType == 6) {
-        // Wave lattice - UNIFORM GRID DENSITY
-        float freq = u_gridDensity * 0.08;
-        float time = u_time * 0.001 * u_speed;
-        float wave1 = sin(p.x * freq + time);
-        float wave2 = sin(p.y * freq + time * 1.3);
-        float wave3 = sin(p.z * freq * 0.8 + time * 0.7); // Add Z-dimension waves
-        float interference = wave1 * wave2 * wave3;
-        return interference * u_morphFactor;
-    }
-    else if (geomType == 7) {
-        // Crystal lattice - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08) - 0.5;
-        float cube = max(max(abs(pos.x), abs(pos.y)), max(abs(pos.z), abs(pos.w)));
-        return cube * u_morphFactor;
-    }
-    else {
-        // Default hypercube - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-}
-void main() {
-    vec2 uv = (gl_FragCoord.xy - u_resolution.xy * 0.5) / min(u_resolution.x, u_resolution.y);
-    
-    // 4D position with mouse interaction - NOW USING SPEED PARAMETER
-    float timeSpeed = u_time * 0.0001 * u_speed;
-    vec4 pos = vec4(uv * 3.0, sin(timeSpeed * 3.0), cos(timeSpeed * 2.0));
-    pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
-    
-    // Apply 4D rotations
-    pos = rotateXW(u_rot4dXW) * pos;
-    pos = rotateYW(u_rot4dYW) * pos;
-    pos = rotateZW(u_rot4dZW) * pos;
-    
-    // Calculate geometry value
-    float value = geometryFunction(pos);
-    
-    // Apply chaos
-    float noise = sin(pos.x * 7.0) * cos(pos.y * 11.0) * sin(pos.z * 13.0);
-    value += noise * u_chaos;
-    
-    // Color based on geometry value and hue with user-controlled intensity/saturation
-    float geometryIntensity = 1.0 - clamp(abs(value), 0.0, 1.0);
-    geometryIntensity += u_clickIntensity * 0.3;
-    
-    // Apply user intensity control
-    float finalIntensity = geometryIntensity * u_intensity;
-    
-    float hue = u_hue / 360.0 + value * 0.1;
-    
-    // Create color with saturation control
-    vec3 baseColor = vec3(
-        sin(hue * 6.28318 + 0.0) * 0.5 + 0.5,
-        sin(hue * 6.28318 + 2.0943) * 0.5 + 0.5,
-        sin(hue * 6.28318 + 4.1887) * 0.5 + 0.5
-    );
-    
-    // Apply saturation (mix with grayscale)
-    float gray = (baseColor.r + baseColor.g + baseColor.b) / 3.0;
-    vec3 color = mix(vec3(gray), baseColor, u_saturation) * finalIntensity;
-    
-    gl_FragColor = vec4(color, finalIntensity * u_roleIntensity);
-}\`;
-                
-                this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
-                this.uniforms = {
-                    resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
-                    time: this.gl.getUniformLocation(this.program, 'u_time'),
-                    mouse: this.gl.getUniformLocation(this.program, 'u_mouse'),
-                    geometry: this.gl.getUniformLocation(this.program, 'u_geometry'),
-                    gridDensity: this.gl.getUniformLocation(this.program, 'u_gridDensity'),
-                    morphFactor: this.gl.getUniformLocation(this.program, 'u_morphFactor'),
-                    chaos: this.gl.getUniformLocation(this.program, 'u_chaos'),
-                    speed: this.gl.getUniformLocation(this.program, 'u_speed'),
-                    hue: this.gl.getUniformLocation(this.program, 'u_hue'),
-                    intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
-                    saturation: this.gl.getUniformLocation(this.program, 'u_saturation'),
-                    dimension: this.gl.getUniformLocation(this.program, 'u_dimension'),
-                    rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
-                    rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
-                    rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
-                    mouseIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
-                    clickIntensity: this.gl.getUniformLocation(this.program, 'u_clickIntensity'),
-                    roleIntensity: this.gl.getUniformLocation(this.program, 'u_roleIntensity')
-                };
-            }
-            
-            createProgram(vertexSource, fragmentSource) {
-                const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexSource);
-                const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentSource);
-                
-                const program = this.gl.createProgram();
-                this.gl.attachShader(program, vertexShader);
-                this.gl.attachShader(program, fragmentShader);
-                this.gl.linkProgram(program);
-                
-                if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-                    console.error('Program linking failed:', this.gl.getProgramInfoLog(program));
-                    return null;
-                }
-                
-                return program;
-            }
-            
-            createShader(type, source) {
-                const shader = this.gl.createShader(type);
-                this.gl.shaderSource(shader, source);
-                this.gl.compileShader(shader);
-                
-                if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-                    console.error('Shader compilation failed:', this.gl.getShaderInfoLog(shader));
-                    return null;
-                }
-                
-                return shader;
-            }
-            
-            initBuffers() {
-                const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-                
-                this.buffer = this.gl.createBuffer();
-                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
-                this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
-                
-                const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-                this.gl.enableVertexAttribArray(positionLocation);
-                this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
-            }
-            
-            animate() {
-                this.render();
-                requestAnimationFrame(() => this.animate());
-            }
-            
-            render() {
-                if (!this.program) return;
-                
-                this.resize();
-                this.gl.useProgram(this.program);
-                
-                const time = Date.now() - this.startTime;
-                
-                this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
-                this.gl.uniform1f(this.uniforms.time, time);
-                this.gl.uniform2f(this.uniforms.mouse, 0.5, 0.5);
-                this.gl.uniform1f(this.uniforms.geometry, this.params.geometry || 0);
-                this.gl.uniform1f(this.uniforms.gridDensity, this.params.gridDensity || 15);
-                this.gl.uniform1f(this.uniforms.morphFactor, this.params.morphFactor || 1.0);
-                this.gl.uniform1f(this.uniforms.chaos, this.params.chaos || 0.2);
-                this.gl.uniform1f(this.uniforms.speed, this.params.speed || 1.0);
-                this.gl.uniform1f(this.uniforms.hue, this.params.hue || 200);
-                this.gl.uniform1f(this.uniforms.intensity, this.params.intensity || 0.5);
-                this.gl.uniform1f(this.uniforms.saturation, this.params.saturation || 0.8);
-                this.gl.uniform1f(this.uniforms.dimension, this.params.dimension || 3.8);
-                this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW || 0.0);
-                this.gl.uniform1f(this.uniforms.mouseIntensity, 0.0);
-                this.gl.uniform1f(this.uniforms.clickIntensity, 0.0);
-                this.gl.uniform1f(this.uniforms.roleIntensity, 1.0);
-                
-                this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
-            }
-        }`;
-    }
-    
-    /**
-     * Generate WebGL code for Holographic system with EXACT shader from HolographicVisualizer.js
-     */
-    generateHolographicVisualizationCode(state) {
-        return `
-        // VIB34D Holographic System Trading Card - ${state.name}
-        // EXACT SHADER CODE FROM src/holograms/HolographicVisualizer.js
-        class TradingCardVisualizer {
-            constructor(canvas) {
-                this.canvas = canvas;
-                this.gl = canvas.getContext('webgl');
-                this.params = ${JSON.stringify(state.parameters)};
-                this.startTime = Date.now();
-                
-                if (!this.gl) {
-                    console.error('WebGL not supported');
-                    return;
-                }
-                
-                this.initHolographicShaders();
-                this.initBuffers();
-                this.resize();
-                this.animate();
-            }
-            
-            initHolographicShaders() {
-                const vertexShaderSource = \`
-            attribute vec2 a_position;
-            void main() {
-                gl_Position = vec4(a_position, 0.0, 1.0);
-            }
-        \`;
-                
-                // EXACT FRAGMENT SHADER FROM HOLOGRAPHIC SYSTEM
-                const fragmentShaderSource = \`
-            precision highp float;
-            
-            uniform vec2 u_resolution;
-            uniform float u_time;
-            uniform vec2 u_mouse;
-            uniform float u_geometry;
-            uniform float u_density;
-            uniform float u_speed;
-            uniform vec3 u_color;
-            uniform float u_intensity;
-            uniform float u_roleDensity;
-            uniform float u_roleSpeed;
-            uniform float u_colorShift;
-            uniform float u_chaosIntensity;
-            uniform float u_mouseIntensity;
-            uniform float u_clickIntensity;
-            uniform float u_densityVariation;
-            uniform float u_geometryType;
-            uniform float u_chaos;
-            uniform float u_morph;
-            uniform float u_touchMorph;
-            uniform float u_touchChaos;
-            uniform float u_scrollParallax;
-            uniform float u_gridDensityShift;
-            uniform float u_colorScrollShift;
-            uniform float u_audioDensityBoost;
-            uniform float u_audioMorphBoost;
-            uniform float u_audioSpeedBoost;
-            uniform float u_audioChaosBoost;
-            uniform float u_audioColorShift;
-            uniform float u_rot4dXW;
-            uniform float u_rot4dYW;
-            uniform float u_rot4dZW;
-            
-            // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
-            
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-            
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
-            
-            // 4D to 3D projection
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
-            
-            // VIB3 Geometry Library
-            float tetrahedronLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d1 = length(q);
-                float d2 = length(q - vec3(0.4, 0.0, 0.0));
-                float d3 = length(q - vec3(0.0, 0.4, 0.0));
-                float d4 = length(q - vec3(0.0, 0.0, 0.4));
-                float vertices = 1.0 - smoothstep(0.0, 0.04, min(min(d1, d2), min(d3, d4)));
-                float edges = 0.0;
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xy) - 0.2)));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.yz) - 0.2)));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xz) - 0.2)));
-                return max(vertices, edges * 0.5);
-            }
-            
-            float hypercubeLattice(vec3 p, float gridSize) {
-                vec3 grid = fract(p * gridSize);
-                vec3 edges = 1.0 - smoothstep(0.0, 0.03, abs(grid - 0.5));
-                return max(max(edges.x, edges.y), edges.z);
-            }
-            
-            float sphereLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r = length(q);
-                return 1.0 - smoothstep(0.2, 0.5, r);
-            }
-            
-            float torusLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r1 = sqrt(q.x*q.x + q.y*q.y);
-                float r2 = sqrt((r1 - 0.3)*(r1 - 0.3) + q.z*q.z);
-                return 1.0 - smoothstep(0.0, 0.1, r2);
-            }
-            
-            float kleinLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize);
-                float u = q.x * 2.0 * 3.14159;
-                float v = q.y * 2.0 * 3.14159;
-                float x = cos(u) * (3.0 + cos(u/2.0) * sin(v) - sin(u/2.0) * sin(2.0*v));
-                float klein = length(vec2(x, q.z)) - 0.1;
-                return 1.0 - smoothstep(0.0, 0.05, abs(klein));
-            }
-            
-            float fractalLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float scale = 1.0;
-                float fractal = 0.0;
-                for(int i = 0; i < 4; i++) {
-                  q = fract(q) - 0.5;
-                  fractal += abs(length(q)) / scale;
-                  scale *= 2.0;
-                  q *= 2.0;
-                }
-                return 1.0 - smoothstep(0.0, 1.0, fractal);
-            }
-            
-            float waveLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float wave = sin(q.x * 2.0) * sin(q.y * 2.0) * sin(q.z * 2.0 + u_time);
-                return smoothstep(-0.5, 0.5, wave);
-            }
-            
-            float crystalLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d = max(max(abs(q.x), abs(q.y)), abs(q.z));
-                return 1.0 - smoothstep(0.3, 0.5, d);
-            }
-            
-            float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
-                int baseGeom = int(mod(geometryType, 8.0));
-                float variation = floor(geometryType / 8.0) / 4.0;
-                float variedGridSize = gridSize * (0.5 + variation * 1.5);
-                
-                if (baseGeom == 0) return tetrahedronLattice(p, variedGridSize);
-                else if (baseGeom == 1) return hypercubeLattice(p, variedGridSize);
-                else if (baseGeom == 2) return sphereLattice(p, variedGridSize);
-                else if (baseGeom == 3) return torusLattice(p, variedGridSize);
-                else if (baseGeom == 4) return kleinLattice(p, variedGridSize);
-                else if (baseGeom == 5) return fractalLattice(p, variedGridSize);
-                else if (baseGeom == 6) return waveLattice(p, variedGridSize);
-                else return crystalLattice(p, variedGridSize);
-            }
-            
-            vec3 hsv2rgb(vec3 c) {
-                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-            }
-            
-            vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
-                vec2 offset = vec2(intensity * 0.005, 0.0);
-                float r = color.r + sin(uv.y * 30.0 + u_time * 0.001) * intensity * 0.06;
-                float g = color.g + sin(uv.y * 28.0 + u_time * 0.0012) * intensity * 0.06;
-                float b = color.b + sin(uv.y * 32.0 + u_time * 0.0008) * intensity * 0.06;
-                return vec3(r, g, b);
-            }
-            
-            float moirePattern(vec2 uv, float intensity) {
-                float freq1 = 12.0 + intensity * 6.0 + u_densityVariation * 3.0;
-                float freq2 = 14.0 + intensity * 8.0 + u_densityVariation * 4.0;
-                float pattern1 = sin(uv.x * freq1) * sin(uv.y * freq1);
-                float pattern2 = sin(uv.x * freq2) * sin(uv.y * freq2);
-                return (pattern1 * pattern2) * intensity * 0.15;
-            }
-            
-            float gridOverlay(vec2 uv, float intensity) {
-                vec2 grid = fract(uv * (8.0 + u_densityVariation * 4.0));
-                float lines = 0.0;
-                lines = max(lines, 1.0 - smoothstep(0.0, 0.02, abs(grid.x - 0.5)));
-                lines = max(lines, 1.0 - smoothstep(0.0, 0.02, abs(grid.y - 0.5)));
-                return lines * intensity * 0.1;
-            }
-            
-            void main() {
-                vec2 uv = gl_FragCoord.xy / u_resolution.xy;
-                float aspectRatio = u_resolution.x / u_resolution.y;
-                uv.x *= aspectRatio;
-                uv -= 0.5;
-                
-                float time = u_time * 0.0004 * u_speed * u_roleSpeed;
-                
-                float mouseInfluence = u_mouseIntensity * 0.5;
-                vec2 mouseOffset = (u_mouse - 0.5) * mouseInfluence;
-                
-                float parallaxOffset = u_scrollParallax * 0.2;
-                vec2 scrollOffset = vec2(parallaxOffset * 0.1, parallaxOffset * 0.05);
-                
-                float morphOffset = u_touchMorph * 0.3;
-                
-                vec4 p4d = vec4(uv + mouseOffset * 0.1 + scrollOffset, 
-                               sin(time * 0.1 + morphOffset) * 0.15, 
-                               cos(time * 0.08 + morphOffset * 0.5) * 0.15);
-                
-                float scrollRotation = u_scrollParallax * 0.1;
-                float touchRotation = u_touchMorph * 0.2;
-                
-                // Combine manual rotation with automatic/interactive rotation
-                p4d = rotateXW(u_rot4dXW + time * 0.2 + mouseOffset.y * 0.5 + scrollRotation) * p4d;
-                p4d = rotateYW(u_rot4dYW + time * 0.15 + mouseOffset.x * 0.5 + touchRotation) * p4d;
-                p4d = rotateZW(u_rot4dZW + time * 0.25 + u_clickIntensity * 0.3 + u_touchChaos * 0.4) * p4d;
-                
-                vec3 p = project4Dto3D(p4d);
-                
-                float scrollDensityMod = 1.0 + u_gridDensityShift * 0.3;
-                float audioDensityMod = 1.0 + u_audioDensityBoost * 0.5;
-                float roleDensity = ((u_density + u_densityVariation) * u_roleDensity) * scrollDensityMod * audioDensityMod;
-                
-                float morphedGeometry = u_geometryType + u_morph * 3.0 + u_touchMorph * 2.0 + u_audioMorphBoost * 1.5;
-                float lattice = getDynamicGeometry(p, roleDensity, morphedGeometry);
-                
-                // Use the passed RGB as base color and modulate with lattice patterns
-                vec3 baseColor = u_color;
-                float latticeIntensity = lattice * u_intensity;
-                
-                vec3 color = baseColor * (0.3 + latticeIntensity * 0.7);
-                
-                // Add lattice-based brightness variations
-                color += vec3(lattice * 0.4) * baseColor;
-                
-                float enhancedChaos = u_chaos + u_chaosIntensity + u_touchChaos * 0.3 + u_audioChaosBoost * 0.4;
-                color += vec3(moirePattern(uv + scrollOffset, enhancedChaos));
-                color += vec3(gridOverlay(uv, u_mouseIntensity + u_scrollParallax * 0.1));
-                color = rgbGlitch(color, uv, enhancedChaos);
-                
-                // Apply morph distortion to position
-                vec2 morphDistortion = vec2(sin(uv.y * 10.0 + u_time * 0.001) * u_morph * 0.1, 
-                                           cos(uv.x * 10.0 + u_time * 0.001) * u_morph * 0.1);
-                color = mix(color, color * (1.0 + length(morphDistortion)), u_morph * 0.5);
-                
-                float mouseDist = length(uv - (u_mouse - 0.5) * vec2(aspectRatio, 1.0));
-                float mouseGlow = exp(-mouseDist * 1.5) * u_mouseIntensity * 0.2;
-                color += vec3(mouseGlow) * baseColor * 0.6;
-                
-                float clickPulse = u_clickIntensity * exp(-mouseDist * 2.0) * 0.3;
-                color += vec3(clickPulse, clickPulse * 0.5, clickPulse * 1.5);
-                
-                gl_FragColor = vec4(color, 0.95);
-            }
-        \`;
-                
-                this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
-                this.uniforms = {
-                    resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
-                    time: this.gl.getUniformLocation(this.program, 'u_time'),
-                    mouse: this.gl.getUniformLocation(this.program, 'u_mouse'),
-                    geometry: this.gl.getUniformLocation(this.program, 'u_geometry'),
-                    density: this.gl.getUniformLocation(this.program, 'u_density'),
-                    speed: this.gl.getUniformLocation(this.program, 'u_speed'),
-                    color: this.gl.getUniformLocation(this.program, 'u_color'),
-                    intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
-                    roleDensity: this.gl.getUniformLocation(this.program, 'u_roleDensity'),
-                    roleSpeed: this.gl.getUniformLocation(this.program, 'u_roleSpeed'),
-                    colorShift: this.gl.getUniformLocation(this.program, 'u_colorShift'),
-                    chaosIntensity: this.gl.getUniformLocation(this.program, 'u_chaosIntensity'),
-                    mouseIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
-                    clickIntensity: this.gl.getUniformLocation(this.program, 'u_clickIntensity'),
-                    densityVariation: this.gl.getUniformLocation(this.program, 'u_densityVariation'),
-                    geometryType: this.gl.getUniformLocation(this.program, 'u_geometryType'),
-                    chaos: this.gl.getUniformLocation(this.program, 'u_chaos'),
-                    morph: this.gl.getUniformLocation(this.program, 'u_morph'),
-                    touchMorph: this.gl.getUniformLocation(this.program, 'u_touchMorph'),
-                    touchChaos: this.gl.getUniformLocation(this.program, 'u_touchChaos'),
-                    scrollParallax: this.gl.getUniformLocation(this.program, 'u_scrollParallax'),
-                    gridDensityShift: this.gl.getUniformLocation(this.program, 'u_gridDensityShift'),
-                    colorScrollShift: this.gl.getUniformLocation(this.program, 'u_colorScrollShift'),
-                    audioDensityBoost: this.gl.getUniformLocation(this.program, 'u_audioDensityBoost'),
-                    audioMorphBoost: this.gl.getUniformLocation(this.program, 'u_audioMorphBoost'),
-                    audioSpeedBoost: this.gl.getUniformLocation(this.program, 'u_audioSpeedBoost'),
-                    audioChaosBoost: this.gl.getUniformLocation(this.program, 'u_audioChaosBoost'),
-                    audioColorShift: this.gl.getUniformLocation(this.program, 'u_audioColorShift'),
-                    rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
-                    rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
-                    rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW')
-                };
-            }
-            
-            createProgram(vertexSource, fragmentSource) {
-                const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexSource);
-                const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentSource);
-                
-                const program = this.gl.createProgram();
-                this.gl.attachShader(program, vertexShader);
-                this.gl.attachShader(program, fragmentShader);
-                this.gl.linkProgram(program);
-                
-                if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-                    console.error('Program linking failed:', this.gl.getProgramInfoLog(program));
-                    return null;
-                }
-                
-                return program;
-            }
-            
-            createShader(type, source) {
-                const shader = this.gl.createShader(type);
-                this.gl.shaderSource(shader, source);
-                this.gl.compileShader(shader);
-                
-                if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-                    console.error('Shader compilation failed:', this.gl.getShaderInfoLog(shader));
-                    return null;
-                }
-                
-                return shader;
-            }
-            
-            initBuffers() {
-                const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-                
-                this.buffer = this.gl.createBuffer();
-                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
-                this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
-                
-                const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-                this.gl.enableVertexAttribArray(positionLocation);
-                this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
-            }
-            
-            resize() {
-                this.canvas.width = this.canvas.clientWidth;
-                this.canvas.height = this.canvas.clientHeight;
-                this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-            }
-            
-            animate() {
-                this.render();
-                requestAnimationFrame(() => this.animate());
-            }
-            
-            render() {
-                if (!this.program) return;
-                
-                this.resize();
-                this.gl.useProgram(this.program);
-                
-                const time = Date.now() - this.startTime;
-                const hue = (this.params.hue || 200) / 360;
-                
-                // Convert hue to RGB
-                const hslToRgb = (h, s, l) => {
-                    let r, g, b;
-                    if (s === 0) {
-                        r = g = b = l;
-                    } else {
-                        const hue2rgb = (p, q, t) => {
-                            if (t < 0) t += 1;
-                            if (t > 1) t -= 1;
-                            if (t < 1/6) return p + (q - p) * 6 * t;
-                            if (t < 1/2) return q;
-                            if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-                            return p;
-                        };
-                        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-                        const p = 2 * l - q;
-                        r = hue2rgb(p, q, h + 1/3);
-                        g = hue2rgb(p, q, h);
-                        b = hue2rgb(p, q, h - 1/3);
-                    }
-                    return [r, g, b];
-                };
-                
-                const rgbColor = hslToRgb(hue, this.params.saturation || 0.8, this.params.intensity || 0.5);
-                
-                this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
-                this.gl.uniform1f(this.uniforms.time, time);
-                this.gl.uniform2f(this.uniforms.mouse, 0.5, 0.5);
-                this.gl.uniform1f(this.uniforms.geometryType, this.params.geometryType || 0);
-                this.gl.uniform1f(this.uniforms.density, this.params.density || 1.0);
-                this.gl.uniform1f(this.uniforms.speed, this.params.speed || 0.5);
-                this.gl.uniform3fv(this.uniforms.color, new Float32Array(rgbColor));
-                this.gl.uniform1f(this.uniforms.intensity, this.params.intensity || 0.5);
-                this.gl.uniform1f(this.uniforms.roleDensity, 1.0);
-                this.gl.uniform1f(this.uniforms.roleSpeed, 1.0);
-                this.gl.uniform1f(this.uniforms.colorShift, 0.0);
-                this.gl.uniform1f(this.uniforms.chaosIntensity, this.params.chaos || 0.0);
-                this.gl.uniform1f(this.uniforms.mouseIntensity, 0.0);
-                this.gl.uniform1f(this.uniforms.clickIntensity, 0.0);
-                this.gl.uniform1f(this.uniforms.densityVariation, 0.0);
-                this.gl.uniform1f(this.uniforms.chaos, this.params.chaos || 0.0);
-                this.gl.uniform1f(this.uniforms.morph, this.params.morph || 0.0);
-                this.gl.uniform1f(this.uniforms.touchMorph, 0.0);
-                this.gl.uniform1f(this.uniforms.touchChaos, 0.0);
-                this.gl.uniform1f(this.uniforms.scrollParallax, 0.0);
-                this.gl.uniform1f(this.uniforms.gridDensityShift, 0.0);
-                this.gl.uniform1f(this.uniforms.colorScrollShift, 0.0);
-                this.gl.uniform1f(this.uniforms.audioDensityBoost, 0.0);
-                this.gl.uniform1f(this.uniforms.audioMorphBoost, 0.0);
-                this.gl.uniform1f(this.uniforms.audioSpeedBoost, 0.0);
-                this.gl.uniform1f(this.uniforms.audioChaosBoost, 0.0);
-                this.gl.uniform1f(this.uniforms.audioColorShift, 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW || 0.0);
-                this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW || 0.0);
-                
-                this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
-            }
-        }`;
-    }
-    
-    /**
-     * Generate fallback visualization code
-     */
-    generateFallbackVisualizationCode(state) {
-        return `
-        // VIB34D Trading Card - Fallback Canvas Renderer
-        class TradingCardVisualizer {
-            constructor(canvas) {
-                console.log('🎴 Trading card using fallback 2D renderer');
-                // Simple 2D fallback if WebGL fails
-                this.canvas = canvas;
-                this.ctx = canvas.getContext('2d');
-                this.animate();
-            }
-            
-            animate() {
-                if (this.ctx) {
-                    this.ctx.fillStyle = '#000';
-                    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-                    this.ctx.fillStyle = '#00ffff';
-                    this.ctx.font = '20px Orbitron';
-                    this.ctx.textAlign = 'center';
-                    this.ctx.fillText('VIB34D', this.canvas.width/2, this.canvas.height/2);
-                }
-                requestAnimationFrame(() => this.animate());
-            }
-        }`;
-    }
-    
     /**
      * Generate simple image display code for captured canvas
      */
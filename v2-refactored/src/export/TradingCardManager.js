@@ -1,3 +1,5 @@
+import { resolveParameters } from '../core/ParameterSchema.js';
+
 /**
  * Trading Card Manager - Smart orchestrator for system-specific card generation
  * Dynamically loads the appropriate generator based on current system
@@ -15,6 +17,9 @@ export class TradingCardManager {
             // Get the appropriate generator
             const generator = await this.getGenerator(system);
             
+            // Fill in and clamp everything the schema knows; extra fields pass through
+            parameters = { ...parameters, ...resolveParameters(parameters, system) };
+            
             // Generate the card
             const result = await generator.generateCard(format, parameters);
             
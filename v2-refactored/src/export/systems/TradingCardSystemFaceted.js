@@ -9,6 +9,9 @@
  * - Parameter-driven visualization
  */
 
+import { shaderChunks } from '../../core/ShaderChunks.js';
+import '../../geometry/GeometryLibrary.js'; // Registers the geometryPlugins shader chunk
+
 export class TradingCardSystemFaceted {
     /**
      * Generate the complete HTML/JS code for a live faceted trading card
@@ -16,7 +19,7 @@ export class TradingCardSystemFaceted {
      * @returns {string} Complete JavaScript code for the card
      */
     static generateLiveSystem(state) {
-        return `
+        return shaderChunks.compose(`
         // LIVE VIB34D Faceted System - 5 Layer WebGL Rendering
         class LiveTradingCardSystem {
             constructor() {
@@ -123,6 +126,9 @@ uniform float u_hue;
 uniform float u_intensity;
 uniform float u_saturation;
 uniform float u_dimension;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_rot4dXW;
 uniform float u_rot4dYW;
 uniform float u_rot4dZW;
@@ -131,25 +137,9 @@ uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 
 // 4D rotation matrices
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
+#include <rotation4d>
+#include <projection>
+#include <geometryPlugins>
 
 float geometryFunction(vec4 p) {
     int geomType = int(u_geometry);
@@ -206,6 +196,9 @@ float geometryFunction(vec4 p) {
         float cube = max(max(abs(pos.x), abs(pos.y)), max(abs(pos.z), abs(pos.w)));
         return cube * u_morphFactor;
     }
+    else if (geomType >= 8) {
+        return (1.0 - pluginLattice(geomType, p, u_gridDensity * 0.08)) * u_morphFactor;
+    }
     else {
         vec4 pos = fract(p * u_gridDensity * 0.08);
         vec4 dist = min(pos, 1.0 - pos);
@@ -220,6 +213,9 @@ void main() {
     vec4 pos = vec4(uv * 3.0, sin(timeSpeed * 3.0), cos(timeSpeed * 2.0));
     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
     
+    pos = rotateXY(u_rot4dXY) * pos;
+    pos = rotateXZ(u_rot4dXZ) * pos;
+    pos = rotateYZ(u_rot4dYZ) * pos;
     pos = rotateXW(u_rot4dXW) * pos;
     pos = rotateYW(u_rot4dYW) * pos;
     pos = rotateZW(u_rot4dZW) * pos;
@@ -262,6 +258,9 @@ void main() {
                     intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
                     saturation: this.gl.getUniformLocation(this.program, 'u_saturation'),
                     dimension: this.gl.getUniformLocation(this.program, 'u_dimension'),
+                    rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+                    rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+                    rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
                     rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
                     rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
                     rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
@@ -331,6 +330,9 @@ void main() {
                 this.gl.uniform1f(this.uniforms.intensity, this.params.intensity || 0.5);
                 this.gl.uniform1f(this.uniforms.saturation, this.params.saturation || 0.8);
                 this.gl.uniform1f(this.uniforms.dimension, this.params.dimension || 3.8);
+                this.gl.uniform1f(this.uniforms.rot4dXY, this.params.rot4dXY || 0.0);
+                this.gl.uniform1f(this.uniforms.rot4dXZ, this.params.rot4dXZ || 0.0);
+                this.gl.uniform1f(this.uniforms.rot4dYZ, this.params.rot4dYZ || 0.0);
                 this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW || 0.0);
                 this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW || 0.0);
                 this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW || 0.0);
@@ -475,7 +477,7 @@ void main() {
                     });
                 }
             }, 300);
-        }, { passive: false });`;
+        }, { passive: false });`);
     }
     
     /**
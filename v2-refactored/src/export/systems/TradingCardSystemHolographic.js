@@ -10,6 +10,9 @@
  * - Audio reactivity preparation
  */
 
+import { shaderChunks } from '../../core/ShaderChunks.js';
+import '../../geometry/GeometryLibrary.js'; // Registers the geometryPlugins shader chunk
+
 export class TradingCardSystemHolographic {
     /**
      * Generate the complete HTML/JS code for a live holographic trading card
@@ -17,7 +20,7 @@ export class TradingCardSystemHolographic {
      * @returns {string} Complete JavaScript code for the card
      */
     static generateLiveSystem(state) {
-        return `
+        return shaderChunks.compose(`
         // LIVE Active Holographic System - 5 Layer WebGL with Audio Reactivity
         class LiveTradingCardSystem {
             constructor() {
@@ -135,33 +138,17 @@ export class TradingCardSystemHolographic {
             uniform float u_geometryType;
             uniform float u_chaos;
             uniform float u_morph;
+            uniform float u_rot4dXY;
+            uniform float u_rot4dXZ;
+            uniform float u_rot4dYZ;
             uniform float u_rot4dXW;
             uniform float u_rot4dYW;
             uniform float u_rot4dZW;
             
             // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
+            #include <rotation4d>
             
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-            
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
-            
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
+            #include <projection>
             
             // Complete VIB3 Geometry Library
             float tetrahedronLattice(vec3 p, float gridSize) {
@@ -231,11 +218,16 @@ export class TradingCardSystemHolographic {
                 return 1.0 - smoothstep(0.3, 0.5, d);
             }
             
+            #include <geometryPlugins>
+            
             float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
                 int baseGeom = int(mod(geometryType, 8.0));
                 float variation = floor(geometryType / 8.0) / 4.0;
                 float variedGridSize = gridSize * (0.5 + variation * 1.5);
                 
+                // Registered geometries sit past the built-in eight and stay out of the morph wrap
+                if (u_geometryType >= 8.0) return pluginLattice(int(u_geometryType + 0.5), vec4(p, 0.0), variedGridSize);
+                
                 if (baseGeom == 0) return tetrahedronLattice(p, variedGridSize);
                 else if (baseGeom == 1) return hypercubeLattice(p, variedGridSize);
                 else if (baseGeom == 2) return sphereLattice(p, variedGridSize);
@@ -272,6 +264,9 @@ export class TradingCardSystemHolographic {
                 
                 vec4 p4d = vec4(uv * 3.0, sin(time * 0.1) * 0.15, cos(time * 0.08) * 0.15);
                 
+                p4d = rotateXY(u_rot4dXY) * p4d;
+                p4d = rotateXZ(u_rot4dXZ) * p4d;
+                p4d = rotateYZ(u_rot4dYZ) * p4d;
                 p4d = rotateXW(u_rot4dXW + time * 0.2) * p4d;
                 p4d = rotateYW(u_rot4dYW + time * 0.15) * p4d;
                 p4d = rotateZW(u_rot4dZW + time * 0.25) * p4d;
@@ -311,6 +306,9 @@ export class TradingCardSystemHolographic {
                     geometryType: this.gl.getUniformLocation(this.program, 'u_geometryType'),
                     chaos: this.gl.getUniformLocation(this.program, 'u_chaos'),
                     morph: this.gl.getUniformLocation(this.program, 'u_morph'),
+                    rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+                    rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+                    rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
                     rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
                     rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
                     rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW')
@@ -400,6 +398,9 @@ export class TradingCardSystemHolographic {
                 this.gl.uniform1f(this.uniforms.geometryType, this.params.geometry || 0);
                 this.gl.uniform1f(this.uniforms.chaos, this.params.chaos || 0.2);
                 this.gl.uniform1f(this.uniforms.morph, this.params.morphFactor || 1.0);
+                this.gl.uniform1f(this.uniforms.rot4dXY, this.params.rot4dXY || 0.0);
+                this.gl.uniform1f(this.uniforms.rot4dXZ, this.params.rot4dXZ || 0.0);
+                this.gl.uniform1f(this.uniforms.rot4dYZ, this.params.rot4dYZ || 0.0);
                 this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW || 0.0);
                 this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW || 0.0);
                 this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW || 0.0);
@@ -431,7 +432,7 @@ export class TradingCardSystemHolographic {
             console.log('🌈 Holographic card audio reactivity - Coming soon!');
             canvas.style.border = '2px solid #ff64ff';
             setTimeout(() => { canvas.style.border = ''; }, 2000);
-        });`;
+        });`);
     }
     
     /**
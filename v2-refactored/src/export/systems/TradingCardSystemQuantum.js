@@ -10,6 +10,9 @@
  * - Advanced holographic shimmer effects
  */
 
+import { shaderChunks } from '../../core/ShaderChunks.js';
+import '../../geometry/GeometryLibrary.js'; // Registers the geometryPlugins shader chunk
+
 export class TradingCardSystemQuantum {
     /**
      * Generate the complete HTML/JS code for a live quantum trading card
@@ -17,7 +20,7 @@ export class TradingCardSystemQuantum {
      * @returns {string} Complete JavaScript code for the card
      */
     static generateLiveSystem(state) {
-        return `
+        return shaderChunks.compose(`
         // LIVE VIB34D Quantum System - Enhanced 5 Layer WebGL Rendering
         class LiveQuantumTradingCardSystem {
             constructor(canvas) {
@@ -117,6 +120,9 @@ export class TradingCardSystemQuantum {
                 uniform float u_hue;
                 uniform float u_intensity;
                 uniform float u_saturation;
+                uniform float u_rot4dXY;
+                uniform float u_rot4dXZ;
+                uniform float u_rot4dYZ;
                 uniform float u_rot4dXW;
                 uniform float u_rot4dYW;
                 uniform float u_rot4dZW;
@@ -125,28 +131,9 @@ export class TradingCardSystemQuantum {
                 uniform float u_roleIntensity;
                 
                 // 4D rotation matrices
-                mat4 rotateXW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-                }
+                #include <rotation4d>
                 
-                mat4 rotateYW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-                }
-                
-                mat4 rotateZW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-                }
-                
-                vec3 project4Dto3D(vec4 p) {
-                    float w = 2.5 / (2.5 + p.w);
-                    return vec3(p.x * w, p.y * w, p.z * w);
-                }
+                #include <projection>
                 
                 // COMPLEX 3D LATTICE FUNCTIONS - QUANTUM ENHANCED
                 float tetrahedronLattice(vec3 p, float gridSize) {
@@ -176,6 +163,8 @@ export class TradingCardSystemQuantum {
                     return max(lattice * 0.7, vertices);
                 }
                 
+                #include <geometryPlugins>
+
                 // ENHANCED GEOMETRY FUNCTION WITH QUANTUM EFFECTS
                 float quantumGeometry(vec4 p) {
                     int geomType = int(u_geometry);
@@ -186,17 +175,15 @@ export class TradingCardSystemQuantum {
                         return tetrahedronLattice(p3d, gridSize) * u_morphFactor;
                     } else if (geomType == 1) {
                         return hypercubeLattice(p3d, gridSize) * u_morphFactor;
+                    } else if (geomType >= 8) {
+                        return pluginLattice(geomType, vec4(p3d, p.w), gridSize) * u_morphFactor;
                     } else {
                         return hypercubeLattice(p3d, gridSize) * u_morphFactor;
                     }
                 }
                 
                 // HSV to RGB conversion
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+                #include <hsv>
                 
                 // RGB Glitch effect
                 vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
@@ -215,6 +202,9 @@ export class TradingCardSystemQuantum {
                     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
                     
                     // Apply 4D rotations
+                    pos = rotateXY(u_rot4dXY) * pos;
+                    pos = rotateXZ(u_rot4dXZ) * pos;
+                    pos = rotateYZ(u_rot4dYZ) * pos;
                     pos = rotateXW(u_rot4dXW) * pos;
                     pos = rotateYW(u_rot4dYW) * pos;
                     pos = rotateZW(u_rot4dZW) * pos;
@@ -276,6 +266,9 @@ export class TradingCardSystemQuantum {
                         hue: this.gl.getUniformLocation(this.program, 'u_hue'),
                         intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
                         saturation: this.gl.getUniformLocation(this.program, 'u_saturation'),
+                        rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+                        rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+                        rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
                         rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
                         rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
                         rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
@@ -348,6 +341,9 @@ export class TradingCardSystemQuantum {
                 this.gl.uniform1f(this.uniforms.hue, this.params.hue || 280); // Quantum purple-blue
                 this.gl.uniform1f(this.uniforms.intensity, (this.params.intensity || 0.7) * this.roleConfig.intensity);
                 this.gl.uniform1f(this.uniforms.saturation, this.params.saturation || 0.9);
+                this.gl.uniform1f(this.uniforms.rot4dXY, this.params.rot4dXY || 0.0);
+                this.gl.uniform1f(this.uniforms.rot4dXZ, this.params.rot4dXZ || 0.0);
+                this.gl.uniform1f(this.uniforms.rot4dYZ, this.params.rot4dYZ || 0.0);
                 this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW || 0.0);
                 this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW || 0.0);
                 this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW || 0.0);
@@ -390,7 +386,7 @@ export class TradingCardSystemQuantum {
             console.log('🌌 Quantum card audio reactivity - Coming soon!');
             canvas.style.border = '2px solid #ff00ff';
             setTimeout(() => { canvas.style.border = ''; }, 2000);
-        });`;
+        });`);
     }
     
     /**
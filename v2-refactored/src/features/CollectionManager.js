@@ -353,6 +353,9 @@ export class CollectionManager {
             saturation: params.saturation || 0.8,
             intensity: params.intensity || 0.5,
             // 4D rotation parameters
+            rot4dXY: params.rot4dXY || 0,
+            rot4dXZ: params.rot4dXZ || 0,
+            rot4dYZ: params.rot4dYZ || 0,
             rot4dXW: params.rot4dXW || 0,
             rot4dYW: params.rot4dYW || 0,
             rot4dZW: params.rot4dZW || 0,
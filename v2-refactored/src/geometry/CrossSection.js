@@ -0,0 +1,258 @@
+/**
+ * VIB34D Hyperplane Cross-Sections
+ * The 3D solid where a hyperplane cuts a convex 4D polytope. Every polytope edge that crosses
+ * the hyperplane gives one vertex of the section, and the section is the convex hull of
+ * those vertices; each hull face lies in one cell of the polytope.
+ */
+
+import { mat4 } from '../core/Math4D.js';
+
+/**
+ * Slicing hyperplane at offset along its normal. With no tilt the normal is W and the
+ * section coordinates are X, Y, Z; tilts turn the hyperplane toward X, Y and Z.
+ * @param {Object} options
+ * @param {number} [options.offset] - Distance from the origin
+ * @param {number} [options.tiltXW] - Radians
+ * @param {number} [options.tiltYW]
+ * @param {number} [options.tiltZW]
+ * @returns {Object} { normal, axes: [3 basis vectors], offset }
+ */
+export function hyperplane({ offset = 0, tiltXW = 0, tiltYW = 0, tiltZW = 0 } = {}) {
+    const tilt = mat4.fromAngles({ XW: tiltXW, YW: tiltYW, ZW: tiltZW }, ['XW', 'YW', 'ZW']);
+    const rotate = vector => mat4.transformVec4(tilt, vector);
+
+    return {
+        normal: rotate([0, 0, 0, 1]),
+        axes: [rotate([1, 0, 0, 0]), rotate([0, 1, 0, 0]), rotate([0, 0, 1, 0])],
+        offset
+    };
+}
+
+/**
+ * Cut a polytope with a hyperplane
+ * @param {Float32Array|number[]} vertices - x, y, z, w per vertex
+ * @param {Uint16Array|number[]} indices - Edge vertex pairs
+ * @param {Object} plane - hyperplane() result
+ * @returns {Object} { points: [[x, y, z]], triangles: [[a, b, c]], cells: cell index per
+ *   triangle, normals: [[x, y, z]] per cell, edges: [[a, b]] } in section coordinates
+ */
+export function crossSection(vertices, indices, plane) {
+    const dot = (i, vector) => vector.reduce((sum, value, axis) => sum + value * vertices[i * 4 + axis], 0);
+    const points = [];
+    const seen = new Map();
+    const addPoint = (a, b, t) => {
+        const point = plane.axes.map(axis => dot(a, axis) * (1 - t) + dot(b, axis) * t);
+        // Vertices on the hyperplane are reached through several edges
+        const key = point.map(value => Math.round(value * 1e5)).join(',');
+        if (!seen.has(key)) {
+            seen.set(key, points.length);
+            points.push(point);
+        }
+    };
+
+    for (let edge = 0; edge < indices.length; edge += 2) {
+        const a = indices[edge];
+        const b = indices[edge + 1];
+        const da = dot(a, plane.normal) - plane.offset;
+        const db = dot(b, plane.normal) - plane.offset;
+        if (da * db > 0) continue;
+        if (da === db) {
+            addPoint(a, b, 0);
+            addPoint(a, b, 1);
+        } else {
+            addPoint(a, b, da / (da - db));
+        }
+    }
+
+    return { points, ...convexSolid(points) };
+}
+
+/**
+ * Faces and edges of the convex hull of points, falling back to a polygon or a segment when
+ * the points are flat (the hyperplane only touches the polytope)
+ */
+function convexSolid(points) {
+    const empty = { triangles: [], cells: [], normals: [], edges: [] };
+    if (points.length < 2) return empty;
+
+    const hull = convexHull3D(points);
+    if (!hull) {
+        const outline = flatOutline(points);
+        if (outline.length < 3) {
+            return { ...empty, edges: [[outline[0], outline[outline.length - 1]]] };
+        }
+        const normal = cross(sub(points[outline[1]], points[outline[0]]), sub(points[outline[2]], points[outline[0]]));
+        return {
+            triangles: outline.slice(1, -1).map((index, i) => [outline[0], index, outline[i + 2]]),
+            cells: outline.slice(2).map(() => 0),
+            normals: [normalize(normal)],
+            edges: outline.map((index, i) => [index, outline[(i + 1) % outline.length]])
+        };
+    }
+
+    // Coplanar hull triangles belong to one section face, i.e. one cell of the polytope
+    const normals = [];
+    const offsets = [];
+    const cells = hull.map(({ normal, offset }) => {
+        let cell = normals.findIndex((other, i) => dot3(other, normal) > 1 - 1e-6 && Math.abs(offsets[i] - offset) < 1e-6);
+        if (cell === -1) {
+            cell = normals.length;
+            normals.push(normal);
+            offsets.push(offset);
+        }
+        return cell;
+    });
+
+    // Hull edges between different faces
+    const edgeCells = new Map();
+    hull.forEach(({ vertices }, triangle) => {
+        vertices.forEach((a, i) => {
+            const b = vertices[(i + 1) % 3];
+            const key = a < b ? `${a},${b}` : `${b},${a}`;
+            const other = edgeCells.get(key);
+            if (other === undefined) {
+                edgeCells.set(key, cells[triangle]);
+            } else if (other !== cells[triangle]) {
+                edgeCells.set(key, -1);
+            }
+        });
+    });
+    const edges = [...edgeCells].filter(([, cell]) => cell === -1).map(([key]) => key.split(',').map(Number));
+
+    return { triangles: hull.map(face => face.vertices), cells, normals, edges };
+}
+
+/**
+ * Incremental 3D convex hull
+ * @param {number[][]} points
+ * @returns {Object[]|null} Outward faces { vertices: [a, b, c], normal, offset }, null when
+ *   the points are flat
+ */
+export function convexHull3D(points, epsilon = 1e-7) {
+    const count = points.length;
+    if (count < 4) return null;
+
+    // Starting tetrahedron from well-spread points
+    const first = points.reduce((best, point, i) => (point[0] < points[best][0] ? i : best), 0);
+    const second = farthest(points, i => length(sub(points[i], points[first])));
+    const third = farthest(points, i => length(cross(sub(points[second], points[first]), sub(points[i], points[first]))));
+    const baseNormal = cross(sub(points[second], points[first]), sub(points[third], points[first]));
+    if (length(baseNormal) < epsilon) return null;
+    const fourth = farthest(points, i => Math.abs(dot3(baseNormal, sub(points[i], points[first]))));
+    if (Math.abs(dot3(normalize(baseNormal), sub(points[fourth], points[first]))) < epsilon * 100) return null;
+
+    const center = [first, second, third, fourth]
+        .reduce((sum, i) => sum.map((value, axis) => value + points[i][axis] / 4), [0, 0, 0]);
+    const makeFace = (a, b, c) => {
+        let face = { vertices: [a, b, c] };
+        face.normal = normalize(cross(sub(points[b], points[a]), sub(points[c], points[a])));
+        face.offset = dot3(face.normal, points[a]);
+        if (dot3(face.normal, center) > face.offset) {
+            face = { vertices: [a, c, b], normal: face.normal.map(value => -value), offset: -face.offset };
+        }
+        return face;
+    };
+
+    let faces = [
+        makeFace(first, second, third),
+        makeFace(first, second, fourth),
+        makeFace(first, third, fourth),
+        makeFace(second, third, fourth)
+    ];
+
+    points.forEach((point, index) => {
+        if (index === first || index === second || index === third || index === fourth) return;
+
+        const heights = new Map(faces.map(face => [face, dot3(face.normal, point) - face.offset]));
+        const start = faces.reduce((best, face) => (heights.get(face) > heights.get(best) ? face : best), faces[0]);
+        if (heights.get(start) <= epsilon) return;
+
+        // Grow the visible region from the face the point is highest above. Faces the point is
+        // level with join it, so coplanar faces are re-triangulated instead of pinching the horizon.
+        const faceByEdge = new Map();
+        faces.forEach(face => {
+            face.vertices.forEach((a, i) => faceByEdge.set(a * count + face.vertices[(i + 1) % 3], face));
+        });
+        const visible = new Set([start]);
+        const horizon = [];
+        const queue = [start];
+        while (queue.length > 0) {
+            const { vertices } = queue.shift();
+            vertices.forEach((a, i) => {
+                const b = vertices[(i + 1) % 3];
+                const neighbour = faceByEdge.get(b * count + a);
+                if (visible.has(neighbour)) return;
+                if (heights.get(neighbour) > -epsilon) {
+                    visible.add(neighbour);
+                    queue.push(neighbour);
+                } else {
+                    horizon.push([a, b]);
+                }
+            });
+        }
+
+        // Edges found before their neighbour joined the region are not on the horizon
+        faces = faces.filter(face => !visible.has(face));
+        horizon.filter(([a, b]) => !visible.has(faceByEdge.get(b * count + a))).forEach(([a, b]) => {
+            const face = { vertices: [a, b, index] };
+            face.normal = normalize(cross(sub(points[b], points[a]), sub(point, points[a])));
+            face.offset = dot3(face.normal, points[a]);
+            faces.push(face);
+        });
+    });
+
+    return faces;
+}
+
+/**
+ * Outline of flat points: a convex polygon in order, or the two ends of a segment
+ */
+function flatOutline(points) {
+    const origin = points[0];
+    const far = farthest(points, i => length(sub(points[i], origin)));
+    const u = normalize(sub(points[far], origin));
+    const normal = cross(u, sub(points[farthest(points, i => length(cross(u, sub(points[i], origin))))], origin));
+    const projected = points.map((point, index) => {
+        const offset = sub(point, origin);
+        return { index, x: dot3(offset, u), y: length(normal) > 1e-9 ? dot3(offset, normalize(cross(normalize(normal), u))) : 0 };
+    });
+
+    if (length(normal) <= 1e-9) {
+        const sorted = projected.sort((a, b) => a.x - b.x);
+        return [sorted[0].index, sorted[sorted.length - 1].index];
+    }
+
+    // Monotone chain
+    const sorted = projected.sort((a, b) => a.x - b.x || a.y - b.y);
+    const turn = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const chain = list => list.reduce((hull, point) => {
+        while (hull.length >= 2 && turn(hull[hull.length - 2], hull[hull.length - 1], point) <= 1e-12) hull.pop();
+        hull.push(point);
+        return hull;
+    }, []);
+    const lower = chain(sorted);
+    const upper = chain(sorted.slice().reverse());
+    return [...lower.slice(0, -1), ...upper.slice(0, -1)].map(point => point.index);
+}
+
+function farthest(points, measure) {
+    let best = 0;
+    let bestValue = -Infinity;
+    points.forEach((_, i) => {
+        const value = measure(i);
+        if (value > bestValue) {
+            bestValue = value;
+            best = i;
+        }
+    });
+    return best;
+}
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = a => Math.hypot(a[0], a[1], a[2]);
+const normalize = a => {
+    const l = length(a) || 1;
+    return [a[0] / l, a[1] / l, a[2] / l];
+};
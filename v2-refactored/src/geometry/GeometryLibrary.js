@@ -2,20 +2,60 @@
  * VIB3 Geometry Library
  * 8 geometric types with 4D polytopal mathematics integration
  * WebGL 1.0 compatible shaders only
+ *
+ * Plugins add geometries after the built-in eight with registerGeometry(). Their GLSL goes into
+ * the `geometryPlugins` shader chunk, which the faceted, quantum and holographic shaders (live
+ * and exported) include, so a registered geometry renders everywhere those shaders do.
  */
 
+import { shaderChunks } from '../core/ShaderChunks.js';
+import { PARAMETER_SCHEMA } from '../core/ParameterSchema.js';
+
+const BUILT_IN_GEOMETRIES = [
+    'TETRAHEDRON',
+    'HYPERCUBE',
+    'SPHERE',
+    'TORUS',
+    'KLEIN BOTTLE',
+    'FRACTAL',
+    'WAVE',
+    'CRYSTAL'
+];
+
+// Variation grid slots 0-29 are the built-ins and 30-99 custom; plugin presets follow
+export const PLUGIN_VARIATION_START = 100;
+
+const GEOMETRY_DESCRIPTION = PARAMETER_SCHEMA.geometry.description;
+const VARIATION_MAX = PARAMETER_SCHEMA.variation.max;
+
+const plugins = [];
+const listeners = new Set();
+
+/**
+ * GLSL for the `geometryPlugins` chunk: one function per plugin plus pluginLattice(), which
+ * the shaders call for any geometry index past the built-ins
+ */
+function pluginChunkSource() {
+    const functions = plugins.map(plugin => `// ${plugin.name}
+float geometryPlugin${plugin.index}(vec4 p, float gridSize) {
+    ${plugin.glsl.trim()}
+}
+`);
+    const branches = plugins.map(plugin => `    if (geomType == ${plugin.index}) return geometryPlugin${plugin.index}(p, gridSize);`);
+
+    return `
+// Registered geometries (GeometryLibrary.registerGeometry), from index ${BUILT_IN_GEOMETRIES.length}
+${functions.join('\n')}
+float pluginLattice(int geomType, vec4 p, float gridSize) {
+${branches.join('\n')}
+    return 0.0;
+}
+`;
+}
+
 export class GeometryLibrary {
     static getGeometryNames() {
-        return [
-            'TETRAHEDRON',
-            'HYPERCUBE', 
-            'SPHERE',
-            'TORUS',
-            'KLEIN BOTTLE',
-            'FRACTAL',
-            'WAVE',
-            'CRYSTAL'
-        ];
+        return [...BUILT_IN_GEOMETRIES, ...plugins.map(plugin => plugin.name)];
     }
     
     static getGeometryName(type) {
@@ -23,6 +63,118 @@ export class GeometryLibrary {
         return names[type] || 'UNKNOWN';
     }
     
+    static getGeometryCount() {
+        return BUILT_IN_GEOMETRIES.length + plugins.length;
+    }
+    
+    /**
+     * @returns {Object[]} Registered plugins: { index, name (upper case, like the built-ins), label
+     *   (as registered), glsl, presets (null = generated) }
+     */
+    static getGeometryPlugins() {
+        return plugins.slice();
+    }
+    
+    /**
+     * Add a geometry to every faceted, quantum and holographic shader.
+     *
+     * `glsl` is the body of `float lattice(vec4 p, float gridSize)`: return 1.0 on the lattice and
+     * 0.0 away from it. `p` is the rotated, projected point (w is 0 in the holographic system),
+     * `gridSize` already includes the density slider, and `u_time` is available for animation.
+     *
+     * Registering a name again replaces that plugin in place, keeping its index.
+     * @param {Object} plugin
+     * @param {string} plugin.name - Shown on geometry buttons, variations and cards; case-insensitive
+     * @param {string} plugin.glsl - Lattice function body
+     * @param {Object[]} [plugin.presets] - Parameters for each variation grid entry; four levels
+     *   from getVariationParameters() when omitted
+     * @returns {number} Geometry index
+     * @throws {Error} When the name or GLSL is missing or the name belongs to a built-in
+     */
+    static registerGeometry({ name, glsl, presets } = {}) {
+        const label = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+        const upperName = label.toUpperCase();
+        if (!label) {
+            throw new Error('Geometry plugins need a name');
+        }
+        if (typeof glsl !== 'string' || !/\breturn\b/.test(glsl)) {
+            throw new Error(`Geometry plugin "${label}" needs a GLSL lattice body that returns a float`);
+        }
+        if (BUILT_IN_GEOMETRIES.includes(upperName)) {
+            throw new Error(`"${label}" is a built-in geometry`);
+        }
+
+        const existing = plugins.find(plugin => plugin.name === upperName);
+        const index = existing ? existing.index : this.getGeometryCount();
+        const plugin = {
+            index,
+            name: upperName,
+            label,
+            glsl,
+            presets: Array.isArray(presets) && presets.length > 0 ? presets.map(preset => ({ ...preset })) : null
+        };
+
+        if (existing) {
+            plugins[plugins.indexOf(existing)] = plugin;
+        } else {
+            plugins.push(plugin);
+        }
+
+        // The LLM prompt and parameter validation read their ranges from the schema
+        PARAMETER_SCHEMA.geometry.max = this.getGeometryCount() - 1;
+        PARAMETER_SCHEMA.geometry.description = [GEOMETRY_DESCRIPTION, ...plugins.map(entry => entry.label)].join(', ');
+        PARAMETER_SCHEMA.variation.max = Math.max(VARIATION_MAX, PLUGIN_VARIATION_START + this.getPluginVariations().length - 1);
+
+        // Running programs rebuild through shaderChunks.watch()
+        shaderChunks.update({ geometryPlugins: pluginChunkSource() });
+
+        console.log(`🧩 Geometry ${index} registered: ${upperName}`);
+        listeners.forEach(listener => listener(plugin));
+        return index;
+    }
+    
+    /**
+     * Variation grid entries for plugin geometries, in index order from PLUGIN_VARIATION_START
+     * @returns {Object[]} { geometry, level, name, parameters }
+     */
+    static getPluginVariations() {
+        return plugins.flatMap(plugin => {
+            const levels = plugin.presets ? plugin.presets.length : 4;
+            return Array.from({ length: levels }, (_, level) => ({
+                geometry: plugin.index,
+                level,
+                name: `${plugin.name} LATTICE ${level + 1}`,
+                parameters: { ...this.getVariationParameters(plugin.index, level), geometry: plugin.index }
+            }));
+        });
+    }
+    
+    /**
+     * @param {Function} listener - Called with each plugin as it registers
+     * @returns {Function} Unsubscribe
+     */
+    static onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+    
+    /**
+     * A geometry part way between two others, as the lattice shaders take it. The lattices are
+     * distance functions rather than vertex lists, so the morph mixes the two functions' values
+     * (u_geometryFrom into u_geometry by u_geometryMorph) instead of moving vertices.
+     * @param {number} fromGeometry
+     * @param {number} toGeometry
+     * @param {number} progress - 0 draws fromGeometry, 1 toGeometry
+     * @returns {{ geometry: number, geometryFrom: number, geometryMorph: number }}
+     */
+    static createMorphingGeometry(fromGeometry, toGeometry, progress) {
+        return {
+            geometry: toGeometry,
+            geometryFrom: fromGeometry,
+            geometryMorph: Math.min(Math.max(progress, 0), 1)
+        };
+    }
+    
     /**
      * Get variation parameters for specific geometry and level
      */
@@ -65,8 +217,14 @@ export class GeometryLibrary {
                 baseParams.gridDensity *= 1.5;
                 baseParams.morphFactor *= 0.6;
                 break;
+            default: { // Plugin: its preset for this level, if it has one
+                const preset = plugins.find(plugin => plugin.index === geometryType)?.presets?.[level];
+                if (preset) Object.assign(baseParams, preset);
+            }
         }
         
         return baseParams;
     }
-}
\ No newline at end of file
+}
+
+shaderChunks.register('geometryPlugins', pluginChunkSource());
@@ -0,0 +1,238 @@
+/**
+ * VIB34D Polytope Import
+ * Reads arbitrary 4D polytopes - uniform polychora, duoprisms, custom shapes - from 4OFF files
+ * or JSON vertex/edge/face lists and builds the mesh layout the polychora renderers draw:
+ * { vertices (xyzw), colors (rgba), indices (edge pairs), vertexCount }, plus the edge and
+ * face lists. Meshes are centered and scaled to a unit circumradius.
+ *
+ * Malformed input throws an Error whose message names the offending line or field, so the
+ * import panel can show it as is.
+ */
+
+// The live renderer uploads every projected edge each frame and loops over them per pixel
+export const MAX_IMPORT_EDGES = 2048;
+
+// Edge indices are drawn as UNSIGNED_SHORT
+const MAX_IMPORT_VERTICES = 65536;
+
+/**
+ * Parse an OFF or JSON polytope, picking the format from the file name or the content
+ * @param {string} text - File contents
+ * @param {string} [filename] - Used for the format and the default name
+ * @returns {Object} Mesh
+ * @throws {Error} When the file is malformed
+ */
+export function parsePolytope(text, filename = '') {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('The file is empty');
+    }
+
+    const baseName = filename.replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, '');
+    const isJSON = /\.json$/i.test(filename) || /^\s*[{[]/.test(text);
+    return isJSON ? parsePolytopeJSON(text, baseName) : parsePolytopeOFF(text, baseName);
+}
+
+/**
+ * JSON: { name?, vertices: [[x, y, z, w], ...], edges?: [[a, b], ...], faces?: [[a, b, c, ...], ...] }
+ * Edges are taken from the face outlines when not listed.
+ */
+export function parsePolytopeJSON(text, defaultName = '') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Expected an object with "vertices" and "edges" or "faces"');
+    }
+    if (!Array.isArray(data.vertices)) {
+        throw new Error('"vertices" must be an array of [x, y, z, w]');
+    }
+    if (data.name !== undefined && typeof data.name !== 'string') {
+        throw new Error('"name" must be a string');
+    }
+
+    const vertices = data.vertices.map((vertex, i) => {
+        if (!Array.isArray(vertex) || vertex.length !== 4 || !vertex.every(Number.isFinite)) {
+            throw new Error(`vertices[${i}] must be 4 finite numbers`);
+        }
+        return vertex;
+    });
+
+    const readIndexLists = (field, minLength) => {
+        if (data[field] === undefined) return [];
+        if (!Array.isArray(data[field])) {
+            throw new Error(`"${field}" must be an array of vertex index lists`);
+        }
+        return data[field].map((list, i) => {
+            const where = `${field}[${i}]`;
+            if (!Array.isArray(list) || list.length < minLength || (field === 'edges' && list.length !== 2)) {
+                throw new Error(`${where} must list ${field === 'edges' ? '2' : `at least ${minLength}`} vertex indices`);
+            }
+            list.forEach(index => checkIndex(index, vertices.length, where));
+            return list;
+        });
+    };
+
+    const edges = readIndexLists('edges', 2);
+    const faces = readIndexLists('faces', 3);
+    if (data.edges === undefined && data.faces === undefined) {
+        throw new Error('Expected "edges" or "faces"');
+    }
+
+    return buildPolytopeMesh({
+        name: data.name || defaultName,
+        vertices,
+        edges: edges.length > 0 ? edges : edgesFromFaces(faces),
+        faces
+    });
+}
+
+/**
+ * 4OFF (Stella4D, Polytope Wiki): "4OFF", then "vertices faces edges cells", the vertex
+ * coordinates, and faces as "n i1 ... in". Also accepts geomview nOFF with dimension 4.
+ * Cells and face colors are ignored; edges come from the face outlines.
+ */
+export function parsePolytopeOFF(text, defaultName = '') {
+    // Numbered lines without comments or blanks
+    const lines = text.split(/\r?\n/)
+        .map((line, i) => ({ number: i + 1, tokens: line.replace(/#.*/, '').trim().split(/\s+/).filter(Boolean) }))
+        .filter(line => line.tokens.length > 0);
+    let cursor = 0;
+    const next = what => {
+        if (cursor >= lines.length) {
+            throw new Error(`Unexpected end of file, expected ${what}`);
+        }
+        return lines[cursor++];
+    };
+
+    const header = next('the 4OFF header');
+    const keyword = header.tokens.shift().toUpperCase();
+    if (keyword === 'NOFF') {
+        const dimension = header.tokens.length > 0 ? header.tokens.shift() : next('the dimension').tokens[0];
+        if (dimension !== '4') {
+            throw new Error(`Line ${header.number}: only 4-dimensional nOFF files are supported, got dimension ${dimension}`);
+        }
+    } else if (keyword !== '4OFF') {
+        throw new Error(`Line ${header.number}: expected a 4OFF header, got "${keyword}"`);
+    }
+
+    const countLine = header.tokens.length > 0 ? header : next('the vertex and face counts');
+    const counts = countLine.tokens.map(Number);
+    if (counts.length < 2 || !counts.every(count => Number.isInteger(count) && count >= 0)) {
+        throw new Error(`Line ${countLine.number}: expected vertex and face counts`);
+    }
+    const [vertexCount, faceCount] = counts;
+
+    const vertices = [];
+    for (let i = 0; i < vertexCount; i++) {
+        const line = next(`vertex ${i + 1} of ${vertexCount}`);
+        const coordinates = line.tokens.map(Number);
+        if (coordinates.length !== 4 || !coordinates.every(Number.isFinite)) {
+            throw new Error(`Line ${line.number}: vertex ${i} must be 4 numbers`);
+        }
+        vertices.push(coordinates);
+    }
+
+    const faces = [];
+    for (let i = 0; i < faceCount; i++) {
+        const line = next(`face ${i + 1} of ${faceCount}`);
+        const [size, ...rest] = line.tokens.map(Number);
+        if (!Number.isInteger(size) || size < 3 || rest.length < size) {
+            throw new Error(`Line ${line.number}: face ${i} must be a vertex count of at least 3 followed by that many indices`);
+        }
+        // Anything after the indices is a face color
+        const face = rest.slice(0, size);
+        face.forEach(index => checkIndex(index, vertices.length, `Line ${line.number}`));
+        faces.push(face);
+    }
+
+    return buildPolytopeMesh({
+        name: defaultName,
+        vertices,
+        edges: edgesFromFaces(faces),
+        faces
+    });
+}
+
+function checkIndex(index, vertexCount, where) {
+    if (!Number.isInteger(index) || index < 0 || index >= vertexCount) {
+        throw new Error(`${where}: vertex index ${index} is out of range (0-${vertexCount - 1})`);
+    }
+}
+
+/**
+ * Unique edges around the outline of every face
+ */
+function edgesFromFaces(faces) {
+    const edges = [];
+    faces.forEach(face => {
+        face.forEach((a, i) => edges.push([a, face[(i + 1) % face.length]]));
+    });
+    return edges;
+}
+
+/**
+ * Validate and normalize a parsed polytope into the renderer mesh layout
+ * @param {Object} polytope
+ * @param {string} polytope.name
+ * @param {number[][]} polytope.vertices - [x, y, z, w] each
+ * @param {number[][]} polytope.edges - Vertex index pairs; duplicates and reversed pairs are merged
+ * @param {number[][]} [polytope.faces]
+ * @returns {Object} { name, vertices, colors, indices, vertexCount, edgeCount, edges, faces }
+ */
+export function buildPolytopeMesh({ name, vertices, edges, faces = [] }) {
+    if (vertices.length < 2) {
+        throw new Error(`A polytope needs at least 2 vertices, got ${vertices.length}`);
+    }
+    if (vertices.length > MAX_IMPORT_VERTICES) {
+        throw new Error(`Too many vertices (${vertices.length}); the limit is ${MAX_IMPORT_VERTICES}`);
+    }
+
+    const seen = new Set();
+    const uniqueEdges = [];
+    edges.forEach(([a, b]) => {
+        if (a === b) {
+            throw new Error(`Edge ${a}-${b} connects a vertex to itself`);
+        }
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            uniqueEdges.push(a < b ? [a, b] : [b, a]);
+        }
+    });
+    if (uniqueEdges.length === 0) {
+        throw new Error('The polytope has no edges');
+    }
+    if (uniqueEdges.length > MAX_IMPORT_EDGES) {
+        throw new Error(`Too many edges (${uniqueEdges.length}); the limit is ${MAX_IMPORT_EDGES}`);
+    }
+
+    // Center on the vertex centroid and scale to a unit circumradius
+    const center = [0, 1, 2, 3].map(axis => vertices.reduce((sum, vertex) => sum + vertex[axis], 0) / vertices.length);
+    const radius = Math.max(...vertices.map(vertex => Math.hypot(...vertex.map((value, axis) => value - center[axis]))));
+    if (!(radius > 1e-9)) {
+        throw new Error('All vertices are at the same point');
+    }
+
+    const positions = new Float32Array(vertices.length * 4);
+    const colors = new Float32Array(vertices.length * 4);
+    vertices.forEach((vertex, i) => {
+        const normalized = vertex.map((value, axis) => (value - center[axis]) / radius);
+        positions.set(normalized, i * 4);
+        // Color from 4D position, like the built-in polytopes
+        colors.set([0.5 + normalized[0] * 0.5, 0.5 + normalized[1] * 0.5, 0.5 + normalized[2] * 0.5, 0.8], i * 4);
+    });
+
+    return {
+        name: (name || '').trim() || 'Imported Polytope',
+        vertices: positions,
+        colors,
+        indices: new Uint16Array(uniqueEdges.flat()),
+        vertexCount: vertices.length,
+        edgeCount: uniqueEdges.length,
+        edges: uniqueEdges,
+        faces: faces.map(face => face.slice())
+    };
+}
@@ -0,0 +1,116 @@
+/**
+ * VIB34D Regular Polytopes
+ * Exact vertex and edge meshes of the six regular convex polychora, in PolychoraSystem's
+ * polytope order. The live shader draws these as distance-function approximations; code that
+ * needs the real geometry (cross-sections) builds them here, in the same layout as imports.
+ */
+
+import { buildPolytopeMesh } from './PolytopeImport.js';
+import { vec4 } from '../core/Math4D.js';
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+
+/**
+ * Every permutation of values with every sign combination, duplicates removed
+ * @param {number[]} values
+ * @param {boolean} [evenOnly] - Only even permutations
+ */
+function signedPermutations(values, evenOnly = false) {
+    const results = new Map();
+    const permute = (remaining, chosen, parity) => {
+        if (remaining.length === 0) {
+            if (evenOnly && parity % 2 !== 0) return;
+            addSigns(chosen, 0);
+            return;
+        }
+        remaining.forEach((index, i) => {
+            permute(remaining.filter((_, j) => j !== i), [...chosen, values[index]], parity + i);
+        });
+    };
+    const addSigns = (point, axis) => {
+        if (axis === point.length) {
+            results.set(point.join(','), point);
+            return;
+        }
+        addSigns(point, axis + 1);
+        if (point[axis] !== 0) {
+            addSigns(point.map((value, i) => (i === axis ? -value : value)), axis + 1);
+        }
+    };
+    permute(values.map((_, i) => i), [], 0);
+    return [...results.values()];
+}
+
+/**
+ * Regular polytopes have every edge at the shortest vertex distance
+ */
+function nearestNeighbourEdges(vertices) {
+    let shortest = Infinity;
+    for (let a = 0; a < vertices.length; a++) {
+        for (let b = a + 1; b < vertices.length; b++) {
+            shortest = Math.min(shortest, vec4.distance(vertices[a], vertices[b]));
+        }
+    }
+
+    const edges = [];
+    for (let a = 0; a < vertices.length; a++) {
+        for (let b = a + 1; b < vertices.length; b++) {
+            if (vec4.distance(vertices[a], vertices[b]) < shortest * (1 + 1e-6)) {
+                edges.push([a, b]);
+            }
+        }
+    }
+    return edges;
+}
+
+const VERTEX_SETS = [
+    // 5-Cell
+    () => {
+        const w = 1 / Math.sqrt(5);
+        return [[1, 1, 1, -w], [1, -1, -1, -w], [-1, 1, -1, -w], [-1, -1, 1, -w], [0, 0, 0, 4 * w]];
+    },
+    // Tesseract
+    () => signedPermutations([1, 1, 1, 1]),
+    // 16-Cell
+    () => signedPermutations([1, 0, 0, 0]),
+    // 24-Cell
+    () => signedPermutations([1, 1, 0, 0]),
+    // 600-Cell
+    () => [
+        ...signedPermutations([0.5, 0.5, 0.5, 0.5]),
+        ...signedPermutations([1, 0, 0, 0]),
+        ...signedPermutations([PHI / 2, 0.5, 1 / (2 * PHI), 0], true)
+    ],
+    // 120-Cell
+    () => [
+        ...signedPermutations([0, 0, 2, 2]),
+        ...signedPermutations([1, 1, 1, Math.sqrt(5)]),
+        ...signedPermutations([PHI ** -2, PHI, PHI, PHI]),
+        ...signedPermutations([1 / PHI, 1 / PHI, 1 / PHI, PHI ** 2]),
+        ...signedPermutations([0, PHI ** -2, 1, PHI ** 2], true),
+        ...signedPermutations([0, 1 / PHI, PHI, Math.sqrt(5)], true),
+        ...signedPermutations([1 / PHI, 1, PHI, 2], true)
+    ]
+];
+
+const NAMES = ['5-Cell', 'Tesseract', '16-Cell', '24-Cell', '600-Cell', '120-Cell'];
+
+const cache = new Map();
+
+/**
+ * Mesh of a built-in polytope, built on first use
+ * @param {number} index - PolychoraSystem polytope index (0-5, clamped)
+ * @returns {Object} buildPolytopeMesh() layout, unit circumradius
+ */
+export function regularPolytope(index) {
+    const clamped = Math.max(0, Math.min(VERTEX_SETS.length - 1, Math.round(index) || 0));
+    if (!cache.has(clamped)) {
+        const vertices = VERTEX_SETS[clamped]();
+        cache.set(clamped, buildPolytopeMesh({
+            name: NAMES[clamped],
+            vertices,
+            edges: nearestNeighbourEdges(vertices)
+        }));
+    }
+    return cache.get(clamped);
+}
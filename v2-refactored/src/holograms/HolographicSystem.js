@@ -4,6 +4,7 @@
  */
 import { HolographicVisualizer } from './HolographicVisualizer.js';
 import { ExportSystem } from '../features/ExportSystem.js';
+import { random } from '../core/Clock.js';
 
 export class HolographicSystem {
     constructor() {
@@ -225,7 +226,7 @@ export class HolographicSystem {
     }
     
     randomVariant() {
-        const randomIndex = Math.floor(Math.random() * this.totalVariants);
+        const randomIndex = random.fork('holographic-variants').int(0, this.totalVariants - 1);
         this.updateVariant(randomIndex);
     }
     
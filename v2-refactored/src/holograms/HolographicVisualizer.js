@@ -2,9 +2,17 @@
  * Core Holographic Visualizer - Clean WebGL rendering engine
  * Extracted from working system, no debugging mess
  */
+import { clock } from '../core/Clock.js';
+import { resolveLayerCanvas } from '../core/UnifiedCanvasManager.js';
+import { projectionValue } from '../core/Projection.js';
+import { shaderChunks } from '../core/ShaderChunks.js';
+import '../geometry/GeometryLibrary.js'; // Registers the geometryPlugins shader chunk
+
 export class HolographicVisualizer {
     constructor(canvasId, role = 'content', reactivity = 1.0, variant = 0) {
-        this.canvas = document.getElementById(canvasId);
+        // Accept a canvas id or a canvas element (OffscreenCanvas for headless rendering);
+        // ids resolve to unified layer targets when the single-context renderer is running
+        this.canvas = resolveLayerCanvas(canvasId);
         this.role = role;
         this.reactivity = reactivity;
         this.variant = variant;
@@ -77,10 +85,13 @@ export class HolographicVisualizer {
         this.audioChaosBoost = 0.0;
         this.audioColorShift = 0.0;
         
-        this.startTime = Date.now();
+        this.fixedTime = null; // Pinned u_time in ms (headless rendering), null = shared clock
         this.initShaders();
         this.initBuffers();
         this.resize();
+
+        // Recompile when a shared shader chunk changes (hot reload)
+        this.unwatchShaders = shaderChunks.watch(this, () => this.initShaders());
     }
     
     generateVariantParams(variant) {
@@ -207,34 +218,17 @@ export class HolographicVisualizer {
             uniform float u_audioSpeedBoost;
             uniform float u_audioChaosBoost;
             uniform float u_audioColorShift;
+            uniform float u_rot4dXY;
+            uniform float u_rot4dXZ;
+            uniform float u_rot4dYZ;
             uniform float u_rot4dXW;
             uniform float u_rot4dYW;
             uniform float u_rot4dZW;
             
             // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
+            #include <rotation4d>
             
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-            
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
-            
-            // 4D to 3D projection
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
+            #include <projection>
             
             // Enhanced VIB3 Geometry Library - Higher Fidelity
             float tetrahedronLattice(vec3 p, float gridSize) {
@@ -345,6 +339,8 @@ export class HolographicVisualizer {
                 return 1.0 - smoothstep(0.3, 0.5, d);
             }
             
+            #include <geometryPlugins>
+            
             float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
                 // WebGL 1.0 compatible modulus replacement
                 float baseGeomFloat = geometryType - floor(geometryType / 8.0) * 8.0;
@@ -352,6 +348,9 @@ export class HolographicVisualizer {
                 float variation = floor(geometryType / 8.0) / 4.0;
                 float variedGridSize = gridSize * (0.5 + variation * 1.5);
                 
+                // Registered geometries sit past the built-in eight and stay out of the morph wrap
+                if (u_geometryType >= 8.0) return pluginLattice(int(u_geometryType + 0.5), vec4(p, 0.0), variedGridSize);
+                
                 if (baseGeom == 0) return tetrahedronLattice(p, variedGridSize);
                 else if (baseGeom == 1) return hypercubeLattice(p, variedGridSize);
                 else if (baseGeom == 2) return sphereLattice(p, variedGridSize);
@@ -362,11 +361,7 @@ export class HolographicVisualizer {
                 else return crystalLattice(p, variedGridSize);
             }
             
-            vec3 hsv2rgb(vec3 c) {
-                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-            }
+            #include <hsv>
             
             vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
                 vec2 offset = vec2(intensity * 0.005, 0.0);
@@ -416,6 +411,9 @@ export class HolographicVisualizer {
                 float touchRotation = u_touchMorph * 0.2;
                 
                 // Combine manual rotation with automatic/interactive rotation
+                p4d = rotateXY(u_rot4dXY) * p4d;
+                p4d = rotateXZ(u_rot4dXZ) * p4d;
+                p4d = rotateYZ(u_rot4dYZ) * p4d;
                 p4d = rotateXW(u_rot4dXW + time * 0.2 + mouseOffset.y * 0.5 + scrollRotation) * p4d;
                 p4d = rotateYW(u_rot4dYW + time * 0.15 + mouseOffset.x * 0.5 + touchRotation) * p4d;
                 p4d = rotateZW(u_rot4dZW + time * 0.25 + u_clickIntensity * 0.3 + u_touchChaos * 0.4) * p4d;
@@ -482,7 +480,7 @@ export class HolographicVisualizer {
             }
         `;
         
-        this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
+        this.program = this.createProgram(vertexShaderSource, shaderChunks.compose(fragmentShaderSource));
         this.uniforms = {
             resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
             time: this.gl.getUniformLocation(this.program, 'u_time'),
@@ -512,9 +510,13 @@ export class HolographicVisualizer {
             audioSpeedBoost: this.gl.getUniformLocation(this.program, 'u_audioSpeedBoost'),
             audioChaosBoost: this.gl.getUniformLocation(this.program, 'u_audioChaosBoost'),
             audioColorShift: this.gl.getUniformLocation(this.program, 'u_audioColorShift'),
+            rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+            rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+            rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
             rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
             rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
-            rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW')
+            rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
+            projection: this.gl.getUniformLocation(this.program, 'u_projection')
         };
     }
     
@@ -585,12 +587,28 @@ export class HolographicVisualizer {
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
         this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
         
-        const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-        this.gl.enableVertexAttribArray(positionLocation);
-        this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
+        this.positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
+        this.gl.enableVertexAttribArray(this.positionLocation);
+        this.gl.vertexAttribPointer(this.positionLocation, 2, this.gl.FLOAT, false, 0, 0);
+    }
+    
+    /**
+     * Unified renderer: draw into this layer's framebuffer and rebind our quad (the context is shared)
+     */
+    bindLayerTarget() {
+        if (!this.canvas.bind) return;
+        this.canvas.bind();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        this.gl.enableVertexAttribArray(this.positionLocation);
+        this.gl.vertexAttribPointer(this.positionLocation, 2, this.gl.FLOAT, false, 0, 0);
     }
     
     resize() {
+        // Offscreen canvases keep the size they were created with
+        if (typeof this.canvas.getBoundingClientRect !== 'function') {
+            return;
+        }
+        
         // Mobile-optimized canvas sizing
         const dpr = Math.min(window.devicePixelRatio || 1, 2); // Cap at 2x for mobile performance
         const width = this.canvas.clientWidth;
@@ -713,12 +731,13 @@ export class HolographicVisualizer {
         
         this.resize();
         this.gl.useProgram(this.program);
+        this.bindLayerTarget();
         
         this.densityVariation += (this.densityTarget - this.densityVariation) * 0.05;
         this.clickIntensity *= this.clickDecay;
         this.updateScrollPhysics();
         
-        const time = Date.now() - this.startTime;
+        const time = this.fixedTime !== null ? this.fixedTime : clock.getTimeMs();
         
         // Convert HSL to RGB for color uniform
         const hue = (this.variantParams.hue || 0) / 360; // Convert to 0-1 range
@@ -785,9 +804,13 @@ export class HolographicVisualizer {
         this.gl.uniform1f(this.uniforms.audioColorShift, this.audioColorShift || 0.0);
         
         // 4D rotation uniforms
+        this.gl.uniform1f(this.uniforms.rot4dXY, this.variantParams.rot4dXY || 0.0);
+        this.gl.uniform1f(this.uniforms.rot4dXZ, this.variantParams.rot4dXZ || 0.0);
+        this.gl.uniform1f(this.uniforms.rot4dYZ, this.variantParams.rot4dYZ || 0.0);
         this.gl.uniform1f(this.uniforms.rot4dXW, this.variantParams.rot4dXW || 0.0);
         this.gl.uniform1f(this.uniforms.rot4dYW, this.variantParams.rot4dYW || 0.0);
         this.gl.uniform1f(this.uniforms.rot4dZW, this.variantParams.rot4dZW || 0.0);
+        this.gl.uniform1f(this.uniforms.projection, projectionValue(this.variantParams.projection, 'holographic'));
         
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
     }
@@ -878,9 +901,13 @@ export class HolographicVisualizer {
         const paramMap = {
             'gridDensity': 'density',
             'morphFactor': 'morph',
+            'rot4dXY': 'rot4dXY',
+            'rot4dXZ': 'rot4dXZ',
+            'rot4dYZ': 'rot4dYZ',
             'rot4dXW': 'rot4dXW',
             'rot4dYW': 'rot4dYW', 
             'rot4dZW': 'rot4dZW',
+            'projection': 'projection',
             'hue': 'hue',
             'intensity': 'intensity',
             'saturation': 'saturation',
@@ -890,4 +917,20 @@ export class HolographicVisualizer {
         };
         return paramMap[globalParam] || globalParam;
     }
-}
\ No newline at end of file
+
+    /**
+     * Clean up WebGL resources
+     */
+    destroy() {
+        if (this.unwatchShaders) {
+            this.unwatchShaders();
+            this.unwatchShaders = null;
+        }
+        if (this.gl && this.program) {
+            this.gl.deleteProgram(this.program);
+        }
+        if (this.gl && this.buffer) {
+            this.gl.deleteBuffer(this.buffer);
+        }
+    }
+}
@@ -4,6 +4,9 @@
  * Audio reactive only - no mouse/touch/scroll interference
  */
 import { HolographicVisualizer } from './HolographicVisualizer.js';
+import { clock, random } from '../core/Clock.js';
+import { watchContextLoss, reinitializeVisualizers } from '../core/ContextRecovery.js';
+import { tweenParameters } from '../core/Transitions.js';
 
 export class RealHolographicSystem {
     constructor() {
@@ -12,6 +15,7 @@ export class RealHolographicSystem {
         this.baseVariants = 30; // Original 30 variations
         this.totalVariants = 30;
         this.isActive = false;
+        this.transitions = []; // One variant tween per layer
         
         // Audio reactivity system
         this.audioEnabled = false;
@@ -86,6 +90,11 @@ export class RealHolographicSystem {
             }
         });
         
+        this.unwatchContext = watchContextLoss(
+            this.visualizers.map(visualizer => visualizer.canvas),
+            canvas => this.restoreContext(canvas)
+        );
+        
         console.log(`✅ Created ${successfulLayers}/5 REAL holographic layers`);
         
         if (successfulLayers === 0) {
@@ -138,7 +147,7 @@ export class RealHolographicSystem {
     }
     
     randomVariant() {
-        const randomIndex = Math.floor(Math.random() * this.totalVariants);
+        const randomIndex = random.fork('holographic-variants').int(0, this.totalVariants - 1);
         this.updateVariant(randomIndex);
     }
     
@@ -195,9 +204,11 @@ export class RealHolographicSystem {
         if (newVariant >= this.totalVariants) newVariant = 0;
         
         this.currentVariant = newVariant;
+        this.transitions.forEach(transition => transition.cancel());
         
-        // Update all visualizers with new variant parameters
-        this.visualizers.forEach(visualizer => {
+        // Update all visualizers with new variant parameters, tweening from the old ones
+        this.transitions = this.visualizers.map(visualizer => {
+            const from = { ...visualizer.variantParams };
             visualizer.variant = this.currentVariant;
             visualizer.variantParams = visualizer.generateVariantParams(this.currentVariant);
             visualizer.roleParams = visualizer.generateRoleParams(visualizer.role);
@@ -208,12 +219,27 @@ export class RealHolographicSystem {
                     visualizer.variantParams[param] = this.customParams[param];
                 });
             }
+            
+            const to = { ...visualizer.variantParams };
+            return tweenParameters(from, to, values => Object.assign(visualizer.variantParams, values));
         });
         
         this.updateVariantDisplay();
         console.log(`🔄 REAL Holograms switched to variant ${this.currentVariant + 1}: ${this.variantNames[this.currentVariant]}`);
     }
     
+    /**
+     * Rebuild WebGL resources after a context loss. Each visualizer keeps its variant and
+     * slider overrides in variantParams, so the rebuilt layers redraw exactly what was on screen.
+     * @param {HTMLCanvasElement} [canvas] - Only the layer drawing to this canvas; all layers when omitted
+     */
+    restoreContext(canvas = null) {
+        const restored = reinitializeVisualizers(this.visualizers, canvas);
+        restored.forEach(visualizer => visualizer.render());
+        console.log(`✅ REAL Holograms: ${restored.length} layers restored on variant ${this.currentVariant + 1}`);
+        return restored.length;
+    }
+    
     getCurrentVariantInfo() {
         return {
             variant: this.currentVariant,
@@ -236,9 +262,13 @@ export class RealHolographicSystem {
             hue: parseFloat(document.getElementById('hue')?.value || 320),
             intensity: parseFloat(document.getElementById('intensity')?.value || 0.6),
             saturation: parseFloat(document.getElementById('saturation')?.value || 0.8),
+            rot4dXY: parseFloat(document.getElementById('rot4dXY')?.value || 0.0),
+            rot4dXZ: parseFloat(document.getElementById('rot4dXZ')?.value || 0.0),
+            rot4dYZ: parseFloat(document.getElementById('rot4dYZ')?.value || 0.0),
             rot4dXW: parseFloat(document.getElementById('rot4dXW')?.value || 0.0),
             rot4dYW: parseFloat(document.getElementById('rot4dYW')?.value || 0.0),
             rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0.0),
+            projection: parseFloat(document.getElementById('projection')?.value || 0.0),
             variant: this.currentVariant
         };
         
@@ -535,7 +565,9 @@ export class RealHolographicSystem {
     }
     
     startRenderLoop() {
-        const render = () => {
+        const render = (timestamp) => {
+            clock.tick(timestamp);
+            
             if (this.isActive) {
                 // Update audio reactivity
                 this.updateAudio();
@@ -558,6 +590,10 @@ export class RealHolographicSystem {
     }
     
     destroy() {
+        if (this.unwatchContext) {
+            this.unwatchContext();
+        }
+        
         this.visualizers.forEach(visualizer => {
             if (visualizer.destroy) {
                 visualizer.destroy();
@@ -3,6 +3,14 @@
  * Converts natural language descriptions to VIB34D parameters using Gemini Flash 1.5
  */
 
+import { describeParameters, validateParameters } from '../core/ParameterSchema.js';
+
+// Parameters the model may set; ranges and descriptions come from the shared schema
+const LLM_PARAMETERS = [
+    'geometry', 'hue', 'intensity', 'saturation', 'speed', 'chaos', 'morphFactor', 'gridDensity',
+    'rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'projection'
+];
+
 export class LLMParameterInterface {
     constructor() {
         // Try Firebase Function first, fallback to direct API
@@ -13,15 +21,17 @@ export class LLMParameterInterface {
         this.apiKey = localStorage.getItem('vib34d-gemini-api-key') || null;
         this.baseApiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
         this.parameterCallback = null;
-        
-        // Comprehensive system prompt with emotional/visual understanding
-        this.systemPrompt = `You are a synesthetic AI that translates human experience into 4-dimensional holographic mathematics.
+    }
+    
+    /**
+     * Comprehensive system prompt with emotional/visual understanding. Built on each request so
+     * geometries registered after construction are offered to the model.
+     */
+    get systemPrompt() {
+        return `You are a synesthetic AI that translates human experience into 4-dimensional holographic mathematics.
 
 You control a VIB34D system with these parameters:
-- geometry (0-7): Tetrahedron, Hypercube, Sphere, Torus, Klein Bottle, Fractal, Wave, Crystal
-- hue (0-360), intensity (0-1), saturation (0-1)
-- speed (0.1-3), chaos (0-1), morphFactor (0-2), gridDensity (5-100)
-- rot4dXW, rot4dYW, rot4dZW (-6.28 to 6.28)
+${describeParameters(LLM_PARAMETERS)}
 
 When given a description, use your understanding of:
 - Visual aesthetics and emotional resonance
@@ -201,39 +211,13 @@ Return only JSON with the parameter names above.`;
      * Validate and clamp parameters to valid ranges
      */
     validateParameters(params) {
-        const validated = {};
-        
-        // Define parameter ranges
-        const ranges = {
-            geometry: { min: 0, max: 7, type: 'int' },
-            hue: { min: 0, max: 360, type: 'int' },
-            intensity: { min: 0, max: 1, type: 'float' },
-            saturation: { min: 0, max: 1, type: 'float' },
-            speed: { min: 0.1, max: 3, type: 'float' },
-            chaos: { min: 0, max: 1, type: 'float' },
-            morphFactor: { min: 0, max: 2, type: 'float' },
-            gridDensity: { min: 5, max: 100, type: 'int' },
-            rot4dXW: { min: -6.28, max: 6.28, type: 'float' },
-            rot4dYW: { min: -6.28, max: 6.28, type: 'float' },
-            rot4dZW: { min: -6.28, max: 6.28, type: 'float' }
-        };
-        
-        // Validate each parameter
-        Object.entries(ranges).forEach(([param, range]) => {
-            if (params.hasOwnProperty(param)) {
-                let value = parseFloat(params[param]);
-                
-                // Clamp to range
-                value = Math.max(range.min, Math.min(range.max, value));
-                
-                // Convert to int if needed
-                if (range.type === 'int') {
-                    value = Math.round(value);
-                }
-                
-                validated[param] = value;
-            }
-        });
+        const llmParams = Object.fromEntries(
+            Object.entries(params).filter(([param]) => LLM_PARAMETERS.includes(param))
+        );
+        const { params: validated, errors } = validateParameters(llmParams);
+        if (errors.length > 0) {
+            console.warn('⚠️ AI parameters adjusted:', errors);
+        }
         
         return validated;
     }
@@ -0,0 +1,386 @@
+/**
+ * VIB34D 4D Collision Detection
+ * Convex-hull collisions between polytopes in 4D. GJK finds whether two hulls overlap (or how
+ * far apart they are) by searching their Minkowski difference for the origin; EPA then expands
+ * GJK's final simplex to the nearest boundary facet to get the penetration depth, normal and
+ * contact point. SpatialHash4D is the broadphase that keeps GJK to nearby pairs.
+ *
+ * Shapes are { vertices: Float32Array or number[] of x, y, z, w, vertexCount }, already placed
+ * in world space.
+ */
+
+import { vec4 } from '../core/Math4D.js';
+
+const GJK_MAX_ITERATIONS = 64;
+const EPA_MAX_ITERATIONS = 128;
+const EPA_TOLERANCE = 1e-6;
+
+/**
+ * Farthest vertex of a shape in a direction
+ */
+export function support(shape, direction) {
+    const { vertices } = shape;
+    let best = 0;
+    let bestDot = -Infinity;
+    for (let i = 0; i < shape.vertexCount; i++) {
+        const offset = i * 4;
+        const dot = vertices[offset] * direction[0] + vertices[offset + 1] * direction[1]
+            + vertices[offset + 2] * direction[2] + vertices[offset + 3] * direction[3];
+        if (dot > bestDot) {
+            bestDot = dot;
+            best = offset;
+        }
+    }
+    return [vertices[best], vertices[best + 1], vertices[best + 2], vertices[best + 3]];
+}
+
+// Minkowski difference vertex, remembering the shape vertices it came from for contact points
+function minkowskiSupport(a, b, direction) {
+    const pointA = support(a, direction);
+    const pointB = support(b, vec4.scale(direction, -1));
+    return { point: vec4.sub(pointA, pointB), a: pointA, b: pointB };
+}
+
+/**
+ * Solve a small symmetric system by Gaussian elimination
+ * @returns {number[]|null} null when singular
+ */
+function solve(matrix, rhs) {
+    const size = rhs.length;
+    const rows = matrix.map((row, i) => [...row, rhs[i]]);
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        if (Math.abs(rows[pivot][col]) < 1e-14) return null;
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        for (let row = 0; row < size; row++) {
+            if (row === col) continue;
+            const factor = rows[row][col] / rows[col][col];
+            for (let k = col; k <= size; k++) rows[row][k] -= factor * rows[col][k];
+        }
+    }
+    return rows.map((row, i) => row[size] / row[i]);
+}
+
+/**
+ * Barycentric coordinates of the point of a simplex's affine hull closest to target
+ * @returns {number[]|null} null when the points are affinely dependent
+ */
+function affineCoordinates(points, target = [0, 0, 0, 0]) {
+    if (points.length === 1) return [1];
+    const base = points[0];
+    const edges = points.slice(1).map(point => vec4.sub(point, base));
+    const gram = edges.map(a => edges.map(b => vec4.dot(a, b)));
+    const mu = solve(gram, edges.map(edge => vec4.dot(edge, vec4.sub(target, base))));
+    if (!mu) return null;
+    return [1 - mu.reduce((sum, value) => sum + value, 0), ...mu];
+}
+
+/**
+ * Closest point to the origin on a simplex of up to five Minkowski vertices (Johnson's
+ * algorithm by subset search: the answer lies inside the face whose affine projection of the
+ * origin has all-positive barycentric coordinates and is nearest)
+ * @param {Object[]} simplex
+ * @param {boolean} [throughLast] - Only faces containing the last vertex. GJK's new support
+ *   vertex is always part of the next closest face.
+ * @returns {Object} { point, simplex: the vertices of that face }
+ */
+function closestOnSimplex(simplex, throughLast = false) {
+    const last = 1 << (simplex.length - 1);
+    let best = null;
+    for (let mask = 1; mask < (1 << simplex.length); mask++) {
+        if (throughLast && !(mask & last)) continue;
+        const face = simplex.filter((_, i) => mask & (1 << i));
+        const lambda = affineCoordinates(face.map(vertex => vertex.point));
+        if (!lambda || lambda.some(value => value < -1e-12)) continue;
+
+        const point = face.reduce((sum, vertex, i) => vec4.add(sum, vec4.scale(vertex.point, lambda[i])), [0, 0, 0, 0]);
+        const distance = vec4.dot(point, point);
+        if (!best || distance < best.distance - 1e-15) {
+            best = { point, distance, simplex: face };
+        }
+    }
+    return best;
+}
+
+/**
+ * GJK in 4D
+ * @param {Object} a - Shape
+ * @param {Object} b - Shape
+ * @returns {Object} { intersecting, distance, simplex }
+ */
+export function gjk(a, b) {
+    let simplex = [minkowskiSupport(a, b, [1, 0, 0, 0])];
+
+    for (let iteration = 0; iteration < GJK_MAX_ITERATIONS; iteration++) {
+        const closest = closestOnSimplex(simplex, true) || closestOnSimplex(simplex);
+        simplex = closest.simplex;
+        if (closest.distance < 1e-12) {
+            return { intersecting: true, distance: 0, simplex };
+        }
+
+        const vertex = minkowskiSupport(a, b, vec4.scale(closest.point, -1));
+        // No vertex beyond the current closest point: the origin is outside
+        if (closest.distance - vec4.dot(closest.point, vertex.point) <= 1e-10 * Math.max(1, closest.distance)) {
+            return { intersecting: false, distance: Math.sqrt(closest.distance), simplex };
+        }
+        simplex = [...simplex, vertex];
+    }
+
+    const closest = closestOnSimplex(simplex);
+    return { intersecting: closest.distance < 1e-12, distance: Math.sqrt(closest.distance), simplex };
+}
+
+/**
+ * Normal of the hyperplane through four 4D points (generalized cross product of three edges)
+ */
+function facetNormal(p0, p1, p2, p3) {
+    const [u, v, w] = [vec4.sub(p1, p0), vec4.sub(p2, p0), vec4.sub(p3, p0)];
+    const det3 = (a, b, c) => a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+    const minor = skip => [u, v, w].map(vector => vector.filter((_, axis) => axis !== skip));
+    return vec4.normalize([
+        det3(...minor(0)),
+        -det3(...minor(1)),
+        det3(...minor(2)),
+        -det3(...minor(3))
+    ], 1e-12);
+}
+
+/**
+ * Grow a GJK simplex that touches the origin into a full 4-simplex, so EPA starts from a
+ * polytope with volume. Search directions are the axes with the simplex's own span projected
+ * out: when the hulls coincide, GJK stops on a single edge through the origin, and plain axis
+ * directions keep finding vertices in that edge's line.
+ */
+function completeSimplex(a, b, simplex) {
+    const result = [...simplex];
+    const axes = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+    for (let attempt = 0; attempt < axes.length && result.length < 5; attempt++) {
+        const span = orthonormalSpan(result.map(({ point }) => point));
+        const candidates = axes
+            .map(axis => span.reduce((rest, basis) => vec4.sub(rest, vec4.scale(basis, vec4.dot(rest, basis))), axis))
+            .filter(direction => vec4.length(direction) > 1e-6);
+        for (const direction of candidates.flatMap(axis => [axis, vec4.scale(axis, -1)])) {
+            const vertex = minkowskiSupport(a, b, vec4.normalize(direction, 1e-12));
+            if (leavesSpan(result, span, vertex.point)) {
+                result.push(vertex);
+                break;
+            }
+        }
+    }
+    return result.length === 5 ? result : null;
+}
+
+// Orthonormal basis of the directions along a simplex (its edges from the first vertex)
+function orthonormalSpan(points) {
+    const basis = [];
+    points.slice(1).forEach(point => {
+        const edge = basis.reduce((rest, axis) => vec4.sub(rest, vec4.scale(axis, vec4.dot(rest, axis))), vec4.sub(point, points[0]));
+        if (vec4.length(edge) > 1e-9) basis.push(vec4.normalize(edge, 1e-12));
+    });
+    return basis;
+}
+
+// Whether a point lies off a simplex's affine hull
+function leavesSpan(simplex, span, point) {
+    const offset = vec4.sub(point, simplex[0].point);
+    const outside = span.reduce((rest, axis) => vec4.sub(rest, vec4.scale(axis, vec4.dot(rest, axis))), offset);
+    return vec4.length(outside) > 1e-9;
+}
+
+/**
+ * EPA in 4D: penetration of two overlapping hulls
+ * @param {Object} a - Shape
+ * @param {Object} b - Shape
+ * @param {Object[]} simplex - gjk() simplex of an intersecting pair
+ * @returns {Object|null} { normal (from a toward b), depth, point, pointA, pointB }, null when
+ *   the overlap has no volume to expand
+ */
+export function epa(a, b, simplex) {
+    const vertices = completeSimplex(a, b, simplex);
+    if (!vertices) return null;
+
+    // Facets face away from an interior point; the simplex centroid stays inside as EPA grows
+    const interior = vertices.reduce((sum, { point }) => vec4.add(sum, vec4.scale(point, 0.2)), [0, 0, 0, 0]);
+    const makeFacet = indices => {
+        const points = indices.map(index => vertices[index].point);
+        let normal = facetNormal(...points);
+        if (vec4.dot(normal, vec4.sub(points[0], interior)) < 0) {
+            normal = vec4.scale(normal, -1);
+        }
+        return { indices, normal, distance: Math.max(0, vec4.dot(normal, points[0])) };
+    };
+    let facets = [0, 1, 2, 3, 4].map(skip => makeFacet([0, 1, 2, 3, 4].filter(index => index !== skip)));
+
+    let closest = null;
+    for (let iteration = 0; iteration < EPA_MAX_ITERATIONS; iteration++) {
+        closest = facets.reduce((best, facet) => (facet.distance < best.distance ? facet : best), facets[0]);
+        const vertex = minkowskiSupport(a, b, closest.normal);
+        if (vec4.dot(vertex.point, closest.normal) - closest.distance < EPA_TOLERANCE) break;
+
+        const visible = facets.filter(facet => vec4.dot(facet.normal, vec4.sub(vertex.point, vertices[facet.indices[0]].point)) > EPA_TOLERANCE);
+        if (visible.length === 0) break;
+
+        // Horizon: triangles of visible facets that no other visible facet shares
+        const ridges = new Map();
+        visible.forEach(facet => {
+            facet.indices.forEach((_, skip) => {
+                const ridge = facet.indices.filter((__, i) => i !== skip);
+                const key = [...ridge].sort((x, y) => x - y).join(',');
+                ridges.set(key, ridges.has(key) ? null : ridge);
+            });
+        });
+
+        const index = vertices.length;
+        vertices.push(vertex);
+        facets = facets.filter(facet => !visible.includes(facet));
+        ridges.forEach(ridge => {
+            if (ridge) facets.push(makeFacet([...ridge, index]));
+        });
+    }
+
+    // Contact: the features of each shape that reach into the other. The smaller feature (a
+    // vertex or edge pressing on a face) is where they touch; equal ones (face on face) overlap
+    // around the middle of both.
+    const normal = closest.normal;
+    const depth = closest.distance;
+    const featureA = deepestFeature(a, normal, depth);
+    const featureB = deepestFeature(b, vec4.scale(normal, -1), depth);
+    let point = vec4.lerp(featureA.centroid, featureB.centroid, 0.5);
+    if (featureA.count !== featureB.count) {
+        point = featureA.count < featureB.count ? featureA.centroid : featureB.centroid;
+    }
+
+    return { normal, depth, point, pointA: featureA.centroid, pointB: featureB.centroid };
+}
+
+/**
+ * Centroid of a shape's vertices within depth of its farthest extent in a direction
+ */
+function deepestFeature(shape, direction, depth) {
+    const { vertices } = shape;
+    const extents = [];
+    let farthest = -Infinity;
+    for (let i = 0; i < shape.vertexCount; i++) {
+        extents[i] = vertices[i * 4] * direction[0] + vertices[i * 4 + 1] * direction[1]
+            + vertices[i * 4 + 2] * direction[2] + vertices[i * 4 + 3] * direction[3];
+        farthest = Math.max(farthest, extents[i]);
+    }
+
+    let centroid = [0, 0, 0, 0];
+    let count = 0;
+    extents.forEach((extent, i) => {
+        if (extent < farthest - depth - 1e-4) return;
+        centroid = vec4.add(centroid, [vertices[i * 4], vertices[i * 4 + 1], vertices[i * 4 + 2], vertices[i * 4 + 3]]);
+        count++;
+    });
+    return { centroid: vec4.scale(centroid, 1 / count), count };
+}
+
+/**
+ * Full narrowphase test
+ * @returns {Object|null} epa() contact, or null when the hulls don't overlap
+ */
+export function collide(a, b) {
+    const result = gjk(a, b);
+    if (!result.intersecting) return null;
+    return epa(a, b, result.simplex) || sphereContact(a, b);
+}
+
+/**
+ * Contact between the hulls' bounding spheres (around their vertex centroids), for overlaps
+ * EPA can't expand, such as flat hulls. Coincident centers push apart along X.
+ * @returns {Object} epa()-shaped contact
+ */
+export function sphereContact(a, b) {
+    const sphereOf = shape => {
+        let center = [0, 0, 0, 0];
+        for (let i = 0; i < shape.vertexCount; i++) {
+            center = vec4.add(center, [shape.vertices[i * 4], shape.vertices[i * 4 + 1], shape.vertices[i * 4 + 2], shape.vertices[i * 4 + 3]]);
+        }
+        center = vec4.scale(center, 1 / shape.vertexCount);
+        let radius = 0;
+        for (let i = 0; i < shape.vertexCount; i++) {
+            radius = Math.max(radius, vec4.distance(center, [shape.vertices[i * 4], shape.vertices[i * 4 + 1], shape.vertices[i * 4 + 2], shape.vertices[i * 4 + 3]]));
+        }
+        return { center, radius };
+    };
+    const sphereA = sphereOf(a);
+    const sphereB = sphereOf(b);
+    const between = vec4.sub(sphereB.center, sphereA.center);
+    const distance = vec4.length(between);
+    const normal = distance > 1e-9 ? vec4.scale(between, 1 / distance) : [1, 0, 0, 0];
+    const pointA = vec4.add(sphereA.center, vec4.scale(normal, sphereA.radius));
+    const pointB = vec4.sub(sphereB.center, vec4.scale(normal, sphereB.radius));
+    return {
+        normal,
+        depth: Math.max(0, sphereA.radius + sphereB.radius - distance),
+        point: vec4.lerp(pointA, pointB, 0.5),
+        pointA,
+        pointB
+    };
+}
+
+/**
+ * Uniform 4D grid of bounding spheres. Each sphere is listed in every cell its bounding box
+ * touches, so two spheres can only overlap if they share a cell.
+ */
+export class SpatialHash4D {
+    /**
+     * @param {number} cellSize - Best around the largest sphere diameter
+     */
+    constructor(cellSize = 4) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.order = new Map(); // Item → insertion index
+    }
+
+    clear() {
+        this.cells.clear();
+        this.order.clear();
+    }
+
+    /**
+     * @param {*} item
+     * @param {number[]} center
+     * @param {number} radius
+     */
+    insert(item, center, radius) {
+        if (!this.order.has(item)) this.order.set(item, this.order.size);
+        const low = center.map(value => Math.floor((value - radius) / this.cellSize));
+        const high = center.map(value => Math.floor((value + radius) / this.cellSize));
+        for (let x = low[0]; x <= high[0]; x++) {
+            for (let y = low[1]; y <= high[1]; y++) {
+                for (let z = low[2]; z <= high[2]; z++) {
+                    for (let w = low[3]; w <= high[3]; w++) {
+                        const key = `${x},${y},${z},${w}`;
+                        if (!this.cells.has(key)) this.cells.set(key, []);
+                        this.cells.get(key).push(item);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Pairs of items sharing at least one cell, each pair once, ordered by insertion
+     * @returns {Array<[*, *]>}
+     */
+    pairs() {
+        const found = new Map();
+        this.cells.forEach(items => {
+            for (let i = 0; i < items.length; i++) {
+                for (let j = i + 1; j < items.length; j++) {
+                    const [first, second] = [this.order.get(items[i]), this.order.get(items[j])].sort((x, y) => x - y);
+                    found.set(first * this.order.size + second, [items[i], items[j]]);
+                }
+            }
+        });
+        return [...found.keys()].sort((x, y) => x - y).map(key => {
+            const [first, second] = found.get(key);
+            return this.order.get(first) < this.order.get(second) ? [first, second] : [second, first];
+        });
+    }
+}
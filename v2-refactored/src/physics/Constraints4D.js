@@ -0,0 +1,268 @@
+/**
+ * VIB34D 4D Constraints
+ * Joints between polychora physics bodies, or between a body and a fixed point in 4D space.
+ *
+ * - spring:   pulls the ends toward restLength with a damped force (applied with the other forces)
+ * - distance: holds the ends exactly length apart
+ * - anchor:   holds a body length from a world point (0 pins it there)
+ * - hinge:    holds the ends length apart and only lets them swing, and spin, in one rotation
+ *             plane; a motorSpeed (radians per second) drives the swing, e.g. for orbits
+ *
+ * Specs are plain JSON with bodies referenced by index, so they can live in
+ * PolychoraSystem.parameters and in saved variations:
+ *   { type: 'hinge', bodyA: 0, bodyB: 2, plane: 'XW', length: 2.5, motorSpeed: 1 }
+ * An end without a body uses point (bodyB for springs, distances and hinges; the anchor's only end).
+ */
+
+import { vec4, ROTATION_PLANES, PLANE_AXES } from '../core/Math4D.js';
+
+export const CONSTRAINT_TYPES = ['spring', 'distance', 'anchor', 'hinge'];
+export const CONSTRAINT_PRESETS = ['none', 'chain', 'orbit'];
+
+const EPSILON = 1e-9;
+
+// Fields each type keeps when serialized, besides type and its ends
+const TYPE_FIELDS = {
+    spring: ['restLength', 'stiffness', 'damping'],
+    distance: ['length'],
+    anchor: ['length'],
+    hinge: ['plane', 'length', 'motorSpeed']
+};
+
+/**
+ * Resolve a spec against the bodies
+ * @param {Object} spec - constraint spec, bodies as indices, ids or the bodies themselves
+ * @param {Function} resolveBody - index, id or body → body (or undefined)
+ * @returns {Object} live constraint holding the bodies
+ */
+export function createConstraint(spec, resolveBody) {
+    if (!CONSTRAINT_TYPES.includes(spec.type)) {
+        throw new Error(`Unknown constraint type: ${spec.type}`);
+    }
+
+    const bodyA = resolveBody(spec.bodyA);
+    if (!bodyA) {
+        throw new Error(`Constraint ${spec.type} has no body ${spec.bodyA}`);
+    }
+    const bodyB = spec.type === 'anchor' || spec.bodyB === undefined || spec.bodyB === null
+        ? null
+        : resolveBody(spec.bodyB);
+    if (spec.type !== 'anchor' && spec.bodyB !== undefined && spec.bodyB !== null && !bodyB) {
+        throw new Error(`Constraint ${spec.type} has no body ${spec.bodyB}`);
+    }
+
+    // Ends without a body are fixed points; an anchor defaults to where its body is now
+    const point = bodyB ? null : [...(spec.point || bodyA.position)];
+    const separation = vec4.distance(bodyA.position, bodyB ? bodyB.position : point);
+
+    const constraint = {
+        type: spec.type,
+        bodyA,
+        bodyB,
+        point,
+        // Jointed bodies pass through each other unless asked otherwise; springs still collide
+        collideConnected: spec.collideConnected ?? spec.type === 'spring'
+    };
+
+    switch (spec.type) {
+        case 'spring':
+            constraint.restLength = spec.restLength ?? separation;
+            constraint.stiffness = spec.stiffness ?? 4.0;
+            constraint.damping = spec.damping ?? 0.5;
+            break;
+        case 'distance':
+        case 'anchor':
+            constraint.length = spec.length ?? separation;
+            break;
+        case 'hinge':
+            if (!ROTATION_PLANES.includes(spec.plane)) {
+                throw new Error(`Hinge plane must be one of ${ROTATION_PLANES.join(', ')}, got ${spec.plane}`);
+            }
+            constraint.plane = spec.plane;
+            constraint.length = spec.length ?? separation;
+            constraint.motorSpeed = spec.motorSpeed ?? null;
+            break;
+    }
+
+    return constraint;
+}
+
+/**
+ * Plain spec for a live constraint
+ * @param {Function} indexOf - body → index
+ */
+export function serializeConstraint(constraint, indexOf) {
+    const spec = { type: constraint.type, bodyA: indexOf(constraint.bodyA) };
+    if (constraint.bodyB) {
+        spec.bodyB = indexOf(constraint.bodyB);
+    } else {
+        spec.point = [...constraint.point];
+    }
+    TYPE_FIELDS[constraint.type].forEach(field => {
+        if (constraint[field] !== null) spec[field] = constraint[field];
+    });
+    if (constraint.collideConnected !== (constraint.type === 'spring')) {
+        spec.collideConnected = constraint.collideConnected;
+    }
+    return spec;
+}
+
+/**
+ * Specs for a ready-made arrangement of bodyCount bodies
+ * - chain: body 0 pinned above the origin, each further body linked to the one before
+ * - orbit: body 0 pinned at the origin, the others circling it, each in its own plane
+ * @returns {Object[]}
+ */
+export function constraintPreset(name, bodyCount) {
+    const specs = [];
+    if (bodyCount < 1 || name === 'none') return specs;
+
+    if (name === 'chain') {
+        specs.push({ type: 'anchor', bodyA: 0, point: [0, 0, 0, 2], length: 0 });
+        for (let i = 1; i < bodyCount; i++) {
+            specs.push({ type: 'distance', bodyA: i - 1, bodyB: i, length: 2.5 });
+        }
+    } else if (name === 'orbit') {
+        specs.push({ type: 'anchor', bodyA: 0, point: [0, 0, 0, 0], length: 0 });
+        for (let i = 1; i < bodyCount; i++) {
+            specs.push({
+                type: 'hinge',
+                bodyA: 0,
+                bodyB: i,
+                plane: ROTATION_PLANES[(i - 1) % ROTATION_PLANES.length],
+                length: 2 + i * 0.75,
+                motorSpeed: 1.5 / i
+            });
+        }
+    } else {
+        throw new Error(`Unknown constraint preset: ${name}`);
+    }
+    return specs;
+}
+
+// Inverse masses of the two ends; fixed points and sleeping bodies don't move
+const inverseMass = body => body && !body.sleeping ? 1 / body.mass : 0;
+const inverseInertia = (body, i) => body && !body.sleeping ? 1 / body.inertia4D[i] : 0;
+
+function ends(constraint) {
+    const { bodyA, bodyB } = constraint;
+    return {
+        positionB: bodyB ? bodyB.position : constraint.point,
+        velocityB: bodyB ? bodyB.velocity : [0, 0, 0, 0],
+        inverseA: inverseMass(bodyA),
+        inverseB: inverseMass(bodyB)
+    };
+}
+
+// Move the ends apart by correction (A back, B forward) and change their relative velocity by
+// impulse, split by inverse mass
+function push(constraint, correction, impulse, inverseA, inverseB) {
+    const { bodyA, bodyB } = constraint;
+    const total = inverseA + inverseB;
+    const shareA = inverseA / total;
+    const shareB = inverseB / total;
+
+    bodyA.position = vec4.sub(bodyA.position, vec4.scale(correction, shareA));
+    bodyA.velocity = vec4.sub(bodyA.velocity, vec4.scale(impulse, shareA));
+    if (bodyB) {
+        bodyB.position = vec4.add(bodyB.position, vec4.scale(correction, shareB));
+        bodyB.velocity = vec4.add(bodyB.velocity, vec4.scale(impulse, shareB));
+    }
+}
+
+/**
+ * Damped spring force on both ends
+ */
+export function applySpring(constraint, addForce) {
+    const { bodyA, bodyB } = constraint;
+    const { positionB, velocityB } = ends(constraint);
+    const offset = vec4.sub(positionB, bodyA.position);
+    const length = vec4.length(offset);
+    if (length < EPSILON) return;
+
+    const direction = vec4.scale(offset, 1 / length);
+    const stretchSpeed = vec4.dot(vec4.sub(velocityB, bodyA.velocity), direction);
+    const force = vec4.scale(direction, constraint.stiffness * (length - constraint.restLength) + constraint.damping * stretchSpeed);
+
+    addForce(bodyA, force);
+    if (bodyB) addForce(bodyB, vec4.scale(force, -1));
+
+    // A stretched spring wakes what it pulls on
+    if (vec4.length(force) > bodyA.sleepThreshold) {
+        bodyA.sleeping = false;
+        if (bodyB) bodyB.sleeping = false;
+    }
+}
+
+/**
+ * Project a distance, anchor or hinge constraint back onto its rule: positions first, then the
+ * relative velocity it allows
+ */
+export function solveConstraint(constraint) {
+    const { bodyA } = constraint;
+    const { positionB, velocityB, inverseA, inverseB } = ends(constraint);
+    if (inverseA + inverseB === 0) return;
+
+    const offset = vec4.sub(positionB, bodyA.position);
+    const relativeVelocity = vec4.sub(velocityB, bodyA.velocity);
+
+    if (constraint.type === 'hinge') {
+        solveHinge(constraint, offset, relativeVelocity, inverseA, inverseB);
+        return;
+    }
+
+    const length = vec4.length(offset);
+    if (length < EPSILON) {
+        // Coincident ends: only a pin can be satisfied, by cancelling the relative velocity
+        if (constraint.length < EPSILON) push(constraint, [0, 0, 0, 0], relativeVelocity, inverseA, inverseB);
+        return;
+    }
+
+    const direction = vec4.scale(offset, 1 / length);
+    const correction = vec4.scale(direction, length - constraint.length);
+    const impulse = constraint.length < EPSILON
+        ? relativeVelocity
+        : vec4.scale(direction, vec4.dot(relativeVelocity, direction));
+    push(constraint, vec4.scale(correction, -1), vec4.scale(impulse, -1), inverseA, inverseB);
+}
+
+function solveHinge(constraint, offset, relativeVelocity, inverseA, inverseB) {
+    const [first, second] = PLANE_AXES[constraint.plane];
+
+    // Closest spot on the hinge circle: drop the out-of-plane part and rescale to length
+    let inPlane = [0, 0, 0, 0];
+    inPlane[first] = offset[first];
+    inPlane[second] = offset[second];
+    const radius = vec4.length(inPlane);
+    if (radius < EPSILON) {
+        inPlane = [0, 0, 0, 0];
+        inPlane[first] = 1;
+    } else {
+        inPlane = vec4.scale(inPlane, 1 / radius);
+    }
+    const target = vec4.scale(inPlane, constraint.length);
+
+    // Swing direction, turning the first axis toward the second like mat4.rotation
+    const tangent = [0, 0, 0, 0];
+    tangent[first] = -inPlane[second];
+    tangent[second] = inPlane[first];
+    const swing = constraint.motorSpeed === null
+        ? vec4.dot(relativeVelocity, tangent)
+        : constraint.motorSpeed * constraint.length;
+    const allowed = vec4.scale(tangent, swing);
+
+    push(constraint, vec4.sub(target, offset), vec4.sub(allowed, relativeVelocity), inverseA, inverseB);
+
+    // Spin only in the hinge plane
+    const { bodyA, bodyB } = constraint;
+    const hingeIndex = ROTATION_PLANES.indexOf(constraint.plane);
+    for (let i = 0; i < ROTATION_PLANES.length; i++) {
+        if (i === hingeIndex) continue;
+        const weightA = inverseInertia(bodyA, i);
+        const weightB = inverseInertia(bodyB, i);
+        if (weightA + weightB === 0) continue;
+        const spin = (bodyB ? bodyB.angularVelocity[i] : 0) - bodyA.angularVelocity[i];
+        bodyA.angularVelocity[i] += spin * weightA / (weightA + weightB);
+        if (bodyB) bodyB.angularVelocity[i] -= spin * weightB / (weightA + weightB);
+    }
+}
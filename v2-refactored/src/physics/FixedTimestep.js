@@ -0,0 +1,60 @@
+/**
+ * VIB34D Fixed Timestep
+ * Accumulator that turns frame-sized slices of time into whole simulation steps, so the physics
+ * runs at the same speed on a 30 Hz phone and a 144 Hz monitor. Time left over between steps
+ * becomes alpha, how far rendering should interpolate from the previous step to the latest one.
+ */
+
+export class FixedTimestep {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeStep] - Seconds per step
+     * @param {number} [options.maxSteps] - Most steps run for one advance(); time beyond that is
+     *   dropped, so a slow device falls behind instead of spiralling into ever longer frames
+     * @param {number} [options.timeScale] - Simulated seconds per real second (slow motion < 1)
+     */
+    constructor({ timeStep = 1 / 60, maxSteps = 5, timeScale = 1 } = {}) {
+        this.timeStep = timeStep;
+        this.maxSteps = maxSteps;
+        this.timeScale = timeScale;
+        this.accumulator = 0;
+        this.droppedTime = 0; // Simulated seconds skipped by the clamp so far
+    }
+
+    /**
+     * Add elapsed time and run the steps it pays for
+     * @param {number} seconds - Real time since the last call
+     * @param {Function} step - Called with timeStep once per step
+     * @returns {{ steps: number, alpha: number }}
+     */
+    advance(seconds, step) {
+        this.accumulator += Math.max(0, seconds) * Math.max(0, this.timeScale);
+
+        const limit = this.maxSteps * this.timeStep;
+        if (this.accumulator > limit) {
+            this.droppedTime += this.accumulator - limit;
+            this.accumulator = limit;
+        }
+
+        let steps = 0;
+        // The epsilon keeps float drift from losing a step when exactly one step has elapsed
+        while (this.accumulator >= this.timeStep - 1e-9) {
+            step(this.timeStep);
+            this.accumulator = Math.max(0, this.accumulator - this.timeStep);
+            steps++;
+        }
+        return { steps, alpha: this.alpha };
+    }
+
+    /**
+     * Fraction of a step accumulated since the last one, in [0, 1)
+     */
+    get alpha() {
+        return this.accumulator / this.timeStep;
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.droppedTime = 0;
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * VIB34D Physics Recording
+ * Body states of a Polychora4DPhysics run, captured once per fixed step so the run can be
+ * scrubbed, replayed, exported as JSON and embedded in trading cards. Playback interpolates
+ * between steps, so a replay follows the shared clock at any frame rate.
+ *
+ * Each frame is a flat list of BODY_STRIDE numbers per body:
+ *   position (4), rotation angles XY..ZW (6), orientation rotor (8), impact, velocity, glow
+ *
+ * Bodies are matched between steps by id, so bodies can come and go while recording: each keeps
+ * its slot, with `from` and `until` (seconds) marking when it was in the simulation.
+ *
+ * The class uses nothing from outside this file, so exported cards embed it as source through
+ * physicsRecordingCardScript().
+ */
+
+const BODY_STRIDE = 21;
+
+export class PhysicsRecording {
+    /**
+     * @param {Object} [data] - { timeStep, bodies: [{ polytopeType, material?, from?, until? }], frames: number[][] }
+     */
+    constructor({ timeStep = 1 / 60, bodies = [], frames = [] } = {}) {
+        this.timeStep = timeStep;
+        this.bodies = bodies.map(body => PhysicsRecording.describe(body));
+        this.frames = frames.map(frame => [...frame]);
+        this.bodyIds = []; // Simulation body id per slot while capturing
+    }
+
+    // Recorded body info, without anything else the source object carries
+    static describe({ polytopeType, material, from = 0, until = null }) {
+        const body = { polytopeType, from, until };
+        if (material) body.material = { ...material };
+        return body;
+    }
+
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.frames)) {
+            throw new Error('Physics recording needs a frames list');
+        }
+        return new PhysicsRecording(data);
+    }
+
+    /**
+     * Append the bodies' current state
+     * @param {Object[]} bodies - Polychora4DPhysics bodies
+     * @param {Function} [describe] - Recorded info for a body seen for the first time, e.g. to
+     *   add its material; { polytopeType } by default
+     */
+    capture(bodies, describe = ({ polytopeType }) => ({ polytopeType })) {
+        const time = this.frames.length * this.timeStep;
+        const previous = this.frames[this.frames.length - 1];
+        const state = body => {
+            const { impactIntensity, velocityIntensity, accelerationGlow } = body.physicsFeedback;
+            return [...body.position, ...body.rotation, ...body.orientation, impactIntensity, velocityIntensity, accelerationGlow];
+        };
+
+        const frame = [];
+        this.bodies.forEach((recorded, i) => {
+            const body = bodies.find(candidate => candidate.id === this.bodyIds[i]);
+            if (!body) {
+                // Removed since: it stays where it was last seen, out of the replay
+                if (recorded.until === null) recorded.until = time - this.timeStep;
+                frame.push(...previous.slice(i * BODY_STRIDE, (i + 1) * BODY_STRIDE));
+                return;
+            }
+            frame.push(...state(body));
+        });
+
+        // Added since: a new slot, holding the body where it first appears in earlier frames
+        bodies.forEach(body => {
+            if (this.bodyIds.includes(body.id)) return;
+            const first = state(body);
+            this.frames.forEach(earlier => earlier.push(...first));
+            frame.push(...first);
+            this.bodies.push(PhysicsRecording.describe({ ...describe(body), from: time }));
+            this.bodyIds.push(body.id);
+        });
+        this.frames.push(frame);
+    }
+
+    get duration() {
+        return Math.max(0, this.frames.length - 1) * this.timeStep;
+    }
+
+    isEmpty() {
+        return this.frames.length === 0;
+    }
+
+    /**
+     * Body states at a time, interpolated between the recorded steps
+     * @param {number} seconds - Clamped to the recording
+     * @returns {Object[]} { position, rotation, orientation, feedback, polytopeType, present } per
+     *   body, the shape of Polychora4DPhysics.getPhysicsFeedback(); present is false outside the
+     *   body's from/until
+     */
+    stateAt(seconds) {
+        if (this.isEmpty()) return [];
+
+        const step = Math.min(Math.max(seconds / this.timeStep, 0), this.frames.length - 1);
+        const index = Math.min(Math.floor(step), this.frames.length - 2);
+        const from = this.frames[Math.max(index, 0)];
+        const to = this.frames[Math.max(index + 1, 0)] || from;
+        const t = index < 0 ? 0 : step - index;
+
+        const lerp = (a, b) => a + (b - a) * t;
+        // Angles wrap at a full turn, so blend across the short way round
+        const lerpAngle = (a, b) => {
+            const turn = Math.PI * 2;
+            const difference = ((b - a) % turn + turn * 1.5) % turn - turn * 0.5;
+            return a + difference * t;
+        };
+
+        const now = Math.max(0, step) * this.timeStep;
+        return this.bodies.map(({ polytopeType, from: added, until: removed }, body) => {
+            const offset = body * BODY_STRIDE;
+            const a = from.slice(offset, offset + BODY_STRIDE);
+            const b = to.slice(offset, offset + BODY_STRIDE);
+
+            // Neighbouring steps are close rotors: blend on the near side and renormalize
+            const sign = a.slice(10, 18).reduce((dot, value, i) => dot + value * b[10 + i], 0) < 0 ? -1 : 1;
+            const orientation = a.slice(10, 18).map((value, i) => lerp(value, b[10 + i] * sign));
+            const norm = Math.hypot(...orientation) || 1;
+
+            return {
+                position: a.slice(0, 4).map((value, i) => lerp(value, b[i])),
+                rotation: a.slice(4, 10).map((value, i) => lerpAngle(value, b[4 + i])),
+                orientation: orientation.map(value => value / norm),
+                feedback: {
+                    impactIntensity: lerp(a[18], b[18]),
+                    velocityIntensity: lerp(a[19], b[19]),
+                    accelerationGlow: lerp(a[20], b[20])
+                },
+                polytopeType,
+                present: now >= added - 1e-9 && (removed === null || now <= removed + 1e-9)
+            };
+        });
+    }
+
+    /**
+     * A shorter, sparser copy, e.g. to embed in a card
+     * @param {Object} [options]
+     * @param {number} [options.start] - Seconds into the recording
+     * @param {number} [options.duration] - Seconds kept
+     * @param {number} [options.frameRate] - Steps per second kept
+     * @param {number[]} [options.bodies] - Indices of the bodies kept (all by default)
+     * @returns {PhysicsRecording}
+     */
+    excerpt({ start = 0, duration = Infinity, frameRate = 1 / this.timeStep, bodies = null } = {}) {
+        const kept = bodies || this.bodies.map((body, i) => i);
+        const timeStep = 1 / frameRate;
+        const end = Math.min(this.duration, start + duration);
+        const frames = [];
+        for (let time = Math.max(0, start); time <= end + 1e-9 && !this.isEmpty(); time += timeStep) {
+            const states = this.stateAt(time);
+            frames.push(kept.flatMap(i => {
+                const { position, rotation, orientation, feedback } = states[i];
+                return [...position, ...rotation, ...orientation, feedback.impactIntensity, feedback.velocityIntensity, feedback.accelerationGlow];
+            }));
+        }
+        const keptBodies = kept.map(i => ({
+            ...this.bodies[i],
+            from: Math.max(0, this.bodies[i].from - start),
+            until: this.bodies[i].until === null ? null : this.bodies[i].until - start
+        }));
+        return new PhysicsRecording({ timeStep, bodies: keptBodies, frames });
+    }
+
+    /**
+     * @param {number} [precision] - Decimal places kept, to keep exported files small
+     */
+    toJSON(precision = 5) {
+        const scale = Math.pow(10, precision);
+        return {
+            type: 'vib34d-physics-recording',
+            timeStep: this.timeStep,
+            bodies: this.bodies.map(body => PhysicsRecording.describe(body)),
+            frames: this.frames.map(frame => frame.map(value => Math.round(value * scale) / scale))
+        };
+    }
+}
+
+/**
+ * Loop a recorded run inside an exported card: each frame writes the rotation of the body for the
+ * card's polytope into the card's parameter objects, like the live simulation does in the app.
+ * @param {Object|null} data - Saved recording
+ * @param {Object[]} targets - Parameter objects the card reads each frame
+ * @returns {PhysicsRecording|null}
+ */
+export function playCardPhysics(data, targets) {
+    if (!data || !Array.isArray(data.frames) || data.frames.length === 0) return null;
+    const recording = PhysicsRecording.fromJSON(data);
+    const planes = ['XY', 'XZ', 'YZ', 'XW', 'YW', 'ZW'];
+
+    const startTime = performance.now();
+    function frame() {
+        const elapsed = (performance.now() - startTime) / 1000;
+        const states = recording.stateAt(recording.duration > 0 ? elapsed % recording.duration : 0);
+        targets.forEach(target => {
+            const polytope = parseFloat(target.polytope ?? target.geometry) || 0;
+            const primary = states.find(state => state.polytopeType === polytope) || states[0];
+            planes.forEach((plane, i) => {
+                target[`rot4d${plane}`] = primary.rotation[i];
+            });
+        });
+        requestAnimationFrame(frame);
+    }
+    frame();
+    return recording;
+}
+
+/**
+ * Standalone source for exported cards: defines PhysicsRecording and playCardPhysics
+ */
+export function physicsRecordingCardScript() {
+    return `
+const BODY_STRIDE = ${BODY_STRIDE};
+${PhysicsRecording.toString()}
+${playCardPhysics.toString()}
+`;
+}
@@ -3,6 +3,15 @@
  * Handles 4D rigid body dynamics, collisions, and organic motion
  */
 
+import { random } from '../core/Clock.js';
+import { vec4, bivector, rotor } from '../core/Math4D.js';
+import { collide, SpatialHash4D } from './Collision4D.js';
+import { createConstraint, serializeConstraint, applySpring, solveConstraint } from './Constraints4D.js';
+import { regularPolytope } from '../geometry/Polytopes4D.js';
+
+// Built-in polytope types with exact vertex sets (PolychoraSystem polytope order)
+const REGULAR_POLYTOPE_COUNT = 6;
+
 export class Polychora4DPhysics {
     constructor() {
         // 4D physics world properties
@@ -21,6 +30,19 @@ export class Polychora4DPhysics {
         this.magneticField = [0, 0, 1, 0];  // 4D magnetic field
         this.fluidFlow = [0.5, 0, 0, 0];   // 4D fluid current
         
+        // Seeded stream for thermal noise - reseeding the shared random replays the same motion
+        this.random = random.fork('physics');
+        
+        // Collision hulls: polytope type → unit-circumradius vertices, scaled by each body's
+        // bounding radius. Types without a hull collide as hyperspheres.
+        this.collisionShapes = new Map();
+        this.spatialHash = new SpatialHash4D();
+        this.contacts = []; // Contacts resolved in the last step
+        
+        // Springs, distances, anchors and hinges (see Constraints4D)
+        this.constraints = [];
+        this.constraintIterations = 8; // Solver passes per step, so linked chains settle together
+        
         console.log('🔮 Polychora4DPhysics initialized');
     }
     
@@ -39,22 +61,23 @@ export class Polychora4DPhysics {
             
             // 4D rotational state (6 rotational degrees of freedom)
             rotation: [0, 0, 0, 0, 0, 0],    // XY, XZ, YZ, XW, YW, ZW rotations
+            orientation: rotor.identity(),   // Same turning composed exactly, as a Math4D rotor
             angularVelocity: [0, 0, 0, 0, 0, 0], // 6D angular velocity
             angularAcceleration: [0, 0, 0, 0, 0, 0], // 6D angular acceleration
             
             // Physical properties
-            mass: options.mass || 1.0,
-            inertia4D: this.calculate4DInertia(polytypeType, options.mass || 1.0),
-            elasticity: options.elasticity || 0.8,      // Bounce factor
-            friction: options.friction || 0.1,          // Surface friction
+            mass: options.mass ?? 1.0,
+            inertia4D: this.calculate4DInertia(polytypeType, options.mass ?? 1.0),
+            elasticity: options.elasticity ?? 0.8,      // Bounce factor
+            friction: options.friction ?? 0.1,          // Coulomb friction coefficient at contacts
             
             // Material properties
-            density: options.density || 1.0,
-            viscosity: options.viscosity || 0.0,
+            density: options.density ?? 1.0,
+            viscosity: options.viscosity ?? 0.0,
             
             // Behavioral properties
-            brownianMotion: options.brownianMotion || 0.1,
-            magneticSusceptibility: options.magnetic || 0.0,
+            brownianMotion: options.brownianMotion ?? 0.1,
+            magneticSusceptibility: options.magnetic ?? 0.0,
             
             // Forces acting on body
             forces: [0, 0, 0, 0],            // Current force accumulator
@@ -62,12 +85,12 @@ export class Polychora4DPhysics {
             
             // Collision properties
             boundingRadius: this.calculateBoundingRadius(polytypeType),
-            collisionGroup: options.group || 0,
+            collisionGroup: options.group ?? 0,
             
             // Animation and organic behavior
             targetPosition: null,            // For seeking behavior
-            flockingBehavior: options.flocking || false,
-            territorialRadius: options.territorial || 2.0,
+            flockingBehavior: options.flocking ?? false,
+            territorialRadius: options.territorial ?? 2.0,
             
             // Internal state
             active: true,
@@ -87,6 +110,55 @@ export class Polychora4DPhysics {
         return body;
     }
     
+    /**
+     * Change a body's properties while it moves
+     * @param {Object} body
+     * @param {Object} options - Any of createRigidBody's options: mass, elasticity, friction,
+     *   brownianMotion, magnetic, flocking, territorial
+     */
+    configureBody(body, options) {
+        if (options.mass !== undefined) {
+            body.mass = options.mass;
+            body.inertia4D = this.calculate4DInertia(body.polytopeType, options.mass);
+        }
+        if (options.elasticity !== undefined) body.elasticity = options.elasticity;
+        if (options.friction !== undefined) body.friction = options.friction;
+        if (options.brownianMotion !== undefined) body.brownianMotion = options.brownianMotion;
+        if (options.magnetic !== undefined) body.magneticSusceptibility = options.magnetic;
+        if (options.flocking !== undefined) body.flockingBehavior = options.flocking;
+        if (options.territorial !== undefined) body.territorialRadius = options.territorial;
+        body.sleeping = false;
+    }
+    
+    /**
+     * Advance one fixed step, split into substeps for stiffer joints and fewer missed collisions.
+     * The state before the step is kept for getPhysicsFeedback(alpha).
+     * @param {number} [deltaTime]
+     * @param {number} [substeps]
+     */
+    simulate(deltaTime = this.timeStep, substeps = 1) {
+        if (!this.enabled || this.paused) return;
+        
+        this.saveState();
+        const count = Math.max(1, Math.round(substeps));
+        for (let i = 0; i < count; i++) {
+            this.step(deltaTime / count);
+        }
+    }
+    
+    /**
+     * Remember every body's pose as the start of the step being taken
+     */
+    saveState() {
+        this.bodies.forEach(body => {
+            body.previousState = {
+                position: [...body.position],
+                rotation: [...body.rotation],
+                orientation: [...body.orientation]
+            };
+        });
+    }
+    
     /**
      * Step the physics simulation
      */
@@ -105,6 +177,7 @@ export class Polychora4DPhysics {
             this.applyBrownianMotion(body);
             this.applyBehavioralForces(body);
         });
+        this.applySprings();
         
         // Detect and resolve collisions
         this.detectCollisions();
@@ -113,12 +186,44 @@ export class Polychora4DPhysics {
         this.bodies.forEach(body => {
             if (!body.active || body.sleeping) return;
             this.integrate(body, deltaTime);
+        });
+        
+        // Pull joints back together after the bodies moved freely
+        this.solveConstraints();
+        
+        this.bodies.forEach(body => {
+            if (!body.active || body.sleeping) return;
             this.updateVisualFeedback(body);
             this.checkSleeping(body);
         });
+    }
+    
+    /**
+     * Add every spring's force to the bodies it joins
+     */
+    applySprings() {
+        this.constraints.forEach(constraint => {
+            if (constraint.type === 'spring' && this.isConstraintActive(constraint)) {
+                applySpring(constraint, (body, force) => this.addForce(body, force));
+            }
+        });
+    }
+    
+    /**
+     * Project the rigid constraints (distance, anchor, hinge) a few times over, since fixing one
+     * link of a chain stretches its neighbours
+     */
+    solveConstraints() {
+        const rigid = this.constraints.filter(constraint => constraint.type !== 'spring' && this.isConstraintActive(constraint));
+        if (rigid.length === 0) return;
         
-        // Update collision spatial partitioning
-        this.updateSpatialHash();
+        for (let pass = 0; pass < this.constraintIterations; pass++) {
+            rigid.forEach(constraint => solveConstraint(constraint));
+        }
+    }
+    
+    isConstraintActive({ bodyA, bodyB }) {
+        return bodyA.active && (!bodyB || bodyB.active);
     }
     
     /**
@@ -194,10 +299,10 @@ export class Polychora4DPhysics {
         if (body.brownianMotion === 0) return;
         
         const randomForce = [
-            (Math.random() - 0.5) * body.brownianMotion,
-            (Math.random() - 0.5) * body.brownianMotion,
-            (Math.random() - 0.5) * body.brownianMotion,
-            (Math.random() - 0.5) * body.brownianMotion
+            (this.random.next() - 0.5) * body.brownianMotion,
+            (this.random.next() - 0.5) * body.brownianMotion,
+            (this.random.next() - 0.5) * body.brownianMotion,
+            (this.random.next() - 0.5) * body.brownianMotion
         ];
         
         this.addForce(body, randomForce);
@@ -308,65 +413,150 @@ export class Polychora4DPhysics {
     }
     
     /**
-     * Detect and resolve 4D collisions
+     * Detect and resolve 4D collisions: spatial hash pairs, then bounding spheres, then the
+     * polytope hulls
      */
     detectCollisions() {
-        for (let i = 0; i < this.bodies.length; i++) {
-            for (let j = i + 1; j < this.bodies.length; j++) {
-                const bodyA = this.bodies[i];
-                const bodyB = this.bodies[j];
-                
-                if (!bodyA.active || !bodyB.active) continue;
-                
-                const distance = this.distance4D(bodyA.position, bodyB.position);
-                const collisionDistance = bodyA.boundingRadius + bodyB.boundingRadius;
-                
-                if (distance < collisionDistance) {
-                    this.resolveCollision(bodyA, bodyB, distance);
-                }
+        this.updateSpatialHash();
+        this.contacts = [];
+        
+        // World-space hulls, built once per step for the bodies that need them
+        const hulls = new Map();
+        const hullOf = body => {
+            if (!hulls.has(body)) hulls.set(body, this.getWorldHull(body));
+            return hulls.get(body);
+        };
+        
+        this.spatialHash.pairs().forEach(([bodyA, bodyB]) => {
+            if (this.isJointed(bodyA, bodyB)) return;
+            
+            const distance = this.distance4D(bodyA.position, bodyB.position);
+            if (distance >= bodyA.boundingRadius + bodyB.boundingRadius) return;
+            
+            const hullA = hullOf(bodyA);
+            const hullB = hullOf(bodyB);
+            if (hullA && hullB) {
+                const contact = collide(hullA, hullB);
+                if (contact) this.resolveContact(bodyA, bodyB, contact);
+            } else {
+                this.resolveCollision(bodyA, bodyB, distance);
             }
-        }
+        });
     }
     
     /**
-     * Resolve 4D collision between two bodies
+     * Resolve a hypersphere collision between bodies without hulls
      */
     resolveCollision(bodyA, bodyB, distance) {
-        // Calculate collision normal in 4D
-        const normal = this.normalize4D(this.subtract4D(bodyB.position, bodyA.position));
+        const normal = distance > 0.001
+            ? this.normalize4D(this.subtract4D(bodyB.position, bodyA.position))
+            : [1, 0, 0, 0];
+        const depth = (bodyA.boundingRadius + bodyB.boundingRadius) - distance;
+        const point = this.add4D(bodyA.position, this.multiply4D(normal, bodyA.boundingRadius - depth * 0.5));
+        
+        this.resolveContact(bodyA, bodyB, { normal, depth, point });
+    }
+    
+    /**
+     * Push overlapping bodies apart and apply the contact impulse, spinning them about the
+     * contact point
+     * @param {Object} bodyA
+     * @param {Object} bodyB
+     * @param {Object} contact - { normal (from A toward B), depth, point }
+     */
+    resolveContact(bodyA, bodyB, { normal, depth, point }) {
+        const inverseMassA = 1 / bodyA.mass;
+        const inverseMassB = 1 / bodyB.mass;
+        const armA = this.subtract4D(point, bodyA.position);
+        const armB = this.subtract4D(point, bodyB.position);
         
-        // Separate bodies to prevent overlap
-        const overlap = (bodyA.boundingRadius + bodyB.boundingRadius) - distance;
-        const separation = this.multiply4D(normal, overlap * 0.5);
+        // Separate bodies to prevent overlap, the lighter one moving further
+        const correction = depth / (inverseMassA + inverseMassB);
+        bodyA.position = this.subtract4D(bodyA.position, this.multiply4D(normal, correction * inverseMassA));
+        bodyB.position = this.add4D(bodyB.position, this.multiply4D(normal, correction * inverseMassB));
         
-        bodyA.position = this.subtract4D(bodyA.position, separation);
-        bodyB.position = this.add4D(bodyB.position, separation);
+        // Relative velocity of the two bodies at the contact point
+        const velocityA = this.add4D(bodyA.velocity, bivector.pointVelocity(bodyA.angularVelocity, armA));
+        const velocityB = this.add4D(bodyB.velocity, bivector.pointVelocity(bodyB.angularVelocity, armB));
+        const approachSpeed = this.dot4D(this.subtract4D(velocityA, velocityB), normal);
         
-        // Calculate relative velocity
-        const relativeVelocity = this.subtract4D(bodyA.velocity, bodyB.velocity);
-        const velocityAlongNormal = this.dot4D(relativeVelocity, normal);
+        const contact = { bodyA: bodyA.id, bodyB: bodyB.id, point, normal, depth, impulse: 0, friction: 0 };
+        this.contacts.push(contact);
         
         // Don't resolve if velocities are separating
-        if (velocityAlongNormal > 0) return;
+        if (approachSpeed <= 0) return;
         
-        // Calculate collision impulse
+        // Collision impulse, including the turning each body picks up about the contact
         const restitution = Math.min(bodyA.elasticity, bodyB.elasticity);
-        const impulse = -(1 + restitution) * velocityAlongNormal / (1/bodyA.mass + 1/bodyB.mass);
-        
-        // Apply impulse
-        const impulseVector = this.multiply4D(normal, impulse);
+        const impulse = (1 + restitution) * approachSpeed / this.contactMass(bodyA, bodyB, armA, armB, normal);
+        contact.impulse = impulse;
+        
+        // Coulomb friction against the sliding at the contact, capped at friction × the normal impulse
+        const sliding = this.subtract4D(this.subtract4D(velocityA, velocityB), this.multiply4D(normal, approachSpeed));
+        const slidingSpeed = this.magnitude4D(sliding);
+        const friction = Math.sqrt(bodyA.friction * bodyB.friction);
+        if (slidingSpeed > 1e-9 && friction > 0) {
+            const tangent = this.multiply4D(sliding, 1 / slidingSpeed);
+            const stopping = slidingSpeed / this.contactMass(bodyA, bodyB, armA, armB, tangent);
+            contact.friction = Math.min(stopping, friction * impulse);
+            this.applyContactImpulse(bodyA, bodyB, armA, armB, tangent, contact.friction);
+        }
         
-        bodyA.velocity = this.add4D(bodyA.velocity, this.multiply4D(impulseVector, 1/bodyA.mass));
-        bodyB.velocity = this.subtract4D(bodyB.velocity, this.multiply4D(impulseVector, 1/bodyB.mass));
+        this.applyContactImpulse(bodyA, bodyB, armA, armB, normal, impulse);
+        bodyA.sleeping = false;
+        bodyB.sleeping = false;
         
-        // Update visual feedback
-        const impactIntensity = Math.abs(impulse) * 0.1;
-        bodyA.physicsFeedback.impactIntensity = Math.max(bodyA.physicsFeedback.impactIntensity, impactIntensity);
-        bodyB.physicsFeedback.impactIntensity = Math.max(bodyB.physicsFeedback.impactIntensity, impactIntensity);
+        // Visual feedback follows the velocity change each body took from the hit
+        bodyA.physicsFeedback.impactIntensity = Math.max(bodyA.physicsFeedback.impactIntensity, impulse * inverseMassA * 0.1);
+        bodyB.physicsFeedback.impactIntensity = Math.max(bodyB.physicsFeedback.impactIntensity, impulse * inverseMassB * 0.1);
         
         console.log(`🔮 4D collision resolved between bodies ${bodyA.id} and ${bodyB.id}, impulse: ${impulse.toFixed(3)}`);
     }
     
+    /**
+     * Effective mass along a direction at a contact: both bodies' inverse masses plus the
+     * resistance of their inertia to turning about the contact
+     */
+    contactMass(bodyA, bodyB, armA, armB, direction) {
+        const angularResistance = (body, arm) => bivector.wedge(arm, direction)
+            .reduce((sum, torque, i) => sum + torque * torque / body.inertia4D[i], 0);
+        return 1 / bodyA.mass + 1 / bodyB.mass + angularResistance(bodyA, armA) + angularResistance(bodyB, armB);
+    }
+    
+    /**
+     * Push A against and B along a direction at the contact, linearly and about each arm
+     */
+    applyContactImpulse(bodyA, bodyB, armA, armB, direction, impulse) {
+        const torqueA = bivector.wedge(armA, direction);
+        const torqueB = bivector.wedge(armB, direction);
+        bodyA.velocity = this.subtract4D(bodyA.velocity, this.multiply4D(direction, impulse / bodyA.mass));
+        bodyB.velocity = this.add4D(bodyB.velocity, this.multiply4D(direction, impulse / bodyB.mass));
+        bodyA.angularVelocity = bodyA.angularVelocity.map((value, i) => value - impulse * torqueA[i] / bodyA.inertia4D[i]);
+        bodyB.angularVelocity = bodyB.angularVelocity.map((value, i) => value + impulse * torqueB[i] / bodyB.inertia4D[i]);
+    }
+    
+    /**
+     * Body's collision hull in world space
+     * @returns {Object|null} { vertices, vertexCount }, null for hypersphere bodies
+     */
+    getWorldHull(body) {
+        const shape = this.getCollisionShape(body.polytopeType);
+        if (!shape) return null;
+        
+        const rotation = rotor.toMat4(body.orientation);
+        const scale = body.boundingRadius;
+        const vertices = new Float32Array(shape.vertexCount * 4);
+        for (let i = 0; i < shape.vertexCount; i++) {
+            const local = shape.vertices.subarray(i * 4, i * 4 + 4);
+            for (let row = 0; row < 4; row++) {
+                vertices[i * 4 + row] = body.position[row] + scale * (
+                    rotation[row * 4] * local[0] + rotation[row * 4 + 1] * local[1]
+                    + rotation[row * 4 + 2] * local[2] + rotation[row * 4 + 3] * local[3]);
+            }
+        }
+        return { vertices, vertexCount: shape.vertexCount };
+    }
+    
     /**
      * Integrate motion using Verlet integration
      */
@@ -393,6 +583,10 @@ export class Polychora4DPhysics {
             // Keep rotations in [0, 2π] range
             body.rotation[i] = body.rotation[i] % (Math.PI * 2);
         }
+        
+        // Per-plane angles drift from the true orientation once several planes turn at once
+        const step = rotor.fromBivector(bivector.scale(body.angularVelocity, deltaTime));
+        body.orientation = rotor.normalize(rotor.multiply(step, body.orientation));
     }
     
     /**
@@ -414,32 +608,31 @@ export class Polychora4DPhysics {
     // === 4D VECTOR MATH UTILITIES ===
     
     add4D(a, b) {
-        return [a[0] + b[0], a[1] + b[1], a[2] + b[2], a[3] + b[3]];
+        return vec4.add(a, b);
     }
     
     subtract4D(a, b) {
-        return [a[0] - b[0], a[1] - b[1], a[2] - b[2], a[3] - b[3]];
+        return vec4.sub(a, b);
     }
     
     multiply4D(vec, scalar) {
-        return [vec[0] * scalar, vec[1] * scalar, vec[2] * scalar, vec[3] * scalar];
+        return vec4.scale(vec, scalar);
     }
     
     dot4D(a, b) {
-        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+        return vec4.dot(a, b);
     }
     
     magnitude4D(vec) {
-        return Math.sqrt(this.dot4D(vec, vec));
+        return vec4.length(vec);
     }
     
     normalize4D(vec) {
-        const mag = this.magnitude4D(vec);
-        return mag > 0.001 ? this.multiply4D(vec, 1.0 / mag) : [0, 0, 0, 0];
+        return vec4.normalize(vec, 0.001);
     }
     
     distance4D(a, b) {
-        return this.magnitude4D(this.subtract4D(a, b));
+        return vec4.distance(a, b);
     }
     
     /**
@@ -483,7 +676,7 @@ export class Polychora4DPhysics {
     }
     
     checkSleeping(body) {
-        const totalEnergy = this.magnitude4D(body.velocity) + this.magnitude4D(body.angularVelocity);
+        const totalEnergy = this.magnitude4D(body.velocity) + bivector.magnitude(body.angularVelocity);
         
         if (totalEnergy < body.sleepThreshold) {
             body.sleeping = true;
@@ -492,9 +685,17 @@ export class Polychora4DPhysics {
         }
     }
     
+    /**
+     * Rebuild the broadphase grid from the bodies' bounding spheres. Cells as wide as the
+     * largest body keep every body within two cells per axis.
+     */
     updateSpatialHash() {
-        // Placeholder for spatial partitioning optimization
-        // Would implement 4D spatial hash for efficient collision detection
+        const active = this.bodies.filter(body => body.active);
+        const largest = active.reduce((max, body) => Math.max(max, body.boundingRadius), 0);
+        
+        this.spatialHash.cellSize = Math.max(largest * 2, 0.1);
+        this.spatialHash.clear();
+        active.forEach(body => this.spatialHash.insert(body, body.position, body.boundingRadius));
     }
     
     // === PUBLIC API METHODS ===
@@ -529,6 +730,36 @@ export class Polychora4DPhysics {
         this.fluidFlow = [...flow4D];
     }
     
+    /**
+     * Collide bodies of a polytope type by the convex hull of these vertices
+     * @param {number} polytopeType
+     * @param {Object|null} mesh - { vertices (x, y, z, w), vertexCount } at unit circumradius,
+     *   e.g. a parsePolytope() result; null collides the type as a hypersphere
+     */
+    setCollisionShape(polytopeType, mesh) {
+        this.collisionShapes.set(polytopeType, mesh && { vertices: mesh.vertices, vertexCount: mesh.vertexCount });
+    }
+    
+    /**
+     * Hull vertices for a polytope type; the regular polytopes default to their exact vertices
+     */
+    getCollisionShape(polytopeType) {
+        if (this.collisionShapes.has(polytopeType)) {
+            return this.collisionShapes.get(polytopeType);
+        }
+        if (Number.isInteger(polytopeType) && polytopeType >= 0 && polytopeType < REGULAR_POLYTOPE_COUNT) {
+            return regularPolytope(polytopeType);
+        }
+        return null;
+    }
+    
+    /**
+     * Contacts found in the last step: { bodyA, bodyB (ids), point, normal, depth, impulse }
+     */
+    getContacts() {
+        return this.contacts;
+    }
+    
     getAllBodies() {
         return this.bodies;
     }
@@ -539,22 +770,98 @@ export class Polychora4DPhysics {
     
     removeBody(id) {
         this.bodies = this.bodies.filter(body => body.id !== id);
+        this.constraints = this.constraints.filter(({ bodyA, bodyB }) => bodyA.id !== id && (!bodyB || bodyB.id !== id));
     }
     
     clearAllBodies() {
         this.bodies = [];
+        this.contacts = [];
+        this.constraints = [];
+    }
+    
+    /**
+     * Join bodies with a spring, distance, anchor or hinge
+     * @param {Object} spec - see Constraints4D; bodyA/bodyB as indices into getAllBodies(), ids or bodies
+     * @returns {Object} the live constraint, for removeConstraint()
+     */
+    addConstraint(spec) {
+        const constraint = createConstraint(spec, reference => {
+            if (typeof reference === 'number') return this.bodies[reference];
+            if (typeof reference === 'string') return this.getBodyById(reference);
+            return this.bodies.includes(reference) ? reference : undefined;
+        });
+        this.constraints.push(constraint);
+        return constraint;
+    }
+    
+    removeConstraint(constraint) {
+        this.constraints = this.constraints.filter(existing => existing !== constraint);
+    }
+    
+    /**
+     * Replace every constraint; specs that don't fit the current bodies are skipped
+     * @param {Object[]} specs
+     */
+    setConstraints(specs = []) {
+        this.constraints = [];
+        specs.forEach(spec => {
+            try {
+                this.addConstraint(spec);
+            } catch (error) {
+                console.warn('⚠️ Skipped 4D constraint:', error.message);
+            }
+        });
+    }
+    
+    getConstraints() {
+        return this.constraints;
+    }
+    
+    /**
+     * Constraints as plain specs (bodies by index), for parameters and saves
+     * @returns {Object[]}
+     */
+    serializeConstraints() {
+        return this.constraints.map(constraint => serializeConstraint(constraint, body => this.bodies.indexOf(body)));
+    }
+    
+    /**
+     * Whether a distance, anchor or hinge joins the two bodies and keeps them from colliding
+     */
+    isJointed(bodyA, bodyB) {
+        return this.constraints.some(constraint => !constraint.collideConnected && (
+            (constraint.bodyA === bodyA && constraint.bodyB === bodyB)
+            || (constraint.bodyA === bodyB && constraint.bodyB === bodyA)));
     }
     
     /**
      * Get physics feedback for visualization
+     * @param {number} [alpha] - Between the pose before the last simulate() (0) and the current one (1)
      */
-    getPhysicsFeedback() {
-        return this.bodies.map(body => ({
-            id: body.id,
-            position: body.position,
-            rotation: body.rotation,
-            feedback: body.physicsFeedback,
-            polytopeType: body.polytopeType
-        }));
+    getPhysicsFeedback(alpha = 1) {
+        return this.bodies.map(body => {
+            const { position, rotation, orientation } = alpha < 1 && body.previousState
+                ? this.interpolatePose(body.previousState, body, alpha)
+                : body;
+            return {
+                id: body.id,
+                position,
+                rotation,
+                orientation,
+                feedback: body.physicsFeedback,
+                polytopeType: body.polytopeType
+            };
+        });
+    }
+    
+    interpolatePose(from, to, alpha) {
+        // Angles wrap at a full turn, so blend across the short way round
+        const turn = Math.PI * 2;
+        const angle = (a, b) => a + ((((b - a) % turn) + turn * 1.5) % turn - turn * 0.5) * alpha;
+        return {
+            position: vec4.lerp(from.position, to.position, alpha),
+            rotation: from.rotation.map((value, i) => angle(value, to.rotation[i])),
+            orientation: rotor.slerp(from.orientation, to.orientation, alpha)
+        };
     }
 }
\ No newline at end of file
@@ -6,13 +6,15 @@
 import { QuantumHolographicVisualizer } from './QuantumVisualizer.js';
 import { ParameterManager } from '../core/Parameters.js';
 import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { clock } from '../core/Clock.js';
+import { watchContextLoss, reinitializeVisualizers } from '../core/ContextRecovery.js';
 
 export class QuantumEngine {
     constructor() {
         console.log('🔮 Initializing VIB34D Quantum Engine...');
         
         this.visualizers = [];
-        this.parameters = new ParameterManager();
+        this.parameters = new ParameterManager('quantum');
         this.isActive = false;
         
         // Initialize with quantum-enhanced defaults
@@ -66,6 +68,11 @@ export class QuantumEngine {
             }
         });
         
+        this.unwatchContext = watchContextLoss(
+            this.visualizers.map(visualizer => visualizer.canvas),
+            canvas => this.restoreContext(canvas)
+        );
+        
         console.log(`✅ Created ${this.visualizers.length} quantum visualizers with enhanced effects`);
     }
     
@@ -139,6 +146,18 @@ export class QuantumEngine {
         });
     }
     
+    /**
+     * Rebuild WebGL resources after a context loss and hand the rebuilt layers the current parameters
+     * @param {HTMLCanvasElement} [canvas] - Only the layer drawing to this canvas; all layers when omitted
+     */
+    restoreContext(canvas = null) {
+        const restored = reinitializeVisualizers(this.visualizers, canvas);
+        const params = this.parameters.getAllParameters();
+        restored.forEach(visualizer => visualizer.updateParameters(params));
+        console.log(`✅ Quantum Engine: ${restored.length} layers restored`);
+        return restored.length;
+    }
+    
     /**
      * Get current parameters for saving/export
      */
@@ -164,7 +183,9 @@ export class QuantumEngine {
             window.mobileDebug.log(`🎬 Quantum Engine: Starting render loop with ${this.visualizers?.length} visualizers, isActive=${this.isActive}`);
         }
         
-        const render = () => {
+        const render = (timestamp) => {
+            clock.tick(timestamp);
+            
             if (this.isActive) {
                 // CRITICAL FIX: Update visualizer parameters before rendering
                 const currentParams = this.parameters.getAllParameters();
@@ -239,6 +260,10 @@ export class QuantumEngine {
             window.universalReactivity.disconnectSystem('quantum');
         }
         
+        if (this.unwatchContext) {
+            this.unwatchContext();
+        }
+        
         this.visualizers.forEach(visualizer => {
             if (visualizer.destroy) {
                 visualizer.destroy();
@@ -5,10 +5,16 @@
  */
 
 import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { clock } from '../core/Clock.js';
+import { resolveLayerCanvas } from '../core/UnifiedCanvasManager.js';
+import { DEFAULT_PROJECTION, projectionValue } from '../core/Projection.js';
+import { shaderChunks } from '../core/ShaderChunks.js';
 
 export class QuantumHolographicVisualizer {
     constructor(canvasId, role, reactivity, variant) {
-        this.canvas = document.getElementById(canvasId);
+        // Accept a canvas id or a canvas element (OffscreenCanvas for headless rendering);
+        // ids resolve to unified layer targets when the single-context renderer is running
+        this.canvas = resolveLayerCanvas(canvasId);
         this.role = role;
         this.reactivity = reactivity;
         this.variant = variant;
@@ -50,7 +56,7 @@ export class QuantumHolographicVisualizer {
         this.mouseY = 0.5;
         this.mouseIntensity = 0.0;
         this.clickIntensity = 0.0;
-        this.startTime = Date.now();
+        this.fixedTime = null; // Pinned u_time in ms (headless rendering), null = shared clock
         
         // Default parameters
         this.params = {
@@ -63,9 +69,13 @@ export class QuantumHolographicVisualizer {
             intensity: 0.5,
             saturation: 0.8,
             dimension: 3.5,
+            rot4dXY: 0.0,
+            rot4dXZ: 0.0,
+            rot4dYZ: 0.0,
             rot4dXW: 0.0,
             rot4dYW: 0.0,
-            rot4dZW: 0.0
+            rot4dZW: 0.0,
+            projection: DEFAULT_PROJECTION.quantum
         };
         
         this.init();
@@ -167,6 +177,11 @@ export class QuantumHolographicVisualizer {
         this.initShaders();
         this.initBuffers();
         this.resize();
+
+        // Recompile when a shared shader chunk changes (hot reload)
+        if (!this.unwatchShaders) {
+            this.unwatchShaders = shaderChunks.watch(this, () => this.initShaders());
+        }
     }
     
     /**
@@ -243,6 +258,9 @@ uniform float u_hue;
 uniform float u_intensity;
 uniform float u_saturation;
 uniform float u_dimension;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_rot4dXW;
 uniform float u_rot4dYW;
 uniform float u_rot4dZW;
@@ -251,28 +269,9 @@ uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 
 // 4D rotation matrices
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
-
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
+#include <rotation4d>
 
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
-
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
+#include <projection>
 
 // Complex 3D Lattice Functions - Superior Quantum Shaders
 float tetrahedronLattice(vec3 p, float gridSize) {
@@ -390,6 +389,8 @@ float crystalLattice(vec3 p, float gridSize) {
     return max(crystal, faces * 0.5);
 }
 
+#include <geometryPlugins>
+
 // Enhanced geometry function with holographic effects
 float geometryFunction(vec4 p) {
     int geomType = int(u_geometry);
@@ -420,17 +421,16 @@ float geometryFunction(vec4 p) {
     else if (geomType == 7) {
         return crystalLattice(p3d, gridSize) * u_morphFactor;
     }
+    else if (geomType >= 8) {
+        return pluginLattice(geomType, vec4(p3d, p.w), gridSize) * u_morphFactor;
+    }
     else {
         return hypercubeLattice(p3d, gridSize) * u_morphFactor;
     }
 }
 
 // HSV to RGB conversion for better color control
-vec3 hsv2rgb(vec3 c) {
-    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-}
+#include <hsv>
 
 // RGB Glitch effect for holographic shimmer
 vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
@@ -450,6 +450,9 @@ void main() {
     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
     
     // Apply 4D rotations
+    pos = rotateXY(u_rot4dXY) * pos;
+    pos = rotateXZ(u_rot4dXZ) * pos;
+    pos = rotateYZ(u_rot4dYZ) * pos;
     pos = rotateXW(u_rot4dXW) * pos;
     pos = rotateYW(u_rot4dYW) * pos;
     pos = rotateZW(u_rot4dZW) * pos;
@@ -506,7 +509,7 @@ void main() {
     gl_FragColor = vec4(finalColor, finalIntensity * roleIntensity);
 }`;
         
-        this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
+        this.program = this.createProgram(vertexShaderSource, shaderChunks.compose(fragmentShaderSource));
         this.uniforms = {
             resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
             time: this.gl.getUniformLocation(this.program, 'u_time'),
@@ -520,9 +523,13 @@ void main() {
             intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
             saturation: this.gl.getUniformLocation(this.program, 'u_saturation'),
             dimension: this.gl.getUniformLocation(this.program, 'u_dimension'),
+            rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+            rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+            rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
             rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
             rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
             rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
+            projection: this.gl.getUniformLocation(this.program, 'u_projection'),
             mouseIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
             clickIntensity: this.gl.getUniformLocation(this.program, 'u_clickIntensity'),
             roleIntensity: this.gl.getUniformLocation(this.program, 'u_roleIntensity')
@@ -646,15 +653,31 @@ void main() {
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
         this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
         
-        const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-        this.gl.enableVertexAttribArray(positionLocation);
-        this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
+        this.positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
+        this.gl.enableVertexAttribArray(this.positionLocation);
+        this.gl.vertexAttribPointer(this.positionLocation, 2, this.gl.FLOAT, false, 0, 0);
+    }
+    
+    /**
+     * Unified renderer: draw into this layer's framebuffer and rebind our quad (the context is shared)
+     */
+    bindLayerTarget() {
+        if (!this.canvas.bind) return;
+        this.canvas.bind();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        this.gl.enableVertexAttribArray(this.positionLocation);
+        this.gl.vertexAttribPointer(this.positionLocation, 2, this.gl.FLOAT, false, 0, 0);
     }
     
     /**
      * Resize canvas and viewport
      */
     resize() {
+        // Offscreen canvases keep the size they were created with
+        if (typeof this.canvas.getBoundingClientRect !== 'function') {
+            return;
+        }
+        
         // Mobile-optimized canvas sizing
         const dpr = Math.min(window.devicePixelRatio || 1, 2); // Cap at 2x for mobile performance
         const width = this.canvas.clientWidth;
@@ -734,6 +757,7 @@ void main() {
         
         this.resize();
         this.gl.useProgram(this.program);
+        this.bindLayerTarget();
         
         // CRITICAL FIX: Clear framebuffer before rendering
         this.gl.clearColor(0.0, 0.0, 0.0, 0.0);
@@ -754,7 +778,7 @@ void main() {
             'accent': 1.6
         };
         
-        const time = Date.now() - this.startTime;
+        const time = this.fixedTime !== null ? this.fixedTime : clock.getTimeMs();
         
         // Set uniforms
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
@@ -769,9 +793,13 @@ void main() {
         this.gl.uniform1f(this.uniforms.intensity, this.params.intensity);
         this.gl.uniform1f(this.uniforms.saturation, this.params.saturation);
         this.gl.uniform1f(this.uniforms.dimension, this.params.dimension);
+        this.gl.uniform1f(this.uniforms.rot4dXY, this.params.rot4dXY);
+        this.gl.uniform1f(this.uniforms.rot4dXZ, this.params.rot4dXZ);
+        this.gl.uniform1f(this.uniforms.rot4dYZ, this.params.rot4dYZ);
         this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW);
         this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW);
         this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW);
+        this.gl.uniform1f(this.uniforms.projection, projectionValue(this.params.projection, 'quantum'));
         this.gl.uniform1f(this.uniforms.mouseIntensity, this.mouseIntensity);
         this.gl.uniform1f(this.uniforms.clickIntensity, this.clickIntensity);
         this.gl.uniform1f(this.uniforms.roleIntensity, roleIntensities[this.role] || 1.0);
@@ -783,6 +811,10 @@ void main() {
      * Clean up WebGL resources
      */
     destroy() {
+        if (this.unwatchShaders) {
+            this.unwatchShaders();
+            this.unwatchShaders = null;
+        }
         if (this.gl && this.program) {
             this.gl.deleteProgram(this.program);
         }
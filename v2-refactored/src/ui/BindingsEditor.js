@@ -0,0 +1,115 @@
+/**
+ * VIB34D Bindings Editor
+ * Control panel section for binding a parameter to an expression. Compile errors are shown
+ * under the input instead of being thrown; bound parameters are listed with their expressions.
+ */
+
+import { PARAMETER_SCHEMA } from '../core/ParameterSchema.js';
+import { BINDING_INPUTS } from '../core/Bindings.js';
+
+export class BindingsEditor {
+    /**
+     * @param {ParameterBindings} bindings
+     * @param {Object} [options]
+     * @param {ParentNode} [options.root]
+     */
+    constructor(bindings, { root = document } = {}) {
+        this.bindings = bindings;
+        this.root = root;
+    }
+
+    init() {
+        const find = id => this.root.querySelector(`#${id}`);
+        this.parameterSelect = find('bindingParameter');
+        this.expressionInput = find('bindingExpression');
+        this.errorDisplay = find('bindingError');
+        this.list = find('bindingList');
+
+        if (!this.parameterSelect || !this.list) {
+            console.warn('⚠️ Bindings editor markup missing');
+            return false;
+        }
+
+        this.parameterSelect.innerHTML = Object.entries(PARAMETER_SCHEMA)
+            .filter(([name]) => name !== 'variation')
+            .map(([name, def]) => `<option value="${name}">${def.label}</option>`)
+            .join('');
+        this.expressionInput.title = `Inputs: ${Object.entries(BINDING_INPUTS).map(([name, help]) => `${name} - ${help}`).join('; ')}, or any parameter name`;
+        this.expressionInput.onkeydown = event => {
+            if (event.key === 'Enter') this.bind();
+        };
+        // Show the existing expression when picking a bound parameter
+        this.parameterSelect.onchange = () => {
+            this.expressionInput.value = this.bindings.toJSON()[this.parameterSelect.value] || '';
+            this.showError('');
+        };
+
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Bind the selected parameter to the typed expression
+     * @returns {boolean} Whether the expression compiled
+     */
+    bind() {
+        const param = this.parameterSelect.value;
+        try {
+            this.bindings.set(param, this.expressionInput.value);
+        } catch (error) {
+            this.showError(error.message);
+            return false;
+        }
+
+        this.showError('');
+        console.log(`🔗 Bound ${param} = ${this.expressionInput.value}`);
+        this.refresh();
+        return true;
+    }
+
+    remove(param) {
+        this.bindings.remove(param);
+        this.refresh();
+    }
+
+    clear() {
+        this.bindings.clear();
+        this.refresh();
+    }
+
+    showError(message) {
+        this.errorDisplay.textContent = message;
+    }
+
+    /**
+     * Re-list the bindings after they were replaced (load)
+     */
+    refresh() {
+        this.list.innerHTML = '';
+
+        Object.entries(this.bindings.toJSON()).forEach(([param, source]) => {
+            const row = document.createElement('div');
+            row.className = 'binding-item';
+
+            const label = document.createElement('span');
+            label.className = 'binding-expression';
+            label.textContent = `${PARAMETER_SCHEMA[param]?.label || param} = ${source}`;
+            label.title = 'Click to edit';
+            label.onclick = () => {
+                this.parameterSelect.value = param;
+                this.expressionInput.value = source;
+                this.expressionInput.focus();
+            };
+            row.appendChild(label);
+
+            const remove = document.createElement('button');
+            remove.className = 'timeline-key';
+            remove.textContent = '✕';
+            remove.title = `Unbind ${param}`;
+            remove.onclick = () => this.remove(param);
+            row.appendChild(remove);
+
+            this.list.appendChild(row);
+        });
+    }
+}
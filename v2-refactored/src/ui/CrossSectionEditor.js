@@ -0,0 +1,102 @@
+/**
+ * VIB34D Cross-Section Editor
+ * Control panel section for slicing the polychora polytope: a W offset scrubber, hyperplane
+ * tilt sliders and a sweep toggle. While the slice sweeps, the scrubber follows the offset
+ * being drawn; grabbing it stops the sweep.
+ */
+
+import { clock } from '../core/Clock.js';
+
+const TILTS = ['XW', 'YW', 'ZW'];
+
+export class CrossSectionEditor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.activate - Resolves to the PolychoraSystem, switching to it first
+     * @param {SharedClock} [options.timeSource]
+     * @param {ParentNode} [options.root]
+     */
+    constructor({ activate, timeSource = clock, root = document }) {
+        this.activate = activate;
+        this.clock = timeSource;
+        this.root = root;
+        this.system = null;
+    }
+
+    init() {
+        const find = id => this.root.querySelector(`#${id}`);
+        this.toggleButton = find('sliceToggle');
+        this.offsetScrubber = find('sliceOffset');
+        this.offsetDisplay = find('sliceOffsetValue');
+        this.tiltSliders = TILTS.map(plane => find(`sliceTilt${plane}`));
+        this.tiltDisplays = TILTS.map(plane => find(`sliceTilt${plane}Value`));
+        this.animateToggle = find('sliceAnimate');
+        this.speedInput = find('sliceSpeed');
+
+        if (!this.toggleButton || !this.offsetScrubber) {
+            console.warn('⚠️ Cross-section editor markup missing');
+            return false;
+        }
+
+        this.toggleButton.onclick = () => this.toggle();
+        this.offsetScrubber.oninput = () => this.apply({ offset: parseFloat(this.offsetScrubber.value), animate: false });
+        this.tiltSliders.forEach((slider, i) => {
+            slider.oninput = () => this.apply({ [`tilt${TILTS[i]}`]: parseFloat(slider.value) });
+        });
+        this.animateToggle.onchange = () => this.apply({ animate: this.animateToggle.checked });
+        this.speedInput.onchange = () => this.apply({ speed: Math.max(0, parseFloat(this.speedInput.value) || 0) });
+
+        this.clock.onChange(() => this.follow());
+        return true;
+    }
+
+    /**
+     * Update the slice, switching to the polychora system (and slicing) first if needed
+     * @param {Object} options - PolychoraSystem.setSlice() options
+     * @returns {Promise<number|null>} Offset drawn, null when polychora is unavailable
+     */
+    async apply(options) {
+        this.system = await this.activate();
+        if (!this.system) return null;
+
+        const offset = this.system.setSlice({ enabled: true, ...options });
+        this.refresh();
+        return offset;
+    }
+
+    async toggle() {
+        const enabled = !this.system?.parameters.sliceMode;
+        return this.apply({ enabled });
+    }
+
+    /**
+     * Show the system's slice settings
+     */
+    refresh() {
+        if (!this.system) return;
+        const parameters = this.system.parameters;
+
+        this.toggleButton.textContent = parameters.sliceMode ? '◇ Project' : '✂️ Slice';
+        this.showOffset(this.system.getSliceOffset());
+        TILTS.forEach((plane, i) => {
+            const value = parameters[`sliceTilt${plane}`];
+            this.tiltSliders[i].value = value;
+            this.tiltDisplays[i].textContent = `${Math.round(value * 180 / Math.PI)}°`;
+        });
+        this.animateToggle.checked = parameters.sliceAnimate;
+        this.speedInput.value = parameters.sliceSpeed;
+    }
+
+    showOffset(offset) {
+        this.offsetScrubber.value = offset;
+        this.offsetDisplay.textContent = offset.toFixed(2);
+    }
+
+    // The sweep moves the offset on every clock change
+    follow() {
+        const parameters = this.system?.parameters;
+        if (parameters?.sliceMode && parameters.sliceAnimate && this.system.isActive) {
+            this.showOffset(this.system.getSliceOffset());
+        }
+    }
+}
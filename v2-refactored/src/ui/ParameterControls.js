@@ -0,0 +1,113 @@
+/**
+ * VIB34D Parameter Controls
+ * Builds the control panel sliders from the parameter schema. Each `[data-parameter-section]`
+ * container gets one control group per parameter in that section; sliders keep the parameter
+ * name as their id and call window.updateParameter on input.
+ */
+
+import { PARAMETER_SCHEMA, parameterDefault, parametersInSection } from '../core/ParameterSchema.js';
+import { projectionLabel } from '../core/Projection.js';
+
+export function parameterDisplayId(name) {
+    return `${name}Value`;
+}
+
+/**
+ * Text shown next to a slider, e.g. "0.25", "200°" or "ORTHOGRAPHIC"
+ */
+export function formatParameterValue(name, value) {
+    if (name === 'projection') {
+        return projectionLabel(value);
+    }
+
+    const def = PARAMETER_SCHEMA[name];
+    if (def?.type === 'bool') {
+        return value === true || value === 'true' ? 'ON' : 'OFF';
+    }
+    const decimals = def?.decimals ?? 1;
+    const suffix = def?.units === '°' ? '°' : '';
+    return parseFloat(value).toFixed(decimals) + suffix;
+}
+
+/**
+ * Fill every section container in root with schema-driven sliders
+ * @param {string} system - Picks per-system defaults (projection)
+ * @param {ParentNode} root
+ */
+export function renderParameterControls(system, root = document) {
+    root.querySelectorAll('[data-parameter-section]').forEach(container => {
+        parametersInSection(container.dataset.parameterSection).forEach(name => {
+            container.appendChild(createParameterControl(name, system));
+        });
+    });
+}
+
+/**
+ * One labelled control: a slider, or a checkbox for 'bool' parameters
+ * @param {string} name
+ * @param {string} system
+ * @param {Object} [options]
+ * @param {Function} [options.onInput] - Called with the new value (default window.updateParameter)
+ * @param {string} [options.className] - Input class; '.control-slider' inputs are the ones
+ *   randomize, history and card export pick up
+ * @returns {HTMLElement}
+ */
+export function createParameterControl(name, system, {
+    onInput = value => window.updateParameter(name, value),
+    className = 'control-slider'
+} = {}) {
+    const def = PARAMETER_SCHEMA[name];
+    const value = parameterDefault(name, system);
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('div');
+    label.className = 'control-label';
+    const title = document.createElement('span');
+    title.textContent = def.label;
+    const display = document.createElement('span');
+    display.className = 'control-value';
+    display.id = parameterDisplayId(name);
+    display.textContent = formatParameterValue(name, value);
+    label.append(title, display);
+
+    const slider = document.createElement('input');
+    slider.className = className;
+    slider.id = name;
+    if (def.type === 'bool') {
+        slider.type = 'checkbox';
+        slider.checked = value;
+        slider.onchange = () => onInput(slider.checked);
+        label.prepend(slider);
+        group.append(label);
+        return group;
+    }
+
+    slider.type = 'range';
+    slider.min = def.min;
+    slider.max = def.max;
+    slider.step = def.step;
+    slider.value = value;
+    // A property handler, so randomize/reset can fire it with slider.oninput()
+    slider.oninput = () => onInput(slider.value);
+
+    group.append(label, slider);
+    return group;
+}
+
+/**
+ * Current slider values
+ * @param {string[]} sections - Sections to read
+ * @returns {Object} Parameter name → number
+ */
+export function readParameterControls(sections = ['rotation', 'visual']) {
+    const values = {};
+    sections.flatMap(parametersInSection).forEach(name => {
+        const slider = document.getElementById(name);
+        if (slider) {
+            values[name] = parseFloat(slider.value);
+        }
+    });
+    return values;
+}
@@ -0,0 +1,95 @@
+/**
+ * VIB34D Physics Editor
+ * Control panel section for the polychora 4D simulation: a simulate toggle plus world force and
+ * body material controls, built from the schema's 'physics' panel. Changes reach the running
+ * simulation without respawning its bodies; Respawn starts the scene over.
+ */
+
+import { parametersInPanel } from '../core/ParameterSchema.js';
+import { createParameterControl, formatParameterValue, parameterDisplayId } from './ParameterControls.js';
+
+export class PhysicsEditor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.activate - Resolves to the PolychoraSystem, switching to it first
+     * @param {ParentNode} [options.root]
+     */
+    constructor({ activate, root = document }) {
+        this.activate = activate;
+        this.root = root;
+        this.system = null;
+        this.inputs = {};
+    }
+
+    init() {
+        const find = id => this.root.querySelector(`#${id}`);
+        this.container = find('physicsControls');
+        this.respawnButton = find('physicsRespawn');
+
+        if (!this.container || !this.respawnButton) {
+            console.warn('⚠️ Physics editor markup missing');
+            return false;
+        }
+
+        // Not '.control-slider': randomize and reset must not switch systems or restart the simulation
+        parametersInPanel('physics').forEach(name => {
+            const control = createParameterControl(name, 'polychora', {
+                className: 'physics-control',
+                onInput: value => this.apply({ [name]: value })
+            });
+            this.inputs[name] = control.querySelector('input');
+            this.container.appendChild(control);
+        });
+        this.respawnButton.onclick = () => this.respawn();
+        return true;
+    }
+
+    /**
+     * Change physics parameters, switching to the polychora system first if needed
+     * @param {Object} values - PolychoraSystem.setPhysicsParameters() values
+     * @returns {Promise<Object|null>} Every physics parameter, null when polychora is unavailable
+     */
+    async apply(values) {
+        this.system = await this.activate();
+        if (!this.system) return null;
+
+        const applied = this.system.setPhysicsParameters(values);
+        this.refresh();
+        return applied;
+    }
+
+    /**
+     * Put the bodies back at their seeded spawn points, starting the simulation if it is off
+     */
+    async respawn() {
+        this.system = await this.activate();
+        if (!this.system) return;
+
+        if (this.system.physicsEnabled) {
+            this.system.resetPhysics();
+        } else {
+            this.system.setPhysicsParameters({ physicsEnabled: true });
+        }
+        this.refresh();
+    }
+
+    /**
+     * Show the system's physics parameters, e.g. after a gallery load
+     * @param {Object} [system] - Adopt this PolychoraSystem first
+     */
+    refresh(system = this.system) {
+        this.system = system;
+        if (!this.system) return;
+        const parameters = this.system.getPhysicsParameters();
+
+        Object.entries(this.inputs).forEach(([name, input]) => {
+            if (input.type === 'checkbox') {
+                input.checked = parameters[name];
+            } else {
+                input.value = parameters[name];
+            }
+            const display = this.root.querySelector(`#${parameterDisplayId(name)}`);
+            if (display) display.textContent = formatParameterValue(name, parameters[name]);
+        });
+    }
+}
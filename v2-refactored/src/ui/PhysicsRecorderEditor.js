@@ -0,0 +1,155 @@
+/**
+ * VIB34D Physics Recorder Editor
+ * Control panel section for recording polychora physics runs: record/stop, replay with a scrubber
+ * that follows the playhead, and JSON export and import of recordings.
+ */
+
+import { clock } from '../core/Clock.js';
+
+export class PhysicsRecorderEditor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.activate - Resolves to the PolychoraSystem, switching to it first
+     * @param {SharedClock} [options.timeSource]
+     * @param {ParentNode} [options.root]
+     */
+    constructor({ activate, timeSource = clock, root = document }) {
+        this.activate = activate;
+        this.clock = timeSource;
+        this.root = root;
+        this.system = null;
+        this.recording = false; // Recording when last shown, to catch it stopping at its limit
+    }
+
+    init() {
+        const find = id => this.root.querySelector(`#${id}`);
+        this.recordButton = find('physicsRecord');
+        this.replayButton = find('physicsReplay');
+        this.exportButton = find('physicsExport');
+        this.scrubber = find('physicsReplayScrubber');
+        this.timeDisplay = find('physicsReplayTime');
+        this.errorDisplay = find('physicsRecordingError');
+
+        if (!this.recordButton || !this.scrubber) {
+            console.warn('⚠️ Physics recorder markup missing');
+            return false;
+        }
+
+        this.recordButton.onclick = () => this.toggleRecording();
+        this.replayButton.onclick = () => this.toggleReplay();
+        this.exportButton.onclick = () => this.exportRecording();
+        this.scrubber.oninput = () => this.seek(parseFloat(this.scrubber.value));
+
+        this.clock.onChange(() => this.follow());
+        return true;
+    }
+
+    async toggleRecording() {
+        this.system = await this.activate();
+        if (!this.system) return null;
+
+        if (this.system.recordingPhysics) {
+            this.system.stopPhysicsRecording();
+        } else {
+            this.system.startPhysicsRecording();
+        }
+        this.refresh();
+        return this.system.physicsRecording;
+    }
+
+    /**
+     * Replay the last recording (or the one given), or go back to the live simulation
+     * @param {Object} [recording] - PhysicsRecording or its JSON
+     */
+    async toggleReplay(recording) {
+        this.system = await this.activate();
+        if (!this.system) return null;
+
+        this.showError('');
+        if (this.system.physicsReplay && !recording) {
+            this.system.stopPhysicsReplay();
+        } else {
+            try {
+                this.system.replayPhysics(recording || this.system.physicsRecording);
+            } catch (error) {
+                this.showError(error.message);
+            }
+        }
+        this.refresh();
+        return this.system.physicsReplay?.recording || null;
+    }
+
+    seek(seconds) {
+        const time = this.system?.seekPhysicsReplay(seconds);
+        if (time !== null && time !== undefined) this.showTime(time);
+        return time;
+    }
+
+    /**
+     * Load a recording exported earlier and replay it
+     * @param {string} text - JSON
+     */
+    async importRecording(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            this.showError(`Not a physics recording: ${error.message}`);
+            return null;
+        }
+        return this.toggleReplay(data);
+    }
+
+    exportRecording() {
+        const recording = this.system?.physicsRecording;
+        if (!recording || recording.isEmpty()) {
+            this.showError('Record a physics run first');
+            return null;
+        }
+
+        const json = JSON.stringify(recording.toJSON());
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `vib34d-physics-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        return json;
+    }
+
+    /**
+     * Show the recorder state
+     */
+    refresh() {
+        if (!this.system) return;
+        const recording = this.system.physicsRecording;
+        const duration = recording ? recording.duration : 0;
+        this.recording = this.system.recordingPhysics;
+
+        this.recordButton.textContent = this.system.recordingPhysics ? '⏹ Stop' : '⏺ Record';
+        this.replayButton.textContent = this.system.physicsReplay ? '◉ Live' : '▶ Replay';
+        this.scrubber.max = Math.max(duration, 0.01);
+        this.scrubber.disabled = !this.system.physicsReplay;
+        this.showTime(this.system.getPhysicsReplayTime() ?? duration);
+    }
+
+    showTime(seconds) {
+        const duration = this.system?.physicsRecording?.duration || 0;
+        this.scrubber.value = seconds;
+        this.timeDisplay.textContent = `${seconds.toFixed(1)}s / ${duration.toFixed(1)}s`;
+    }
+
+    showError(message) {
+        if (this.errorDisplay) this.errorDisplay.textContent = message;
+    }
+
+    // The playhead (or the growing recording) moves on every clock change
+    follow() {
+        if (!this.system?.isActive) return;
+        if (this.system.physicsReplay) {
+            this.showTime(this.system.getPhysicsReplayTime());
+        } else if (this.system.recordingPhysics || this.recording) {
+            this.refresh();
+        }
+    }
+}
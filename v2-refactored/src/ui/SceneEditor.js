@@ -0,0 +1,184 @@
+/**
+ * VIB34D Scene Editor
+ * Control panel section for polychora scenes: a tool decides what a click in the canvas does
+ * (select the body under it, spawn a body there, or delete the body under it), and sliders edit
+ * the selected body's material.
+ */
+
+import { formatParameterValue } from './ParameterControls.js';
+
+const TOOLS = ['select', 'spawn', 'delete'];
+const MATERIAL_FIELDS = { hue: 'sceneBodyHue', translucency: 'sceneBodyTranslucency', scale: 'sceneBodyScale' };
+
+export class SceneEditor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.activate - Resolves to the PolychoraSystem, switching to it first
+     * @param {Function} [options.onReplayStopped] - Called when a canvas click ends a physics replay
+     * @param {ParentNode} [options.root]
+     */
+    constructor({ activate, onReplayStopped = () => {}, root = document }) {
+        this.activate = activate;
+        this.onReplayStopped = onReplayStopped;
+        this.root = root;
+        this.system = null;
+        this.tool = 'select';
+        this.toolButtons = {};
+        this.materialInputs = {};
+    }
+
+    init() {
+        const find = id => this.root.querySelector(`#${id}`);
+        this.typeSelect = find('sceneSpawnType');
+        this.selectionDisplay = find('sceneSelection');
+        this.deleteButton = find('sceneDelete');
+        this.clearButton = find('sceneClear');
+        this.errorDisplay = find('sceneError');
+
+        if (!this.typeSelect || !this.selectionDisplay) {
+            console.warn('⚠️ Scene editor markup missing');
+            return false;
+        }
+
+        TOOLS.forEach(tool => {
+            const button = find(`sceneTool${tool[0].toUpperCase()}${tool.slice(1)}`);
+            if (!button) return;
+            button.onclick = () => this.setTool(tool);
+            this.toolButtons[tool] = button;
+        });
+        Object.entries(MATERIAL_FIELDS).forEach(([field, id]) => {
+            const input = find(id);
+            if (!input) return;
+            input.oninput = () => this.updateSelected({ [field]: parseFloat(input.value) });
+            this.materialInputs[field] = input;
+        });
+        this.deleteButton.onclick = () => this.deleteSelected();
+        this.clearButton.onclick = () => this.clear();
+
+        this.setTool(this.tool);
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * @param {string} tool - 'select', 'spawn' or 'delete'
+     */
+    setTool(tool) {
+        if (!TOOLS.includes(tool)) {
+            throw new Error(`Unknown scene tool "${tool}"`);
+        }
+        this.tool = tool;
+        Object.entries(this.toolButtons).forEach(([name, button]) => {
+            button.classList.toggle('active', name === tool);
+        });
+    }
+
+    /**
+     * Apply the current tool at a canvas point
+     * @param {number} x - 0 (left) to 1 (right)
+     * @param {number} y - 0 (bottom) to 1 (top)
+     * @returns {Promise<number|null>} The body selected, spawned or deleted, null when none
+     */
+    async click(x, y) {
+        this.system = await this.activate();
+        if (!this.system) return null;
+
+        // Clicks edit the live scene, so a replay of another run gives way to it
+        if (this.system.physicsReplay) {
+            this.system.stopPhysicsReplay();
+            this.onReplayStopped();
+        }
+
+        this.showError('');
+        let index = this.system.pickBody(x, y);
+        try {
+            if (this.tool === 'spawn') {
+                index = this.system.spawnBody({
+                    polytope: parseInt(this.typeSelect.value) || 0,
+                    position: this.system.scenePositionAt(x, y)
+                });
+            } else if (this.tool === 'delete') {
+                if (index !== null) this.system.deleteBody(index);
+            } else {
+                this.system.selectBody(index);
+            }
+        } catch (error) {
+            this.showError(error.message);
+            index = null;
+        }
+        this.refresh();
+        return index;
+    }
+
+    /**
+     * Change the selected body's material
+     * @param {Object} material - hue, translucency and/or scale
+     */
+    async updateSelected(material) {
+        this.system = await this.activate();
+        if (!this.system || this.system.selectedBody === null) return null;
+
+        const entry = this.system.updateBody(this.system.selectedBody, { material });
+        this.refresh();
+        return entry;
+    }
+
+    async deleteSelected() {
+        this.system = await this.activate();
+        if (!this.system || this.system.selectedBody === null) return;
+
+        this.system.deleteBody(this.system.selectedBody);
+        this.refresh();
+    }
+
+    async clear() {
+        this.system = await this.activate();
+        if (!this.system) return;
+
+        this.system.clearScene();
+        this.showError('');
+        this.refresh();
+    }
+
+    /**
+     * Show the spawnable polytopes and the selected body, e.g. after an import or a gallery load
+     * @param {Object} [system] - Adopt this PolychoraSystem first
+     */
+    refresh(system = this.system) {
+        this.system = system;
+        if (!this.system) return;
+
+        // Imported polytopes can be spawned too
+        const names = this.system.getPolytopeNames();
+        if (this.typeSelect.options.length !== names.length) {
+            const selected = this.typeSelect.value;
+            this.typeSelect.innerHTML = '';
+            names.forEach((name, index) => this.typeSelect.add(new Option(name, index)));
+            this.typeSelect.value = selected || '0';
+        }
+
+        const { scene } = this.system.parameters;
+        const index = this.system.selectedBody;
+        const entry = index !== null ? scene[index] : null;
+        this.selectionDisplay.textContent = entry
+            ? `${index + 1}/${scene.length} ${names[entry.polytope]}`
+            : `${scene.length} bodies`;
+        this.deleteButton.disabled = !entry;
+
+        Object.entries(this.materialInputs).forEach(([field, input]) => {
+            input.disabled = !entry;
+            if (!entry) return;
+            input.value = entry.material[field];
+            const display = this.root.querySelector(`#${input.id}Value`);
+            if (display) {
+                display.textContent = field === 'scale'
+                    ? `${entry.material.scale.toFixed(2)}x`
+                    : formatParameterValue(field, entry.material[field]);
+            }
+        });
+    }
+
+    showError(message) {
+        if (this.errorDisplay) this.errorDisplay.textContent = message;
+    }
+}
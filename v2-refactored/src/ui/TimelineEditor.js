@@ -0,0 +1,137 @@
+/**
+ * VIB34D Timeline Editor
+ * Control panel section for keying parameters at the playhead, scrubbing, and playing the
+ * shared timeline. Every track is listed with its keyframes; clicking one seeks to it.
+ */
+
+import { PARAMETER_SCHEMA } from '../core/ParameterSchema.js';
+import { TIMELINE_EASINGS } from '../core/Timeline.js';
+
+export class TimelineEditor {
+    /**
+     * @param {TimelinePlayer} player
+     * @param {Object} options
+     * @param {Function} options.readValue - Current value of a parameter in the active system
+     * @param {Function} options.keyAllParameters - Names keyed by "All sliders"
+     * @param {ParentNode} [options.root]
+     */
+    constructor(player, { readValue, keyAllParameters, root = document }) {
+        this.player = player;
+        this.timeline = player.timeline;
+        this.readValue = readValue;
+        this.keyAllParameters = keyAllParameters;
+        this.root = root;
+    }
+
+    init() {
+        const find = id => this.root.querySelector(`#${id}`);
+        this.scrubber = find('timelineScrubber');
+        this.timeDisplay = find('timelineTimeValue');
+        this.parameterSelect = find('timelineParameter');
+        this.easingSelect = find('timelineEasing');
+        this.playButton = find('timelinePlay');
+        this.loopToggle = find('timelineLoop');
+        this.durationInput = find('timelineDuration');
+        this.trackList = find('timelineTracks');
+
+        if (!this.scrubber || !this.trackList) {
+            console.warn('⚠️ Timeline editor markup missing');
+            return false;
+        }
+
+        this.parameterSelect.innerHTML = '<option value="">All sliders</option>' +
+            Object.entries(PARAMETER_SCHEMA)
+                .filter(([name]) => name !== 'variation')
+                .map(([name, def]) => `<option value="${name}">${def.label}</option>`)
+                .join('');
+        this.easingSelect.innerHTML = Object.keys(TIMELINE_EASINGS)
+            .map(name => `<option value="${name}"${name === 'easeInOut' ? ' selected' : ''}>${name}</option>`)
+            .join('');
+
+        this.scrubber.oninput = () => this.player.seek(parseFloat(this.scrubber.value));
+        this.playButton.onclick = () => this.player.toggle();
+        this.loopToggle.onchange = () => {
+            this.timeline.loop = this.loopToggle.checked;
+        };
+        this.durationInput.onchange = () => {
+            this.timeline.setDuration(this.durationInput.value);
+            this.refresh();
+        };
+
+        this.player.onChange(() => this.updatePlayhead());
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Key the selected parameter (or every slider) at the playhead
+     * @returns {string[]} Keyed parameter names
+     */
+    addKeyframe() {
+        const selected = this.parameterSelect.value;
+        const names = selected ? [selected] : this.keyAllParameters();
+        const time = this.player.getLocalTime();
+
+        const keyed = names.filter(name => {
+            const value = this.readValue(name);
+            return value !== undefined && this.timeline.addKeyframe(name, time, value, this.easingSelect.value);
+        });
+        console.log(`◆ Keyed ${keyed.length} parameter(s) at ${time.toFixed(2)}s`);
+        this.renderTracks();
+        return keyed;
+    }
+
+    clear() {
+        this.player.pause();
+        this.timeline.clear();
+        this.renderTracks();
+    }
+
+    /**
+     * Re-read the timeline after it was replaced (load, duration change)
+     */
+    refresh() {
+        this.durationInput.value = this.timeline.duration;
+        this.loopToggle.checked = this.timeline.loop;
+        this.scrubber.max = this.timeline.duration;
+        this.renderTracks();
+        this.updatePlayhead();
+    }
+
+    updatePlayhead() {
+        const time = this.player.getLocalTime();
+        this.scrubber.value = time;
+        this.timeDisplay.textContent = `${time.toFixed(1)}s / ${this.timeline.duration.toFixed(1)}s`;
+        this.playButton.textContent = this.player.playing ? '⏸ Pause' : '▶ Play';
+    }
+
+    renderTracks() {
+        this.trackList.innerHTML = '';
+
+        Object.entries(this.timeline.tracks).forEach(([name, keyframes]) => {
+            const row = document.createElement('div');
+            row.className = 'timeline-track';
+
+            const label = document.createElement('span');
+            label.className = 'timeline-track-name';
+            label.textContent = PARAMETER_SCHEMA[name]?.label || name;
+            row.appendChild(label);
+
+            keyframes.forEach(keyframe => {
+                const chip = document.createElement('button');
+                chip.className = 'timeline-key';
+                chip.textContent = `${keyframe.time.toFixed(1)}s`;
+                chip.title = `${name} = ${keyframe.value} (${keyframe.easing}) - click to seek, right-click to delete`;
+                chip.onclick = () => this.player.seek(keyframe.time);
+                chip.oncontextmenu = event => {
+                    event.preventDefault();
+                    this.timeline.removeKeyframe(name, keyframe.time);
+                    this.renderTracks();
+                };
+                row.appendChild(chip);
+            });
+
+            this.trackList.appendChild(row);
+        });
+    }
+}
@@ -1,9 +1,10 @@
 /**
  * VIB34D Variation Management System
- * Manages 100 total variations: 30 default + 70 custom
+ * Manages 100 total variations: 30 default + 70 custom, followed by the presets of any
+ * registered geometry plugins (from PLUGIN_VARIATION_START)
  */
 
-import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { GeometryLibrary, PLUGIN_VARIATION_START } from '../geometry/GeometryLibrary.js';
 
 export class VariationManager {
     constructor(engine) {
@@ -38,9 +39,13 @@ export class VariationManager {
         
         // Custom variations storage (70 slots)
         this.customVariations = new Array(70).fill(null);
-        
-        // Total variation count
-        this.totalVariations = 100;
+    }
+    
+    /**
+     * Total variation count, including plugin presets
+     */
+    get totalVariations() {
+        return PLUGIN_VARIATION_START + GeometryLibrary.getPluginVariations().length;
     }
     
     /**
@@ -49,6 +54,8 @@ export class VariationManager {
     getVariationName(index) {
         if (index < 30) {
             return this.variationNames[index];
+        } else if (index >= PLUGIN_VARIATION_START) {
+            return GeometryLibrary.getPluginVariations()[index - PLUGIN_VARIATION_START]?.name || `VARIATION ${index + 1}`;
         } else {
             const customIndex = index - 30;
             const customVar = this.customVariations[customIndex];
@@ -60,6 +67,10 @@ export class VariationManager {
      * Generate default variation parameters
      */
     generateDefaultVariation(index) {
+        if (index >= PLUGIN_VARIATION_START) {
+            const plugin = GeometryLibrary.getPluginVariations()[index - PLUGIN_VARIATION_START];
+            return plugin ? { ...plugin.parameters, variation: index } : null;
+        }
         if (index >= 30) return null;
         
         const geometryType = Math.floor(index / 4);
@@ -99,8 +110,8 @@ export class VariationManager {
         
         let params;
         
-        if (index < 30) {
-            // Default variation
+        if (index < 30 || index >= PLUGIN_VARIATION_START) {
+            // Default or plugin preset variation
             params = this.generateDefaultVariation(index);
         } else {
             // Custom variation
@@ -207,6 +218,26 @@ export class VariationManager {
             gridContainer.appendChild(sectionDiv);
         });
         
+        // Registered geometry plugins, one section each
+        const pluginVariations = GeometryLibrary.getPluginVariations();
+        GeometryLibrary.getGeometryPlugins().forEach(plugin => {
+            const sectionDiv = document.createElement('div');
+            sectionDiv.className = 'variation-section plugin-section';
+            sectionDiv.innerHTML = `<h3>${plugin.label} Lattice</h3>`;
+            
+            const buttonContainer = document.createElement('div');
+            buttonContainer.className = 'variation-buttons';
+            
+            pluginVariations.forEach((variation, offset) => {
+                if (variation.geometry === plugin.index) {
+                    buttonContainer.appendChild(this.createVariationButton(PLUGIN_VARIATION_START + offset, true, 'plugin'));
+                }
+            });
+            
+            sectionDiv.appendChild(buttonContainer);
+            gridContainer.appendChild(sectionDiv);
+        });
+        
         // Add custom variations section
         const customSection = document.createElement('div');
         customSection.className = 'variation-section custom-section';
@@ -237,9 +268,12 @@ export class VariationManager {
         
         // Button content
         if (isDefault) {
+            const level = variationIndex >= PLUGIN_VARIATION_START
+                ? GeometryLibrary.getPluginVariations()[variationIndex - PLUGIN_VARIATION_START].level
+                : variationIndex % 4;
             button.innerHTML = `
                 <div class="variation-number">${(variationIndex + 1).toString().padStart(2, '0')}</div>
-                <div class="variation-level">Level ${(variationIndex % 4) + 1}</div>
+                <div class="variation-level">Level ${level + 1}</div>
             `;
         } else {
             const customIndex = variationIndex - 30;
@@ -385,10 +419,11 @@ export class VariationManager {
         return {
             totalVariations: this.totalVariations,
             defaultVariations: 30,
+            pluginVariations: GeometryLibrary.getPluginVariations().length,
             customVariations: customCount,
             emptySlots: 70 - customCount,
             currentVariation: this.engine.currentVariation,
-            isCustom: this.engine.currentVariation >= 30
+            isCustom: this.engine.currentVariation >= 30 && this.engine.currentVariation < PLUGIN_VARIATION_START
         };
     }
 }
\ No newline at end of file
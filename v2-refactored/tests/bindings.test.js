@@ -0,0 +1,69 @@
+import { test, expect } from '@playwright/test';
+
+test('Expression bindings drive parameters each frame, reject unsafe input, save and export with cards', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { clock } = await import('/src/core/Clock.js');
+    const { compileExpression } = await import('/src/core/Expression.js');
+    const { UnifiedSaveManager } = await import('/src/core/UnifiedSaveManager.js');
+    const { FacetedCardGeneratorExact } = await import('/src/export/FacetedCardGeneratorExact.js');
+    const parameter = name => window.engine.parameterManager.getParameter(name);
+
+    const rejected = ['constructor.constructor("alert(1)")()', 'a = 1', 'window.alert(1)', 'sin(']
+      .filter(source => {
+        try {
+          compileExpression(source);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      }).length;
+
+    // Bind through the panel; a typo shows an error instead of binding
+    const select = document.getElementById('bindingParameter');
+    const input = document.getElementById('bindingExpression');
+    select.value = 'hue';
+    input.value = '200 + 60*sin(tt)';
+    window.addBinding();
+    const error = document.getElementById('bindingError').textContent;
+
+    input.value = '200 + 60*sin(t*0.3)';
+    window.addBinding();
+    select.value = 'chaos';
+    input.value = 'audio.bass*0.8 + 0.1';
+    window.addBinding();
+
+    // Bindings follow the shared clock
+    clock.pause();
+    clock.seek(5);
+    const driven = { hue: parameter('hue'), chaos: parameter('chaos'), slider: parseFloat(document.getElementById('hue').value) };
+    clock.resume();
+
+    const state = new UnifiedSaveManager(window.engine).captureCurrentState();
+    const card = FacetedCardGeneratorExact.generateCard({ ...state.parameters, bindings: state.bindings }).content;
+    const listed = document.querySelectorAll('#bindingList .binding-item').length;
+    window.clearBindings();
+
+    return {
+      rejected,
+      error,
+      driven,
+      listed,
+      saved: state.bindings,
+      cardBinds: card.includes('playCardBindings({"hue":"200 + 60*sin(t*0.3)"') && card.includes('function compileExpression'),
+      clearedSave: new UnifiedSaveManager(window.engine).captureCurrentState().bindings
+    };
+  });
+
+  expect(result.rejected).toBe(4);
+  expect(result.error).toContain('Unknown input "tt"');
+  expect(result.driven.hue).toBe(Math.round(200 + 60 * Math.sin(1.5)));
+  expect(result.driven.slider).toBe(result.driven.hue);
+  expect(result.driven.chaos).toBeCloseTo(0.1, 5);
+  expect(result.listed).toBe(2);
+  expect(result.saved).toEqual({ hue: '200 + 60*sin(t*0.3)', chaos: 'audio.bass*0.8 + 0.1' });
+  expect(result.cardBinds).toBe(true);
+  expect(result.clearedSave).toBeUndefined();
+});
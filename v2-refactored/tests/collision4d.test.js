@@ -0,0 +1,117 @@
+import { test, expect } from '@playwright/test';
+
+test('4D physics collides polytope hulls with GJK/EPA, pairs bodies through a spatial hash and reports contacts', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { collide, gjk, sphereContact, SpatialHash4D } = await import('/src/physics/Collision4D.js');
+    const { Polychora4DPhysics } = await import('/src/physics/Polychora4DPhysics.js');
+    const { regularPolytope } = await import('/src/geometry/Polytopes4D.js');
+
+    // Unit-circumradius tesseracts have half-width 0.5
+    const tesseract = offset => {
+      const mesh = regularPolytope(1);
+      return { vertices: mesh.vertices.map((value, i) => value + offset[i % 4]), vertexCount: mesh.vertexCount };
+    };
+    const overlap = collide(tesseract([0, 0, 0, 0]), tesseract([0.9, 0.3, 0, 0]));
+    const apart = gjk(tesseract([0, 0, 0, 0]), tesseract([1.2, 0, 0, 0]));
+
+    // Coincident hulls leave GJK with a single edge through the origin; EPA still finds a depth
+    const cell = () => ({ vertices: [...regularPolytope(0).vertices], vertexCount: 5 });
+    const coincident = collide(cell(), cell());
+    const touching = collide(tesseract([0, 0, 0, 0]), tesseract([1, 0, 0, 0]));
+
+    // Flat hulls have no volume for EPA, so they fall back to their bounding spheres
+    const square = offset => ({ vertices: [0, 0, 0, 0, 1, 0, 0, 0, 1, 1, 0, 0, 0, 1, 0, 0].map((value, i) => value + offset[i % 4]), vertexCount: 4 });
+    const flat = collide(square([0, 0, 0, 0]), square([0.5, 0, 0, 0]));
+    const flatSpheres = sphereContact(square([0, 0, 0, 0]), square([0.5, 0, 0, 0]));
+
+    const quietWorld = () => {
+      const physics = new Polychora4DPhysics();
+      physics.enable();
+      physics.setGravity([0, 0, 0, 0]);
+      physics.setFluidFlow([0, 0, 0, 0]);
+      physics.airResistance = 0;
+      return physics;
+    };
+    const options = { brownianMotion: 0, territorial: 0.01 };
+
+    // Two bodies spawned on the same spot push apart instead of passing through each other
+    const stacked = quietWorld();
+    const bottom = stacked.createRigidBody(0, [0, 0, 0, 0], options);
+    const top = stacked.createRigidBody(0, [0, 0, 0, 0], options);
+    for (let i = 0; i < 30; i++) stacked.step();
+    const stackedApart = Math.hypot(...top.position.map((value, axis) => value - bottom.position[axis]));
+
+    // Bounding hyperspheres overlap corner to corner, the tesseracts themselves don't
+    const corner = quietWorld();
+    corner.createRigidBody(1, [0, 0, 0, 0], options);
+    corner.createRigidBody(1, [1.6, 1.6, 0, 0], options);
+    corner.step();
+    const cornerContacts = corner.getContacts().length;
+
+    // Head-on: the hit reverses both bodies and lights them up
+    const headOn = quietWorld();
+    const left = headOn.createRigidBody(1, [-1.4, 0, 0, 0], options);
+    const right = headOn.createRigidBody(1, [1.4, 0, 0, 0], options);
+    left.velocity = [2, 0, 0, 0];
+    right.velocity = [-2, 0, 0, 0];
+    let contact = null;
+    let impact = 0;
+    for (let i = 0; i < 60 && !contact; i++) {
+      headOn.step();
+      contact = headOn.getContacts()[0] || null;
+      impact = left.physicsFeedback.impactIntensity;
+    }
+
+    // Broadphase: spread-out bodies only pair with their neighbours
+    const hash = new SpatialHash4D(2);
+    const points = [];
+    for (let i = 0; i < 39; i++) {
+      points.push([i % 4, Math.floor(i / 4) % 4, Math.floor(i / 16), 0].map(value => value * 3));
+    }
+    points.push([1, 0, 0, 0]);
+    points.forEach((point, i) => hash.insert(i, point, 0.8));
+    const neighbours = hash.pairs().filter(([a, b]) => Math.hypot(...points[a].map((value, axis) => value - points[b][axis])) < 1.6);
+
+    return {
+      depth: overlap && overlap.depth,
+      normal: overlap && overlap.normal,
+      apart: { intersecting: apart.intersecting, distance: apart.distance },
+      coincidentDepth: coincident && coincident.depth,
+      touching: touching && { depth: touching.depth, normal: touching.normal[0] },
+      flat: flat && flat.depth,
+      flatSpheres: flatSpheres.depth,
+      stackedApart,
+      cornerContacts,
+      contactNormal: contact && contact.normal,
+      contactPoint: contact && contact.point,
+      impulse: contact && contact.impulse,
+      impact,
+      velocities: [left.velocity[0], right.velocity[0]],
+      candidatePairs: hash.pairs().length,
+      neighbours: neighbours.length
+    };
+  });
+
+  expect(result.depth).toBeCloseTo(0.1, 4);
+  expect(result.normal[0]).toBeCloseTo(1, 4);
+  expect(result.apart.intersecting).toBe(false);
+  expect(result.apart.distance).toBeCloseTo(0.2, 4);
+  expect(result.coincidentDepth).toBeGreaterThan(0.5);
+  expect(result.touching.depth).toBeCloseTo(0, 4);
+  expect(result.touching.normal).toBeCloseTo(1, 4);
+  expect(result.flat).toBeCloseTo(result.flatSpheres, 6);
+  expect(result.flat).toBeGreaterThan(0);
+  expect(result.stackedApart).toBeGreaterThan(0.5);
+  expect(result.cornerContacts).toBe(0);
+  expect(result.contactNormal[0]).toBeCloseTo(1, 3);
+  expect(Math.abs(result.contactPoint[0])).toBeLessThan(0.1);
+  expect(result.impulse).toBeGreaterThan(0);
+  expect(result.impact).toBeGreaterThan(0);
+  expect(result.velocities[0]).toBeLessThan(0);
+  expect(result.velocities[1]).toBeGreaterThan(0);
+  expect(result.candidatePairs).toBeLessThan(5);
+  expect(result.neighbours).toBe(1);
+});
@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+
+test('Engines rebuild GPU resources and keep their state after a WebGL context loss', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const manager = window.canvasPool.canvasManager;
+    const gl = manager.gl;
+    const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+    // Create a second engine on the shared context with a non-default variant
+    await window.switchSystem('holographic');
+    window.holographicSystem.setVariant(5);
+    await window.switchSystem('faceted');
+    window.updateParameter('hue', 123);
+    await nextFrame();
+
+    const facetedProgram = window.engine.visualizers[0].program;
+    const holographicProgram = window.holographicSystem.visualizers[0].program;
+    const ext = gl.getExtension('WEBGL_lose_context');
+
+    const restored = new Promise(resolve => {
+      const unsubscribe = manager.onContextRestored(() => {
+        unsubscribe();
+        resolve();
+      });
+    });
+    ext.loseContext();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const lost = gl.isContextLost() && manager.contextLost;
+    ext.restoreContext();
+    await restored;
+    await nextFrame();
+
+    const faceted = window.engine.visualizers[0];
+    const holographic = window.holographicSystem.visualizers[0];
+    return {
+      lost,
+      contextLost: gl.isContextLost(),
+      facetedRebuilt: faceted.program !== facetedProgram && gl.isProgram(faceted.program),
+      holographicRebuilt: holographic.program !== holographicProgram && gl.isProgram(holographic.program),
+      compositeRebuilt: manager.compositeProgram !== null && gl.isProgram(manager.compositeProgram.program),
+      hue: window.engine.parameterManager.getParameter('hue'),
+      variant: window.holographicSystem.currentVariant,
+      compositing: manager.compositeLoopId !== null
+    };
+  });
+
+  expect(result.lost).toBe(true);
+  expect(result.contextLost).toBe(false);
+  expect(result.facetedRebuilt).toBe(true);
+  expect(result.holographicRebuilt).toBe(true);
+  expect(result.compositeRebuilt).toBe(true);
+  expect(result.hue).toBe(123);
+  expect(result.variant).toBe(5);
+  expect(result.compositing).toBe(true);
+});
@@ -0,0 +1,57 @@
+import { test, expect } from '@playwright/test';
+
+test('Polychora cross-sections cut the exact polytopes and the scrubber follows the sweep', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { crossSection, hyperplane } = await import('/src/geometry/CrossSection.js');
+    const { regularPolytope } = await import('/src/geometry/Polytopes4D.js');
+    const { clock } = await import('/src/core/Clock.js');
+
+    const section = (index, options) => {
+      const mesh = regularPolytope(index);
+      const { points, normals, edges } = crossSection(mesh.vertices, mesh.indices, hyperplane(options));
+      return { points: points.length, cells: normals.length, edges: edges.length };
+    };
+
+    // The tesseract cut at w = 0 is a cube; the 24-cell gives a cuboctahedron
+    const cube = section(1, { offset: 0 });
+    const cuboctahedron = section(3, { offset: 0 });
+    const missed = section(1, { offset: 1.5 });
+
+    const offset = await window.setSlice({ offset: 0.2 });
+    const system = window.polychoraSystem;
+    const sliceMode = system.parameters.sliceMode;
+    const scrubber = document.getElementById('sliceOffset').value;
+    const toggleLabel = document.getElementById('sliceToggle').textContent;
+
+    // Sweeping moves the offset with the shared clock
+    clock.pause();
+    await window.setSlice({ animate: true, speed: 1 });
+    clock.seek(0);
+    const sweepStart = system.getSliceOffset();
+    clock.seek(Math.PI / 2);
+    const sweepPeak = system.getSliceOffset();
+    const followed = document.getElementById('sliceOffset').value;
+    clock.resume();
+
+    await window.setSlice({ enabled: false, animate: false });
+    const disabled = system.parameters.sliceMode;
+
+    await window.switchSystem('faceted');
+    return { cube, cuboctahedron, missed, offset, sliceMode, scrubber, toggleLabel, sweepStart, sweepPeak, followed, disabled };
+  });
+
+  expect(result.cube).toEqual({ points: 8, cells: 6, edges: 12 });
+  expect(result.cuboctahedron).toEqual({ points: 12, cells: 14, edges: 24 });
+  expect(result.missed.points).toBe(0);
+  expect(result.offset).toBeCloseTo(0.2, 5);
+  expect(result.sliceMode).toBe(true);
+  expect(parseFloat(result.scrubber)).toBeCloseTo(0.2, 2);
+  expect(result.toggleLabel).toContain('Project');
+  expect(result.sweepStart).toBeCloseTo(0, 5);
+  expect(result.sweepPeak).toBeGreaterThan(0.4);
+  expect(parseFloat(result.followed)).toBeCloseTo(result.sweepPeak, 2);
+  expect(result.disabled).toBe(false);
+});
@@ -0,0 +1,48 @@
+import { test, expect } from '@playwright/test';
+
+test('Shared clock pause/step/seek and seeded random are reproducible', async ({ page }) => {
+  await page.goto('/?seed=1234&time=2');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const clock = window.vib34dClock;
+    const random = window.vib34dRandom;
+
+    // ?time=2 freezes the clock, so rendering frames must not advance it
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const frozenTime = clock.getTime();
+
+    clock.step(3);
+    const steppedTime = clock.getTime();
+
+    clock.seek(5);
+    const seekTime = clock.getTime();
+
+    random.setSeed(42);
+    const first = [random.next(), random.next(), random.fork('physics').next()];
+    random.setSeed(42);
+    const second = [random.next(), random.next(), random.fork('physics').next()];
+
+    // Randomize buttons and variation pickers repeat under the same seed
+    const randomize = seed => {
+      random.setSeed(seed);
+      window.randomizeAll();
+      window.engine.randomVariation();
+      return {
+        sliders: [...document.querySelectorAll('.control-slider')].map(slider => slider.value),
+        variation: window.engine.currentVariation
+      };
+    };
+    const randomized = [randomize(7), randomize(7), randomize(8)];
+
+    return { frozenTime, steppedTime, seekTime, paused: clock.paused, first, second, randomized };
+  });
+
+  expect(result.frozenTime).toBeCloseTo(2, 5);
+  expect(result.steppedTime).toBeCloseTo(2 + 3 / 60, 5);
+  expect(result.seekTime).toBe(5);
+  expect(result.paused).toBe(true);
+  expect(result.first).toEqual(result.second);
+  expect(result.randomized[1]).toEqual(result.randomized[0]);
+  expect(result.randomized[2].sliders).not.toEqual(result.randomized[0].sliders);
+});
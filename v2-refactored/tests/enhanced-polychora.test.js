@@ -0,0 +1,103 @@
+import { test, expect } from '@playwright/test';
+
+test('EnhancedPolychoraSystem draws edges instanced on WebGL2, as GL_LINES on WebGL1, and frees its shaders', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { default: EnhancedPolychoraSystem } = await import('/src/core/EnhancedPolychoraSystem.js');
+
+    const run = contextType => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 128;
+      canvas.height = 128;
+      const gl = canvas.getContext(contextType);
+
+      // Follow every shader object and draw call
+      const shaders = new Set();
+      const deleted = new Set();
+      const draws = [];
+      const createShader = gl.createShader.bind(gl);
+      const deleteShader = gl.deleteShader.bind(gl);
+      gl.createShader = type => {
+        const shader = createShader(type);
+        shaders.add(shader);
+        return shader;
+      };
+      gl.deleteShader = shader => {
+        if (shader) deleted.add(shader);
+        deleteShader(shader);
+      };
+      ['drawArrays', 'drawElements', 'drawArraysInstanced'].forEach(name => {
+        if (!gl[name]) return;
+        const draw = gl[name].bind(gl);
+        gl[name] = (mode, ...rest) => {
+          draws.push({ name, mode, count: name === 'drawArraysInstanced' ? rest[2] : rest[0] });
+          draw(mode, ...rest);
+        };
+      });
+
+      const system = new EnhancedPolychoraSystem(gl, null);
+      system.parameters.geometry = 2; // 24-cell
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      system.render(16);
+
+      const pixels = new Uint8Array(128 * 128 * 4);
+      gl.readPixels(0, 0, 128, 128, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      let lit = 0;
+      for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i] || pixels[i + 1] || pixels[i + 2]) lit++;
+      }
+
+      // A shader that does not compile leaves nothing behind either
+      const failed = system.createShaderProgram(system.vertexShader, 'void main() { broken }');
+      const polytope = system.polytopes.get('24-cell');
+
+      return {
+        isWebGL2: system.isWebGL2,
+        instanced: Boolean(system.lineProgram),
+        edges: polytope.indices.length / 2,
+        vertices: polytope.vertexCount,
+        draws: draws.map(({ name, mode, count }) => ({
+          name,
+          mode: { [gl.LINES]: 'LINES', [gl.POINTS]: 'POINTS', [gl.TRIANGLE_STRIP]: 'TRIANGLE_STRIP' }[mode],
+          count
+        })),
+        error: gl.getError(),
+        lit,
+        failed,
+        shadersCreated: shaders.size,
+        shadersLeft: [...shaders].filter(shader => !deleted.has(shader)).length
+      };
+    };
+
+    return { webgl2: run('webgl2'), webgl1: run('webgl') };
+  });
+
+  const { webgl2, webgl1 } = result;
+  expect(webgl2.isWebGL2).toBe(true);
+  expect(webgl2.instanced).toBe(true);
+  expect(webgl2.vertices).toBe(24);
+  expect(webgl2.draws).toEqual([
+    { name: 'drawArraysInstanced', mode: 'TRIANGLE_STRIP', count: webgl2.edges },
+    { name: 'drawArrays', mode: 'POINTS', count: 24 }
+  ]);
+  expect(webgl2.error).toBe(0);
+  expect(webgl2.lit).toBeGreaterThan(0);
+
+  expect(webgl1.isWebGL2).toBe(false);
+  expect(webgl1.instanced).toBe(false);
+  expect(webgl1.draws).toEqual([
+    { name: 'drawElements', mode: 'LINES', count: webgl1.edges * 2 },
+    { name: 'drawArrays', mode: 'POINTS', count: 24 }
+  ]);
+  expect(webgl1.error).toBe(0);
+  expect(webgl1.lit).toBeGreaterThan(0);
+
+  [webgl2, webgl1].forEach(run => {
+    expect(run.failed).toBeNull();
+    expect(run.shadersCreated).toBeGreaterThan(0);
+    expect(run.shadersLeft).toBe(0);
+  });
+});
@@ -0,0 +1,39 @@
+import { test, expect } from '@playwright/test';
+
+test('Expressions follow their grammar: logic yields 1 or 0 and constants have no members', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { compileExpression } = await import('/src/core/Expression.js');
+    const scope = { t: 2, audio: { bass: 0.5 } };
+    const evaluate = source => compileExpression(source).evaluate(scope);
+    const error = source => {
+      try {
+        compileExpression(source);
+        return null;
+      } catch (thrown) {
+        return thrown.message;
+      }
+    };
+
+    return {
+      logic: ['2 && 3', '0 && 3', '2 || 3', '0 || 3', '0 || 0', 't > 1 && audio.bass', '!t || audio.bass', 'audio.missing || 0']
+        .map(evaluate),
+      arithmetic: ['-2^2', '2^3^2', '1 + 2*3 % 4', 't == 2 ? pi : e', 'clamp(t*3, 0, 5)'].map(evaluate),
+      variables: compileExpression('t*audio.bass + tau').variables,
+      constantMember: error('pi.x'),
+      constantDeepMember: error('1 + tau.a.b')
+    };
+  });
+
+  expect(result.logic).toEqual([1, 0, 1, 1, 0, 1, 1, 0]);
+  expect(result.arithmetic[0]).toBe(-4);
+  expect(result.arithmetic[1]).toBe(512);
+  expect(result.arithmetic[2]).toBe(3);
+  expect(result.arithmetic[3]).toBeCloseTo(Math.PI, 10);
+  expect(result.arithmetic[4]).toBe(5);
+  expect(result.variables).toEqual(['t', 'audio']);
+  expect(result.constantMember).toContain('Constant "pi" has no members at column 1');
+  expect(result.constantDeepMember).toContain('Constant "tau" has no members at column 5');
+});
@@ -0,0 +1,72 @@
+import { test, expect } from '@playwright/test';
+
+test('Registered geometries compile into the shaders and show up in buttons, variations, the LLM prompt and cards', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { GeometryLibrary, PLUGIN_VARIATION_START } = await import('/src/geometry/GeometryLibrary.js');
+    const { LLMParameterInterface } = await import('/src/llm/LLMParameterInterface.js');
+    const { QuantumCardGeneratorExact } = await import('/src/export/QuantumCardGeneratorExact.js');
+    const engine = window.engine;
+    const visualizer = engine.visualizers[0];
+    const originalProgram = visualizer.program;
+
+    const index = window.registerGeometry({
+      name: 'Gyroid',
+      glsl: `
+        vec3 q = p.xyz * gridSize * 6.28318;
+        float g = sin(q.x) * cos(q.y) + sin(q.y) * cos(q.z) + sin(q.z) * cos(q.x);
+        return 1.0 - smoothstep(0.0, 0.3, abs(g));`,
+      presets: [{ gridDensity: 12, hue: 150 }, { gridDensity: 24, hue: 190, chaos: 0.3 }]
+    });
+
+    // Live programs rebuilt with the new chunk
+    const rebuilt = visualizer.program !== originalProgram && visualizer.program !== null;
+
+    const buttons = [...document.querySelectorAll('.geom-btn')].map(button => button.textContent.trim());
+    window.selectGeometry(index);
+    const selected = engine.parameterManager.getParameter('geometry');
+
+    const variation = PLUGIN_VARIATION_START + 1;
+    engine.setVariation(variation, { transition: false });
+    const varied = engine.parameterManager.getParameter('gridDensity');
+
+    let rejected = 0;
+    [{ name: 'Sphere', glsl: 'return 1.0;' }, { name: 'Empty', glsl: '' }].forEach(plugin => {
+      try {
+        GeometryLibrary.registerGeometry(plugin);
+      } catch (error) {
+        rejected++;
+      }
+    });
+
+    const card = QuantumCardGeneratorExact.generateCard({ geometry: index });
+    engine.setVariation(0, { transition: false });
+
+    return {
+      index,
+      rebuilt,
+      lastButton: buttons[buttons.length - 1],
+      selected,
+      varied,
+      variationName: engine.variationManager.getVariationName(variation),
+      rejected,
+      prompt: new LLMParameterInterface().systemPrompt,
+      cardHasPlugin: card.content.includes('float geometryPlugin8') && !card.content.includes('#include'),
+      cardName: card.filename
+    };
+  });
+
+  expect(result.index).toBe(8);
+  expect(result.rebuilt).toBe(true);
+  expect(result.lastButton).toBe('Gyroid');
+  expect(result.selected).toBe(8);
+  expect(result.varied).toBe(24);
+  expect(result.variationName).toBe('GYROID LATTICE 2');
+  expect(result.rejected).toBe(2);
+  expect(result.prompt).toContain('geometry (0 to 8, integer): Geometry - Tetrahedron');
+  expect(result.prompt).toContain('Gyroid');
+  expect(result.cardHasPlugin).toBe(true);
+  expect(result.cardName).toContain('gyroid');
+});
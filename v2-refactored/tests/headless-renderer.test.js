@@ -0,0 +1,38 @@
+import { test, expect } from '@playwright/test';
+
+test('Headless renderer produces pixels for every system', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const results = await page.evaluate(async () => {
+    const { HeadlessRenderer } = await import('/src/export/HeadlessRenderer.js');
+    const renderer = new HeadlessRenderer();
+
+    return renderer.getSystems().map(system => {
+      const frame = renderer.render({
+        system,
+        parameters: { geometry: 1, gridDensity: 20, hue: 200, intensity: 0.8 },
+        width: 64,
+        height: 64,
+        time: 1.5
+      });
+
+      // Count pixels that are not the black background
+      let lit = 0;
+      for (let i = 0; i < frame.pixels.length; i += 4) {
+        if (frame.pixels[i] + frame.pixels[i + 1] + frame.pixels[i + 2] > 0) lit++;
+      }
+
+      return { system, width: frame.width, height: frame.height, length: frame.pixels.length, lit };
+    });
+  });
+
+  console.log('Headless render results:', JSON.stringify(results, null, 2));
+
+  results.forEach(result => {
+    expect(result.width).toBe(64);
+    expect(result.height).toBe(64);
+    expect(result.length).toBe(64 * 64 * 4);
+    expect(result.lit).toBeGreaterThan(0);
+  });
+});
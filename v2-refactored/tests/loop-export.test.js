@@ -0,0 +1,130 @@
+import { test, expect } from '@playwright/test';
+
+test('APNG loops keep a valid chunk sequence and decode back to the frames they were given', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { LoopExporter } = await import('/src/export/LoopExporter.js');
+    const { APNGEncoder } = await import('/src/export/APNGEncoder.js');
+
+    // Independent CRC-32 so the check does not trust the encoder's own
+    const crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      return c >>> 0;
+    });
+    const crc32 = bytes => {
+      let crc = 0xFFFFFFFF;
+      for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+      return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+
+    const inspect = bytes => {
+      const view = new DataView(bytes.buffer);
+      const chunks = [];
+      for (let offset = 8; offset < bytes.length;) {
+        const length = view.getUint32(offset);
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        chunks.push({
+          type: String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)),
+          data,
+          crcValid: view.getUint32(offset + 8 + length) === crc32(bytes.subarray(offset + 4, offset + 8 + length))
+        });
+        offset += 12 + length;
+      }
+      const field = (chunk, at) => new DataView(chunk.data.buffer, chunk.data.byteOffset).getUint32(at);
+      const actl = chunks.find(chunk => chunk.type === 'acTL');
+      const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+      const fctl = chunks.filter(chunk => chunk.type === 'fcTL');
+      return {
+        chunks,
+        signature: [...bytes.subarray(0, 8)],
+        types: chunks.map(chunk => chunk.type),
+        crcValid: chunks.every(chunk => chunk.crcValid),
+        size: [field(ihdr, 0), field(ihdr, 4)],
+        frames: field(actl, 0),
+        plays: field(actl, 4),
+        delay: fctl.map(chunk => [chunk.data[20] << 8 | chunk.data[21], chunk.data[22] << 8 | chunk.data[23]]),
+        sequence: chunks.filter(chunk => chunk.type === 'fcTL' || chunk.type === 'fdAT').map(chunk => field(chunk, 0))
+      };
+    };
+
+    // Rebuild every frame as a still PNG and decode it back to pixels
+    const decode = async ({ chunks, size: [width, height] }) => {
+      const still = (type, data) => APNGEncoder.prototype.chunk(type, data);
+      const frames = [];
+      chunks.forEach(chunk => {
+        if (chunk.type === 'fcTL') frames.push([]);
+        else if (chunk.type === 'IDAT') frames[frames.length - 1].push(chunk.data);
+        else if (chunk.type === 'fdAT') frames[frames.length - 1].push(chunk.data.subarray(4));
+      });
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      const ihdr = chunks.find(chunk => chunk.type === 'IHDR').data;
+      return Promise.all(frames.map(async data => {
+        const png = [new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]), still('IHDR', ihdr),
+          ...data.map(part => still('IDAT', part)), still('IEND', new Uint8Array(0))];
+        const bitmap = await createImageBitmap(new Blob(png, { type: 'image/png' }));
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(bitmap, 0, 0);
+        return [...ctx.getImageData(0, 0, width, height).data];
+      }));
+    };
+
+    // A three-frame loop of the running system
+    const exportedBlob = await new LoopExporter().export({ format: 'apng', system: 'faceted', fps: 3, duration: 1, width: 64, height: 48 });
+    const exported = inspect(new Uint8Array(await exportedBlob.arrayBuffer()));
+    const exportedFrames = await decode(exported);
+
+    // A drawn loop that returns to its first picture
+    const canvas = document.createElement('canvas');
+    canvas.width = 16;
+    canvas.height = 16;
+    const ctx = canvas.getContext('2d');
+    const encoder = new APNGEncoder({ fps: 2 });
+    for (const color of ['#ff0000', '#0000ff', '#ff0000']) {
+      ctx.fillStyle = color;
+      ctx.fillRect(0, 0, 16, 16);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      encoder.addFrame(await blob.arrayBuffer());
+    }
+    const drawn = inspect(new Uint8Array(await encoder.encode().arrayBuffer()));
+    const [first, middle, last] = await decode(drawn);
+    const same = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+    delete exported.chunks;
+    delete drawn.chunks;
+    return {
+      exported,
+      exportedFrames: exportedFrames.map(pixels => pixels.length),
+      drawn,
+      firstPixel: first.slice(0, 4),
+      endsMatch: same(first, last),
+      middleDiffers: !same(first, middle)
+    };
+  });
+
+  const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+  expect(result.exported.signature).toEqual(signature);
+  expect(result.exported.types.slice(0, 4)).toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT']);
+  expect(result.exported.types[result.exported.types.length - 1]).toBe('IEND');
+  expect(result.exported.crcValid).toBe(true);
+  expect(result.exported.size).toEqual([64, 48]);
+  expect(result.exported.frames).toBe(3);
+  expect(result.exported.plays).toBe(0);
+  expect(result.exported.delay).toEqual([[1, 3], [1, 3], [1, 3]]);
+  expect(result.exported.sequence).toEqual(result.exported.sequence.map((_, i) => i));
+  expect(result.exportedFrames).toEqual([64 * 48 * 4, 64 * 48 * 4, 64 * 48 * 4]);
+
+  expect(result.drawn.signature).toEqual(signature);
+  expect(result.drawn.crcValid).toBe(true);
+  expect(result.drawn.frames).toBe(3);
+  expect(result.drawn.types.filter(type => type === 'fcTL')).toHaveLength(3);
+  expect(result.drawn.sequence).toEqual(result.drawn.sequence.map((_, i) => i));
+  expect(result.firstPixel).toEqual([255, 0, 0, 255]);
+  expect(result.endsMatch).toBe(true);
+  expect(result.middleDiffers).toBe(true);
+});
@@ -0,0 +1,79 @@
+import { test, expect } from '@playwright/test';
+
+test('Math4D rotors match plane matrices, interpolate on the shortest path and project like the shaders', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { ROTATION_PLANES, vec4, mat4, mat5, bivector, rotor, projection } = await import('/src/core/Math4D.js');
+    const { project4Dto3D } = await import('/src/core/Projection.js');
+    const difference = (a, b) => Math.max(...a.map((value, i) => Math.abs(value - b[i])));
+
+    // Rotors and matrices agree for every composition of the six planes
+    const angles = [0.3, -1.1, 2.0, 0.7, -0.4, 1.6];
+    const matrix = mat4.fromAngles(angles);
+    const orientation = rotor.fromAngles(angles);
+    const point = [0.2, -0.5, 0.9, 0.4];
+    const rotorVsMatrix = difference(rotor.toMat4(orientation), matrix);
+    const applied = difference(rotor.apply(orientation, point), mat4.transformVec4(matrix, point));
+    const orthogonal = difference(mat4.multiply(matrix, mat4.transpose(matrix)), mat4.identity());
+    const quarterTurn = mat4.transformVec4(mat4.rotation('XW', Math.PI / 2), [1, 0, 0, 0]);
+
+    // exp and log are inverses
+    const velocity = [0.2, 0, -0.3, 0.5, 0.1, -0.2];
+    const logExp = difference(rotor.toBivector(rotor.fromBivector(velocity)), velocity);
+
+    // SLERP: halfway through a double rotation turns both planes halfway
+    const double = bivector.add(bivector.fromPlane('XY', 1), bivector.fromPlane('ZW', 2));
+    const halfway = rotor.toMat4(rotor.slerp(rotor.identity(), rotor.fromBivector(double), 0.5));
+    const halfwayError = difference(halfway, mat4.multiply(mat4.rotation('XY', 0.5), mat4.rotation('ZW', 1)));
+    const ends = difference(rotor.toMat4(rotor.slerp(rotor.identity(), orientation, 1)), matrix);
+    // 350° one way is 10° the other
+    const shortest = difference(
+      rotor.toMat4(rotor.slerp(rotor.identity(), rotor.fromPlane('YW', Math.PI * 2 - 0.2), 0.5)),
+      mat4.rotation('YW', -0.1)
+    );
+
+    // Homogeneous 5×5: rigid transform, inverse and perspective
+    const rigid = mat5.fromRotationTranslation(mat4.rotation('XY', Math.PI / 2), [1, 2, 3, 4]);
+    const moved = mat5.transformPoint(rigid, [1, 0, 0, 0]);
+    const undone = mat5.transformPoint(mat5.multiply(mat5.invert(rigid), rigid), point);
+    const perspective = difference(mat5.transformPoint(mat5.perspective(), point).slice(0, 3), projection.perspective(point));
+    const sharedProjection = difference(project4Dto3D(point, 0), projection.perspective(point));
+
+    return {
+      planes: ROTATION_PLANES,
+      rotorVsMatrix,
+      applied,
+      orthogonal,
+      quarterTurn,
+      logExp,
+      halfwayError,
+      ends,
+      shortest,
+      moved,
+      undone: difference(undone, point),
+      perspective,
+      sharedProjection,
+      unit: vec4.length(vec4.normalize([1, 2, 3, 4])),
+      simple: [bivector.isSimple(bivector.wedge([1, 2, 3, 4], [0, 1, -1, 2])), bivector.isSimple(double)]
+    };
+  });
+
+  expect(result.planes).toEqual(['XY', 'XZ', 'YZ', 'XW', 'YW', 'ZW']);
+  expect(result.rotorVsMatrix).toBeLessThan(1e-9);
+  expect(result.applied).toBeLessThan(1e-9);
+  expect(result.orthogonal).toBeLessThan(1e-9);
+  expect(result.quarterTurn[0]).toBeCloseTo(0, 9);
+  expect(result.quarterTurn[3]).toBeCloseTo(1, 9);
+  expect(result.logExp).toBeLessThan(1e-9);
+  expect(result.halfwayError).toBeLessThan(1e-9);
+  expect(result.ends).toBeLessThan(1e-9);
+  expect(result.shortest).toBeLessThan(1e-9);
+  result.moved.forEach((value, i) => expect(value).toBeCloseTo([1, 3, 3, 4][i], 9));
+  expect(result.undone).toBeLessThan(1e-9);
+  expect(result.perspective).toBeLessThan(1e-9);
+  expect(result.sharedProjection).toBeLessThan(1e-9);
+  expect(result.unit).toBeCloseTo(1, 12);
+  expect(result.simple).toEqual([true, false]);
+});
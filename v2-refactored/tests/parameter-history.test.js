@@ -0,0 +1,57 @@
+import { test, expect } from '@playwright/test';
+
+test('Slider drags undo as one step, across system switches, and persist for the session', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const drag = await page.evaluate(async () => {
+    const history = window.parameterHistory;
+    const hue = () => window.engine.parameterManager.getParameter('hue');
+    history.clear();
+    window.engine.parameterManager.setParameter('hue', 100);
+
+    // One drag: several input events, then a change on release
+    const slider = document.getElementById('hue');
+    [120, 160, 240].forEach(value => {
+      slider.value = value;
+      slider.dispatchEvent(new Event('input'));
+    });
+    slider.dispatchEvent(new Event('change'));
+    const dragged = hue();
+    const steps = history.undoStack.length;
+
+    // Undo from another system returns to the one the edit was made in
+    await window.switchSystem('quantum');
+    await window.undoParameters();
+    const undone = { system: window.currentSystem, hue: hue(), slider: parseFloat(slider.value) };
+
+    await window.redoParameters();
+    return {
+      dragged,
+      steps,
+      undone,
+      redone: hue(),
+      stored: JSON.parse(sessionStorage.getItem('vib34d-parameter-history')).undo.length
+    };
+  });
+
+  expect(drag.dragged).toBe(240);
+  expect(drag.steps).toBe(1);
+  expect(drag.undone).toEqual({ system: 'faceted', hue: 100, slider: 100 });
+  expect(drag.redone).toBe(240);
+  expect(drag.stored).toBe(1);
+
+  // Keyboard shortcuts, and resetAll undoes as a single step
+  await page.evaluate(() => window.resetAll());
+  await page.keyboard.press('Control+z');
+  expect(await page.evaluate(() => window.engine.parameterManager.getParameter('hue'))).toBe(240);
+  await page.keyboard.press('Control+Shift+z');
+  const reset = await page.evaluate(() => ({
+    hue: window.engine.parameterManager.getParameter('hue'),
+    steps: window.parameterHistory.undoStack.length,
+    redoDisabled: document.getElementById('redoButton').disabled
+  }));
+  expect(reset.hue).not.toBe(240);
+  expect(reset.steps).toBe(2);
+  expect(reset.redoDisabled).toBe(true);
+});
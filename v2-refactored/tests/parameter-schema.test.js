@@ -0,0 +1,63 @@
+import { test, expect } from '@playwright/test';
+
+test('Sliders, validation, prompts, saves and cards all follow the parameter schema', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { PARAMETER_SCHEMA, validateParameters } = await import('/src/core/ParameterSchema.js');
+    const { UnifiedSaveManager } = await import('/src/core/UnifiedSaveManager.js');
+    const { ParameterMapper } = await import('/src/core/ParameterMapper.js');
+    const { LLMParameterInterface } = await import('/src/llm/LLMParameterInterface.js');
+    const { TradingCardManager } = await import('/src/export/TradingCardManager.js');
+
+    const xw = document.getElementById('rot4dXW');
+    const density = document.getElementById('gridDensity');
+
+    window.engine.parameterManager.setParameter('rot4dXW', 5);
+
+    const normalized = UnifiedSaveManager.prototype.normalizeParameters.call(null, { density: 500, geometryType: 3 }, 'holographic');
+    const mapper = new ParameterMapper();
+    const prompt = new LLMParameterInterface().systemPrompt;
+
+    // Capture what the generator receives instead of downloading a card
+    let cardParameters = null;
+    TradingCardManager.generators.faceted = {
+      generateCard: async (format, parameters) => {
+        cardParameters = parameters;
+        return { success: true, filename: 'test.html' };
+      }
+    };
+    await TradingCardManager.createCard('faceted', 'classic', { hue: 999 });
+    delete TradingCardManager.generators.faceted;
+
+    return {
+      xwRange: [parseFloat(xw.min), parseFloat(xw.max)],
+      densityMin: parseFloat(density.min),
+      hueDisplay: document.getElementById('hueValue')?.textContent,
+      sliderCount: document.querySelectorAll('[data-parameter-section] .control-slider').length,
+      sectionCount: Object.values(PARAMETER_SCHEMA).filter(def => def.section).length,
+      xw: window.engine.parameterManager.getParameter('rot4dXW'),
+      normalized,
+      prompt,
+      validated: validateParameters({ hue: 400, bogus: 1 }),
+      mapperDensity: mapper.unifiedSchema.density,
+      mapperGridDensity: mapper.unifiedSchema.gridDensity,
+      cardParameters
+    };
+  });
+
+  expect(result.xwRange).toEqual([-6.28, 6.28]);
+  expect(result.densityMin).toBe(5);
+  expect(result.hueDisplay).toBe('200°');
+  expect(result.sliderCount).toBe(result.sectionCount);
+  expect(result.xw).toBe(5);
+  expect(result.normalized.density).toBe(100);
+  expect(result.normalized.geometryType).toBe(3);
+  expect(result.prompt).toContain('rot4dXW (-6.28 to 6.28 rad)');
+  expect(result.validated.params.hue).toBe(360);
+  expect(result.validated.errors.length).toBe(2);
+  expect(result.mapperDensity).toEqual(result.mapperGridDensity);
+  expect(result.cardParameters.hue).toBe(360);
+  expect(result.cardParameters.gridDensity).toBe(15);
+});
@@ -0,0 +1,103 @@
+import { test, expect } from '@playwright/test';
+
+test('4D physics joins bodies with springs, distances, anchors and hinges that round-trip through the parameters', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { Polychora4DPhysics } = await import('/src/physics/Polychora4DPhysics.js');
+    const { constraintPreset } = await import('/src/physics/Constraints4D.js');
+    const distance = (a, b) => Math.hypot(...a.map((value, i) => value - b[i]));
+
+    const quietWorld = () => {
+      const physics = new Polychora4DPhysics();
+      physics.enable();
+      physics.setFluidFlow([0, 0, 0, 0]);
+      physics.airResistance = 0;
+      return physics;
+    };
+    const options = { brownianMotion: 0, territorial: 0.01 };
+
+    // A pinned chain hangs under gravity without stretching or its links colliding
+    const chain = quietWorld();
+    for (let i = 0; i < 4; i++) chain.createRigidBody(i, [i * 2, 0, 0, 0], options);
+    chain.setConstraints(constraintPreset('chain', 4));
+    let chainContacts = 0;
+    for (let i = 0; i < 300; i++) {
+      chain.step();
+      chainContacts += chain.getContacts().length;
+    }
+    const bodies = chain.getAllBodies();
+    const links = bodies.slice(1).map((body, i) => distance(body.position, bodies[i].position));
+    const pin = distance(bodies[0].position, [0, 0, 0, 2]);
+
+    // A motorized hinge carries its body round a circle in the hinge plane
+    const orbit = quietWorld();
+    orbit.setGravity([0, 0, 0, 0]);
+    const sun = orbit.createRigidBody(2, [0, 0, 0, 0], options);
+    const planet = orbit.createRigidBody(4, [2, 0.4, 0, 0], options);
+    orbit.addConstraint({ type: 'anchor', bodyA: sun, length: 0 });
+    orbit.addConstraint({ type: 'hinge', bodyA: 0, bodyB: 1, plane: 'XW', length: 2, motorSpeed: Math.PI / 2 });
+    for (let i = 0; i < 60; i++) orbit.step();
+    const quarterTurn = planet.position;
+
+    // A spring settles at its rest length
+    const spring = quietWorld();
+    spring.setGravity([0, 0, 0, 0]);
+    spring.createRigidBody(4, [0, 0, 0, 0], options);
+    spring.createRigidBody(4, [4, 0, 0, 0], options);
+    spring.addConstraint({ type: 'spring', bodyA: 0, bodyB: 1, restLength: 2, stiffness: 4, damping: 1 });
+    for (let i = 0; i < 900; i++) spring.step();
+    const [left, right] = spring.getAllBodies();
+    const springLength = distance(left.position, right.position);
+    const serialized = JSON.parse(JSON.stringify(spring.serializeConstraints()));
+    spring.removeBody(right.id);
+
+    // The system builds its joints from the parameters, and a saved copy restores them
+    await window.switchSystem('polychora');
+    const system = window.polychoraSystem;
+    system.enablePhysics();
+    system.setConstraints([{ type: 'spring', bodyA: 0, bodyB: 1, restLength: 3 }], 'orbit');
+    const live = system.physics.serializeConstraints();
+    const saved = JSON.parse(JSON.stringify(system.parameters));
+    system.setConstraints([], 'none');
+    const cleared = system.physics.getConstraints().length;
+    system.updateParameters(saved);
+    const restored = system.physics.serializeConstraints();
+    system.setConstraints([], 'none');
+    system.disablePhysics();
+    await window.switchSystem('faceted');
+
+    return {
+      links,
+      pin,
+      chainContacts,
+      quarterTurn,
+      springLength,
+      serialized,
+      afterRemove: spring.getConstraints().length,
+      liveTypes: live.map(spec => spec.type),
+      cleared,
+      restoredSame: JSON.stringify(restored) === JSON.stringify(live),
+      savedPreset: saved.constraintPreset
+    };
+  });
+
+  result.links.forEach(link => expect(link).toBeCloseTo(2.5, 2));
+  expect(result.pin).toBeLessThan(0.1);
+  expect(result.chainContacts).toBe(0);
+  // A quarter turn from +X toward +W, with the Y offset pulled into the plane
+  expect(Math.abs(result.quarterTurn[0])).toBeLessThan(0.15);
+  expect(result.quarterTurn[1]).toBeCloseTo(0, 3);
+  expect(result.quarterTurn[2]).toBeCloseTo(0, 3);
+  expect(result.quarterTurn[3]).toBeGreaterThan(1.9);
+  expect(result.springLength).toBeCloseTo(2, 1);
+  expect(result.serialized).toEqual([{ type: 'spring', bodyA: 0, bodyB: 1, restLength: 2, stiffness: 4, damping: 1 }]);
+  expect(result.afterRemove).toBe(0);
+  expect(result.liveTypes[0]).toBe('anchor');
+  expect(result.liveTypes.filter(type => type === 'hinge').length).toBeGreaterThan(0);
+  expect(result.liveTypes[result.liveTypes.length - 1]).toBe('spring');
+  expect(result.cleared).toBe(0);
+  expect(result.restoredSame).toBe(true);
+  expect(result.savedPreset).toBe('orbit');
+});
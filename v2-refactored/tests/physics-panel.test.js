@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+
+test('Physics panel edits the running polychora simulation and its settings survive saves and cards', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { UnifiedSaveManager } = await import('/src/core/UnifiedSaveManager.js');
+    const { PolychoraCardGenerator } = await import('/src/export/PolychoraCardGenerator.js');
+    const editor = window.physicsEditor;
+
+    // The simulate checkbox starts the simulation from the panel
+    const simulate = document.getElementById('physicsEnabled');
+    simulate.checked = true;
+    await simulate.onchange();
+    const system = window.polychoraSystem;
+    const enabled = system.physicsEnabled;
+    const bodyIds = system.physicsBodies.map(body => body.id);
+
+    // Sliders change the world and every body in place, without respawning
+    const mass = document.getElementById('mass');
+    mass.value = 4;
+    await mass.oninput();
+    await window.setPhysics({ gravity4D: -6, friction: 0.6, flocking: true, magneticField: 99 });
+    const body = system.physicsBodies[0];
+    const live = {
+      sameBodies: system.physicsBodies.map(candidate => candidate.id).join() === bodyIds.join(),
+      mass: body.mass,
+      inertia: body.inertia4D[0],
+      friction: body.friction,
+      flocking: body.flockingBehavior,
+      gravity: system.physics.gravity4D[3],
+      magnetic: system.physics.magneticField[2],
+      massLabel: document.getElementById('massValue').textContent,
+      flockingBox: document.getElementById('flocking').checked
+    };
+
+    // Gallery saves keep the physics settings; loading them restarts the same simulation
+    const saved = UnifiedSaveManager.prototype.normalizeParameters.call(null, system.parameters, 'polychora');
+    await window.setPhysics({ physicsEnabled: false, gravity4D: 0, mass: 1, friction: 0.1, flocking: false });
+    const stopped = system.physicsEnabled;
+    system.updateParameters(JSON.parse(JSON.stringify(saved)));
+    editor.refresh(system);
+    const restored = {
+      enabled: system.physicsEnabled,
+      gravity: system.physics.gravity4D[3],
+      mass: system.physicsBodies[0].mass,
+      friction: system.physicsBodies[0].friction,
+      gravitySlider: parseFloat(document.getElementById('gravity4D').value)
+    };
+
+    // Cards carry the settings and show them
+    const generator = new PolychoraCardGenerator();
+    const parameters = { polytope: 1, ...system.getPhysicsParameters() };
+    const html = generator.buildHTML({
+      format: 'classic',
+      parameters,
+      shaders: generator.getSystemShaders(),
+      styles: '',
+      content: generator.generateSystemContent(parameters)
+    });
+    const card = PolychoraCardGenerator.readCardParameters(html);
+
+    await window.setPhysics({ physicsEnabled: false, gravity4D: -2.5, mass: 1, friction: 0.1, flocking: false, magneticField: 0 });
+    await window.switchSystem('faceted');
+
+    return { enabled, live, saved, stopped, restored, card, readout: html.includes('4D PHYSICS g -6.0') };
+  });
+
+  expect(result.enabled).toBe(true);
+  expect(result.live.sameBodies).toBe(true);
+  expect(result.live.mass).toBe(4);
+  expect(result.live.inertia).toBeCloseTo(1.6, 5);
+  expect(result.live.friction).toBe(0.6);
+  expect(result.live.flocking).toBe(true);
+  expect(result.live.gravity).toBe(-6);
+  expect(result.live.magnetic).toBe(5);
+  expect(result.live.massLabel).toBe('4.0');
+  expect(result.live.flockingBox).toBe(true);
+  expect(result.saved).toMatchObject({ physicsEnabled: true, gravity4D: -6, mass: 4, friction: 0.6, flocking: true });
+  expect(result.stopped).toBe(false);
+  expect(result.restored).toEqual({ enabled: true, gravity: -6, mass: 4, friction: 0.6, gravitySlider: -6 });
+  expect(result.card).toMatchObject({ physicsEnabled: true, gravity4D: -6, mass: 4, friction: 0.6, flocking: true, magneticField: 5 });
+  expect(result.readout).toBe(true);
+});
@@ -0,0 +1,114 @@
+import { test, expect } from '@playwright/test';
+
+test('Polychora physics runs record per step, replay with the clock, export as JSON and embed in cards', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { clock } = await import('/src/core/Clock.js');
+    const { PhysicsRecording } = await import('/src/physics/PhysicsRecording.js');
+    const { PolychoraCardGenerator } = await import('/src/export/PolychoraCardGenerator.js');
+    const recorder = window.physicsRecorder;
+
+    // Record one second of fixed steps with the clock held still
+    clock.pause();
+    await recorder.toggleRecording();
+    const system = window.polychoraSystem;
+    const recordLabel = document.getElementById('physicsRecord').textContent;
+    system.physicsBodies.forEach(body => { body.angularVelocity = [0, 0, 0, 1, 0, 0]; });
+    for (let i = 0; i < 60; i++) {
+      system.physics.step();
+      system.recordPhysicsStep();
+    }
+    const recording = await recorder.toggleRecording();
+    const live = system.physics.getPhysicsFeedback()[system.parameters.polytope].rotation[3];
+
+    // Replay: scrubbing sets the pose, then the playhead follows the clock
+    const modulation = () => ['hue', 'chromaticAberration', 'noiseAmplitude'].map(name => system.parameters[name]);
+    const before = modulation();
+    await recorder.toggleReplay();
+    const replayLabel = document.getElementById('physicsReplay').textContent;
+    recorder.seek(0.5);
+    const scrubbed = system.parameters.rot4dXW;
+    const expected = recording.stateAt(0.5)[system.parameters.polytope].rotation[3];
+    clock.step(15);
+    const followed = parseFloat(document.getElementById('physicsReplayScrubber').value);
+    const playhead = system.getPhysicsReplayTime();
+
+    // A frame depends on the playhead only, however the replay got there
+    recorder.seek(0.5);
+    const first = modulation();
+    recorder.seek(0.9);
+    recorder.seek(0.2);
+    recorder.seek(0.5);
+    const again = modulation();
+
+    // Export and load back
+    const exported = JSON.parse(recorder.exportRecording());
+    const reloaded = PhysicsRecording.fromJSON(exported);
+    const end = reloaded.stateAt(reloaded.duration)[system.parameters.polytope].rotation[3];
+
+    // Cards carry a short excerpt of the current polytope's body
+    const excerpt = system.getPhysicsCardRecording({ duration: 0.5, frameRate: 20 });
+    const generator = new PolychoraCardGenerator();
+    const parameters = { polytope: system.parameters.polytope, physicsRecording: excerpt };
+    const html = generator.buildHTML({ format: 'classic', parameters, shaders: generator.getSystemShaders(), styles: '', content: '' });
+
+    // A sparser recording builds the modulation up as fast
+    await recorder.importRecording(JSON.stringify(recording.excerpt({ frameRate: 20 }).toJSON()));
+    recorder.seek(0.5);
+    const sparse = modulation();
+
+    await recorder.toggleReplay();
+    const stopped = system.physicsReplay;
+    const after = modulation();
+    system.disablePhysics();
+    clock.resume();
+    await window.switchSystem('faceted');
+
+    return {
+      recordLabel,
+      duration: recording.duration,
+      frames: recording.frames.length,
+      live,
+      replayLabel,
+      scrubbed,
+      expected,
+      followed,
+      playhead,
+      before,
+      first,
+      again,
+      sparse,
+      after,
+      exportedType: exported.type,
+      exportedFrames: exported.frames.length,
+      end,
+      excerptBodies: excerpt.bodies,
+      excerptFrames: excerpt.frames.length,
+      embedsRecording: html.includes('function playCardPhysics') && html.includes('vib34d-physics-recording'),
+      stopped
+    };
+  });
+
+  expect(result.recordLabel).toContain('Stop');
+  expect(result.duration).toBeCloseTo(1, 5);
+  expect(result.frames).toBe(61);
+  expect(result.replayLabel).toContain('Live');
+  expect(result.scrubbed).toBeCloseTo(result.expected, 5);
+  expect(result.scrubbed).toBeGreaterThan(0.3);
+  expect(result.playhead).toBeCloseTo(0.75, 3);
+  expect(result.followed).toBeCloseTo(0.75, 2);
+  expect(result.first[0]).toBeGreaterThan(result.before[0]);
+  expect(result.again).toEqual(result.first);
+  const builtUp = result.first[0] - result.before[0];
+  expect(Math.abs(result.sparse[0] - result.before[0] - builtUp)).toBeLessThan(builtUp * 0.1);
+  expect(result.after).toEqual(result.before);
+  expect(result.exportedType).toBe('vib34d-physics-recording');
+  expect(result.exportedFrames).toBe(61);
+  expect(result.end).toBeCloseTo(result.live, 3);
+  expect(result.excerptBodies).toHaveLength(1);
+  expect(result.excerptFrames).toBe(11);
+  expect(result.embedsRecording).toBe(true);
+  expect(result.stopped).toBeNull();
+});
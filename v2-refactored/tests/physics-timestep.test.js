@@ -0,0 +1,91 @@
+import { test, expect } from '@playwright/test';
+
+test('Polychora physics runs fixed steps at any frame rate, interpolates between them and follows the time scale', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { clock } = await import('/src/core/Clock.js');
+    const { FixedTimestep } = await import('/src/physics/FixedTimestep.js');
+    const { Polychora4DPhysics } = await import('/src/physics/Polychora4DPhysics.js');
+    const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+
+    // One simulated second is 60 steps whether it arrives in 30 Hz or 144 Hz frames
+    const stepsAt = (frameRate, timeScale = 1) => {
+      const loop = new FixedTimestep({ timeScale });
+      let steps = 0;
+      for (let frame = 0; frame < frameRate; frame++) loop.advance(1 / frameRate, () => steps++);
+      return steps;
+    };
+    const clamped = new FixedTimestep({ maxSteps: 5 });
+    let clampedSteps = 0;
+    clamped.advance(1, () => clampedSteps++);
+
+    // Rendering halfway through a step draws the body halfway along it
+    const physics = new Polychora4DPhysics();
+    physics.enable();
+    physics.setGravity([0, 0, 0, 0]);
+    physics.setFluidFlow([0, 0, 0, 0]);
+    const body = physics.createRigidBody(1, [0, 0, 0, 0], { brownianMotion: 0 });
+    body.velocity = [6, 0, 0, 0];
+    body.angularVelocity = [0, 0, 0, 3, 0, 0];
+    physics.simulate(physics.timeStep, 4);
+    const [halfway] = physics.getPhysicsFeedback(0.5);
+    const midpoint = (body.previousState.position[0] + body.position[0]) / 2;
+    const midAngle = (body.previousState.rotation[3] + body.rotation[3]) / 2;
+
+    // The system steps for clock time passed, scaled by the UI time scale
+    const clampedControls = await window.setPhysicsTime({ timeScale: 10, substeps: 20 });
+    await window.setPhysicsTime({ timeScale: 0.5, substeps: 2 });
+    const label = document.getElementById('physicsTimeScaleValue').textContent;
+    const system = window.polychoraSystem;
+    system.enablePhysics();
+    clock.pause();
+    await nextFrame();
+    await nextFrame();
+    system.physicsLoop.reset(); // Drop the part-step left from before the pause
+
+    let simulated = 0;
+    const simulate = system.physics.simulate;
+    system.physics.simulate = function(...args) {
+      simulated++;
+      return simulate.apply(this, args);
+    };
+    clock.step(12);
+    await nextFrame();
+    await nextFrame();
+    const slowSteps = simulated;
+    delete system.physics.simulate;
+
+    await window.setPhysicsTime({ timeScale: 1, substeps: 1 });
+    system.disablePhysics();
+    clock.resume();
+    await window.switchSystem('faceted');
+
+    return {
+      steps30: stepsAt(30),
+      steps144: stepsAt(144),
+      slowMotion: stepsAt(60, 0.25),
+      clampedSteps,
+      dropped: clamped.droppedTime,
+      halfway: { x: halfway.position[0], angle: halfway.rotation[3] },
+      midpoint,
+      midAngle,
+      clampedControls,
+      label,
+      slowSteps
+    };
+  });
+
+  expect(result.steps30).toBe(60);
+  expect(result.steps144).toBe(60);
+  expect(result.slowMotion).toBe(15);
+  expect(result.clampedSteps).toBe(5);
+  expect(result.dropped).toBeGreaterThan(0.9);
+  expect(result.halfway.x).toBeCloseTo(result.midpoint, 9);
+  expect(result.halfway.angle).toBeCloseTo(result.midAngle, 9);
+  expect(result.clampedControls).toEqual({ timeScale: 4, substeps: 8 });
+  expect(result.label).toBe('0.50x');
+  // 12 clock frames = 0.2s at half speed = 6 fixed steps
+  expect(result.slowSteps).toBe(6);
+});
@@ -0,0 +1,125 @@
+import { test, expect } from '@playwright/test';
+
+test('Polychora scenes draw several bodies, spawned, selected and deleted by clicking the canvas', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { UnifiedSaveManager } = await import('/src/core/UnifiedSaveManager.js');
+    const { MAX_SCENE_BODIES, sceneBodyView } = await import('/src/core/PolychoraScene.js');
+    const editor = window.sceneEditor;
+
+    // Spawning at two canvas points puts a body under each
+    document.getElementById('sceneSpawnType').value = '1';
+    editor.setTool('spawn');
+    const first = await editor.click(0.7, 0.5);
+    document.getElementById('sceneSpawnType').value = '4';
+    const second = await editor.click(0.3, 0.5);
+    const system = window.polychoraSystem;
+    const sectionShown = () => getComputedStyle(document.getElementById('sceneSection')).display !== 'none';
+    const shownWithPolychora = sectionShown();
+    const spawned = system.parameters.scene.map(entry => entry.polytope);
+
+    // Selecting picks the body under the click; empty space clears the selection
+    editor.setTool('select');
+    const picked = await editor.click(0.7, 0.5);
+    const selectedLabel = document.getElementById('sceneSelection').textContent;
+    const missed = await editor.click(0.5, 0.95);
+    await editor.click(0.3, 0.5);
+
+    // The selected body's material sliders edit only that body
+    const hue = document.getElementById('sceneBodyHue');
+    hue.value = 40;
+    await hue.oninput();
+    const hues = system.parameters.scene.map(entry => entry.material.hue);
+
+    // Every body is drawn with its own type and place; physics moves each one separately
+    const drawList = system.getSceneDrawList();
+    const drawn = drawList.map(body => ({ polytope: body.parameters.polytope, x: body.offset[0] }));
+
+    // Each body shades only a square around itself, not the whole layer
+    const content = system.visualizers.find(visualizer => visualizer.role === 'content');
+    const quads = [];
+    const uniform4fv = content.gl.uniform4fv;
+    content.gl.uniform4fv = function (location, value) {
+      quads.push([...value]);
+      return uniform4fv.call(this, location, value);
+    };
+    content.render(system.parameters, null, drawList);
+    content.gl.uniform4fv = uniform4fv;
+    const circles = drawList.map(body => content.quadAround(body.offset, body.radius));
+    await window.setPhysics({ physicsEnabled: true, gravity4D: 0, brownianMotion: 0, fluidFlow: 0 });
+    const bodies = system.physicsBodies.map(body => body.polytopeType);
+    system.physicsBodies[1].velocity = [-20, 0, 0, 0];
+    for (let i = 0; i < 10; i++) {
+      system.physics.simulate(system.physics.timeStep);
+      system.updatePhysicsVisuals(system.physics.getPhysicsFeedback());
+    }
+    const moved = system.getSceneDrawList().map(body => body.offset[0]);
+
+    // Saves keep the scene
+    const saved = UnifiedSaveManager.prototype.normalizeParameters.call(null, system.parameters, 'polychora');
+
+    // Deleting by click removes the body and its rigid body
+    editor.setTool('delete');
+    const deleted = await editor.click(0.7, 0.5);
+    const afterDelete = {
+      scene: system.parameters.scene.map(entry => entry.polytope),
+      bodies: system.physicsBodies.map(body => body.polytopeType)
+    };
+
+    // A full scene refuses more bodies
+    editor.setTool('spawn');
+    for (let i = system.parameters.scene.length; i < MAX_SCENE_BODIES; i++) system.spawnBody();
+    const refused = await editor.click(0.5, 0.5);
+    const error = document.getElementById('sceneError').textContent;
+
+    await editor.clear();
+    const cleared = { scene: system.parameters.scene.length, drawList: system.getSceneDrawList(), bodies: system.physicsBodies.length };
+    editor.setTool('select');
+    await window.setPhysics({ physicsEnabled: false, gravity4D: -2.5, brownianMotion: 0.1, fluidFlow: 0.5 });
+    await window.switchSystem('faceted');
+    const shownWithFaceted = sectionShown();
+
+    // Further along +W is further away: smaller and nearer the middle
+    const [near, flat, far] = [-2, 0, 2].map(w => sceneBodyView([5, 5, 0, w], 1));
+
+    return { shownWithPolychora, shownWithFaceted, quads, circles, near, flat, far, first, second, spawned, picked, selectedLabel, missed, hues, drawn, bodies, moved, saved, deleted, afterDelete, refused, error, cleared };
+  });
+
+  expect(result.shownWithPolychora).toBe(true);
+  expect(result.shownWithFaceted).toBe(false);
+  expect(result.first).toBe(0);
+  expect(result.second).toBe(1);
+  expect(result.spawned).toEqual([1, 4]);
+  expect(result.picked).toBe(0);
+  expect(result.selectedLabel).toContain('1/2');
+  expect(result.missed).toBeNull();
+  expect(result.hues).toEqual([280, 40]);
+  expect(result.drawn[0]).toMatchObject({ polytope: 1 });
+  expect(result.drawn[1]).toMatchObject({ polytope: 4 });
+  expect(result.quads).toHaveLength(2);
+  result.quads.forEach(([x, y, halfWidth, halfHeight], i) => {
+    const [cx, cy, radiusX, radiusY] = result.circles[i];
+    expect(x).toBeCloseTo(cx, 5);
+    expect(y).toBeCloseTo(cy, 5);
+    expect(halfWidth).toBeGreaterThan(radiusX);
+    expect(halfHeight).toBeGreaterThan(radiusY);
+    expect(halfWidth * halfHeight).toBeLessThan(0.4);
+  });
+  expect(result.drawn[0].x).toBeGreaterThan(0);
+  expect(result.drawn[1].x).toBeLessThan(0);
+  expect(result.bodies).toEqual([1, 4]);
+  expect(result.moved[0]).toBeCloseTo(result.drawn[0].x, 2);
+  expect(result.moved[1]).toBeLessThan(result.drawn[1].x);
+  expect(result.saved.scene.map(entry => entry.polytope)).toEqual([1, 4]);
+  expect(result.deleted).toBe(0);
+  expect(result.afterDelete).toEqual({ scene: [4], bodies: [4] });
+  expect(result.refused).toBeNull();
+  expect(result.error).toContain('at most 8 bodies');
+  expect(result.far.radius).toBeLessThan(result.flat.radius);
+  expect(result.near.radius).toBeGreaterThan(result.flat.radius);
+  expect(result.far.offset[0]).toBeLessThan(result.flat.offset[0]);
+  expect(result.near.offset[0]).toBeGreaterThan(result.flat.offset[0]);
+  expect(result.cleared).toEqual({ scene: 0, drawList: null, bodies: 6 });
+});
@@ -0,0 +1,114 @@
+import { test, expect } from '@playwright/test';
+
+test('4OFF and JSON polytopes import into the polychora system, come back from saves, and malformed files show an error', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { PARAMETER_SCHEMA } = await import('/src/core/ParameterSchema.js');
+    const { UnifiedSaveManager } = await import('/src/core/UnifiedSaveManager.js');
+    const { TradingCardManager } = await import('/src/export/TradingCardManager.js');
+
+    // Tesseract as 4OFF: 16 vertices, 24 square faces
+    const corners = [...Array(16).keys()].map(i => [0, 1, 2, 3].map(bit => (i >> bit & 1 ? 1 : -1)));
+    const squares = [];
+    for (let fixed = 0; fixed < 16; fixed++) {
+      for (let a = 0; a < 4; a++) {
+        for (let b = a + 1; b < 4; b++) {
+          if (fixed & (1 << a) || fixed & (1 << b)) continue;
+          squares.push([fixed, fixed | 1 << a, fixed | 1 << a | 1 << b, fixed | 1 << b]);
+        }
+      }
+    }
+    const off = [
+      '4OFF',
+      '# Vertices Faces Edges Cells',
+      `16 ${squares.length} 32 8`,
+      ...corners.map(corner => corner.join(' ')),
+      ...squares.map(square => `4 ${square.join(' ')}`)
+    ].join('\n');
+
+    // 3,4-duoprism as JSON with explicit edges
+    const vertices = [];
+    const edges = [];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 4; j++) {
+        const a = (i / 3) * Math.PI * 2;
+        const b = (j / 4) * Math.PI * 2;
+        vertices.push([Math.cos(a), Math.sin(a), Math.cos(b), Math.sin(b)]);
+        edges.push([i * 4 + j, ((i + 1) % 3) * 4 + j], [i * 4 + j, i * 4 + (j + 1) % 4]);
+      }
+    }
+
+    const tesseract = await window.importPolytope(off, 'tesseract.off');
+    const tesseractMesh = window.polychoraSystem.getCurrentMesh();
+    const duoprism = await window.importPolytope(JSON.stringify({ name: '3,4-Duoprism', vertices, edges }), 'duoprism.json');
+    const current = window.polychoraSystem.getCurrentPolytope();
+
+    const errors = [];
+    for (const [text, filename] of [
+      ['4OFF\n2 0 0 0\n0 0 0 0\n1 1 1', 'short.off'],
+      ['4OFF\n3 1 0 0\n0 0 0 0\n1 0 0 0\n0 1 0 0\n3 0 1 7', 'range.off'],
+      ['{"vertices": [[0, 0, 0, 0], [1, 0, 0, 0]], "edges": [[0, 1, 2]]}', 'edge.json'],
+      ['{"vertices": [[0, 0, 0, 0]', 'broken.json']
+    ]) {
+      await window.importPolytope(text, filename);
+      errors.push(document.getElementById('polytopeError').textContent);
+    }
+    const unchanged = window.polychoraSystem.getCurrentPolytope().name;
+
+    // Saves carry the imported meshes, so the polytope comes back in a session that imported another first
+    const system = window.polychoraSystem;
+    const schemaMax = PARAMETER_SCHEMA.polytope.max;
+    const saver = new UnifiedSaveManager(null);
+    const exported = JSON.parse(JSON.stringify(saver.createCollectionFormat([saver.captureCurrentState()])));
+    const saved = exported.variations[0].parameters;
+    system.polytopes.length = 6;
+    await window.importPolytope(off, 'other.off');
+    system.updateParameters(saved);
+    const restored = {
+      polytope: system.parameters.polytope,
+      name: system.getCurrentPolytope().name,
+      edges: system.getCurrentMesh().edgeCount,
+      names: system.polytopes.slice(6).map(polytope => polytope.name)
+    };
+
+    // Cards can't draw an imported mesh, so they refuse instead of showing a built-in
+    const card = await TradingCardManager.createCard('polychora', 'classic', { ...system.parameters });
+
+    await window.switchSystem('faceted');
+    return {
+      tesseract,
+      duoprism,
+      tesseractEdges: tesseractMesh.edgeCount,
+      radius: Math.hypot(...tesseractMesh.vertices.subarray(0, 4)),
+      current: current.name,
+      duoprismEdges: current.mesh.edgeCount,
+      errors,
+      unchanged,
+      schemaMax,
+      savedPolytope: saved.polytope,
+      savedImports: saved.importedPolytopes.map(polytope => [polytope.index, polytope.name]),
+      restored,
+      card
+    };
+  });
+
+  expect(result.tesseract).toBe(6);
+  expect(result.duoprism).toBe(7);
+  expect(result.tesseractEdges).toBe(32);
+  expect(result.radius).toBeCloseTo(1, 5);
+  expect(result.current).toBe('3,4-Duoprism');
+  expect(result.duoprismEdges).toBe(24);
+  expect(result.errors[0]).toContain('Line 4: vertex 1 must be 4 numbers');
+  expect(result.errors[1]).toContain('Line 6: vertex index 7 is out of range');
+  expect(result.errors[2]).toContain('edges[0] must list 2 vertex indices');
+  expect(result.errors[3]).toContain('Invalid JSON');
+  expect(result.unchanged).toBe('3,4-Duoprism');
+  expect(result.schemaMax).toBe(7);
+  expect(result.savedPolytope).toBe(7);
+  expect(result.savedImports).toEqual([[6, 'tesseract'], [7, '3,4-Duoprism']]);
+  expect(result.restored).toEqual({ polytope: 8, name: '3,4-Duoprism', edges: 24, names: ['other', 'tesseract', '3,4-Duoprism'] });
+  expect(result.card.success).toBe(false);
+  expect(result.card.error).toContain('imported');
+});
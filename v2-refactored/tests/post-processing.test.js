@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test';
+
+test('Post-processing passes run after the composite, degrade with quality and are saved', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { UnifiedSaveManager } = await import('/src/core/UnifiedSaveManager.js');
+    const { HolographicCardGeneratorMultiLayer } = await import('/src/export/HolographicCardGeneratorMultiLayer.js');
+    const manager = window.canvasPool.canvasManager;
+    const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+    await nextFrame();
+    const idle = [...manager.lastPostPasses];
+
+    window.updateParameter('postBloom', 0.8);
+    window.updateParameter('postVignette', 0.5);
+    await nextFrame();
+    const full = [...manager.lastPostPasses];
+
+    // A one-step budget keeps the cheapest pass and drops bloom
+    const quality = manager.quality.qualitySettings;
+    const savedQuality = { ...quality };
+    Object.assign(quality, { postProcessing: true, postProcessingBudget: 1 });
+    manager.markLayersDirty(window.currentSystem);
+    await nextFrame();
+    const degraded = [...manager.lastPostPasses];
+    Object.assign(quality, savedQuality);
+
+    const state = new UnifiedSaveManager(window.engine).captureCurrentState();
+    const normalized = UnifiedSaveManager.prototype.normalizeParameters.call(null, { postGrain: 4 }, 'faceted');
+    const card = HolographicCardGeneratorMultiLayer.generateCard(state.parameters).content;
+
+    window.resetAll();
+    await nextFrame();
+
+    return {
+      idle,
+      full,
+      degraded,
+      savedBloom: state.parameters.postBloom,
+      clampedGrain: normalized.postGrain,
+      cardHasStack: card.includes('attachCardPostProcessing(') && card.includes('"postBloom":0.8'),
+      afterReset: [...manager.lastPostPasses]
+    };
+  });
+
+  expect(result.idle).toEqual([]);
+  expect(result.full).toEqual(['bloom', 'vignette']);
+  expect(result.degraded).toEqual(['vignette']);
+  expect(result.savedBloom).toBe(0.8);
+  expect(result.clampedGrain).toBe(1);
+  expect(result.cardHasStack).toBe(true);
+  expect(result.afterReset).toEqual([]);
+});
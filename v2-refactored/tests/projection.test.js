@@ -0,0 +1,41 @@
+import { test, expect } from '@playwright/test';
+
+test('Projection parameter drives every system and round-trips through saves', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { UnifiedSaveManager } = await import('/src/core/UnifiedSaveManager.js');
+    const { projectionLabel } = await import('/src/core/Projection.js');
+    const normalize = UnifiedSaveManager.prototype.normalizeParameters;
+
+    window.updateParameter('projection', 1.5);
+    const faceted = window.engine.parameterManager.getParameter('projection');
+
+    await window.switchSystem('quantum');
+    const quantumSlider = parseFloat(document.getElementById('projection').value);
+
+    await window.switchSystem('polychora');
+    window.updateParameter('projection', 2);
+    const polychora = window.polychoraSystem.parameters.projection;
+    await window.switchSystem('faceted');
+
+    return {
+      faceted,
+      quantumSlider,
+      polychora,
+      label: projectionLabel(1.5),
+      legacyFaceted: normalize.call(null, {}, 'faceted').projection,
+      legacyQuantum: normalize.call(null, {}, 'quantum').projection,
+      saved: normalize.call(null, { projection: 0.25 }, 'holographic').projection
+    };
+  });
+
+  expect(result.faceted).toBe(1.5);
+  expect(result.quantumSlider).toBe(0);
+  expect(result.polychora).toBe(2);
+  expect(result.label).toBe('ORTHO→STEREO 50%');
+  expect(result.legacyFaceted).toBe(1);
+  expect(result.legacyQuantum).toBe(0);
+  expect(result.saved).toBe(0.25);
+});
@@ -0,0 +1,32 @@
+import { test, expect } from '@playwright/test';
+
+test('All six 4D rotation planes reach the shaders and survive saves', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const planes = ['rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW'];
+    planes.forEach((plane, index) => window.updateParameter(plane, 0.25 * (index + 1)));
+
+    const { UnifiedSaveManager } = await import('/src/core/UnifiedSaveManager.js');
+    const { ParameterMapper } = await import('/src/core/ParameterMapper.js');
+    const params = window.engine.parameterManager.getAllParameters();
+    const normalized = UnifiedSaveManager.prototype.normalizeParameters.call(null, params);
+    const pollinated = new ParameterMapper().crossPollinate(params, 'faceted', 'holographic', 1.0);
+
+    return {
+      sliders: planes.map(plane => !!document.getElementById(plane)),
+      params: planes.map(plane => params[plane]),
+      uniforms: planes.map(plane => window.engine.visualizers[0].uniforms[plane] !== null),
+      normalized: planes.map(plane => normalized[plane]),
+      pollinated: planes.map(plane => pollinated[plane])
+    };
+  });
+
+  const expected = [0.25, 0.5, 0.75, 1.0, 1.25, 1.5];
+  expect(result.sliders).toEqual([true, true, true, true, true, true]);
+  expect(result.params).toEqual(expected);
+  expect(result.uniforms).toEqual([true, true, true, true, true, true]);
+  expect(result.normalized).toEqual(expected);
+  expect(result.pollinated).toEqual(expected);
+});
@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+
+test('Recording a polychora scene follows each body by id while bodies are deleted and spawned', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { PhysicsRecording } = await import('/src/physics/PhysicsRecording.js');
+    await window.setPhysics({ gravity4D: 0, brownianMotion: 0, fluidFlow: 0 });
+    const system = window.polychoraSystem;
+
+    // Three bodies moving at different speeds
+    [-6, 0, 6].forEach((x, i) => system.spawnBody({ polytope: i + 1, position: [x, 0, 0, 0], material: { hue: i * 100 } }));
+    await window.setPhysics({ physicsEnabled: true });
+    system.physicsBodies.forEach((body, i) => { body.velocity = [0, i + 1, 0, 0]; });
+
+    system.startPhysicsRecording();
+    const run = steps => {
+      for (let i = 0; i < steps; i++) {
+        system.physics.step();
+        system.recordPhysicsStep();
+      }
+    };
+    run(30);
+    system.deleteBody(1);
+    run(30);
+    system.spawnBody({ polytope: 4, position: [0, -5, 0, 0] });
+    run(30);
+    const recording = system.stopPhysicsRecording();
+    const live = system.physicsBodies.map(body => [...body.position]);
+
+    // The bodies after the deleted one keep their own slots; the new one gets a slot of its own
+    const reloaded = PhysicsRecording.fromJSON(JSON.parse(JSON.stringify(recording.toJSON())));
+    const end = reloaded.stateAt(reloaded.duration);
+    const beforeSpawn = reloaded.stateAt(0.25).map(state => state.present);
+
+    // Replaying draws the recorded bodies, with their materials, only while they existed
+    system.replayPhysics(reloaded);
+    system.seekPhysicsReplay(0.1);
+    const drawnEarly = system.getSceneDrawList().map(body => body.parameters.hue);
+    system.seekPhysicsReplay(reloaded.duration);
+    const drawnLate = system.getSceneDrawList().map(body => body.parameters.hue);
+
+    system.stopPhysicsReplay();
+    system.clearScene();
+    await window.setPhysics({ physicsEnabled: false, gravity4D: -2.5, brownianMotion: 0.1, fluidFlow: 0.5 });
+    await window.switchSystem('faceted');
+
+    return {
+      types: reloaded.bodies.map(body => body.polytopeType),
+      live,
+      end: end.map(state => ({ present: state.present, position: state.position })),
+      beforeSpawn,
+      drawnEarly,
+      drawnLate
+    };
+  });
+
+  expect(result.types).toEqual([1, 2, 3, 4]);
+  const [first, deleted, third, spawned] = result.end;
+  [first, third, spawned].forEach((state, i) => {
+    expect(state.present).toBe(true);
+    state.position.forEach((value, axis) => expect(value).toBeCloseTo(result.live[i][axis], 3));
+  });
+  expect(deleted.present).toBe(false);
+  expect(deleted.position[1]).toBeCloseTo(1, 1);
+  expect(result.beforeSpawn).toEqual([true, true, true, false]);
+  expect(result.drawnEarly).toEqual([0, 100, 200]);
+  expect(result.drawnLate).toEqual([0, 200, 280]);
+});
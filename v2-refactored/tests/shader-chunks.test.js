@@ -0,0 +1,57 @@
+import { test, expect } from '@playwright/test';
+
+test('Shader chunks compose into shaders and hot-reload running programs', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { PolychoraCardGenerator } = await import('/src/export/PolychoraCardGenerator.js');
+    const chunks = window.shaderChunks;
+    const visualizer = window.engine.visualizers[0];
+    const originalProgram = visualizer.program;
+    const originalHsv = chunks.get('hsv');
+    const originalRotation = chunks.get('rotation4d');
+
+    const composed = chunks.compose('#include <rotation4d>\n#include <rotation4d>');
+    const cardShader = new PolychoraCardGenerator().getSystemShaders().fragment;
+
+    // Same source plus a comment: must recompile the live program
+    chunks.update({ hsv: `${originalHsv}\n// edited` });
+    const rebuilt = visualizer.program !== originalProgram && visualizer.program !== null;
+    const uniformsValid = visualizer.uniforms.rot4dXW !== null;
+
+    // Broken source: previous program stays in place
+    const beforeBreak = visualizer.program;
+    chunks.update({ rotation4d: 'mat4 rotateXY(float theta) { return broken; }' });
+    const keptOnError = visualizer.program === beforeBreak;
+    chunks.update({ hsv: originalHsv, rotation4d: originalRotation });
+
+    // Polychora layers rebuild their polytope program but keep the chunk-free cell program
+    await window.switchSystem('polychora');
+    const layer = window.polychoraSystem.visualizers[0];
+    const { program: layerProgram, cellProgram } = layer;
+    chunks.update({ rotation4d: `${originalRotation}\n// edited` });
+    const polychoraReload = {
+      programRebuilt: layer.program !== layerProgram && layer.gl.isProgram(layer.program),
+      cellProgramKept: layer.cellProgram === cellProgram && layer.gl.isProgram(cellProgram)
+    };
+    chunks.update({ rotation4d: originalRotation });
+    await window.switchSystem('faceted');
+
+    return {
+      rotateCount: (composed.match(/mat4 rotateXW/g) || []).length,
+      cardIncludesResolved: !cardShader.includes('#include') && cardShader.includes('project4Dto3D'),
+      rebuilt,
+      uniformsValid,
+      keptOnError,
+      polychoraReload
+    };
+  });
+
+  expect(result.rotateCount).toBe(1);
+  expect(result.cardIncludesResolved).toBe(true);
+  expect(result.rebuilt).toBe(true);
+  expect(result.uniformsValid).toBe(true);
+  expect(result.keptOnError).toBe(true);
+  expect(result.polychoraReload).toEqual({ programRebuilt: true, cellProgramKept: true });
+});
@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+
+test('Timeline keyframes drive the engine, loop on the shared clock, save and export with cards', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { clock } = await import('/src/core/Clock.js');
+    const { UnifiedSaveManager } = await import('/src/core/UnifiedSaveManager.js');
+    const { FacetedCardGeneratorExact } = await import('/src/export/FacetedCardGeneratorExact.js');
+    const player = window.timelinePlayer;
+    const hue = () => window.engine.parameterManager.getParameter('hue');
+
+    // Key hue through the editor: 0 at 0s, 200 at 2s, linear
+    document.getElementById('timelineDuration').value = 4;
+    document.getElementById('timelineDuration').onchange();
+    document.getElementById('timelineParameter').value = 'hue';
+    document.getElementById('timelineEasing').value = 'linear';
+    window.updateParameter('hue', 0);
+    window.addTimelineKeyframe();
+    player.seek(2);
+    window.updateParameter('hue', 200);
+    window.addTimelineKeyframe();
+
+    player.seek(1);
+    const scrubbed = { hue: hue(), slider: parseFloat(document.getElementById('hue').value) };
+
+    // Playback follows the shared clock and wraps at the end
+    clock.pause();
+    player.seek(0);
+    player.play();
+    clock.advance(1.5);
+    const playing = hue();
+    clock.advance(4);
+    const looped = hue();
+    player.pause();
+    clock.resume();
+
+    const state = new UnifiedSaveManager(window.engine).captureCurrentState();
+    const card = FacetedCardGeneratorExact.generateCard({ ...state.parameters, timeline: state.timeline }).content;
+
+    const tracks = document.querySelectorAll('#timelineTracks .timeline-key').length;
+    window.clearTimeline();
+
+    return {
+      scrubbed,
+      playing,
+      looped,
+      tracks,
+      saved: state.timeline,
+      cardPlays: card.includes('playCardTimeline({') && card.includes('"hue":[{"time":0,"value":0'),
+      clearedSave: new UnifiedSaveManager(window.engine).captureCurrentState().timeline
+    };
+  });
+
+  expect(result.scrubbed).toEqual({ hue: 100, slider: 100 });
+  expect(result.playing).toBe(150);
+  expect(result.looped).toBe(150);
+  expect(result.tracks).toBe(2);
+  expect(result.saved.duration).toBe(4);
+  expect(result.saved.tracks.hue.map(keyframe => keyframe.value)).toEqual([0, 200]);
+  expect(result.cardPlays).toBe(true);
+  expect(result.clearedSave).toBeUndefined();
+});
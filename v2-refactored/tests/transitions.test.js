@@ -0,0 +1,71 @@
+import { test, expect } from '@playwright/test';
+
+test('Variations tween on the shared clock and system switches cross-fade the compositor output', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const { clock } = await import('/src/core/Clock.js');
+    const { tweenParameters } = await import('/src/core/Transitions.js');
+    const engine = window.engine;
+    const hue = () => engine.parameterManager.getParameter('hue');
+
+    // Tweens take the short way round the hue circle
+    const wrapped = [];
+    tweenParameters({ hue: 350 }, { hue: 10 }, values => wrapped.push(values.hue), { duration: 1, easing: 'linear' });
+    clock.advance(0.5);
+    clock.advance(1);
+
+    // setVariation eases from the old parameters and lands exactly on the new ones
+    engine.parameterManager.setParameter('hue', 0);
+    engine.setVariation(5);
+    const target = Math.round(engine.variationManager.generateDefaultVariation(5).hue); // Hue is an int parameter
+    const started = hue();
+    clock.advance(0.4);
+    const midway = hue();
+    clock.advance(1);
+    const landed = hue();
+
+    // A paused clock switches at once
+    clock.pause();
+    engine.setVariation(9);
+    const paused = hue() === Math.round(engine.variationManager.generateDefaultVariation(9).hue);
+    clock.resume();
+
+    // A geometry change morphs the old lattice into the new one (variation 9 is geometry 2, 13 geometry 3)
+    const visualizer = engine.visualizers[0];
+    engine.setVariation(13);
+    clock.advance(0.4);
+    engine.updateVisualizers();
+    const morphing = { ...visualizer.params };
+    clock.advance(1);
+    engine.updateVisualizers();
+    const morphed = { ...visualizer.params };
+
+    // Switching systems keeps the outgoing frame on screen while the new one fades in
+    const manager = window.canvasPool.canvasManager;
+    await window.switchSystem('quantum');
+    const fading = manager ? manager.crossFade !== null : true;
+    clock.advance(5);
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    const faded = manager ? manager.crossFade === null : true;
+    await window.switchSystem('faceted');
+
+    return { wrapped, target, started, midway, landed, paused, morphing, morphed, fading, faded };
+  });
+
+  expect(result.wrapped[0]).toBe(350);
+  expect(result.wrapped[1]).toBe(0);
+  expect(result.wrapped[result.wrapped.length - 1]).toBe(10);
+  expect(result.started).toBe(0);
+  expect(result.midway).toBeGreaterThan(0);
+  expect(result.midway).not.toBe(result.target);
+  expect(result.landed).toBe(result.target);
+  expect(result.paused).toBe(true);
+  expect(result.morphing).toMatchObject({ geometry: 3, geometryFrom: 2 });
+  expect(result.morphing.geometryMorph).toBeGreaterThan(0);
+  expect(result.morphing.geometryMorph).toBeLessThan(1);
+  expect(result.morphed).toMatchObject({ geometry: 3, geometryFrom: 3, geometryMorph: 1 });
+  expect(result.fading).toBe(true);
+  expect(result.faded).toBe(true);
+});
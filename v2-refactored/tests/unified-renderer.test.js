@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test';
+
+test('All four systems render through one shared WebGL context', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+  const result = await page.evaluate(async () => {
+    const manager = window.canvasPool.canvasManager;
+    const facetedVisualizer = window.engine.visualizers[0];
+    const facetedProgram = facetedVisualizer.program;
+    const contexts = new Set();
+
+    for (const system of ['quantum', 'holographic', 'polychora', 'faceted']) {
+      await window.switchSystem(system);
+      window.canvasPool.getEngineForSystem(system).visualizers.forEach(visualizer => contexts.add(visualizer.gl));
+    }
+
+    // Let the faceted loop draw a few frames, then read the composite back in the same task
+    await new Promise(resolve => setTimeout(resolve, 300));
+    manager.composite();
+    const readback = document.createElement('canvas');
+    readback.width = 64;
+    readback.height = 64;
+    const ctx = readback.getContext('2d');
+    ctx.drawImage(manager.masterCanvas, 0, 0, 64, 64);
+    const pixels = ctx.getImageData(0, 0, 64, 64).data;
+    let lit = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i] > 10 || pixels[i + 1] > 10 || pixels[i + 2] > 10) lit++;
+    }
+
+    return {
+      contextCount: contexts.size,
+      sharedContext: contexts.has(manager.gl),
+      programKept: window.engine.visualizers[0] === facetedVisualizer && facetedVisualizer.program === facetedProgram,
+      stats: window.canvasPool.getStats(),
+      lit
+    };
+  });
+
+  expect(result.contextCount).toBe(1);
+  expect(result.sharedContext).toBe(true);
+  expect(result.programKept).toBe(true);
+  expect(result.stats.activeContexts).toBe(1);
+  expect(result.lit).toBeGreaterThan(0);
+});